@@ -0,0 +1,47 @@
+// Admin roles and the permissions each one grants.
+// Route handlers check permissions, never role names, so roles can be reshaped here.
+
+const ROLE_PERMISSIONS = {
+  viewer: [
+    'analytics:read',
+    'users:read',
+    'subscriptions:read',
+    'payments:read'
+  ],
+  support: [
+    'analytics:read',
+    'users:read',
+    'users:write',
+    'subscriptions:read',
+    'subscriptions:cancel',
+    'payments:read',
+    'webhooks:read'
+  ],
+  finance: [
+    'analytics:read',
+    'users:read',
+    'subscriptions:read',
+    'subscriptions:cancel',
+    'payments:read',
+    'refunds:create',
+    'refunds:approve',
+    'promo_codes:create',
+    'exports:read',
+    'webhooks:read',
+    'audit:read'
+  ],
+  owner: ['*']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission
+};
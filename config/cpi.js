@@ -0,0 +1,68 @@
+// Annual CPI change (percent) by published series and year, as used by the
+// jurisdictions' rent formulas. Update each year when the new figures are published.
+// A year missing from a series falls back to the latest earlier year; years
+// before a series starts have no figure.
+
+const CPI_SERIES = {
+  // CPI-U, San Francisco-Oakland-Hayward
+  'us-sf-bay-area': {
+    2015: 2.6,
+    2016: 3.0,
+    2017: 3.2,
+    2018: 3.9,
+    2019: 4.0,
+    2020: 2.2,
+    2021: 2.2,
+    2022: 5.2,
+    2023: 4.9,
+    2024: 2.8,
+    2025: 2.9,
+    2026: 2.7
+  },
+  // CPI-U, Los Angeles-Long Beach-Anaheim
+  'us-los-angeles': {
+    2015: 0.9,
+    2016: 1.9,
+    2017: 2.9,
+    2018: 3.8,
+    2019: 3.1,
+    2020: 1.6,
+    2021: 3.6,
+    2022: 7.7,
+    2023: 4.4,
+    2024: 3.1,
+    2025: 3.2,
+    2026: 2.9
+  },
+  // CPI-U, West Region
+  'us-west': {
+    2015: 1.2,
+    2016: 1.8,
+    2017: 2.7,
+    2018: 3.3,
+    2019: 2.9,
+    2020: 1.7,
+    2021: 4.8,
+    2022: 8.0,
+    2023: 4.9,
+    2024: 3.3,
+    2025: 3.0,
+    2026: 2.8
+  }
+};
+
+// CPI change for `series` in `year`, or null if the series has no figure that early
+const cpiFor = (series, year) => {
+  const values = CPI_SERIES[series];
+  if (!values) {
+    throw new Error(`Unknown CPI series: ${series}`);
+  }
+
+  const years = Object.keys(values).map(Number).filter((known) => known <= year).sort((a, b) => b - a);
+  return years.length > 0 ? values[years[0]] : null;
+};
+
+module.exports = {
+  CPI_SERIES,
+  cpiFor
+};
@@ -0,0 +1,30 @@
+// Dunning schedule for subscriptions whose invoice payment failed.
+//
+// Each step runs once, `day` days after the first failure:
+//   retry   - ask Stripe to attempt the invoice payment again
+//   notify  - notification template to send the account holder
+//   cancel  - cancel the subscription (the final step; the cancellation notice
+//             is sent when Stripe confirms it with customer.subscription.deleted)
+// Override the schedule with DUNNING_STEPS (the same array as JSON).
+//
+// Accounts are restricted to read-only access once DUNNING_GRACE_DAYS have
+// passed without payment, and restored when the invoice is paid.
+
+const DEFAULT_STEPS = [
+  { day: 0, notify: 'payment_failed' },
+  { day: 3, retry: true, notify: 'payment_failed' },
+  { day: 7, retry: true, notify: 'payment_failed' },
+  { day: 14, retry: true, notify: 'payment_failed' },
+  { day: 21, cancel: true }
+];
+
+const DUNNING_STEPS = process.env.DUNNING_STEPS
+  ? JSON.parse(process.env.DUNNING_STEPS)
+  : DEFAULT_STEPS;
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.DUNNING_GRACE_DAYS || '7');
+
+module.exports = {
+  DUNNING_STEPS,
+  GRACE_PERIOD_DAYS
+};
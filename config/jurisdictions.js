@@ -0,0 +1,94 @@
+// Rent-control rules per jurisdiction, keyed by the `jurisdiction` code on a property.
+// These are simplified summaries used to compute allowable increases; check them
+// against the current ordinance before relying on a result.
+//
+// cap:                  how the annual allowable increase is computed
+//   { type: 'fixed', percent }
+//   { type: 'schedule', percents: { [year]: percent } }   (published yearly guideline)
+//   { type: 'cpi', cpiSeries, cpiShare = 1, plusPercent = 0, minPercent, maxPercent }
+// increaseIntervalMonths: minimum time between increases on a tenancy
+// banking:              unused allowable increases carry forward to later years
+// bankingYears:         how many past rent years can be banked (omit for no limit)
+// maxTotalPercent:      ceiling on one increase including banked amounts
+// vacancyDecontrol:     rent may be reset freely between tenancies
+// exemptions:
+//   builtAfterYear       buildings first occupied after this year are exempt
+//   newConstructionYears buildings younger than this many years are exempt
+// lateFees:             statutory limits on late fees for unpaid rent
+//   prohibited           late fees may not be charged
+//   minGraceDays         days after the due date before a fee may be charged
+//   maxAmount            ceiling per rent charge, in major units
+//   maxPercent           ceiling per rent charge, as a percentage of the rent
+// deposits:             security deposit rules
+//   maxMonthsRent        ceiling on the deposit, in months of the lease rent
+//   returnDays           days after move-out to return the deposit or an itemized statement
+//   interest             interest owed to the tenant on the deposit, accrued by calendar year
+//     { type: 'fixed', percent }
+//     { type: 'schedule', percents: { [year]: percent } }
+
+// Ontario's yearly rent increase guideline, which also sets interest on rent deposits
+const ONTARIO_GUIDELINE = { 2022: 1.2, 2023: 2.5, 2024: 2.5, 2025: 2.5, 2026: 2.1 };
+
+const JURISDICTIONS = {
+  'us-ca-statewide': {
+    name: 'California (Tenant Protection Act)',
+    cap: { type: 'cpi', cpiSeries: 'us-west', plusPercent: 5, maxPercent: 10 },
+    increaseIntervalMonths: 12,
+    banking: false,
+    vacancyDecontrol: true,
+    exemptions: { newConstructionYears: 15 },
+    deposits: { maxMonthsRent: 1, returnDays: 21 }
+  },
+  'us-ca-san-francisco': {
+    name: 'San Francisco',
+    cap: { type: 'cpi', cpiSeries: 'us-sf-bay-area', cpiShare: 0.6, maxPercent: 7 },
+    increaseIntervalMonths: 12,
+    banking: true,
+    vacancyDecontrol: true,
+    exemptions: { builtAfterYear: 1979 },
+    deposits: { maxMonthsRent: 1, returnDays: 21 }
+  },
+  'us-ca-los-angeles': {
+    name: 'Los Angeles (RSO)',
+    cap: { type: 'cpi', cpiSeries: 'us-los-angeles', minPercent: 3, maxPercent: 8 },
+    increaseIntervalMonths: 12,
+    banking: false,
+    vacancyDecontrol: true,
+    exemptions: { builtAfterYear: 1978 },
+    deposits: { maxMonthsRent: 1, returnDays: 21 }
+  },
+  'us-ca-oakland': {
+    name: 'Oakland',
+    cap: { type: 'cpi', cpiSeries: 'us-sf-bay-area', maxPercent: 10 },
+    increaseIntervalMonths: 12,
+    banking: true,
+    bankingYears: 10,
+    maxTotalPercent: 30,
+    vacancyDecontrol: true,
+    exemptions: { builtAfterYear: 1983 },
+    deposits: { maxMonthsRent: 1, returnDays: 21 }
+  },
+  'us-or-statewide': {
+    name: 'Oregon',
+    cap: { type: 'cpi', cpiSeries: 'us-west', plusPercent: 7, maxPercent: 10 },
+    increaseIntervalMonths: 12,
+    banking: false,
+    vacancyDecontrol: true,
+    exemptions: { newConstructionYears: 15 },
+    lateFees: { minGraceDays: 4, maxPercent: 5 },
+    deposits: { returnDays: 31 }
+  },
+  'ca-on': {
+    name: 'Ontario',
+    cap: { type: 'schedule', percents: ONTARIO_GUIDELINE },
+    increaseIntervalMonths: 12,
+    banking: true,
+    bankingYears: 3,
+    vacancyDecontrol: true,
+    exemptions: { builtAfterYear: 2018 },
+    lateFees: { prohibited: true },
+    deposits: { maxMonthsRent: 1, interest: { type: 'schedule', percents: ONTARIO_GUIDELINE } }
+  }
+};
+
+module.exports = { JURISDICTIONS };
@@ -0,0 +1,115 @@
+// Subscription plans offered to landlords.
+//
+// Each plan has:
+//   name       - shown to customers and in the admin dashboard
+//   trialDays  - length of the free trial
+//   features   - feature flags
+//   limits     - properties and units an account may manage (null = unlimited)
+//   prices     - one per billing interval and currency; `amount` is in major units
+//
+// Stripe price ids come from STRIPE_PRICE_<PLAN>_<INTERVAL>_<CURRENCY>, e.g.
+// STRIPE_PRICE_PRO_MONTH_USD. STRIPE_PRICE_STARTER and STRIPE_PRICE_PRO are still
+// read as the monthly usd prices. With STRIPE_MODE=fake, prices without an id
+// get a placeholder one so checkout works offline.
+
+const PLANS = {
+  starter: {
+    name: 'Starter',
+    trialDays: 14,
+    features: {
+      rentCollection: true,
+      rentControlChecks: true,
+      lateFees: false,
+      notifications: true,
+      prioritySupport: false
+    },
+    limits: { properties: 1, units: 10 },
+    prices: [
+      { interval: 'month', currency: 'usd', amount: 29 },
+      { interval: 'year', currency: 'usd', amount: 290 }
+    ]
+  },
+  pro: {
+    name: 'Professional',
+    trialDays: 14,
+    features: {
+      rentCollection: true,
+      rentControlChecks: true,
+      lateFees: true,
+      notifications: true,
+      prioritySupport: false
+    },
+    limits: { properties: 10, units: 200 },
+    prices: [
+      { interval: 'month', currency: 'usd', amount: 79 },
+      { interval: 'year', currency: 'usd', amount: 790 }
+    ]
+  },
+  premium: {
+    name: 'Premium',
+    trialDays: 30,
+    features: {
+      rentCollection: true,
+      rentControlChecks: true,
+      lateFees: true,
+      notifications: true,
+      prioritySupport: true
+    },
+    limits: { properties: null, units: null },
+    prices: [
+      { interval: 'month', currency: 'usd', amount: 199 },
+      { interval: 'year', currency: 'usd', amount: 1990 }
+    ]
+  }
+};
+
+// Feature flags every plan defines
+const FEATURES = ['rentCollection', 'rentControlChecks', 'lateFees', 'notifications', 'prioritySupport'];
+
+const LEGACY_PRICE_ENV = {
+  STRIPE_PRICE_STARTER_MONTH_USD: 'STRIPE_PRICE_STARTER',
+  STRIPE_PRICE_PRO_MONTH_USD: 'STRIPE_PRICE_PRO'
+};
+
+const priceIdFor = (planId, { interval, currency }) => {
+  const key = `STRIPE_PRICE_${planId}_${interval}_${currency}`.toUpperCase();
+  const configured = process.env[key] || process.env[LEGACY_PRICE_ENV[key]];
+
+  if (configured) return configured;
+  return process.env.STRIPE_MODE === 'fake' ? `price_${planId}_${interval}_${currency}` : null;
+};
+
+// The catalog with Stripe price ids filled in; prices with no id are left out
+const listPlans = () => Object.entries(PLANS).map(([id, plan]) => ({
+  id,
+  ...plan,
+  prices: plan.prices
+    .map((price) => ({ id: priceIdFor(id, price), ...price }))
+    .filter((price) => price.id)
+}));
+
+const getPlan = (planId) => listPlans().find((plan) => plan.id === planId) || null;
+
+// A plan's price for a billing interval and currency, or undefined
+const planPrice = (planId, { interval, currency }) => {
+  const plan = getPlan(planId);
+  return plan ? plan.prices.find((price) => price.interval === interval && price.currency === currency) : undefined;
+};
+
+// The plan and price for a Stripe price id, or null if it is not in the catalog
+const findPrice = (priceId) => {
+  for (const plan of listPlans()) {
+    const price = plan.prices.find((candidate) => candidate.id === priceId);
+    if (price) return { plan, price };
+  }
+  return null;
+};
+
+module.exports = {
+  PLANS,
+  FEATURES,
+  listPlans,
+  getPlan,
+  planPrice,
+  findPrice
+};
@@ -0,0 +1,56 @@
+const { toMinorUnits } = require('../lib/money');
+
+// Refund policy.
+//
+// A payment can be refunded up to what was captured, across all its refunds.
+// Once a payment's refunds (issued, awaiting approval, and the new one together)
+// go over the approval threshold, the refund waits for a second admin holding
+// refunds:approve. Thresholds are in major units of the payment's currency:
+//   REFUND_APPROVAL_THRESHOLD_<CURRENCY>  - one currency, e.g. REFUND_APPROVAL_THRESHOLD_EUR
+//   REFUND_APPROVAL_THRESHOLD             - every currency without its own
+// and otherwise DEFAULT_APPROVAL_THRESHOLDS, each about 500 USD. Payments in a
+// currency with no threshold always need approval, as does a threshold of 0.
+// A value that is not a non-negative number is ignored, with a warning.
+const DEFAULT_APPROVAL_THRESHOLDS = {
+  usd: 500,
+  cad: 650,
+  eur: 450,
+  gbp: 400,
+  aud: 750,
+  jpy: 75000,
+  krw: 650000,
+  kwd: 150,
+  bhd: 190
+};
+
+const warnedSettings = new Set();
+
+// A threshold from the environment, or undefined if unset or malformed
+const configuredThreshold = (name) => {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') return undefined;
+
+  const threshold = Number(value);
+  if (Number.isFinite(threshold) && threshold >= 0) return threshold;
+
+  if (!warnedSettings.has(`${name}=${value}`)) {
+    warnedSettings.add(`${name}=${value}`);
+    console.warn(`⚠️ Ignoring ${name}=${value}: refund approval thresholds must be non-negative numbers`);
+  }
+  return undefined;
+};
+
+const approvalThreshold = (currency) =>
+  configuredThreshold(`REFUND_APPROVAL_THRESHOLD_${currency.toUpperCase()}`) ??
+  configuredThreshold('REFUND_APPROVAL_THRESHOLD') ??
+  DEFAULT_APPROVAL_THRESHOLDS[currency.toLowerCase()] ??
+  0;
+
+// Whether refunds totalling `cumulativeAmount` minor units on one payment need a second admin
+const needsApproval = (cumulativeAmount, currency) => cumulativeAmount > toMinorUnits(approvalThreshold(currency), currency);
+
+module.exports = {
+  DEFAULT_APPROVAL_THRESHOLDS,
+  approvalThreshold,
+  needsApproval
+};
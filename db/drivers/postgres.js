@@ -0,0 +1,61 @@
+const { Pool, types } = require('pg');
+
+// Return BIGINT (int8) columns and COUNT(*) results as numbers, matching SQLite
+types.setTypeParser(20, (value) => parseInt(value, 10));
+
+// Queries are written with `?` placeholders; Postgres expects `$1`, `$2`, ...
+const toPositional = (sql) => {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+};
+
+const wrap = (client) => ({
+  dialect: 'postgres',
+
+  async query(sql, params = []) {
+    const result = await client.query(toPositional(sql), params);
+    return result.rows;
+  },
+
+  async run(sql, params = []) {
+    const result = await client.query(toPositional(sql), params);
+    return { changes: result.rowCount };
+  },
+
+  async exec(sql) {
+    await client.query(sql);
+  }
+});
+
+// Postgres driver (production)
+function createPostgresDriver(connectionString) {
+  const pool = new Pool({
+    connectionString,
+    ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : undefined
+  });
+
+  return {
+    ...wrap(pool),
+
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await fn(wrap(client));
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+module.exports = createPostgresDriver;
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// SQLite driver (default for local development and single-instance deploys)
+function createSqliteDriver(filename) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  // better-sqlite3 has a single connection, so async transactions are serialized,
+  // and statements from outside a transaction wait until none is open: run on the
+  // shared connection they would otherwise join it (and its commit or rollback)
+  let transactionQueue = Promise.resolve();
+  let inTransaction = false;
+
+  const query = (sql, params = []) => {
+    const statement = db.prepare(sql);
+    if (statement.reader) {
+      return statement.all(params);
+    }
+    statement.run(params);
+    return [];
+  };
+
+  const run = (sql, params = []) => ({ changes: db.prepare(sql).run(params).changes });
+
+  // Statements inside a transaction run straight away
+  const inside = {
+    dialect: 'sqlite',
+    query: async (sql, params) => query(sql, params),
+    run: async (sql, params) => run(sql, params),
+    exec: async (sql) => { db.exec(sql); }
+  };
+
+  // Everything else runs once no transaction is open. The statement itself is
+  // synchronous, so none can begin between the check and the statement.
+  const outside = (statement) => async (...args) => {
+    while (inTransaction) {
+      await transactionQueue;
+    }
+    return statement(...args);
+  };
+
+  const driver = {
+    dialect: 'sqlite',
+
+    query: outside(query),
+
+    run: outside(run),
+
+    exec: outside((sql) => { db.exec(sql); }),
+
+    transaction(fn) {
+      const runTransaction = async () => {
+        inTransaction = true;
+        db.exec('BEGIN');
+        try {
+          const result = await fn(inside);
+          db.exec('COMMIT');
+          return result;
+        } catch (error) {
+          db.exec('ROLLBACK');
+          throw error;
+        } finally {
+          inTransaction = false;
+        }
+      };
+
+      const result = transactionQueue.then(runTransaction);
+      transactionQueue = result.catch(() => {});
+      return result;
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+
+  return driver;
+}
+
+module.exports = createSqliteDriver;
@@ -0,0 +1,114 @@
+// Database access layer.
+// DATABASE_URL selects the driver: postgres://... uses Postgres, anything else
+// (default sqlite:data/rent-control.db) uses a local SQLite file.
+
+let driver;
+let connection;
+
+// Coerce JS values into something both drivers accept as a bound parameter
+const normalizeParam = (value) => {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+const bind = (conn) => {
+  const api = {
+    dialect: conn.dialect,
+
+    query: (sql, params = []) => conn.query(sql, params.map(normalizeParam)),
+
+    run: (sql, params = []) => conn.run(sql, params.map(normalizeParam)),
+
+    exec: (sql) => conn.exec(sql),
+
+    async one(sql, params = []) {
+      const rows = await api.query(sql, params);
+      return rows[0] || null;
+    },
+
+    insert(table, row) {
+      const columns = Object.keys(row);
+      const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+      return api.run(sql, columns.map((column) => row[column]));
+    },
+
+    // Update the given columns (undefined values are skipped) on rows matching `where`
+    update(table, changes, where) {
+      const columns = Object.keys(changes).filter((column) => changes[column] !== undefined);
+      const conditions = Object.keys(where);
+      if (columns.length === 0) return Promise.resolve({ changes: 0 });
+
+      const sql = `UPDATE ${table} SET ${columns.map((column) => `${column} = ?`).join(', ')} ` +
+        `WHERE ${conditions.map((column) => `${column} = ?`).join(' AND ')}`;
+
+      return api.run(sql, [...columns.map((column) => changes[column]), ...conditions.map((column) => where[column])]);
+    },
+
+    upsert(table, row, conflictColumns = ['id']) {
+      const columns = Object.keys(row);
+      const updates = columns
+        .filter((column) => !conflictColumns.includes(column))
+        .map((column) => `${column} = excluded.${column}`);
+
+      const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) ` +
+        `ON CONFLICT (${conflictColumns.join(', ')}) ` +
+        (updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING');
+
+      return api.run(sql, columns.map((column) => row[column]));
+    },
+
+    // Nested calls join the outer transaction. Inside `fn` use its handle, not the
+    // module: on SQLite module-level statements wait for the transaction to end.
+    transaction: (fn) => (conn.transaction
+      ? conn.transaction((txConn) => fn(bind(txConn)))
+      : fn(api))
+  };
+
+  return api;
+};
+
+const createDriver = () => {
+  const url = process.env.DATABASE_URL || 'sqlite:data/rent-control.db';
+
+  if (/^postgres(ql)?:\/\//.test(url)) {
+    return require('./drivers/postgres')(url);
+  }
+
+  return require('./drivers/sqlite')(url.replace(/^sqlite:(\/\/)?/, ''));
+};
+
+const getConnection = () => {
+  if (!connection) {
+    driver = createDriver();
+    connection = bind(driver);
+  }
+  return connection;
+};
+
+const close = async () => {
+  if (driver) {
+    const current = driver;
+    driver = null;
+    connection = null;
+    await current.close();
+  }
+};
+
+module.exports = {
+  get dialect() {
+    return getConnection().dialect;
+  },
+  query: (sql, params) => getConnection().query(sql, params),
+  one: (sql, params) => getConnection().one(sql, params),
+  run: (sql, params) => getConnection().run(sql, params),
+  exec: (sql) => getConnection().exec(sql),
+  insert: (table, row) => getConnection().insert(table, row),
+  update: (table, changes, where) => getConnection().update(table, changes, where),
+  upsert: (table, row, conflictColumns) => getConnection().upsert(table, row, conflictColumns),
+  transaction: (fn) => getConnection().transaction(fn),
+  migrate: () => require('./migrate').migrate(),
+  close
+};
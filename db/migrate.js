@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./index');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Apply any migrations in db/migrations that have not been recorded yet
+async function migrate() {
+  await db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    applied_at TEXT NOT NULL
+  )`);
+
+  const applied = new Set(
+    (await db.query('SELECT version FROM schema_migrations')).map((row) => row.version)
+  );
+
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter((file) => file.endsWith('.sql'))
+    .sort();
+
+  for (const file of files) {
+    const version = path.basename(file, '.sql');
+    if (applied.has(version)) continue;
+
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+    await db.transaction(async (tx) => {
+      await tx.exec(sql);
+      await tx.insert('schema_migrations', {
+        version,
+        applied_at: new Date().toISOString()
+      });
+    });
+
+    console.log(`🗄️ Applied migration ${version}`);
+  }
+}
+
+module.exports = { migrate };
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  migrate()
+    .then(() => db.close())
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,97 @@
+-- Local copies of Stripe billing objects, kept current by the webhook handlers.
+-- Stripe timestamps are stored as unix seconds, as Stripe sends them.
+
+CREATE TABLE customers (
+  id TEXT PRIMARY KEY,
+  email TEXT,
+  name TEXT,
+  metadata TEXT,
+  created BIGINT,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_customers_email ON customers (email);
+
+CREATE TABLE checkout_sessions (
+  id TEXT PRIMARY KEY,
+  customer_id TEXT,
+  customer_email TEXT,
+  mode TEXT,
+  status TEXT,
+  payment_status TEXT,
+  amount_total BIGINT,
+  currency TEXT,
+  subscription_id TEXT,
+  payment_intent_id TEXT,
+  metadata TEXT,
+  created BIGINT,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_checkout_sessions_customer ON checkout_sessions (customer_id);
+
+CREATE TABLE subscriptions (
+  id TEXT PRIMARY KEY,
+  customer_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  price_id TEXT,
+  product_id TEXT,
+  plan_nickname TEXT,
+  unit_amount BIGINT,
+  currency TEXT,
+  billing_interval TEXT,
+  quantity INTEGER,
+  current_period_start BIGINT,
+  current_period_end BIGINT,
+  trial_start BIGINT,
+  trial_end BIGINT,
+  cancel_at_period_end INTEGER NOT NULL DEFAULT 0,
+  canceled_at BIGINT,
+  ended_at BIGINT,
+  metadata TEXT,
+  created BIGINT,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_subscriptions_customer ON subscriptions (customer_id);
+CREATE INDEX idx_subscriptions_status ON subscriptions (status);
+
+CREATE TABLE invoices (
+  id TEXT PRIMARY KEY,
+  customer_id TEXT,
+  subscription_id TEXT,
+  payment_intent_id TEXT,
+  status TEXT,
+  billing_reason TEXT,
+  amount_due BIGINT,
+  amount_paid BIGINT,
+  currency TEXT,
+  hosted_invoice_url TEXT,
+  invoice_pdf TEXT,
+  period_start BIGINT,
+  period_end BIGINT,
+  paid_at BIGINT,
+  created BIGINT,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_invoices_customer ON invoices (customer_id);
+CREATE INDEX idx_invoices_subscription ON invoices (subscription_id);
+
+CREATE TABLE payment_intents (
+  id TEXT PRIMARY KEY,
+  customer_id TEXT,
+  invoice_id TEXT,
+  status TEXT NOT NULL,
+  amount BIGINT,
+  amount_received BIGINT,
+  currency TEXT,
+  description TEXT,
+  failure_message TEXT,
+  metadata TEXT,
+  created BIGINT,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_payment_intents_customer ON payment_intents (customer_id);
+CREATE INDEX idx_payment_intents_created ON payment_intents (created);
@@ -0,0 +1,16 @@
+-- Journal of every verified Stripe webhook event, used for idempotency and replay
+
+CREATE TABLE webhook_events (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL,
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created BIGINT,
+  received_at TEXT NOT NULL,
+  processed_at TEXT
+);
+
+CREATE INDEX idx_webhook_events_status ON webhook_events (status);
+CREATE INDEX idx_webhook_events_created ON webhook_events (created);
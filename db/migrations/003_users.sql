@@ -0,0 +1,19 @@
+-- Landlord accounts, linked to their Stripe customer and current subscription
+
+CREATE TABLE users (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  email TEXT NOT NULL,
+  plan TEXT,
+  status TEXT NOT NULL,
+  customer_id TEXT,
+  subscription_id TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  last_active_at TEXT,
+  deleted_at TEXT
+);
+
+CREATE UNIQUE INDEX idx_users_email ON users (email);
+CREATE INDEX idx_users_customer ON users (customer_id);
+CREATE INDEX idx_users_status ON users (status);
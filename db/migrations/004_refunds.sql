@@ -0,0 +1,17 @@
+-- Refunds issued against payment intents, recorded from the admin API and charge/refund webhooks
+
+CREATE TABLE refunds (
+  id TEXT PRIMARY KEY,
+  payment_intent_id TEXT,
+  charge_id TEXT,
+  amount BIGINT NOT NULL,
+  currency TEXT,
+  status TEXT,
+  reason TEXT,
+  created BIGINT,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_refunds_payment_intent ON refunds (payment_intent_id);
+CREATE INDEX idx_refunds_created ON refunds (created);
+CREATE INDEX idx_invoices_paid_at ON invoices (paid_at);
@@ -0,0 +1,28 @@
+-- Individual admin accounts with role-based permissions and hashed API keys
+
+CREATE TABLE admins (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  disabled_at TEXT
+);
+
+CREATE UNIQUE INDEX idx_admins_email ON admins (email);
+
+CREATE TABLE admin_api_keys (
+  id TEXT PRIMARY KEY,
+  admin_id TEXT NOT NULL REFERENCES admins (id),
+  name TEXT,
+  prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  last_used_at TEXT,
+  expires_at TEXT,
+  revoked_at TEXT
+);
+
+CREATE UNIQUE INDEX idx_admin_api_keys_hash ON admin_api_keys (key_hash);
+CREATE INDEX idx_admin_api_keys_admin ON admin_api_keys (admin_id);
@@ -0,0 +1,19 @@
+-- Append-only record of admin and money-moving actions. Rows are never updated or deleted.
+
+CREATE TABLE audit_log (
+  id TEXT PRIMARY KEY,
+  actor_type TEXT NOT NULL,
+  actor_id TEXT NOT NULL,
+  actor_name TEXT,
+  action TEXT NOT NULL,
+  target_type TEXT,
+  target_id TEXT,
+  payload TEXT,
+  stripe_ids TEXT,
+  ip TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_audit_log_actor ON audit_log (actor_id);
+CREATE INDEX idx_audit_log_action ON audit_log (action);
+CREATE INDEX idx_audit_log_created ON audit_log (created_at);
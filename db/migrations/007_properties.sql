@@ -0,0 +1,36 @@
+-- Properties owned by landlord accounts, and the rentable units in them.
+-- Rents are stored in minor units (cents).
+
+CREATE TABLE properties (
+  id TEXT PRIMARY KEY,
+  owner_id TEXT NOT NULL REFERENCES users (id),
+  name TEXT NOT NULL,
+  address_line1 TEXT NOT NULL,
+  address_line2 TEXT,
+  city TEXT NOT NULL,
+  region TEXT,
+  postal_code TEXT,
+  country TEXT NOT NULL,
+  jurisdiction TEXT,
+  unit_count INTEGER,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_properties_owner ON properties (owner_id);
+
+CREATE TABLE units (
+  id TEXT PRIMARY KEY,
+  property_id TEXT NOT NULL REFERENCES properties (id) ON DELETE CASCADE,
+  label TEXT NOT NULL,
+  bedrooms INTEGER,
+  bathrooms REAL,
+  current_rent BIGINT,
+  currency TEXT NOT NULL,
+  rent_controlled INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_units_property ON units (property_id);
+CREATE UNIQUE INDEX idx_units_property_label ON units (property_id, label);
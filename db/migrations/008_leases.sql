@@ -0,0 +1,42 @@
+-- Leases on units and the monthly rent charges generated from them.
+-- Dates are ISO calendar dates (YYYY-MM-DD); amounts are minor units.
+
+CREATE TABLE leases (
+  id TEXT PRIMARY KEY,
+  unit_id TEXT NOT NULL REFERENCES units (id),
+  landlord_id TEXT NOT NULL REFERENCES users (id),
+  tenant_user_id TEXT,
+  tenant_name TEXT NOT NULL,
+  tenant_email TEXT NOT NULL,
+  rent_amount BIGINT NOT NULL,
+  currency TEXT NOT NULL,
+  due_day INTEGER NOT NULL,
+  start_date TEXT NOT NULL,
+  end_date TEXT,
+  status TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_leases_unit ON leases (unit_id);
+CREATE INDEX idx_leases_landlord ON leases (landlord_id);
+CREATE INDEX idx_leases_tenant_email ON leases (tenant_email);
+
+CREATE TABLE rent_charges (
+  id TEXT PRIMARY KEY,
+  lease_id TEXT NOT NULL REFERENCES leases (id),
+  period TEXT NOT NULL,
+  due_date TEXT NOT NULL,
+  amount BIGINT NOT NULL,
+  currency TEXT NOT NULL,
+  status TEXT NOT NULL,
+  checkout_session_id TEXT,
+  payment_intent_id TEXT,
+  paid_at TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX idx_rent_charges_lease_period ON rent_charges (lease_id, period);
+CREATE INDEX idx_rent_charges_status ON rent_charges (status);
+CREATE INDEX idx_rent_charges_checkout_session ON rent_charges (checkout_session_id);
@@ -0,0 +1,17 @@
+-- Building age drives rent-control exemptions; rent increases are kept for
+-- banking and frequency rules, and scheduled increases apply on their effective date.
+
+ALTER TABLE properties ADD COLUMN year_built INTEGER;
+
+CREATE TABLE rent_increases (
+  id TEXT PRIMARY KEY,
+  lease_id TEXT NOT NULL REFERENCES leases (id),
+  previous_rent BIGINT NOT NULL,
+  new_rent BIGINT NOT NULL,
+  effective_date TEXT NOT NULL,
+  status TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_rent_increases_lease ON rent_increases (lease_id);
+CREATE INDEX idx_rent_increases_status ON rent_increases (status, effective_date);
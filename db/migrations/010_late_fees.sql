@@ -0,0 +1,33 @@
+-- Late-fee policy per property and the fees assessed against overdue rent charges.
+-- Amounts are minor units.
+
+CREATE TABLE late_fee_policies (
+  property_id TEXT PRIMARY KEY REFERENCES properties (id) ON DELETE CASCADE,
+  grace_days INTEGER NOT NULL,
+  fee_type TEXT NOT NULL,
+  fee_amount BIGINT,
+  fee_percent REAL,
+  daily_fee BIGINT,
+  max_fee BIGINT,
+  max_fee_percent REAL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE late_fees (
+  id TEXT PRIMARY KEY,
+  rent_charge_id TEXT NOT NULL REFERENCES rent_charges (id),
+  lease_id TEXT NOT NULL REFERENCES leases (id),
+  amount BIGINT NOT NULL,
+  currency TEXT NOT NULL,
+  days_late INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  checkout_session_id TEXT,
+  payment_intent_id TEXT,
+  assessed_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  paid_at TEXT
+);
+
+CREATE UNIQUE INDEX idx_late_fees_rent_charge ON late_fees (rent_charge_id);
+CREATE INDEX idx_late_fees_lease ON late_fees (lease_id, status);
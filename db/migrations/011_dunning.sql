@@ -0,0 +1,21 @@
+-- Dunning cases for subscriptions whose invoice payment failed. A subscription
+-- has at most one open case (past_due or restricted) at a time.
+
+CREATE TABLE dunning_cases (
+  id TEXT PRIMARY KEY,
+  subscription_id TEXT NOT NULL,
+  customer_id TEXT,
+  invoice_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  step INTEGER NOT NULL DEFAULT 0,
+  failures INTEGER NOT NULL DEFAULT 1,
+  started_at TEXT NOT NULL,
+  last_failure_at TEXT NOT NULL,
+  restricted_at TEXT,
+  resolved_at TEXT,
+  recovered_invoice_id TEXT,
+  updated_at TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX idx_dunning_cases_open ON dunning_cases (subscription_id) WHERE status IN ('past_due', 'restricted');
+CREATE INDEX idx_dunning_cases_status ON dunning_cases (status);
@@ -0,0 +1,26 @@
+-- Per-user notification opt-outs and a log of every notification attempted.
+-- user_id is the token subject, so tenants without a landlord account have preferences too.
+
+CREATE TABLE notification_preferences (
+  user_id TEXT NOT NULL,
+  template TEXT NOT NULL,
+  enabled INTEGER NOT NULL,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (user_id, template)
+);
+
+CREATE TABLE notifications (
+  id TEXT PRIMARY KEY,
+  user_id TEXT,
+  email TEXT NOT NULL,
+  template TEXT NOT NULL,
+  subject TEXT,
+  transport TEXT NOT NULL,
+  status TEXT NOT NULL,
+  error TEXT,
+  message_id TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_notifications_user ON notifications (user_id, created_at);
+CREATE INDEX idx_notifications_template ON notifications (template, created_at);
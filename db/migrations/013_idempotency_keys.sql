@@ -0,0 +1,18 @@
+-- Responses to requests sent with an Idempotency-Key header, replayed on retries.
+-- Keys are scoped to the caller (scope is e.g. user:<id> or admin:<id>).
+
+CREATE TABLE idempotency_keys (
+  scope TEXT NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  status TEXT NOT NULL,
+  response_status INTEGER,
+  response_body TEXT,
+  created_at TEXT NOT NULL,
+  completed_at TEXT,
+  PRIMARY KEY (scope, idempotency_key)
+);
+
+CREATE INDEX idx_idempotency_keys_created ON idempotency_keys (created_at);
@@ -0,0 +1,29 @@
+-- Refunds asked for through the admin API (see services/refunds.js). Requests over
+-- the approval threshold wait in pending_approval for a second admin; the rest go
+-- straight to Stripe. refund_id links the Stripe refund once one is created.
+
+CREATE TABLE refund_requests (
+  id TEXT PRIMARY KEY,
+  payment_intent_id TEXT NOT NULL,
+  amount BIGINT NOT NULL,
+  currency TEXT NOT NULL,
+  reason TEXT,
+  note TEXT,
+  status TEXT NOT NULL,
+  requested_by TEXT NOT NULL,
+  requested_by_name TEXT,
+  reviewed_by TEXT,
+  reviewed_by_name TEXT,
+  reviewed_at TEXT,
+  rejection_reason TEXT,
+  refund_id TEXT,
+  failure_reason TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_refund_requests_payment_intent ON refund_requests (payment_intent_id, status);
+CREATE INDEX idx_refund_requests_status ON refund_requests (status, created_at);
+CREATE INDEX idx_refund_requests_refund ON refund_requests (refund_id);
+
+ALTER TABLE refunds ADD COLUMN failure_reason TEXT;
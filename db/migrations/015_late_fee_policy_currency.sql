@@ -0,0 +1,4 @@
+-- Late-fee policy amounts are minor units of the policy's currency; policies
+-- written before this were in cents.
+
+ALTER TABLE late_fee_policies ADD COLUMN currency TEXT NOT NULL DEFAULT 'usd';
@@ -0,0 +1,40 @@
+-- Security deposit per lease and the deductions itemized against it at move-out.
+-- Amounts are minor units of the deposit's currency. A deposit is due until the
+-- tenant pays it (or the landlord records it as collected), held during the
+-- tenancy, and returned once the disposition statement is final; `statement`
+-- keeps that statement as it was issued.
+
+CREATE TABLE security_deposits (
+  id TEXT PRIMARY KEY,
+  lease_id TEXT NOT NULL REFERENCES leases (id),
+  amount BIGINT NOT NULL,
+  currency TEXT NOT NULL,
+  status TEXT NOT NULL,
+  collected_on TEXT,
+  checkout_session_id TEXT,
+  payment_intent_id TEXT,
+  move_out_date TEXT,
+  interest_amount BIGINT,
+  deductions_amount BIGINT,
+  refund_amount BIGINT,
+  refund_request_id TEXT,
+  statement TEXT,
+  returned_at TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX idx_security_deposits_lease ON security_deposits (lease_id);
+CREATE INDEX idx_security_deposits_payment_intent ON security_deposits (payment_intent_id);
+
+CREATE TABLE deposit_deductions (
+  id TEXT PRIMARY KEY,
+  deposit_id TEXT NOT NULL REFERENCES security_deposits (id) ON DELETE CASCADE,
+  category TEXT NOT NULL,
+  description TEXT NOT NULL,
+  amount BIGINT NOT NULL,
+  evidence TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_deposit_deductions_deposit ON deposit_deductions (deposit_id, created_at);
@@ -0,0 +1,5 @@
+-- A late fee can keep accruing after it is put in a Checkout session;
+-- checkout_amount is what that session charges for it (minor units), which is
+-- what settles the fee when the session is paid.
+
+ALTER TABLE late_fees ADD COLUMN checkout_amount BIGINT;
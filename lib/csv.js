@@ -0,0 +1,19 @@
+// Minimal RFC 4180 CSV encoding
+
+// Quote a value when it contains a delimiter, quote or line break
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow
+};
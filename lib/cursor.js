@@ -0,0 +1,28 @@
+// Opaque pagination cursors. A cursor marks a position in a list ordered by
+// (created, id) and the direction to read from it:
+//   { after: [created, id] }   the page following that row
+//   { before: [created, id] }  the page preceding it
+// Encoded as base64url JSON so clients treat it as an opaque token.
+
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+// Returns null for anything that is not a cursor we issued
+const decodeCursor = (token) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    const key = position && (position.after ? 'after' : position.before ? 'before' : null);
+    const value = key && position[key];
+
+    if (!Array.isArray(value) || value.length !== 2 || !Number.isFinite(value[0]) || typeof value[1] !== 'string') {
+      return null;
+    }
+    return { direction: key, created: value[0], id: value[1] };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,54 @@
+// Calendar-date helpers. Dates are handled as ISO `YYYY-MM-DD` strings in UTC,
+// which also compare correctly as plain strings.
+
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+
+const isIsoDate = (value) => typeof value === 'string' &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  toIsoDate(new Date(`${value}T00:00:00Z`)) === value;
+
+const addDays = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toIsoDate(date);
+};
+
+const daysBetween = (fromIsoDate, toIsoDateValue) => Math.round(
+  (new Date(`${toIsoDateValue}T00:00:00Z`) - new Date(`${fromIsoDate}T00:00:00Z`)) / (24 * 60 * 60 * 1000)
+);
+
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+// `YYYY-MM` period for a date
+const periodOf = (isoDate) => isoDate.slice(0, 7);
+
+const nextPeriod = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+};
+
+// The date in `period` falling on `day`, clamped to the month's length
+const dateInPeriod = (period, day) => {
+  const [year, month] = period.split('-').map(Number);
+  const clamped = Math.min(day, daysInMonth(year, month - 1));
+  return `${period}-${String(clamped).padStart(2, '0')}`;
+};
+
+// Same day `months` later, clamped to the target month's length
+const addMonths = (isoDate, months) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const index = year * 12 + (month - 1) + months;
+  const period = `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+  return dateInPeriod(period, day);
+};
+
+module.exports = {
+  toIsoDate,
+  isIsoDate,
+  addDays,
+  addMonths,
+  daysBetween,
+  periodOf,
+  nextPeriod,
+  dateInPeriod
+};
@@ -0,0 +1,1416 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Stripe = require('stripe');
+
+// An offline stand-in for the parts of the Stripe API the app uses: customers
+// and their card payment methods, prices, checkout and billing-portal sessions,
+// subscriptions and their schedules, invoices (including upcoming-invoice
+// previews), payment intents, refunds, coupons and promotion codes. Objects have the same shape as Stripe's, and every change
+// queues the webhook event Stripe would send.
+//
+// Nothing happens on its own: a checkout session stays open until it is
+// completed, subscriptions renew only when told to. The `fake` namespace drives
+// those steps, and `npm run stripe:simulate` exposes it on the command line
+// together with signed delivery of the queued events to /webhooks/stripe.
+//
+// With `stateFile` the state is kept on disk so the server and the simulator
+// share it; without, it lives in memory (for tests). `prices` describes price
+// ids the fake should know about ({ id, unit_amount, currency, interval, nickname });
+// any other price id is made up on first use with a placeholder amount.
+
+const API_VERSION = '2023-10-16';
+
+// Placeholder amount for prices the fake has not seen before
+const DEFAULT_UNIT_AMOUNT = 1000;
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const COLLECTIONS = {
+  cus: 'customers',
+  prod: 'products',
+  price: 'prices',
+  cs: 'checkout_sessions',
+  sub: 'subscriptions',
+  in: 'invoices',
+  pi: 'payment_intents',
+  ch: 'charges',
+  re: 'refunds',
+  promo: 'promotion_codes',
+  pm: 'payment_methods',
+  evt: 'events'
+};
+
+const emptyState = () => ({
+  ...Object.fromEntries(Object.values(COLLECTIONS).map((name) => [name, {}])),
+  coupons: {},
+  subscription_schedules: {},
+  pending_invoice_items: {},
+  idempotency_keys: {},
+  line_items: {},
+  session_params: {},
+  declining_customers: [],
+  pending_events: []
+});
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const missing = (kind, id) => new Stripe.errors.StripeInvalidRequestError({
+  message: `No such ${kind}: '${id}'`,
+  code: 'resource_missing',
+  param: 'id',
+  statusCode: 404
+});
+
+const invalid = (message, param) => new Stripe.errors.StripeInvalidRequestError({
+  message,
+  code: 'parameter_invalid',
+  param,
+  statusCode: 400
+});
+
+const declined = () => new Stripe.errors.StripeCardError({
+  message: 'Your card was declined.',
+  code: 'card_declined',
+  decline_code: 'generic_decline',
+  statusCode: 402
+});
+
+// The end of a billing period that starts at `start`
+const periodEnd = (start, recurring) => {
+  const count = recurring.interval_count || 1;
+  const date = new Date(start * 1000);
+
+  switch (recurring.interval) {
+    case 'day':
+      return start + count * DAY_SECONDS;
+    case 'week':
+      return start + count * 7 * DAY_SECONDS;
+    case 'year':
+      date.setUTCFullYear(date.getUTCFullYear() + count);
+      return Math.floor(date.getTime() / 1000);
+    default:
+      date.setUTCMonth(date.getUTCMonth() + count);
+      return Math.floor(date.getTime() / 1000);
+  }
+};
+
+// Stripe list object. Like the real client, the promise also has autoPagingEach.
+const listOf = (objects, { limit = 10, starting_after: startingAfter } = {}) => {
+  const start = startingAfter ? objects.findIndex((object) => object.id === startingAfter) + 1 : 0;
+  const page = objects.slice(start, start + Math.min(parseInt(limit) || 10, 100));
+
+  const result = Promise.resolve({
+    object: 'list',
+    data: page,
+    has_more: start + page.length < objects.length,
+    url: '/v1/fake'
+  });
+  result.autoPagingEach = async (handler) => {
+    for (const object of objects) {
+      if (await handler(object) === false) break;
+    }
+  };
+  return result;
+};
+
+// The collection an object id belongs to
+const collectionOf = (id) => (id.startsWith('sub_sched_') ? 'subscription_schedules' : COLLECTIONS[id.split('_')[0]]);
+
+const newestFirst = (objects) => objects.sort((a, b) => b.created - a.created || (a.id < b.id ? 1 : -1));
+
+function createFakeStripe({ stateFile, prices = [] } = {}) {
+  let memory = emptyState();
+
+  const load = () => {
+    if (!stateFile) return memory;
+    try {
+      return { ...emptyState(), ...JSON.parse(fs.readFileSync(stateFile, 'utf8')) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return emptyState();
+      throw error;
+    }
+  };
+
+  const save = (state) => {
+    if (!stateFile) {
+      memory = state;
+      return;
+    }
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    const temporary = `${stateFile}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(state, null, 2));
+    fs.renameSync(temporary, stateFile);
+  };
+
+  // Run `operation` against the current state and persist whatever it changed.
+  // Operations are synchronous so the read-modify-write is never interleaved
+  // within a process.
+  const withState = (operation) => {
+    const state = load();
+    const result = operation(state);
+    save(state);
+    return clone(result);
+  };
+
+  const find = (state, collection, id, kind) => {
+    const object = state[collection][id];
+    if (!object) throw missing(kind, id);
+    return object;
+  };
+
+  const emit = (state, type, object, previousAttributes) => {
+    const event = {
+      id: newId('evt'),
+      object: 'event',
+      api_version: API_VERSION,
+      created: now(),
+      type,
+      data: {
+        object: clone(object),
+        ...(previousAttributes && { previous_attributes: previousAttributes })
+      },
+      livemode: false,
+      pending_webhooks: 1,
+      request: { id: null, idempotency_key: null }
+    };
+    state.events[event.id] = event;
+    state.pending_events.push(event.id);
+    return event;
+  };
+
+  // Replace ids with the objects they name along each `expand` path,
+  // e.g. 'customer', 'latest_invoice' or 'items.data.price.product'
+  const expand = (state, object, paths = []) => {
+    const expanded = clone(object);
+
+    const walk = (value, segments) => {
+      if (!value || segments.length === 0) return value;
+      const [segment, ...rest] = segments;
+
+      if (segment === 'data' && Array.isArray(value.data)) {
+        value.data = value.data.map((item) => walk(item, rest));
+        return value;
+      }
+      if (segment === 'line_items' && value.object === 'checkout.session') {
+        value.line_items = { object: 'list', data: clone(state.line_items[value.id] || []), has_more: false };
+        return value;
+      }
+
+      let child = value[segment];
+      if (typeof child === 'string') {
+        const collection = collectionOf(child);
+        child = collection && state[collection][child] ? clone(state[collection][child]) : child;
+      }
+      value[segment] = walk(child, rest);
+      return value;
+    };
+
+    for (const expandPath of paths) {
+      walk(expanded, expandPath.split('.'));
+    }
+    return expanded;
+  };
+
+  // Prices
+
+  const ensurePrice = (state, priceId) => {
+    if (state.prices[priceId]) return state.prices[priceId];
+
+    const known = prices.find((price) => price.id === priceId) || {};
+    const productId = newId('prod');
+    state.products[productId] = { id: productId, object: 'product', name: known.nickname || priceId, active: true, created: now() };
+    state.prices[priceId] = {
+      id: priceId,
+      object: 'price',
+      active: true,
+      currency: known.currency || 'usd',
+      unit_amount: known.unit_amount ?? DEFAULT_UNIT_AMOUNT,
+      nickname: known.nickname || null,
+      product: productId,
+      recurring: { interval: known.interval || 'month', interval_count: 1 },
+      type: 'recurring',
+      created: now()
+    };
+    return state.prices[priceId];
+  };
+
+  const createPrice = (state, params) => {
+    let productId = params.product;
+    if (!productId) {
+      productId = newId('prod');
+      state.products[productId] = {
+        id: productId,
+        object: 'product',
+        name: params.product_data?.name || 'Product',
+        active: true,
+        created: now()
+      };
+    }
+
+    const price = {
+      id: params.id || newId('price'),
+      object: 'price',
+      active: true,
+      currency: (params.currency || 'usd').toLowerCase(),
+      unit_amount: params.unit_amount,
+      nickname: params.nickname || null,
+      product: productId,
+      recurring: params.recurring ? { interval_count: 1, ...params.recurring } : null,
+      type: params.recurring ? 'recurring' : 'one_time',
+      metadata: params.metadata || {},
+      created: now()
+    };
+    state.prices[price.id] = price;
+    return price;
+  };
+
+  // Customers
+
+  const createCustomer = (state, params = {}) => {
+    const customer = {
+      id: newId('cus'),
+      object: 'customer',
+      email: params.email || null,
+      name: params.name || null,
+      metadata: params.metadata || {},
+      invoice_settings: { default_payment_method: null },
+      balance: 0,
+      created: now()
+    };
+    state.customers[customer.id] = customer;
+    emit(state, 'customer.created', customer);
+    return customer;
+  };
+
+  // Payment methods
+
+  const CARD_BRANDS = { 4: 'visa', 5: 'mastercard', 3: 'amex' };
+
+  // Save a test card for a customer (as Checkout or the billing portal would);
+  // the first card becomes the default
+  const attachCard = (state, customerId, { last4 = '4242', brand } = {}) => {
+    const customer = find(state, 'customers', customerId, 'customer');
+    const expiry = new Date();
+    const paymentMethod = {
+      id: newId('pm'),
+      object: 'payment_method',
+      type: 'card',
+      customer: customer.id,
+      card: {
+        brand: brand || CARD_BRANDS[last4[0]] || 'visa',
+        last4,
+        exp_month: expiry.getUTCMonth() + 1,
+        exp_year: expiry.getUTCFullYear() + 3,
+        funding: 'credit',
+        country: 'US'
+      },
+      billing_details: { email: customer.email, name: customer.name },
+      created: now()
+    };
+    state.payment_methods[paymentMethod.id] = paymentMethod;
+    emit(state, 'payment_method.attached', paymentMethod);
+
+    if (!customer.invoice_settings.default_payment_method) {
+      const previous = { invoice_settings: clone(customer.invoice_settings) };
+      customer.invoice_settings.default_payment_method = paymentMethod.id;
+      emit(state, 'customer.updated', customer, previous);
+    }
+    return paymentMethod;
+  };
+
+  const detachPaymentMethod = (state, paymentMethodId) => {
+    const paymentMethod = find(state, 'payment_methods', paymentMethodId, 'payment method');
+    if (!paymentMethod.customer) {
+      throw invalid(`The payment method you provided is not attached to a customer so detachment is impossible.`);
+    }
+
+    const customer = state.customers[paymentMethod.customer];
+    paymentMethod.customer = null;
+    emit(state, 'payment_method.detached', paymentMethod);
+
+    // Stripe clears the default wherever the detached card was one
+    if (customer && customer.invoice_settings.default_payment_method === paymentMethodId) {
+      const previous = { invoice_settings: clone(customer.invoice_settings) };
+      customer.invoice_settings.default_payment_method = null;
+      emit(state, 'customer.updated', customer, previous);
+    }
+    for (const subscription of Object.values(state.subscriptions)) {
+      if (subscription.default_payment_method === paymentMethodId) {
+        subscription.default_payment_method = null;
+        emit(state, 'customer.subscription.updated', subscription, { default_payment_method: paymentMethodId });
+      }
+    }
+    return paymentMethod;
+  };
+
+  // Discounts
+
+  const couponFor = (state, discounts) => {
+    const discount = discounts && discounts[0];
+    if (!discount) return null;
+
+    if (discount.coupon) return find(state, 'coupons', discount.coupon, 'coupon');
+    const promotionCode = find(state, 'promotion_codes', discount.promotion_code, 'promotion code');
+    return state.coupons[promotionCode.coupon.id] || promotionCode.coupon;
+  };
+
+  const discounted = (amount, coupon) => {
+    if (!coupon) return amount;
+    if (coupon.percent_off) return Math.round(amount * (100 - coupon.percent_off) / 100);
+    return Math.max(0, amount - (coupon.amount_off || 0));
+  };
+
+  // Payments
+
+  const isDeclining = (state, customerId) => state.declining_customers.includes(customerId);
+
+  // Create a payment intent for `amount` and try to collect it
+  const collectPayment = (state, { amount, currency, customer, description, metadata, invoice, decline }) => {
+    const paymentIntent = {
+      id: newId('pi'),
+      object: 'payment_intent',
+      amount,
+      amount_received: 0,
+      currency,
+      customer: customer || null,
+      description: description || null,
+      invoice: invoice || null,
+      metadata: metadata || {},
+      status: 'processing',
+      latest_charge: null,
+      last_payment_error: null,
+      created: now()
+    };
+    state.payment_intents[paymentIntent.id] = paymentIntent;
+    attemptPayment(state, paymentIntent, { decline });
+    return paymentIntent;
+  };
+
+  const attemptPayment = (state, paymentIntent, { decline } = {}) => {
+    if (decline || isDeclining(state, paymentIntent.customer)) {
+      Object.assign(paymentIntent, {
+        status: 'requires_payment_method',
+        last_payment_error: { code: 'card_declined', decline_code: 'generic_decline', message: 'Your card was declined.' }
+      });
+      emit(state, 'payment_intent.payment_failed', paymentIntent);
+      return false;
+    }
+
+    const charge = {
+      id: newId('ch'),
+      object: 'charge',
+      amount: paymentIntent.amount,
+      amount_captured: paymentIntent.amount,
+      amount_refunded: 0,
+      currency: paymentIntent.currency,
+      customer: paymentIntent.customer,
+      payment_intent: paymentIntent.id,
+      paid: true,
+      refunded: false,
+      status: 'succeeded',
+      refunds: { object: 'list', data: [], has_more: false },
+      receipt_url: null,
+      created: now()
+    };
+    charge.receipt_url = `https://pay.stripe.com/receipts/fake/${charge.id}`;
+    state.charges[charge.id] = charge;
+
+    Object.assign(paymentIntent, {
+      status: 'succeeded',
+      amount_received: paymentIntent.amount,
+      latest_charge: charge.id,
+      last_payment_error: null
+    });
+    emit(state, 'payment_intent.succeeded', paymentIntent);
+    return true;
+  };
+
+  // Invoices
+
+  // The charge for one period of a subscription at its current price
+  const periodLine = (subscription) => {
+    const item = subscription.items.data[0];
+    const coupon = subscription.discount && subscription.discount.coupon;
+    const inTrial = subscription.status === 'trialing';
+
+    return {
+      amount: inTrial ? 0 : discounted(item.price.unit_amount * item.quantity, coupon),
+      description: null,
+      price: item.price,
+      quantity: item.quantity,
+      proration: false,
+      period: { start: subscription.current_period_start, end: subscription.current_period_end }
+    };
+  };
+
+  // An unsaved invoice for `lines`, less any credit on the customer's balance
+  const draftInvoice = (state, subscription, { billingReason, lines }) => {
+    const customer = state.customers[subscription.customer];
+    const currency = subscription.items.data[0].price.currency;
+    const total = lines.reduce((sum, line) => sum + line.amount, 0);
+    const startingBalance = (customer && customer.balance) || 0;
+    const amountDue = Math.max(0, total + startingBalance);
+
+    return {
+      id: null,
+      object: 'invoice',
+      number: null,
+      customer: subscription.customer,
+      customer_email: customer ? customer.email : null,
+      subscription: subscription.id,
+      payment_intent: null,
+      status: 'draft',
+      billing_reason: billingReason,
+      subtotal: total,
+      total,
+      starting_balance: startingBalance,
+      ending_balance: Math.min(0, total + startingBalance),
+      amount_due: amountDue,
+      amount_paid: 0,
+      amount_remaining: amountDue,
+      currency,
+      hosted_invoice_url: null,
+      invoice_pdf: null,
+      period_start: subscription.current_period_start,
+      period_end: subscription.current_period_end,
+      status_transitions: { finalized_at: null, paid_at: null },
+      lines: {
+        object: 'list',
+        data: lines.map((line) => ({ id: newId('il'), object: 'line_item', currency, ...line })),
+        has_more: false
+      },
+      attempt_count: 0,
+      created: now()
+    };
+  };
+
+  // Finalize and try to collect an invoice for the subscription's current period,
+  // plus any prorations waiting for it (or for `lines` instead)
+  const createInvoice = (state, subscription, { billingReason, decline, lines }) => {
+    const pending = state.pending_invoice_items[subscription.id] || [];
+    const invoice = draftInvoice(state, subscription, {
+      billingReason,
+      lines: lines || [...pending, periodLine(subscription)]
+    });
+    if (!lines) delete state.pending_invoice_items[subscription.id];
+
+    invoice.id = newId('in');
+    invoice.number = `FAKE-${String(Object.keys(state.invoices).length + 1).padStart(4, '0')}`;
+    invoice.status = 'open';
+    invoice.status_transitions.finalized_at = now();
+    invoice.hosted_invoice_url = `https://invoice.stripe.com/fake/${invoice.id}`;
+    invoice.invoice_pdf = `https://invoice.stripe.com/fake/${invoice.id}/pdf`;
+    state.invoices[invoice.id] = invoice;
+    subscription.latest_invoice = invoice.id;
+
+    const customer = state.customers[subscription.customer];
+    if (customer) customer.balance = invoice.ending_balance;
+
+    emit(state, 'invoice.created', invoice);
+    payInvoice(state, invoice, { decline });
+    return invoice;
+  };
+
+  // Try to collect an open invoice, moving its subscription between active and past_due
+  const payInvoice = (state, invoice, { decline } = {}) => {
+    const subscription = state.subscriptions[invoice.subscription];
+    invoice.attempt_count += 1;
+
+    let paid = invoice.amount_due === 0;
+    if (!paid && invoice.payment_intent) {
+      paid = attemptPayment(state, state.payment_intents[invoice.payment_intent], { decline });
+    } else if (!paid) {
+      const paymentIntent = collectPayment(state, {
+        amount: invoice.amount_due,
+        currency: invoice.currency,
+        customer: invoice.customer,
+        description: 'Subscription update',
+        invoice: invoice.id,
+        decline
+      });
+      invoice.payment_intent = paymentIntent.id;
+      paid = paymentIntent.status === 'succeeded';
+    }
+
+    if (paid) {
+      Object.assign(invoice, {
+        status: 'paid',
+        amount_paid: invoice.amount_due,
+        amount_remaining: 0,
+        status_transitions: { ...invoice.status_transitions, paid_at: now() }
+      });
+      emit(state, 'invoice.paid', invoice);
+      emit(state, 'invoice.payment_succeeded', invoice);
+    } else {
+      emit(state, 'invoice.payment_failed', invoice);
+    }
+
+    if (subscription && !['canceled', 'trialing'].includes(subscription.status)) {
+      const status = paid ? 'active' : 'past_due';
+      if (subscription.status !== status) {
+        const previous = { status: subscription.status };
+        subscription.status = status;
+        emit(state, 'customer.subscription.updated', subscription, previous);
+      }
+    }
+    return paid;
+  };
+
+  // Subscriptions
+
+  const createSubscription = (state, params, { decline } = {}) => {
+    const customer = find(state, 'customers', params.customer, 'customer');
+    const [itemParams] = params.items || [];
+    if (!itemParams || !itemParams.price) throw invalid('Missing required param: items[0][price].', 'items');
+
+    const price = ensurePrice(state, itemParams.price);
+    const start = now();
+    const trialDays = params.trial_period_days || 0;
+    const trialEnd = trialDays > 0 ? start + trialDays * DAY_SECONDS : null;
+    const coupon = couponFor(state, params.discounts || (params.coupon && [{ coupon: params.coupon }]));
+
+    const subscription = {
+      id: newId('sub'),
+      object: 'subscription',
+      customer: customer.id,
+      status: trialEnd ? 'trialing' : 'active',
+      items: {
+        object: 'list',
+        data: [{ id: newId('si'), object: 'subscription_item', price: clone(price), quantity: itemParams.quantity || 1 }],
+        has_more: false
+      },
+      currency: price.currency,
+      current_period_start: start,
+      current_period_end: trialEnd || periodEnd(start, price.recurring || { interval: 'month' }),
+      trial_start: trialEnd ? start : null,
+      trial_end: trialEnd,
+      cancel_at_period_end: false,
+      canceled_at: null,
+      ended_at: null,
+      discount: coupon ? { object: 'discount', coupon: clone(coupon), start } : null,
+      latest_invoice: null,
+      schedule: null,
+      default_payment_method: params.default_payment_method || null,
+      metadata: params.metadata || {},
+      created: start
+    };
+    state.subscriptions[subscription.id] = subscription;
+    emit(state, 'customer.subscription.created', subscription);
+
+    createInvoice(state, subscription, { billingReason: 'subscription_create', decline });
+    return subscription;
+  };
+
+  // Prorations for moving a subscription to `price` at `prorationDate`: a credit
+  // for the unused time on the old price and a charge for the rest of the period
+  // on the new one. A change of billing interval starts a new, full period instead.
+  const prorationLines = (subscription, price, prorationDate) => {
+    const item = subscription.items.data[0];
+    if (subscription.status === 'trialing') return [];
+
+    const { current_period_start: start, current_period_end: end } = subscription;
+    const unused = Math.min(1, Math.max(0, (end - prorationDate) / (end - start)));
+    const label = (candidate) => candidate.nickname || candidate.id;
+    const lines = [{
+      amount: -Math.round(item.price.unit_amount * item.quantity * unused),
+      description: `Unused time on ${label(item.price)}`,
+      price: item.price,
+      quantity: item.quantity,
+      proration: true,
+      period: { start: prorationDate, end }
+    }];
+
+    if (intervalChanges(item.price, price)) {
+      const newEnd = periodEnd(prorationDate, price.recurring || { interval: 'month' });
+      lines.push({
+        amount: price.unit_amount * item.quantity,
+        description: null,
+        price: clone(price),
+        quantity: item.quantity,
+        proration: false,
+        period: { start: prorationDate, end: newEnd }
+      });
+    } else {
+      lines.push({
+        amount: Math.round(price.unit_amount * item.quantity * unused),
+        description: `Remaining time on ${label(price)}`,
+        price: clone(price),
+        quantity: item.quantity,
+        proration: true,
+        period: { start: prorationDate, end }
+      });
+    }
+    return lines;
+  };
+
+  const intervalChanges = (from, to) => (from.recurring && from.recurring.interval) !== (to.recurring && to.recurring.interval);
+
+  const updateSubscription = (state, subscriptionId, params = {}) => {
+    const subscription = find(state, 'subscriptions', subscriptionId, 'subscription');
+    if (subscription.status === 'canceled') {
+      throw invalid('A canceled subscription can only update its cancellation_details and metadata.');
+    }
+
+    const previous = {};
+    const change = (field, value) => {
+      previous[field] = clone(subscription[field]);
+      subscription[field] = value;
+    };
+
+    if (params.cancel_at_period_end !== undefined) {
+      change('cancel_at_period_end', Boolean(params.cancel_at_period_end));
+    }
+    if (params.metadata) {
+      change('metadata', { ...subscription.metadata, ...params.metadata });
+    }
+    if (params.default_payment_method !== undefined) {
+      const paymentMethod = params.default_payment_method &&
+        find(state, 'payment_methods', params.default_payment_method, 'payment method');
+      if (paymentMethod && paymentMethod.customer !== subscription.customer) {
+        throw invalid('The payment method must be attached to the subscription\'s customer.', 'default_payment_method');
+      }
+      change('default_payment_method', params.default_payment_method || null);
+    }
+    let prorations = [];
+    if (params.items && params.items[0] && params.items[0].price) {
+      const item = subscription.items.data[0];
+      const price = ensurePrice(state, params.items[0].price);
+      const prorationDate = params.proration_date || now();
+
+      if (params.proration_behavior !== 'none') {
+        prorations = prorationLines(subscription, price, prorationDate);
+      }
+      if (intervalChanges(item.price, price) && subscription.status !== 'trialing') {
+        change('current_period_start', prorationDate);
+        change('current_period_end', periodEnd(prorationDate, price.recurring || { interval: 'month' }));
+      }
+      change('items', {
+        ...subscription.items,
+        data: [{ ...item, price: clone(price), quantity: params.items[0].quantity || item.quantity }]
+      });
+      subscription.currency = price.currency;
+    }
+    if (params.trial_end === 'now' && subscription.status === 'trialing') {
+      change('status', 'active');
+      subscription.trial_end = now();
+    }
+
+    if (Object.keys(previous).length > 0) {
+      emit(state, 'customer.subscription.updated', subscription, previous);
+    }
+
+    // Prorations are invoiced now, or wait for the next renewal
+    if (prorations.length > 0 && params.proration_behavior === 'always_invoice') {
+      const invoice = createInvoice(state, subscription, { billingReason: 'subscription_update', lines: prorations });
+      if (invoice.status !== 'paid' && params.payment_behavior === 'error_if_incomplete') {
+        // The update is not applied; the state is left unsaved
+        throw declined();
+      }
+    } else if (prorations.length > 0) {
+      state.pending_invoice_items[subscription.id] = [...(state.pending_invoice_items[subscription.id] || []), ...prorations];
+    }
+    return subscription;
+  };
+
+  // What the next invoice would be. With subscription_items, it previews a price
+  // change: with always_invoice, the invoice the change would create now.
+  const upcomingInvoice = (state, params = {}) => {
+    const subscription = find(state, 'subscriptions', params.subscription, 'subscription');
+    if (params.customer && params.customer !== subscription.customer) {
+      throw invalid(`Subscription ${subscription.id} does not belong to customer ${params.customer}`, 'subscription');
+    }
+    if (subscription.status === 'canceled') {
+      throw invalid(`No upcoming invoices for canceled subscription: ${subscription.id}`);
+    }
+
+    const pending = state.pending_invoice_items[subscription.id] || [];
+    const itemParams = params.subscription_items && params.subscription_items[0];
+    if (!itemParams || !itemParams.price) {
+      return draftInvoice(state, subscription, { billingReason: 'upcoming', lines: [...pending, periodLine(subscription)] });
+    }
+
+    const price = ensurePrice(state, itemParams.price);
+    const behavior = params.subscription_proration_behavior || 'create_prorations';
+    const prorations = behavior === 'none'
+      ? []
+      : prorationLines(subscription, price, params.subscription_proration_date || now());
+    if (behavior === 'always_invoice') {
+      return draftInvoice(state, subscription, { billingReason: 'subscription_update', lines: prorations });
+    }
+
+    const changed = clone(subscription);
+    changed.items.data[0].price = clone(price);
+    return draftInvoice(state, subscription, {
+      billingReason: 'upcoming',
+      lines: [...pending, ...prorations, periodLine(changed)]
+    });
+  };
+
+  // Subscription schedules. Only what a scheduled price change needs: phases
+  // with one item each, advanced when the subscription renews.
+
+  const phaseEnd = (start, price, iterations = 1) => {
+    let end = start;
+    for (let i = 0; i < iterations; i += 1) {
+      end = periodEnd(end, price.recurring || { interval: 'month' });
+    }
+    return end;
+  };
+
+  const createSchedule = (state, params) => {
+    const subscription = find(state, 'subscriptions', params.from_subscription, 'subscription');
+    if (subscription.schedule) {
+      throw invalid('You cannot migrate a subscription that is already attached to a schedule.', 'from_subscription');
+    }
+    if (subscription.status === 'canceled') {
+      throw invalid('You cannot migrate a canceled subscription.', 'from_subscription');
+    }
+
+    const item = subscription.items.data[0];
+    const schedule = {
+      id: newId('sub_sched'),
+      object: 'subscription_schedule',
+      customer: subscription.customer,
+      subscription: subscription.id,
+      status: 'active',
+      end_behavior: 'release',
+      current_phase: { start_date: subscription.current_period_start, end_date: subscription.current_period_end },
+      phases: [{
+        start_date: subscription.current_period_start,
+        end_date: subscription.current_period_end,
+        items: [{ price: item.price.id, quantity: item.quantity }],
+        trial_end: subscription.trial_end,
+        metadata: {}
+      }],
+      released_at: null,
+      released_subscription: null,
+      metadata: params.metadata || {},
+      created: now()
+    };
+    state.subscription_schedules[schedule.id] = schedule;
+
+    subscription.schedule = schedule.id;
+    emit(state, 'subscription_schedule.created', schedule);
+    emit(state, 'customer.subscription.updated', subscription, { schedule: null });
+    return schedule;
+  };
+
+  const updateSchedule = (state, scheduleId, params = {}) => {
+    const schedule = find(state, 'subscription_schedules', scheduleId, 'subscription schedule');
+    if (schedule.status !== 'active') {
+      throw invalid(`You cannot update a subscription schedule that is currently in the \`${schedule.status}\` status.`);
+    }
+
+    if (params.end_behavior) schedule.end_behavior = params.end_behavior;
+    if (params.metadata) schedule.metadata = { ...schedule.metadata, ...params.metadata };
+
+    if (params.phases) {
+      let start = params.phases[0].start_date === 'now' ? now() : params.phases[0].start_date || schedule.phases[0].start_date;
+      schedule.phases = params.phases.map((phase, index) => {
+        const [itemParams] = phase.items || [];
+        if (!itemParams || !itemParams.price) throw invalid(`Missing required param: phases[${index}][items][0][price].`, 'phases');
+
+        const price = ensurePrice(state, itemParams.price);
+        const end = phase.end_date || phaseEnd(start, price, phase.iterations || 1);
+        if (end <= start) throw invalid(`phases[${index}] must end after it starts.`, 'phases');
+
+        const updated = {
+          start_date: start,
+          end_date: end,
+          items: [{ price: price.id, quantity: itemParams.quantity || 1 }],
+          trial_end: phase.trial_end || null,
+          metadata: phase.metadata || {}
+        };
+        start = end;
+        return updated;
+      });
+      const [first] = schedule.phases;
+      schedule.current_phase = { start_date: first.start_date, end_date: first.end_date };
+    }
+
+    emit(state, 'subscription_schedule.updated', schedule);
+    return schedule;
+  };
+
+  // Detach a schedule, leaving its subscription as it is
+  const releaseSchedule = (state, scheduleId) => {
+    const schedule = find(state, 'subscription_schedules', scheduleId, 'subscription schedule');
+    if (schedule.status !== 'active') {
+      throw invalid(`You cannot release a subscription schedule that is currently in the \`${schedule.status}\` status.`);
+    }
+
+    const subscription = state.subscriptions[schedule.subscription];
+    Object.assign(schedule, {
+      status: 'released',
+      released_at: now(),
+      released_subscription: schedule.subscription,
+      current_phase: null
+    });
+    emit(state, 'subscription_schedule.released', schedule);
+
+    if (subscription && subscription.schedule === schedule.id) {
+      subscription.schedule = null;
+      emit(state, 'customer.subscription.updated', subscription, { schedule: schedule.id });
+    }
+    return schedule;
+  };
+
+  // Move a scheduled subscription into the phase covering `start`, releasing
+  // the schedule once its phases have run out
+  const advanceSchedule = (state, subscription, start) => {
+    const schedule = state.subscription_schedules[subscription.schedule];
+    const phase = schedule.phases.find((candidate) => candidate.start_date <= start && start < candidate.end_date);
+
+    if (!phase) {
+      releaseSchedule(state, schedule.id);
+      return;
+    }
+
+    schedule.current_phase = { start_date: phase.start_date, end_date: phase.end_date };
+    const item = subscription.items.data[0];
+    if (phase.items[0].price !== item.price.id) {
+      const price = ensurePrice(state, phase.items[0].price);
+      subscription.items.data[0] = { ...item, price: clone(price), quantity: phase.items[0].quantity || item.quantity };
+      subscription.currency = price.currency;
+    }
+    subscription.metadata = { ...subscription.metadata, ...phase.metadata };
+  };
+
+  const cancelSubscription = (state, subscriptionId) => {
+    const subscription = find(state, 'subscriptions', subscriptionId, 'subscription');
+    if (subscription.status === 'canceled') {
+      throw invalid(`This subscription has already been canceled: ${subscriptionId}`);
+    }
+
+    Object.assign(subscription, { status: 'canceled', canceled_at: now(), ended_at: now() });
+    const schedule = subscription.schedule && state.subscription_schedules[subscription.schedule];
+    if (schedule && schedule.status === 'active') {
+      Object.assign(schedule, { status: 'canceled', current_phase: null });
+    }
+    emit(state, 'customer.subscription.deleted', subscription);
+    return subscription;
+  };
+
+  // Checkout
+
+  const lineItemFor = (state, params) => {
+    const price = params.price
+      ? ensurePrice(state, params.price)
+      : {
+        id: newId('price'),
+        object: 'price',
+        currency: params.price_data.currency.toLowerCase(),
+        unit_amount: params.price_data.unit_amount,
+        product: params.price_data.product_data?.name || null,
+        recurring: params.price_data.recurring || null
+      };
+    const quantity = params.quantity || 1;
+
+    return {
+      id: newId('li'),
+      object: 'item',
+      description: params.price_data?.product_data?.name || price.nickname || price.id,
+      amount_subtotal: price.unit_amount * quantity,
+      amount_total: price.unit_amount * quantity,
+      currency: price.currency,
+      price,
+      quantity
+    };
+  };
+
+  const createCheckoutSession = (state, params) => {
+    if (!['payment', 'subscription', 'setup'].includes(params.mode)) throw invalid('Invalid mode', 'mode');
+    if (!params.success_url) throw invalid('Missing required param: success_url.', 'success_url');
+    if (params.customer) find(state, 'customers', params.customer, 'customer');
+
+    const lineItems = (params.line_items || []).map((item) => lineItemFor(state, item));
+    const coupon = couponFor(state, params.discounts);
+    const subtotal = lineItems.reduce((sum, item) => sum + item.amount_total, 0);
+    const trial = params.mode === 'subscription' && params.subscription_data?.trial_period_days > 0;
+
+    const session = {
+      id: newId('cs_test'),
+      object: 'checkout.session',
+      mode: params.mode,
+      status: 'open',
+      payment_status: 'unpaid',
+      customer: params.customer || null,
+      customer_email: params.customer_email || null,
+      customer_details: null,
+      amount_subtotal: subtotal,
+      amount_total: trial ? 0 : discounted(subtotal, coupon),
+      currency: lineItems[0] ? lineItems[0].currency : null,
+      subscription: null,
+      payment_intent: null,
+      metadata: params.metadata || {},
+      success_url: params.success_url,
+      cancel_url: params.cancel_url || null,
+      url: null,
+      created: now()
+    };
+    // There is no hosted page to pay on, so the payer goes straight to the
+    // success URL; complete the session with the simulator
+    session.url = params.success_url.replace('{CHECKOUT_SESSION_ID}', session.id);
+
+    state.checkout_sessions[session.id] = session;
+    state.line_items[session.id] = lineItems;
+    state.session_params[session.id] = {
+      subscription_data: params.subscription_data || {},
+      payment_intent_data: params.payment_intent_data || {},
+      discounts: params.discounts || null
+    };
+    return session;
+  };
+
+  // Expire an open checkout session so it can no longer be paid
+  const expireCheckoutSession = (state, sessionId) => {
+    const session = find(state, 'checkout_sessions', sessionId, 'checkout session');
+    if (session.status !== 'open') throw invalid(`Checkout session ${sessionId} is ${session.status}`);
+
+    session.status = 'expired';
+    emit(state, 'checkout.session.expired', session);
+    return session;
+  };
+
+  // Pay for an open checkout session as the customer would on Stripe's page.
+  // With `decline` (or a declining customer) the payment fails and the session stays open.
+  const completeCheckout = (state, sessionId, { decline } = {}) => {
+    const session = find(state, 'checkout_sessions', sessionId, 'checkout session');
+    if (session.status !== 'open') throw invalid(`Checkout session ${sessionId} is ${session.status}`);
+
+    const extra = state.session_params[session.id];
+    const lineItems = state.line_items[session.id];
+
+    let customer = session.customer && state.customers[session.customer];
+    if (!customer) {
+      const email = session.customer_email || 'customer@example.com';
+      customer = createCustomer(state, { email });
+    }
+    const customerDetails = { email: customer.email, name: customer.name };
+
+    if (session.mode === 'subscription') {
+      // Checkout does not create the subscription until the first payment succeeds
+      if (session.amount_total > 0 && (decline || isDeclining(state, customer.id))) {
+        return session;
+      }
+
+      // The card entered at checkout is saved and used for renewals
+      const paymentMethod = attachCard(state, customer.id);
+      const subscription = createSubscription(state, {
+        customer: customer.id,
+        default_payment_method: paymentMethod.id,
+        items: lineItems.map((item) => ({ price: item.price.id, quantity: item.quantity })),
+        trial_period_days: extra.subscription_data.trial_period_days,
+        metadata: extra.subscription_data.metadata,
+        discounts: extra.discounts
+      });
+
+      const invoice = state.invoices[subscription.latest_invoice];
+      Object.assign(session, {
+        subscription: subscription.id,
+        payment_intent: null,
+        payment_status: invoice.amount_due === 0 ? 'no_payment_required' : 'paid'
+      });
+    } else if (session.mode === 'payment') {
+      const paymentIntent = collectPayment(state, {
+        amount: session.amount_total,
+        currency: session.currency,
+        customer: session.customer,
+        description: extra.payment_intent_data.description || lineItems.map((item) => item.description).join(', '),
+        metadata: extra.payment_intent_data.metadata,
+        decline
+      });
+      session.payment_intent = paymentIntent.id;
+      if (paymentIntent.status !== 'succeeded') return session;
+
+      session.payment_status = 'paid';
+    } else {
+      session.payment_status = 'no_payment_required';
+    }
+
+    Object.assign(session, { status: 'complete', customer: customer.id, customer_details: customerDetails });
+    emit(state, 'checkout.session.completed', session);
+    return session;
+  };
+
+  // Start the next billing period of a subscription and invoice it
+  const renewSubscription = (state, subscriptionId, { decline } = {}) => {
+    const subscription = find(state, 'subscriptions', subscriptionId, 'subscription');
+    if (subscription.status === 'canceled') throw invalid(`Subscription ${subscriptionId} is canceled`);
+
+    const previous = {
+      status: subscription.status,
+      current_period_start: subscription.current_period_start,
+      current_period_end: subscription.current_period_end
+    };
+
+    if (subscription.cancel_at_period_end) {
+      return cancelSubscription(state, subscriptionId);
+    }
+
+    const start = subscription.current_period_end;
+    if (subscription.schedule) {
+      const items = clone(subscription.items);
+      advanceSchedule(state, subscription, start);
+      if (subscription.items.data[0].price.id !== items.data[0].price.id) previous.items = items;
+    }
+
+    const price = subscription.items.data[0].price;
+    Object.assign(subscription, {
+      status: subscription.status === 'trialing' ? 'active' : subscription.status,
+      current_period_start: start,
+      current_period_end: periodEnd(start, price.recurring || { interval: 'month' })
+    });
+    if (subscription.discount && subscription.discount.coupon.duration === 'once') {
+      subscription.discount = null;
+    }
+    emit(state, 'customer.subscription.updated', subscription, previous);
+
+    createInvoice(state, subscription, { billingReason: 'subscription_cycle', decline });
+    return subscription;
+  };
+
+  // Refunds
+
+  const createRefund = (state, params) => {
+    const paymentIntent = params.payment_intent
+      ? find(state, 'payment_intents', params.payment_intent, 'payment_intent')
+      : null;
+    const charge = find(state, 'charges', params.charge || (paymentIntent && paymentIntent.latest_charge), 'charge');
+
+    const refundable = charge.amount - charge.amount_refunded;
+    const amount = params.amount === undefined ? refundable : params.amount;
+    if (refundable <= 0) {
+      throw invalid(`Charge ${charge.id} has already been refunded.`);
+    }
+    if (!(amount > 0) || amount > refundable) {
+      throw invalid(`Refund amount (${amount}) is greater than unrefunded amount on charge (${refundable})`, 'amount');
+    }
+
+    const refund = {
+      id: newId('re'),
+      object: 'refund',
+      amount,
+      charge: charge.id,
+      currency: charge.currency,
+      payment_intent: charge.payment_intent,
+      reason: params.reason || null,
+      metadata: params.metadata || {},
+      status: 'succeeded',
+      created: now()
+    };
+    state.refunds[refund.id] = refund;
+
+    charge.amount_refunded += amount;
+    charge.refunded = charge.amount_refunded === charge.amount;
+    charge.refunds.data.unshift(clone(refund));
+
+    emit(state, 'refund.created', refund);
+    emit(state, 'charge.refunded', charge);
+    return refund;
+  };
+
+  // A refund the bank sent back: the amount becomes refundable again
+  const failRefund = (state, refundId, failureReason = 'declined') => {
+    const refund = find(state, 'refunds', refundId, 'refund');
+    if (refund.status !== 'succeeded' && refund.status !== 'pending') {
+      throw invalid(`Refund ${refundId} is ${refund.status}`);
+    }
+    const charge = find(state, 'charges', refund.charge, 'charge');
+    const previous = { status: refund.status };
+
+    Object.assign(refund, { status: 'failed', failure_reason: failureReason });
+    charge.amount_refunded -= refund.amount;
+    charge.refunded = false;
+    charge.refunds.data = charge.refunds.data.map((entry) => (entry.id === refund.id ? clone(refund) : entry));
+
+    emit(state, 'refund.updated', refund, previous);
+    emit(state, 'charge.refund.updated', refund, previous);
+    return refund;
+  };
+
+  // Coupons and promotion codes
+
+  const createCoupon = (state, params) => {
+    if (!params.percent_off && !params.amount_off) throw invalid('Must specify percent_off or amount_off.');
+    if (params.amount_off && !params.currency) throw invalid('Missing required param: currency.', 'currency');
+    if (params.duration === 'repeating' && !params.duration_in_months) {
+      throw invalid('Missing required param: duration_in_months.', 'duration_in_months');
+    }
+
+    const coupon = {
+      id: params.id || crypto.randomBytes(4).toString('hex'),
+      object: 'coupon',
+      duration: params.duration || 'once',
+      duration_in_months: params.duration_in_months || null,
+      percent_off: params.percent_off || null,
+      amount_off: params.amount_off || null,
+      currency: params.currency || null,
+      max_redemptions: params.max_redemptions || null,
+      times_redeemed: 0,
+      valid: true,
+      metadata: params.metadata || {},
+      created: now()
+    };
+    state.coupons[coupon.id] = coupon;
+    return coupon;
+  };
+
+  const createPromotionCode = (state, params) => {
+    const coupon = find(state, 'coupons', params.coupon, 'coupon');
+    const code = params.code || crypto.randomBytes(4).toString('hex').toUpperCase();
+    const taken = Object.values(state.promotion_codes)
+      .some((promotionCode) => promotionCode.active && promotionCode.code.toLowerCase() === code.toLowerCase());
+    if (taken) throw invalid('An active promotion code with `code` already exists.', 'code');
+
+    const promotionCode = {
+      id: newId('promo'),
+      object: 'promotion_code',
+      code,
+      coupon: clone(coupon),
+      active: true,
+      max_redemptions: params.max_redemptions || null,
+      expires_at: params.expires_at || null,
+      times_redeemed: 0,
+      metadata: params.metadata || {},
+      created: now()
+    };
+    state.promotion_codes[promotionCode.id] = promotionCode;
+    return promotionCode;
+  };
+
+  // Listing helpers
+
+  const all = (state, collection, filter = () => true) => newestFirst(Object.values(state[collection]).filter(filter));
+
+  const retrieve = (collection, kind) => async (id, params = {}) => {
+    const state = load();
+    return expand(state, find(state, collection, id, kind), params.expand);
+  };
+
+  const list = (collection, filter = () => () => true) => (params = {}) => {
+    const state = load();
+    const objects = all(state, collection, filter(params)).map((object) => expand(state, object, (params.expand || [])
+      .filter((expandPath) => expandPath.startsWith('data.'))
+      .map((expandPath) => expandPath.slice('data.'.length))));
+    return listOf(objects, params);
+  };
+
+  // Requests made with an idempotencyKey option run once; a repeat returns the
+  // first result, and reusing the key with other parameters fails, as with Stripe
+  const mutate = (operation) => async (...args) => {
+    const last = args[args.length - 1];
+    const options = last && typeof last === 'object' && 'idempotencyKey' in last ? args.pop() : null;
+    if (!options || !options.idempotencyKey) {
+      return withState((state) => operation(state, ...args));
+    }
+
+    return withState((state) => {
+      const fingerprint = JSON.stringify([operation.name, args]);
+      const previous = state.idempotency_keys[options.idempotencyKey];
+      if (previous) {
+        if (previous.fingerprint !== fingerprint) {
+          throw new Stripe.errors.StripeIdempotencyError({
+            message: `Keys for idempotent requests can only be used with the same parameters they were first used with. Try using a key other than '${options.idempotencyKey}' if you meant to execute a different request.`,
+            statusCode: 400
+          });
+        }
+        return previous.result;
+      }
+
+      const result = operation(state, ...args);
+      state.idempotency_keys[options.idempotencyKey] = { fingerprint, result: clone(result) };
+      return result;
+    });
+  };
+
+  return {
+    customers: {
+      create: mutate(createCustomer),
+      retrieve: retrieve('customers', 'customer'),
+      update: mutate((state, customerId, params = {}) => {
+        const customer = find(state, 'customers', customerId, 'customer');
+        const previous = {};
+        for (const field of ['email', 'name']) {
+          if (params[field] !== undefined) {
+            previous[field] = customer[field];
+            customer[field] = params[field];
+          }
+        }
+        if (params.metadata) {
+          previous.metadata = customer.metadata;
+          customer.metadata = { ...customer.metadata, ...params.metadata };
+        }
+        if (params.invoice_settings) {
+          const paymentMethodId = params.invoice_settings.default_payment_method;
+          if (paymentMethodId && find(state, 'payment_methods', paymentMethodId, 'payment method').customer !== customer.id) {
+            throw invalid(`No such PaymentMethod: '${paymentMethodId}'; it is not attached to this customer.`, 'invoice_settings[default_payment_method]');
+          }
+          previous.invoice_settings = customer.invoice_settings;
+          customer.invoice_settings = { ...customer.invoice_settings, ...params.invoice_settings };
+        }
+        emit(state, 'customer.updated', customer, previous);
+        return customer;
+      }),
+      list: list('customers', ({ email }) => (customer) => !email || customer.email === email)
+    },
+    products: {
+      retrieve: retrieve('products', 'product')
+    },
+    prices: {
+      create: mutate(createPrice),
+      retrieve: retrieve('prices', 'price'),
+      list: list('prices', ({ active }) => (price) => active === undefined || price.active === active)
+    },
+    checkout: {
+      sessions: {
+        create: mutate(createCheckoutSession),
+        retrieve: retrieve('checkout_sessions', 'checkout session'),
+        expire: mutate(expireCheckoutSession),
+        list: list('checkout_sessions', ({ customer }) => (session) => !customer || session.customer === customer)
+      }
+    },
+    subscriptions: {
+      create: mutate(createSubscription),
+      retrieve: retrieve('subscriptions', 'subscription'),
+      update: mutate(updateSubscription),
+      cancel: mutate(cancelSubscription),
+      list: list('subscriptions', ({ customer, status }) => (subscription) => (!customer || subscription.customer === customer) &&
+        (status === 'all' || (status ? subscription.status === status : subscription.status !== 'canceled')))
+    },
+    subscriptionSchedules: {
+      create: mutate(createSchedule),
+      retrieve: retrieve('subscription_schedules', 'subscription schedule'),
+      update: mutate(updateSchedule),
+      release: mutate(releaseSchedule)
+    },
+    invoices: {
+      retrieve: retrieve('invoices', 'invoice'),
+      retrieveUpcoming: mutate(upcomingInvoice),
+      list: list('invoices', ({ customer, subscription, status }) => (invoice) => (!customer || invoice.customer === customer) &&
+        (!subscription || invoice.subscription === subscription) && (!status || invoice.status === status)),
+      pay: mutate((state, invoiceId) => {
+        const invoice = find(state, 'invoices', invoiceId, 'invoice');
+        if (invoice.status !== 'open') throw invalid('Invoice is already paid');
+        if (!payInvoice(state, invoice)) {
+          // The failure and its events are kept, as with Stripe
+          save(state);
+          throw declined();
+        }
+        return invoice;
+      })
+    },
+    paymentIntents: {
+      create: mutate((state, params) => {
+        if (params.confirm) {
+          return collectPayment(state, params);
+        }
+        const paymentIntent = {
+          id: newId('pi'),
+          object: 'payment_intent',
+          amount: params.amount,
+          amount_received: 0,
+          currency: params.currency,
+          customer: params.customer || null,
+          description: params.description || null,
+          invoice: null,
+          metadata: params.metadata || {},
+          status: 'requires_payment_method',
+          latest_charge: null,
+          last_payment_error: null,
+          created: now()
+        };
+        state.payment_intents[paymentIntent.id] = paymentIntent;
+        return paymentIntent;
+      }),
+      retrieve: retrieve('payment_intents', 'payment_intent'),
+      list: list('payment_intents', ({ customer }) => (paymentIntent) => !customer || paymentIntent.customer === customer)
+    },
+    charges: {
+      retrieve: retrieve('charges', 'charge')
+    },
+    paymentMethods: {
+      retrieve: retrieve('payment_methods', 'payment method'),
+      list: list('payment_methods', ({ customer, type }) => (paymentMethod) =>
+        paymentMethod.customer === customer && (!type || paymentMethod.type === type)),
+      detach: mutate(detachPaymentMethod)
+    },
+    billingPortal: {
+      sessions: {
+        create: mutate((state, params = {}) => {
+          const customer = find(state, 'customers', params.customer, 'customer');
+          const id = newId('bps');
+          return {
+            id,
+            object: 'billing_portal.session',
+            customer: customer.id,
+            return_url: params.return_url || null,
+            url: `https://billing.stripe.com/p/session/fake_${id}`,
+            livemode: false,
+            created: now()
+          };
+        })
+      }
+    },
+    refunds: {
+      create: mutate(createRefund),
+      retrieve: retrieve('refunds', 'refund'),
+      list: list('refunds', ({ payment_intent: paymentIntent }) => (refund) => !paymentIntent || refund.payment_intent === paymentIntent)
+    },
+    coupons: {
+      create: mutate(createCoupon),
+      retrieve: retrieve('coupons', 'coupon')
+    },
+    promotionCodes: {
+      create: mutate(createPromotionCode),
+      list: list('promotion_codes', ({ code, active }) => (promotionCode) =>
+        (!code || promotionCode.code.toLowerCase() === code.toLowerCase()) && (active === undefined || promotionCode.active === active))
+    },
+    events: {
+      retrieve: retrieve('events', 'event'),
+      list: list('events', ({ type }) => (event) => !type || event.type === type)
+    },
+    // Signatures are plain HMACs, so verification works offline as it is
+    webhooks: Stripe.webhooks,
+
+    // Steps that happen on Stripe's side, for the simulator
+    fake: {
+      completeCheckout: mutate(completeCheckout),
+      renewSubscription: mutate(renewSubscription),
+      trialWillEnd: mutate((state, subscriptionId) => {
+        const subscription = find(state, 'subscriptions', subscriptionId, 'subscription');
+        if (subscription.status !== 'trialing') throw invalid(`Subscription ${subscriptionId} is not trialing`);
+        emit(state, 'customer.subscription.trial_will_end', subscription);
+        return subscription;
+      }),
+      attachCard: mutate(attachCard),
+      failRefund: mutate(failRefund),
+      // Make every payment by a customer fail (or succeed again)
+      setCardDeclines: mutate((state, customerId, declines) => {
+        find(state, 'customers', customerId, 'customer');
+        state.declining_customers = state.declining_customers.filter((id) => id !== customerId);
+        if (declines) state.declining_customers.push(customerId);
+        return { customer: customerId, declines: Boolean(declines) };
+      }),
+      // Queued events, oldest first
+      pendingEvents: async () => {
+        const state = load();
+        return clone(state.pending_events.map((eventId) => state.events[eventId]));
+      },
+      markDelivered: mutate((state, eventIds) => {
+        state.pending_events = state.pending_events.filter((eventId) => !eventIds.includes(eventId));
+        return state.pending_events.length;
+      }),
+      reset: async () => save(emptyState())
+    }
+  };
+}
+
+module.exports = {
+  createFakeStripe
+};
@@ -0,0 +1,108 @@
+// Money amounts. Stripe and our tables hold integer minor units (cents, yen,
+// fils); the API takes and returns major units (12.50 USD, 1200 JPY, 1.250 KWD).
+// Convert only through here, with the amount's currency: a currency's exponent
+// is how many decimal places its major unit has.
+
+// Currencies we accept for new charges, prices, coupons and rents
+const SUPPORTED_CURRENCIES = ['usd', 'cad', 'eur', 'gbp', 'aud', 'jpy', 'krw', 'kwd', 'bhd'];
+
+// Exponents that differ from the usual 2, as Stripe counts them. Amounts read
+// back from Stripe can be in any currency, so the table covers more than we accept.
+const CURRENCY_EXPONENTS = {
+  bif: 0, clp: 0, djf: 0, gnf: 0, jpy: 0, kmf: 0, krw: 0, mga: 0,
+  pyg: 0, rwf: 0, ugx: 0, vnd: 0, vuv: 0, xaf: 0, xof: 0, xpf: 0,
+  bhd: 3, jod: 3, kwd: 3, omr: 3, tnd: 3
+};
+const DEFAULT_EXPONENT = 2;
+
+const isSupportedCurrency = (currency) => typeof currency === 'string' &&
+  SUPPORTED_CURRENCIES.includes(currency.toLowerCase());
+
+const exponentOf = (currency) => {
+  if (typeof currency !== 'string' || !/^[a-z]{3}$/i.test(currency)) {
+    throw new Error(`Invalid currency: ${currency}`);
+  }
+  return CURRENCY_EXPONENTS[currency.toLowerCase()] ?? DEFAULT_EXPONENT;
+};
+
+// Stripe only takes three-decimal amounts in whole hundredths (the last digit is 0)
+const minorUnitStep = (currency) => (exponentOf(currency) === 3 ? 10 : 1);
+
+// Shift a number's decimal point by `places` without binary rounding error
+// (1.005 * 100 is 100.49999999999999; 1.005e2 is 100.5)
+const shift = (value, places) => {
+  const [mantissa, power = '0'] = String(value).split('e');
+  return Number(`${mantissa}e${parseInt(power) + places}`);
+};
+
+// Major units -> integer minor units, rounded half away from zero.
+// null and undefined pass through.
+const toMinorUnits = (amount, currency) => {
+  if (amount === null || amount === undefined) return amount;
+  return Math.sign(amount) * Math.round(shift(Math.abs(amount), exponentOf(currency)));
+};
+
+// Integer minor units -> major units. null and undefined pass through.
+const toMajorUnits = (minor, currency) => {
+  if (minor === null || minor === undefined) return minor;
+  return shift(Number(minor), -exponentOf(currency));
+};
+
+// A computed minor-unit amount (a percentage, interest) in a step Stripe
+// accepts for `currency`. `round` is Math.round by default; pass Math.floor
+// for a cap the result must not exceed.
+const roundToStep = (minor, currency, round = Math.round) => {
+  const step = minorUnitStep(currency);
+  return round(minor / step) * step;
+};
+
+// Whether a major-unit amount can be charged in `currency` as given: no more
+// decimal places than the currency has, in steps Stripe accepts
+const hasValidPrecision = (amount, currency) => {
+  const minor = shift(amount, exponentOf(currency));
+  return Number.isInteger(minor) && minor % minorUnitStep(currency) === 0;
+};
+
+// What hasValidPrecision requires of `currency`, for error messages
+const precisionMessage = (currency) => {
+  const exponent = exponentOf(currency);
+  const code = currency.toUpperCase();
+
+  if (exponent === 0) return `${code} amounts must be whole numbers`;
+  if (minorUnitStep(currency) > 1) {
+    return `${code} amounts must be multiples of ${toMajorUnits(minorUnitStep(currency), currency)}`;
+  }
+  return `${code} amounts can have at most ${exponent} decimal places`;
+};
+
+// The largest amount Stripe charges in one go: eight digits of minor units in
+// any currency (999,999.99 USD, 99,999,999 JPY)
+const MAX_MINOR_AMOUNT = 99999999;
+
+// Why a major-unit amount cannot be charged in `currency`, or null if it can
+const amountProblem = (amount, currency) => {
+  if (!hasValidPrecision(amount, currency)) return precisionMessage(currency);
+  if (toMinorUnits(amount, currency) > MAX_MINOR_AMOUNT) {
+    return `Amounts can be at most ${formatMoney(MAX_MINOR_AMOUNT, currency)}`;
+  }
+  return null;
+};
+
+// Minor units as text for messages, e.g. "12.50 USD", "1200 JPY"
+const formatMoney = (minor, currency) =>
+  `${toMajorUnits(minor, currency).toFixed(exponentOf(currency))} ${currency.toUpperCase()}`;
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  CURRENCY_EXPONENTS,
+  isSupportedCurrency,
+  exponentOf,
+  toMinorUnits,
+  toMajorUnits,
+  roundToStep,
+  hasValidPrecision,
+  precisionMessage,
+  MAX_MINOR_AMOUNT,
+  amountProblem,
+  formatMoney
+};
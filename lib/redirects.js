@@ -0,0 +1,32 @@
+// Checkout success/cancel URLs supplied by clients must point back at one of
+// our own frontends, or Stripe would happily redirect payers anywhere.
+// FRONTEND_URL is always allowed; ALLOWED_REDIRECT_ORIGINS adds more as a
+// comma-separated list of origins (e.g. "https://app.example.com,https://m.example.com").
+
+const originOf = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+};
+
+const allowedRedirectOrigins = () => [
+  process.env.FRONTEND_URL,
+  ...(process.env.ALLOWED_REDIRECT_ORIGINS || '').split(',')
+]
+  .map((value) => value && originOf(value.trim()))
+  .filter(Boolean);
+
+// True if `url` is an absolute http(s) URL on an allowed origin
+const isAllowedRedirect = (url) => {
+  const origin = originOf(url);
+  if (!origin || !/^https?:/.test(origin)) return false;
+
+  return allowedRedirectOrigins().includes(origin);
+};
+
+module.exports = {
+  allowedRedirectOrigins,
+  isAllowedRedirect
+};
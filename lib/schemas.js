@@ -0,0 +1,118 @@
+// Building blocks for request schemas (see middleware/validate.js)
+const { z } = require('zod');
+const { isAllowedRedirect } = require('./redirects');
+const { SUPPORTED_CURRENCIES, amountProblem } = require('./money');
+const { PLANS, findPrice, planPrice } = require('../config/plans');
+
+// Currencies we accept for charges and coupons (see lib/money.js)
+const CURRENCIES = SUPPORTED_CURRENCIES;
+
+// A Stripe object id such as `cus_...` or `pi_...`
+const stripeId = (prefix) => z.string().trim().regex(
+  new RegExp(`^${prefix}_[A-Za-z0-9_]+$`),
+  { message: `Must be a Stripe id starting with ${prefix}_` }
+);
+
+// An amount in major units, e.g. 12.50. Its currency decides how many decimal
+// places are allowed and how large it can be: pair with checkAmount, or check
+// it with amountProblem (lib/money.js) once the currency is known.
+const amount = z.number().positive().finite();
+
+const currency = z.preprocess(
+  (value) => (typeof value === 'string' ? value.toLowerCase() : value),
+  z.enum(CURRENCIES)
+);
+
+// superRefine for an object with an amount and its currency: the amount must
+// fit the currency's minor unit (no fractions of a yen, no tenths of a cent) and
+// Stripe's largest charge in it
+const checkAmount = (amountKey = 'amount', currencyKey = 'currency') => (body, ctx) => {
+  const value = body[amountKey];
+  const code = body[currencyKey];
+  const problem = value !== undefined && value !== null && code ? amountProblem(value, code) : null;
+  if (problem) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: [amountKey], message: problem });
+  }
+};
+
+const email = z.string().trim().toLowerCase().email().max(254);
+
+// Stripe metadata: up to 50 keys of at most 40 characters, values of at most 500
+const metadata = z.record(z.string().max(40), z.union([z.string().max(500), z.number(), z.boolean()]))
+  .refine((value) => Object.keys(value).length <= 50, { message: 'At most 50 metadata keys are allowed' });
+
+const planId = z.enum(Object.keys(PLANS));
+
+// A Stripe price id from the plan catalog
+const catalogPriceId = stripeId('price').refine((priceId) => findPrice(priceId) !== null, {
+  message: 'Not a price in the plan catalog'
+});
+
+const BILLING_INTERVALS = ['month', 'year'];
+
+// A plan, billing interval and currency; pair with checkPlanPrice
+const planSelection = {
+  plan: planId,
+  interval: z.enum(BILLING_INTERVALS).default('month'),
+  currency: currency.default('usd')
+};
+
+// superRefine for a planSelection: the catalog must have that price
+const checkPlanPrice = (body, ctx) => {
+  if (!planPrice(body.plan, body)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['interval'],
+      message: `The ${body.plan} plan has no ${body.interval}ly ${body.currency} price`
+    });
+  }
+};
+
+const redirectUrl = z.string().url().refine(isAllowedRedirect, { message: 'URL is not on an allowed redirect origin' });
+
+// Query-string flavours of the above, for values that arrive as strings
+const queryInt = ({ min = 1, max } = {}) => {
+  const int = z.coerce.number().int().min(min);
+  return max === undefined ? int : int.max(max);
+};
+
+const queryBoolean = z.enum(['true', 'false']).transform((value) => value === 'true');
+
+// An ISO date (or date-time)
+const date = z.string().refine((value) => !isNaN(new Date(value).getTime()), { message: 'Invalid date' })
+  .transform((value) => new Date(value));
+
+// An ISO date or unix seconds, as unix seconds
+const timestamp = z.union([z.number().int().nonnegative(), z.string()])
+  .refine((value) => /^\d+$/.test(String(value)) || !isNaN(new Date(value).getTime()), { message: 'Invalid date' })
+  .transform((value) => (/^\d+$/.test(String(value))
+    ? parseInt(value)
+    : Math.floor(new Date(value).getTime() / 1000)));
+
+// Page-number pagination used by most admin listings
+const pagination = {
+  page: queryInt().default(1),
+  limit: queryInt({ max: 100 }).default(50)
+};
+
+module.exports = {
+  z,
+  CURRENCIES,
+  stripeId,
+  amount,
+  currency,
+  checkAmount,
+  email,
+  metadata,
+  planId,
+  catalogPriceId,
+  BILLING_INTERVALS,
+  planSelection,
+  checkPlanPrice,
+  redirectUrl,
+  queryInt,
+  queryBoolean,
+  date,
+  timestamp,
+  pagination
+};
@@ -0,0 +1,61 @@
+const Stripe = require('stripe');
+const { createFakeStripe } = require('./fakeStripe');
+const { listPlans } = require('../config/plans');
+const { toMinorUnits } = require('./money');
+
+// The one Stripe client the app talks to.
+//
+// STRIPE_MODE selects the implementation:
+//   live - the Stripe API, with STRIPE_SECRET_KEY (default)
+//   fake - an offline stand-in kept in STRIPE_FAKE_STATE (default data/fake-stripe.json),
+//          driven by `npm run stripe:simulate`; see lib/fakeStripe.js. It knows
+//          the plan catalog's prices.
+
+// Catalog prices in the shape the fake takes
+const catalogPrices = () => listPlans().flatMap((plan) => plan.prices.map((price) => ({
+  id: price.id,
+  unit_amount: toMinorUnits(price.amount, price.currency),
+  currency: price.currency,
+  interval: price.interval,
+  nickname: plan.name
+})));
+
+const createStripeClient = (mode = process.env.STRIPE_MODE || 'live') => {
+  switch (mode) {
+    case 'live':
+      return Stripe(process.env.STRIPE_SECRET_KEY);
+    case 'fake':
+      return createFakeStripe({
+        stateFile: process.env.STRIPE_FAKE_STATE || 'data/fake-stripe.json',
+        prices: catalogPrices()
+      });
+    default:
+      throw new Error(`Unknown STRIPE_MODE: ${mode}`);
+  }
+};
+
+let client;
+
+const getStripe = () => {
+  if (!client) {
+    client = createStripeClient();
+  }
+  return client;
+};
+
+// Swap the client, e.g. for an in-memory fake in tests
+const setStripe = (replacement) => {
+  client = replacement;
+};
+
+// Modules hold this at load time; each property access goes to the current client
+const stripe = new Proxy({}, {
+  get: (target, property) => getStripe()[property]
+});
+
+module.exports = {
+  stripe,
+  getStripe,
+  setStripe,
+  createStripeClient
+};
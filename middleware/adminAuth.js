@@ -0,0 +1,46 @@
+const admins = require('../models/admins');
+const { hasPermission } = require('../config/adminRoles');
+
+// Admins authenticate with a personal API key in the `x-admin-key` header.
+// The shared ADMIN_API_KEY, if set, still works as an owner-level bootstrap
+// credential so the first admin accounts can be created; unset it afterwards.
+const BOOTSTRAP_ADMIN = { id: 'bootstrap', name: 'Bootstrap key', role: 'owner' };
+
+async function resolveAdmin(req) {
+  const adminKey = req.headers['x-admin-key'];
+  if (!adminKey) return null;
+
+  if (process.env.ADMIN_API_KEY && adminKey === process.env.ADMIN_API_KEY) {
+    return BOOTSTRAP_ADMIN;
+  }
+
+  return admins.authenticateApiKey(adminKey);
+}
+
+// Require an authenticated admin holding `permission` (any admin when omitted)
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    if (!req.admin) {
+      req.admin = await resolveAdmin(req);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!req.admin) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (permission && !hasPermission(req.admin.role, permission)) {
+    return res.status(403).json({ error: 'Forbidden', permission });
+  }
+
+  next();
+};
+
+const requireAdmin = requirePermission();
+
+module.exports = {
+  requireAdmin,
+  requirePermission
+};
@@ -0,0 +1,117 @@
+const { jwtVerify, createRemoteJWKSet } = require('jose');
+const users = require('../models/users');
+
+// Bearer-token authentication for tenant and landlord callers.
+//
+// Tokens are issued by our identity provider. Configure either:
+//   AUTH_JWKS_URL    - the provider's JWKS endpoint (RS256/ES256 tokens), or
+//   AUTH_JWT_SECRET  - a shared secret (HS256 tokens, local development)
+// plus optional AUTH_ISSUER / AUTH_AUDIENCE checks. The token subject is our user id.
+
+let verificationKey;
+
+const getVerificationKey = () => {
+  if (!verificationKey) {
+    if (process.env.AUTH_JWKS_URL) {
+      verificationKey = createRemoteJWKSet(new URL(process.env.AUTH_JWKS_URL));
+    } else if (process.env.AUTH_JWT_SECRET) {
+      verificationKey = new TextEncoder().encode(process.env.AUTH_JWT_SECRET);
+    }
+  }
+  return verificationKey;
+};
+
+const ROLE_CLAIM = process.env.AUTH_ROLE_CLAIM || 'role';
+
+async function verifyToken(token) {
+  const key = getVerificationKey();
+  if (!key) {
+    throw new Error('Authentication is not configured (set AUTH_JWKS_URL or AUTH_JWT_SECRET)');
+  }
+
+  const { payload } = await jwtVerify(token, key, {
+    issuer: process.env.AUTH_ISSUER || undefined,
+    audience: process.env.AUTH_AUDIENCE || undefined
+  });
+
+  return payload;
+}
+
+// Require a valid bearer token. Sets req.auth (token identity) and
+// req.user (the landlord account, or null for callers without one, e.g. tenants).
+const authenticate = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  let payload;
+  try {
+    payload = await verifyToken(token);
+  } catch (error) {
+    console.warn('Rejected bearer token:', error.message);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!payload.sub) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    req.auth = {
+      userId: payload.sub,
+      email: payload.email,
+      role: payload[ROLE_CLAIM] || 'tenant'
+    };
+    req.user = await users.getUser(payload.sub);
+
+    if (req.user) {
+      users.touchLastActive(req.user.id).catch((error) => {
+        console.error('Error updating last active time:', error);
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restrict a route to callers whose token carries one of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.auth || !roles.includes(req.auth.role)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  next();
+};
+
+// Restrict a route to callers with a landlord account
+const requireAccount = (req, res, next) => {
+  if (!req.user) {
+    return res.status(403).json({ error: 'A landlord account is required' });
+  }
+  next();
+};
+
+// Accounts restricted for non-payment (see services/dunning.js) keep read-only access
+const requireGoodStanding = (req, res, next) => {
+  if (req.user && req.user.restricted && !['GET', 'HEAD'].includes(req.method)) {
+    return res.status(402).json({ error: 'Account is restricted until the outstanding invoice is paid' });
+  }
+  next();
+};
+
+// Whether the caller's account is linked to the given Stripe customer
+const ownsCustomer = (req, customerId) => Boolean(
+  customerId && req.user && req.user.customerId === customerId
+);
+
+module.exports = {
+  verifyToken,
+  authenticate,
+  requireRole,
+  requireAccount,
+  requireGoodStanding,
+  ownsCustomer
+};
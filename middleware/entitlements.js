@@ -0,0 +1,84 @@
+const { getEntitlements } = require('../services/entitlements');
+
+// Plan limits and features for landlord routes; use after requireAccount.
+//
+// PLAN_LIMITS_ENFORCEMENT=warn lets requests over a limit through with an
+// X-Plan-Limit-Warning header instead of a 403 (default: block). Requests that
+// bring an account close to a limit carry the header either way.
+
+const WARN_AT = 0.8;
+
+const enforcement = () => (process.env.PLAN_LIMITS_ENFORCEMENT === 'warn' ? 'warn' : 'block');
+
+// Resolve req.entitlements once per request
+async function loadEntitlements(req) {
+  if (!req.entitlements) {
+    req.entitlements = await getEntitlements(req.user);
+  }
+  return req.entitlements;
+}
+
+// Require a plan feature flag (see config/plans.js)
+const requireFeature = (feature) => async (req, res, next) => {
+  let entitlements;
+  try {
+    entitlements = await loadEntitlements(req);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!entitlements.features[feature]) {
+    return res.status(403).json({
+      error: entitlements.restriction || `${feature} is not included in the ${entitlements.plan.name} plan`,
+      feature,
+      plan: entitlements.plan && entitlements.plan.id
+    });
+  }
+
+  next();
+};
+
+// Check that adding `count(req)` more of `resource` (properties or units) stays within the plan
+const enforceLimit = (resource, count = () => 1) => async (req, res, next) => {
+  let entitlements;
+  try {
+    entitlements = await loadEntitlements(req);
+  } catch (error) {
+    return next(error);
+  }
+
+  const limit = entitlements.limits[resource];
+  const usage = entitlements.usage[resource] || 0;
+  if (limit === null) {
+    return next();
+  }
+
+  const requested = usage + count(req);
+  if (requested > limit) {
+    const error = entitlements.restriction ||
+      `The ${entitlements.plan.name} plan allows up to ${limit} ${resource}`;
+
+    if (enforcement() === 'block') {
+      return res.status(403).json({
+        error,
+        resource,
+        limit,
+        usage,
+        plan: entitlements.plan && entitlements.plan.id
+      });
+    }
+
+    console.warn(`⚠️ Plan limit exceeded for ${req.user.id}: ${requested}/${limit} ${resource}`);
+    res.set('X-Plan-Limit-Warning', `${error}; this request brings the account to ${requested}`);
+  } else if (requested >= limit * WARN_AT) {
+    res.set('X-Plan-Limit-Warning', `${requested} of ${limit} ${resource} used on the ${entitlements.plan.name} plan`);
+  }
+
+  next();
+};
+
+module.exports = {
+  loadEntitlements,
+  requireFeature,
+  enforceLimit
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const idempotencyKeys = require('../models/idempotencyKeys');
+
+// Idempotency-Key support for POST endpoints that move money.
+//
+// A request sent with an `Idempotency-Key` header runs once per key and caller.
+// Its response (unless a 5xx, which frees the key for another try) is stored and
+// replayed to retries with an `Idempotent-Replayed: true` header. Reusing a key
+// for a different request is rejected with 422, and a retry that arrives while
+// the first request is still running with 409. Keys are kept for
+// IDEMPOTENCY_KEY_TTL_HOURS (default 24). Requests without the header run as usual.
+//
+// Mount after authentication and validation, so the caller is known and the
+// parsed request is what gets compared. Routes pass stripeRequestOptions(req, ...)
+// to their Stripe calls so Stripe deduplicates them too.
+
+const HEADER = 'Idempotency-Key';
+
+// Printable ASCII, as Stripe accepts
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const ttlMs = () => parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24') * 60 * 60 * 1000;
+
+// Keys are per caller, so two callers can't collide or read each other's responses
+const callerScope = (req) => {
+  if (req.admin) return `admin:${req.admin.id}`;
+  if (req.auth) return `user:${req.auth.userId}`;
+  return null;
+};
+
+// JSON with object keys sorted, so equal requests hash equally
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const requestHash = (req) => crypto.createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${canonical({ params: req.params, query: req.query, body: req.body })}`)
+  .digest('hex');
+
+// Answer a request whose key was already used
+const respondToRetry = (res, existing, hash) => {
+  if (!existing || existing.status === idempotencyKeys.IN_PROGRESS) {
+    res.set('Retry-After', '1');
+    return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+  }
+  if (existing.requestHash !== hash) {
+    return res.status(422).json({ error: 'This Idempotency-Key was already used with a different request' });
+  }
+
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(existing.responseStatus).json(existing.responseBody);
+};
+
+const idempotent = async (req, res, next) => {
+  const key = req.get(HEADER);
+  if (key === undefined) {
+    return next();
+  }
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({ error: `${HEADER} must be 1-255 printable ASCII characters` });
+  }
+
+  const scope = callerScope(req);
+  if (!scope) {
+    return next();
+  }
+
+  const hash = requestHash(req);
+  const claim = () => idempotencyKeys.claimKey({ scope, key, method: req.method, path: `${req.baseUrl}${req.path}`, requestHash: hash });
+
+  try {
+    let claimed = await claim();
+    if (!claimed) {
+      const existing = await idempotencyKeys.getKey(scope, key);
+
+      // An expired key is free to use again
+      if (existing && Date.now() - new Date(existing.createdAt).getTime() > ttlMs()) {
+        await idempotencyKeys.releaseKey(scope, key);
+        claimed = await claim();
+      }
+      if (!claimed) {
+        return respondToRetry(res, existing, hash);
+      }
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  req.idempotencyKey = { scope, key };
+
+  // Store the response before sending it, so a retry sent once it arrives is replayed
+  let settled = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    const stored = res.statusCode >= 500
+      ? idempotencyKeys.releaseKey(scope, key)
+      : idempotencyKeys.completeKey(scope, key, { status: res.statusCode, body });
+
+    stored
+      .catch((error) => console.error('❌ Failed to store idempotent response:', error))
+      .finally(() => json(body));
+    return res;
+  };
+
+  // A request that ends without a JSON response leaves the key free for a retry
+  res.on('close', () => {
+    if (!settled) {
+      idempotencyKeys.releaseKey(scope, key).catch((error) => {
+        console.error('❌ Failed to release idempotency key:', error);
+      });
+    }
+  });
+
+  next();
+};
+
+// Request options for a Stripe call made while handling `req`. Stripe ties a key
+// to one request, so each call (`label`) gets its own key derived from the caller's.
+const stripeRequestOptions = (req, label) => {
+  if (!req.idempotencyKey) return undefined;
+
+  const { scope, key } = req.idempotencyKey;
+  return {
+    idempotencyKey: crypto.createHash('sha256').update(`${scope}\n${key}\n${label}`).digest('hex')
+  };
+};
+
+// Drop keys past their TTL (run by the scheduler)
+async function purgeExpiredKeys() {
+  const purged = await idempotencyKeys.deleteKeysBefore(new Date(Date.now() - ttlMs()));
+  if (purged > 0) {
+    console.log(`🧹 Purged ${purged} expired idempotency key(s)`);
+  }
+  return purged;
+}
+
+module.exports = {
+  idempotent,
+  stripeRequestOptions,
+  purgeExpiredKeys
+};
@@ -0,0 +1,34 @@
+// Validate a request against zod schemas for its `params`, `query` and `body`.
+// Parsed values (with defaults applied and unknown fields stripped) replace
+// the originals. Any violation is answered with a 400 listing every field:
+//   { error: 'Invalid request', details: [{ location, field, message }] }
+const LOCATIONS = ['params', 'query', 'body'];
+
+const validate = (schemas) => (req, res, next) => {
+  const details = [];
+  const parsed = {};
+
+  for (const location of LOCATIONS) {
+    if (!schemas[location]) continue;
+
+    const result = schemas[location].safeParse(req[location] ?? {});
+    if (result.success) {
+      parsed[location] = result.data;
+    } else {
+      details.push(...result.error.issues.map((issue) => ({
+        location,
+        field: issue.path.join('.') || null,
+        message: issue.message
+      })));
+    }
+  }
+
+  if (details.length > 0) {
+    return res.status(400).json({ error: 'Invalid request', details });
+  }
+
+  Object.assign(req, parsed);
+  next();
+};
+
+module.exports = { validate };
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+const KEY_PREFIX = 'rca_';
+
+// API keys are random and high-entropy, so a plain SHA-256 digest is enough to store them
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const formatAdmin = (row) => row && {
+  id: row.id,
+  name: row.name,
+  email: row.email,
+  role: row.role,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  disabledAt: row.disabled_at
+};
+
+const formatKey = (row) => row && {
+  id: row.id,
+  adminId: row.admin_id,
+  name: row.name,
+  prefix: row.prefix,
+  createdAt: row.created_at,
+  lastUsedAt: row.last_used_at,
+  expiresAt: row.expires_at,
+  revokedAt: row.revoked_at
+};
+
+async function createAdmin({ name, email, role }) {
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+
+  await db.insert('admins', {
+    id,
+    name,
+    email: email.toLowerCase(),
+    role,
+    created_at: now,
+    updated_at: now
+  });
+
+  return getAdmin(id);
+}
+
+async function getAdmin(adminId) {
+  return formatAdmin(await db.one('SELECT * FROM admins WHERE id = ?', [adminId]));
+}
+
+async function getAdminByEmail(email) {
+  return formatAdmin(await db.one('SELECT * FROM admins WHERE email = ?', [email.toLowerCase()]));
+}
+
+async function listAdmins() {
+  const rows = await db.query('SELECT * FROM admins ORDER BY created_at ASC');
+  return rows.map(formatAdmin);
+}
+
+async function updateAdmin(adminId, { name, role, disabled }) {
+  const now = new Date().toISOString();
+  const disabledAt = disabled === undefined ? undefined : (disabled ? now : null);
+
+  await db.run(
+    `UPDATE admins SET
+      name = COALESCE(?, name),
+      role = COALESCE(?, role),
+      disabled_at = ${disabledAt === undefined ? 'disabled_at' : '?'},
+      updated_at = ?
+    WHERE id = ?`,
+    [name || null, role || null, ...(disabledAt === undefined ? [] : [disabledAt]), now, adminId]
+  );
+
+  return getAdmin(adminId);
+}
+
+// Issue a new key. The plaintext is returned once and never stored.
+async function createApiKey(adminId, { name, expiresAt } = {}) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const id = crypto.randomUUID();
+
+  await db.insert('admin_api_keys', {
+    id,
+    admin_id: adminId,
+    name: name || null,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    key_hash: hashKey(key),
+    created_at: new Date().toISOString(),
+    expires_at: expiresAt ? expiresAt.toISOString() : null
+  });
+
+  return { key, apiKey: await getApiKey(adminId, id) };
+}
+
+async function getApiKey(adminId, keyId) {
+  return formatKey(await db.one(
+    'SELECT * FROM admin_api_keys WHERE id = ? AND admin_id = ?',
+    [keyId, adminId]
+  ));
+}
+
+async function listApiKeys(adminId) {
+  const rows = await db.query(
+    'SELECT * FROM admin_api_keys WHERE admin_id = ? ORDER BY created_at ASC',
+    [adminId]
+  );
+  return rows.map(formatKey);
+}
+
+async function revokeApiKey(adminId, keyId) {
+  const { changes } = await db.run(
+    'UPDATE admin_api_keys SET revoked_at = ? WHERE id = ? AND admin_id = ? AND revoked_at IS NULL',
+    [new Date().toISOString(), keyId, adminId]
+  );
+  return changes > 0;
+}
+
+// Shorten a key's life, e.g. to give clients a grace period after rotation
+async function expireApiKey(adminId, keyId, expiresAt) {
+  await db.run(
+    'UPDATE admin_api_keys SET expires_at = ? WHERE id = ? AND admin_id = ?',
+    [expiresAt.toISOString(), keyId, adminId]
+  );
+}
+
+// Resolve a presented key to its active admin, or null
+async function authenticateApiKey(key) {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  const now = new Date().toISOString();
+  const row = await db.one(
+    `SELECT admins.*, admin_api_keys.id AS key_id FROM admin_api_keys
+     JOIN admins ON admins.id = admin_api_keys.admin_id
+     WHERE admin_api_keys.key_hash = ?
+       AND admin_api_keys.revoked_at IS NULL
+       AND (admin_api_keys.expires_at IS NULL OR admin_api_keys.expires_at > ?)
+       AND admins.disabled_at IS NULL`,
+    [hashKey(key), now]
+  );
+
+  if (!row) return null;
+
+  await db.run('UPDATE admin_api_keys SET last_used_at = ? WHERE id = ?', [now, row.key_id]);
+
+  return { ...formatAdmin(row), keyId: row.key_id };
+}
+
+module.exports = {
+  createAdmin,
+  getAdmin,
+  getAdminByEmail,
+  listAdmins,
+  updateAdmin,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+  expireApiKey,
+  authenticateApiKey
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// The audit log is append-only: this module deliberately has no update or delete.
+
+const formatEntry = (row) => row && {
+  id: row.id,
+  actorType: row.actor_type,
+  actorId: row.actor_id,
+  actorName: row.actor_name,
+  action: row.action,
+  targetType: row.target_type,
+  targetId: row.target_id,
+  payload: row.payload ? JSON.parse(row.payload) : null,
+  stripeIds: row.stripe_ids ? JSON.parse(row.stripe_ids) : [],
+  ip: row.ip,
+  createdAt: row.created_at
+};
+
+async function appendEntry({ actorType, actorId, actorName, action, targetType, targetId, payload, stripeIds = [], ip }) {
+  const id = crypto.randomUUID();
+
+  await db.insert('audit_log', {
+    id,
+    actor_type: actorType,
+    actor_id: actorId,
+    actor_name: actorName || null,
+    action,
+    target_type: targetType || null,
+    target_id: targetId || null,
+    payload: payload || null,
+    stripe_ids: stripeIds.filter(Boolean),
+    ip: ip || null,
+    created_at: new Date().toISOString()
+  });
+
+  return id;
+}
+
+const buildFilters = ({ actorId, action, targetId, from, to }) => {
+  const conditions = [];
+  const params = [];
+
+  if (actorId) {
+    conditions.push('actor_id = ?');
+    params.push(actorId);
+  }
+  if (action) {
+    // `refunds.*` matches every refund action
+    if (action.endsWith('.*')) {
+      conditions.push('action LIKE ?');
+      params.push(`${action.slice(0, -1)}%`);
+    } else {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+  }
+  if (targetId) {
+    conditions.push('target_id = ?');
+    params.push(targetId);
+  }
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(from.toISOString());
+  }
+  if (to) {
+    conditions.push('created_at < ?');
+    params.push(to.toISOString());
+  }
+
+  return { conditions, params };
+};
+
+// Newest first
+async function listEntries({ limit = 50, offset = 0, ...filters } = {}) {
+  const { conditions, params } = buildFilters(filters);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const rows = await db.query(
+    `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const { total } = await db.one(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params);
+
+  return { entries: rows.map(formatEntry), total };
+}
+
+module.exports = {
+  appendEntry,
+  buildFilters,
+  listEntries
+};
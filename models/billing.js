@@ -0,0 +1,361 @@
+const db = require('../db');
+const { encodeCursor } = require('../lib/cursor');
+const { getPlan } = require('../config/plans');
+
+// Stripe fields may be either an id or an expanded object
+const idOf = (value) => (value && typeof value === 'object' ? value.id : value || null);
+
+const parseJson = (value) => (value ? JSON.parse(value) : {});
+
+const now = () => new Date().toISOString();
+
+// Customers
+async function upsertCustomer(customer) {
+  await db.upsert('customers', {
+    id: customer.id,
+    email: customer.email || null,
+    name: customer.name || null,
+    metadata: customer.metadata || {},
+    created: customer.created || null,
+    updated_at: now()
+  });
+}
+
+// Make sure a customer row exists without overwriting richer data from customer.* events
+async function ensureCustomer(customerId, email) {
+  if (!customerId) return;
+
+  await db.run(
+    `INSERT INTO customers (id, email, metadata, updated_at) VALUES (?, ?, ?, ?)
+     ON CONFLICT (id) DO UPDATE SET email = COALESCE(customers.email, excluded.email)`,
+    [customerId, email || null, {}, now()]
+  );
+}
+
+async function getCustomer(customerId) {
+  const row = await db.one('SELECT * FROM customers WHERE id = ?', [customerId]);
+  return row && { ...row, metadata: parseJson(row.metadata) };
+}
+
+// Checkout sessions
+async function upsertCheckoutSession(session) {
+  const customerId = idOf(session.customer);
+  const customerEmail = session.customer_details?.email || session.customer_email || null;
+
+  await ensureCustomer(customerId, customerEmail);
+
+  await db.upsert('checkout_sessions', {
+    id: session.id,
+    customer_id: customerId,
+    customer_email: customerEmail,
+    mode: session.mode || null,
+    status: session.status || null,
+    payment_status: session.payment_status || null,
+    amount_total: session.amount_total ?? null,
+    currency: session.currency || null,
+    subscription_id: idOf(session.subscription),
+    payment_intent_id: idOf(session.payment_intent),
+    metadata: session.metadata || {},
+    created: session.created || null,
+    updated_at: now()
+  });
+}
+
+async function getCheckoutSession(sessionId) {
+  const row = await db.one('SELECT * FROM checkout_sessions WHERE id = ?', [sessionId]);
+  return row && { ...row, metadata: parseJson(row.metadata) };
+}
+
+// Subscriptions
+async function upsertSubscription(subscription) {
+  const item = subscription.items?.data?.[0];
+  const price = item?.price;
+  const customerId = idOf(subscription.customer);
+
+  await ensureCustomer(customerId);
+
+  await db.upsert('subscriptions', {
+    id: subscription.id,
+    customer_id: customerId,
+    status: subscription.status,
+    price_id: idOf(price),
+    product_id: idOf(price?.product),
+    plan_nickname: price?.nickname || null,
+    unit_amount: price?.unit_amount ?? null,
+    currency: price?.currency || subscription.currency || null,
+    billing_interval: price?.recurring?.interval || null,
+    quantity: item?.quantity ?? null,
+    current_period_start: subscription.current_period_start || null,
+    current_period_end: subscription.current_period_end || null,
+    trial_start: subscription.trial_start || null,
+    trial_end: subscription.trial_end || null,
+    cancel_at_period_end: Boolean(subscription.cancel_at_period_end),
+    canceled_at: subscription.canceled_at || null,
+    ended_at: subscription.ended_at || null,
+    metadata: subscription.metadata || {},
+    created: subscription.created || null,
+    updated_at: now()
+  });
+}
+
+const formatSubscription = (row) => row && {
+  ...row,
+  cancel_at_period_end: Boolean(row.cancel_at_period_end),
+  metadata: parseJson(row.metadata)
+};
+
+async function getSubscription(subscriptionId) {
+  return formatSubscription(await db.one('SELECT * FROM subscriptions WHERE id = ?', [subscriptionId]));
+}
+
+async function listSubscriptionsByCustomer(customerId) {
+  const rows = await db.query(
+    'SELECT * FROM subscriptions WHERE customer_id = ? ORDER BY created DESC',
+    [customerId]
+  );
+  return rows.map(formatSubscription);
+}
+
+// Invoices
+async function upsertInvoice(invoice) {
+  const customerId = idOf(invoice.customer);
+
+  await ensureCustomer(customerId, invoice.customer_email);
+
+  await db.upsert('invoices', {
+    id: invoice.id,
+    customer_id: customerId,
+    subscription_id: idOf(invoice.subscription),
+    payment_intent_id: idOf(invoice.payment_intent),
+    status: invoice.status || null,
+    billing_reason: invoice.billing_reason || null,
+    amount_due: invoice.amount_due ?? null,
+    amount_paid: invoice.amount_paid ?? null,
+    currency: invoice.currency || null,
+    hosted_invoice_url: invoice.hosted_invoice_url || null,
+    invoice_pdf: invoice.invoice_pdf || null,
+    period_start: invoice.period_start || null,
+    period_end: invoice.period_end || null,
+    paid_at: invoice.status_transitions?.paid_at || null,
+    created: invoice.created || null,
+    updated_at: now()
+  });
+}
+
+async function getInvoice(invoiceId) {
+  return db.one('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
+}
+
+async function listInvoicesByCustomer(customerId) {
+  return db.query(
+    'SELECT * FROM invoices WHERE customer_id = ? ORDER BY created DESC',
+    [customerId]
+  );
+}
+
+// Payment intents
+async function upsertPaymentIntent(paymentIntent) {
+  const customerId = idOf(paymentIntent.customer);
+
+  await ensureCustomer(customerId);
+
+  await db.upsert('payment_intents', {
+    id: paymentIntent.id,
+    customer_id: customerId,
+    invoice_id: idOf(paymentIntent.invoice),
+    status: paymentIntent.status,
+    amount: paymentIntent.amount ?? null,
+    amount_received: paymentIntent.amount_received ?? null,
+    currency: paymentIntent.currency || null,
+    description: paymentIntent.description || null,
+    failure_message: paymentIntent.last_payment_error?.message || null,
+    metadata: paymentIntent.metadata || {},
+    created: paymentIntent.created || null,
+    updated_at: now()
+  });
+}
+
+async function getPaymentIntent(paymentIntentId) {
+  const row = await db.one('SELECT * FROM payment_intents WHERE id = ?', [paymentIntentId]);
+  return row && { ...row, metadata: parseJson(row.metadata) };
+}
+
+async function listPaymentIntentsByCustomer(customerId) {
+  const rows = await db.query(
+    'SELECT * FROM payment_intents WHERE customer_id = ? ORDER BY created DESC',
+    [customerId]
+  );
+  return rows.map((row) => ({ ...row, metadata: parseJson(row.metadata) }));
+}
+
+// Refunds
+async function upsertRefund(refund) {
+  await db.upsert('refunds', {
+    id: refund.id,
+    payment_intent_id: idOf(refund.payment_intent),
+    charge_id: idOf(refund.charge),
+    amount: refund.amount,
+    currency: refund.currency || null,
+    status: refund.status || null,
+    reason: refund.reason || null,
+    failure_reason: refund.failure_reason || null,
+    created: refund.created || null,
+    updated_at: now()
+  });
+}
+
+async function listRefundsByPaymentIntent(paymentIntentId) {
+  return db.query(
+    'SELECT * FROM refunds WHERE payment_intent_id = ? ORDER BY created ASC',
+    [paymentIntentId]
+  );
+}
+
+// One page of `from`, newest first, keyset-paginated on (created, id).
+// `cursor` is a decoded cursor (see lib/cursor.js) or undefined for the first page.
+async function listPage({ select, from, table, conditions, params, cursor, limit }) {
+  const where = [...conditions];
+  const values = [...params];
+  const backwards = cursor && cursor.direction === 'before';
+
+  if (cursor) {
+    const op = backwards ? '>' : '<';
+    where.push(`(COALESCE(${table}.created, 0) ${op} ? OR (COALESCE(${table}.created, 0) = ? AND ${table}.id ${op} ?))`);
+    values.push(cursor.created, cursor.created, cursor.id);
+  }
+
+  const order = backwards ? 'ASC' : 'DESC';
+  const rows = await db.query(
+    `SELECT ${select} FROM ${from}
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY COALESCE(${table}.created, 0) ${order}, ${table}.id ${order}
+     LIMIT ?`,
+    [...values, limit + 1]
+  );
+
+  // One extra row says whether there is more in the reading direction
+  const more = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const hasNext = backwards ? Boolean(cursor) : more;
+  const hasPrevious = backwards ? more : Boolean(cursor);
+  const first = page[0];
+  const last = page[page.length - 1];
+
+  return {
+    rows: page,
+    pagination: {
+      limit,
+      hasNext: hasNext && Boolean(last),
+      hasPrevious: hasPrevious && Boolean(first),
+      nextCursor: hasNext && last ? encodeCursor({ after: [last.created || 0, last.id] }) : null,
+      previousCursor: hasPrevious && first ? encodeCursor({ before: [first.created || 0, first.id] }) : null
+    }
+  };
+}
+
+// Filters shared by the admin listings: `from`/`to` are unix seconds
+const createdConditions = (table, { from, to }, conditions, params) => {
+  if (from !== undefined) {
+    conditions.push(`${table}.created >= ?`);
+    params.push(from);
+  }
+  if (to !== undefined) {
+    conditions.push(`${table}.created <= ?`);
+    params.push(to);
+  }
+};
+
+// Condition matching `plan` against a subscription's plan nickname, price or
+// product id, or any price of the catalog plan with that id
+const planCondition = (plan, params) => {
+  const priceIds = (getPlan(plan)?.prices || []).map((price) => price.id);
+  params.push(plan, plan, plan, ...priceIds);
+
+  const catalogMatch = priceIds.length > 0
+    ? ` OR subscriptions.price_id IN (${priceIds.map(() => '?').join(', ')})`
+    : '';
+  return `(subscriptions.plan_nickname = ? OR subscriptions.price_id = ? OR subscriptions.product_id = ?${catalogMatch})`;
+};
+
+// Admin subscription listing. `plan` matches a catalog plan id, or the plan nickname, price or product id.
+async function listSubscriptionsPage({ status, customerId, plan, from, to, cursor, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push('subscriptions.status = ?');
+    params.push(status);
+  }
+  if (customerId) {
+    conditions.push('subscriptions.customer_id = ?');
+    params.push(customerId);
+  }
+  if (plan) {
+    conditions.push(planCondition(plan, params));
+  }
+  createdConditions('subscriptions', { from, to }, conditions, params);
+
+  return listPage({
+    select: 'subscriptions.*, customers.email AS customer_email',
+    from: 'subscriptions LEFT JOIN customers ON customers.id = subscriptions.customer_id',
+    table: 'subscriptions',
+    conditions,
+    params,
+    cursor,
+    limit
+  });
+}
+
+// Admin payment listing. `plan` matches payments for invoices of subscriptions on that plan.
+async function listPaymentIntentsPage({ status, customerId, plan, from, to, cursor, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push('payment_intents.status = ?');
+    params.push(status);
+  }
+  if (customerId) {
+    conditions.push('payment_intents.customer_id = ?');
+    params.push(customerId);
+  }
+  if (plan) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM invoices JOIN subscriptions ON subscriptions.id = invoices.subscription_id
+      WHERE (invoices.id = payment_intents.invoice_id OR invoices.payment_intent_id = payment_intents.id)
+        AND ${planCondition(plan, params)})`);
+  }
+  createdConditions('payment_intents', { from, to }, conditions, params);
+
+  return listPage({
+    select: 'payment_intents.*, customers.email AS customer_email',
+    from: 'payment_intents LEFT JOIN customers ON customers.id = payment_intents.customer_id',
+    table: 'payment_intents',
+    conditions,
+    params,
+    cursor,
+    limit
+  });
+}
+
+module.exports = {
+  upsertCustomer,
+  getCustomer,
+  upsertCheckoutSession,
+  getCheckoutSession,
+  upsertSubscription,
+  getSubscription,
+  listSubscriptionsByCustomer,
+  listSubscriptionsPage,
+  upsertInvoice,
+  getInvoice,
+  listInvoicesByCustomer,
+  upsertPaymentIntent,
+  getPaymentIntent,
+  listPaymentIntentsByCustomer,
+  listPaymentIntentsPage,
+  upsertRefund,
+  listRefundsByPaymentIntent
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// past_due and restricted cases are open; recovered and canceled are closed
+const STATUSES = ['past_due', 'restricted', 'recovered', 'canceled'];
+const OPEN_STATUSES = ['past_due', 'restricted'];
+
+const formatCase = (row) => row && {
+  id: row.id,
+  subscriptionId: row.subscription_id,
+  customerId: row.customer_id,
+  invoiceId: row.invoice_id,
+  status: row.status,
+  step: row.step,
+  failures: row.failures,
+  startedAt: row.started_at,
+  lastFailureAt: row.last_failure_at,
+  restrictedAt: row.restricted_at,
+  resolvedAt: row.resolved_at,
+  recoveredInvoiceId: row.recovered_invoice_id,
+  updatedAt: row.updated_at
+};
+
+async function getOpenCase(subscriptionId) {
+  return formatCase(await db.one(
+    "SELECT * FROM dunning_cases WHERE subscription_id = ? AND status IN ('past_due', 'restricted')",
+    [subscriptionId]
+  ));
+}
+
+async function getCase(caseId) {
+  return formatCase(await db.one('SELECT * FROM dunning_cases WHERE id = ?', [caseId]));
+}
+
+// Open a case for a failed invoice, or count another failure on the open one.
+// Returns { dunningCase, opened }.
+async function recordFailure({ subscriptionId, customerId, invoiceId }) {
+  const now = new Date().toISOString();
+
+  return db.transaction(async (tx) => {
+    const open = await tx.one(
+      "SELECT * FROM dunning_cases WHERE subscription_id = ? AND status IN ('past_due', 'restricted')",
+      [subscriptionId]
+    );
+
+    if (open) {
+      await tx.run(
+        'UPDATE dunning_cases SET failures = failures + 1, invoice_id = ?, last_failure_at = ?, updated_at = ? WHERE id = ?',
+        [invoiceId, now, now, open.id]
+      );
+      return { dunningCase: formatCase(await tx.one('SELECT * FROM dunning_cases WHERE id = ?', [open.id])), opened: false };
+    }
+
+    const id = crypto.randomUUID();
+    await tx.insert('dunning_cases', {
+      id,
+      subscription_id: subscriptionId,
+      customer_id: customerId,
+      invoice_id: invoiceId,
+      status: 'past_due',
+      step: 0,
+      failures: 1,
+      started_at: now,
+      last_failure_at: now,
+      updated_at: now
+    });
+    return { dunningCase: formatCase(await tx.one('SELECT * FROM dunning_cases WHERE id = ?', [id])), opened: true };
+  });
+}
+
+async function listOpenCases() {
+  const rows = await db.query(
+    "SELECT * FROM dunning_cases WHERE status IN ('past_due', 'restricted') ORDER BY started_at ASC"
+  );
+  return rows.map(formatCase);
+}
+
+async function listCases({ status, limit = 50, offset = 0 } = {}) {
+  const where = status ? 'WHERE status = ?' : '';
+  const params = status ? [status] : [];
+
+  const rows = await db.query(
+    `SELECT * FROM dunning_cases ${where} ORDER BY started_at DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const { total } = await db.one(`SELECT COUNT(*) AS total FROM dunning_cases ${where}`, params);
+
+  return { cases: rows.map(formatCase), total };
+}
+
+// Case counts by status
+async function countByStatus() {
+  const rows = await db.query('SELECT status, COUNT(*) AS total FROM dunning_cases GROUP BY status');
+  return Object.fromEntries(STATUSES.map((status) => [
+    status,
+    Number((rows.find((row) => row.status === status) || {}).total || 0)
+  ]));
+}
+
+async function setStep(caseId, step) {
+  await db.update('dunning_cases', { step, updated_at: new Date().toISOString() }, { id: caseId });
+}
+
+async function restrict(caseId) {
+  const now = new Date().toISOString();
+  await db.run(
+    "UPDATE dunning_cases SET status = 'restricted', restricted_at = ?, updated_at = ? WHERE id = ? AND status = 'past_due'",
+    [now, now, caseId]
+  );
+}
+
+// Close the open case for a subscription. Returns the closed case, or null if none was open.
+async function resolve(subscriptionId, status, { recoveredInvoiceId } = {}) {
+  const open = await getOpenCase(subscriptionId);
+  if (!open) return null;
+
+  const now = new Date().toISOString();
+  const { changes } = await db.run(
+    `UPDATE dunning_cases SET status = ?, resolved_at = ?, recovered_invoice_id = ?, updated_at = ?
+     WHERE id = ? AND status IN ('past_due', 'restricted')`,
+    [status, now, recoveredInvoiceId || null, now, open.id]
+  );
+  return changes > 0 ? getCase(open.id) : null;
+}
+
+module.exports = {
+  STATUSES,
+  OPEN_STATUSES,
+  getOpenCase,
+  getCase,
+  recordFailure,
+  listOpenCases,
+  listCases,
+  countByStatus,
+  setStep,
+  restrict,
+  resolve
+};
@@ -0,0 +1,65 @@
+const db = require('../db');
+
+// Key statuses
+const IN_PROGRESS = 'in_progress';
+const COMPLETED = 'completed';
+
+const formatKey = (row) => row && {
+  scope: row.scope,
+  key: row.idempotency_key,
+  method: row.method,
+  path: row.path,
+  requestHash: row.request_hash,
+  status: row.status,
+  responseStatus: row.response_status,
+  responseBody: row.response_body === null ? null : JSON.parse(row.response_body),
+  createdAt: row.created_at,
+  completedAt: row.completed_at
+};
+
+async function getKey(scope, key) {
+  return formatKey(await db.one(
+    'SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?',
+    [scope, key]
+  ));
+}
+
+// Claim a key for a request about to run. Returns false if the caller already used it.
+async function claimKey({ scope, key, method, path, requestHash }) {
+  const { changes } = await db.run(
+    `INSERT INTO idempotency_keys (scope, idempotency_key, method, path, request_hash, status, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (scope, idempotency_key) DO NOTHING`,
+    [scope, key, method, path, requestHash, IN_PROGRESS, new Date().toISOString()]
+  );
+  return changes > 0;
+}
+
+async function completeKey(scope, key, { status, body }) {
+  await db.run(
+    `UPDATE idempotency_keys SET status = ?, response_status = ?, response_body = ?, completed_at = ?
+     WHERE scope = ? AND idempotency_key = ?`,
+    [COMPLETED, status, body === undefined ? null : JSON.stringify(body), new Date().toISOString(), scope, key]
+  );
+}
+
+// Forget a key so the request can be retried with it
+async function releaseKey(scope, key) {
+  await db.run('DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?', [scope, key]);
+}
+
+// Remove keys created before `before` (a Date)
+async function deleteKeysBefore(before) {
+  const { changes } = await db.run('DELETE FROM idempotency_keys WHERE created_at < ?', [before.toISOString()]);
+  return changes;
+}
+
+module.exports = {
+  IN_PROGRESS,
+  COMPLETED,
+  getKey,
+  claimKey,
+  completeKey,
+  releaseKey,
+  deleteKeysBefore
+};
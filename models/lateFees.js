@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { toMinorUnits, toMajorUnits } = require('../lib/money');
+
+const FEE_TYPES = ['flat', 'percent'];
+const STATUSES = ['open', 'paid', 'waived'];
+
+// Policy amounts are in the policy's currency
+const formatPolicy = (row) => row && {
+  propertyId: row.property_id,
+  graceDays: row.grace_days,
+  feeType: row.fee_type,
+  feeAmount: toMajorUnits(row.fee_amount, row.currency),
+  feePercent: row.fee_percent,
+  dailyFee: toMajorUnits(row.daily_fee, row.currency),
+  maxFee: toMajorUnits(row.max_fee, row.currency),
+  maxFeePercent: row.max_fee_percent,
+  currency: row.currency,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+};
+
+const formatFee = (row) => row && {
+  id: row.id,
+  rentChargeId: row.rent_charge_id,
+  leaseId: row.lease_id,
+  amount: toMajorUnits(row.amount, row.currency),
+  currency: row.currency,
+  daysLate: row.days_late,
+  status: row.status,
+  checkoutSessionId: row.checkout_session_id,
+  checkoutAmount: toMajorUnits(row.checkout_amount, row.currency),
+  paymentIntentId: row.payment_intent_id,
+  assessedAt: row.assessed_at,
+  updatedAt: row.updated_at,
+  paidAt: row.paid_at
+};
+
+// Policies
+async function getPolicy(propertyId) {
+  return formatPolicy(await db.one('SELECT * FROM late_fee_policies WHERE property_id = ?', [propertyId]));
+}
+
+// Replace the property's policy; fields not given are cleared
+async function savePolicy(propertyId, fields) {
+  const now = new Date().toISOString();
+  const existing = await getPolicy(propertyId);
+
+  await db.upsert('late_fee_policies', {
+    property_id: propertyId,
+    grace_days: fields.graceDays,
+    fee_type: fields.feeType,
+    fee_amount: toMinorUnits(fields.feeAmount, fields.currency) ?? null,
+    fee_percent: fields.feePercent ?? null,
+    daily_fee: toMinorUnits(fields.dailyFee, fields.currency) ?? null,
+    max_fee: toMinorUnits(fields.maxFee, fields.currency) ?? null,
+    max_fee_percent: fields.maxFeePercent ?? null,
+    currency: fields.currency.toLowerCase(),
+    created_at: existing ? existing.createdAt : now,
+    updated_at: now
+  }, ['property_id']);
+
+  return getPolicy(propertyId);
+}
+
+async function deletePolicy(propertyId) {
+  await db.run('DELETE FROM late_fee_policies WHERE property_id = ?', [propertyId]);
+}
+
+// Open rent charges past their due date on properties with a late-fee policy.
+// Amounts are left in minor units for the fee calculation; the owner's plan and
+// status decide whether the account may charge late fees at all.
+async function listOverdueCharges(asOfDate) {
+  return db.query(
+    `SELECT rent_charges.id AS rent_charge_id, rent_charges.lease_id, rent_charges.due_date,
+        rent_charges.amount, rent_charges.currency, properties.jurisdiction,
+        late_fee_policies.grace_days, late_fee_policies.fee_type, late_fee_policies.fee_amount,
+        late_fee_policies.fee_percent, late_fee_policies.daily_fee, late_fee_policies.max_fee,
+        late_fee_policies.max_fee_percent, late_fee_policies.currency AS policy_currency,
+        users.plan AS owner_plan, users.status AS owner_status
+     FROM rent_charges
+     JOIN leases ON leases.id = rent_charges.lease_id
+     JOIN units ON units.id = leases.unit_id
+     JOIN properties ON properties.id = units.property_id
+     JOIN late_fee_policies ON late_fee_policies.property_id = properties.id
+     LEFT JOIN users ON users.id = properties.owner_id
+     WHERE rent_charges.status = 'open' AND rent_charges.due_date < ?`,
+    [asOfDate]
+  );
+}
+
+// Assess or re-accrue the fee on a rent charge. A fee that has been paid or
+// waived is left alone. Returns true if anything changed.
+async function saveFee({ rentChargeId, leaseId, amount, currency, daysLate }) {
+  const now = new Date().toISOString();
+
+  const { changes } = await db.run(
+    `INSERT INTO late_fees (id, rent_charge_id, lease_id, amount, currency, days_late, status, assessed_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, 'open', ?, ?)
+     ON CONFLICT (rent_charge_id) DO UPDATE SET amount = excluded.amount, days_late = excluded.days_late, updated_at = excluded.updated_at
+     WHERE late_fees.status = 'open' AND late_fees.amount <> excluded.amount`,
+    [crypto.randomUUID(), rentChargeId, leaseId, amount, currency, daysLate, now, now]
+  );
+  return changes > 0;
+}
+
+async function listFees(leaseId, { status } = {}) {
+  const rows = await db.query(
+    `SELECT * FROM late_fees WHERE lease_id = ? ${status ? 'AND status = ?' : ''} ORDER BY assessed_at DESC`,
+    status ? [leaseId, status] : [leaseId]
+  );
+  return rows.map(formatFee);
+}
+
+async function getFee(leaseId, feeId) {
+  return formatFee(await db.one('SELECT * FROM late_fees WHERE id = ? AND lease_id = ?', [feeId, leaseId]));
+}
+
+async function listFeesByIds(feeIds) {
+  if (feeIds.length === 0) return [];
+  const rows = await db.query(`SELECT * FROM late_fees WHERE id IN (${feeIds.map(() => '?').join(', ')})`, feeIds);
+  return rows.map(formatFee);
+}
+
+// Open fees to collect alongside a rent charge: the charge's own fee plus any
+// left over from charges that were paid without theirs
+async function listPayableFees(leaseId, rentChargeId) {
+  const rows = await db.query(
+    `SELECT late_fees.* FROM late_fees
+     JOIN rent_charges ON rent_charges.id = late_fees.rent_charge_id
+     WHERE late_fees.lease_id = ? AND late_fees.status = 'open'
+       AND (late_fees.rent_charge_id = ? OR rent_charges.status <> 'open')
+     ORDER BY late_fees.assessed_at ASC`,
+    [leaseId, rentChargeId]
+  );
+  return rows.map(formatFee);
+}
+
+// Link fees (as listed) to the session collecting them, at the amounts it charges
+async function attachCheckoutSession(fees, checkoutSessionId) {
+  for (const fee of fees) {
+    await db.update(
+      'late_fees',
+      {
+        checkout_session_id: checkoutSessionId,
+        checkout_amount: toMinorUnits(fee.amount, fee.currency),
+        updated_at: new Date().toISOString()
+      },
+      { id: fee.id }
+    );
+  }
+}
+
+// Mark open fees paid, at the amount their session charged. Returns how many were updated.
+async function markPaid(feeIds, { checkoutSessionId, paymentIntentId }) {
+  const now = new Date().toISOString();
+  let updated = 0;
+
+  for (const feeId of feeIds) {
+    const { changes } = await db.run(
+      `UPDATE late_fees SET status = 'paid', amount = COALESCE(checkout_amount, amount), checkout_session_id = ?,
+         payment_intent_id = ?, paid_at = ?, updated_at = ?
+       WHERE id = ? AND status = 'open'`,
+      [checkoutSessionId, paymentIntentId, now, now, feeId]
+    );
+    updated += changes;
+  }
+  return updated;
+}
+
+// Returns false if the fee was not open
+async function waiveFee(feeId) {
+  const { changes } = await db.run(
+    "UPDATE late_fees SET status = 'waived', updated_at = ? WHERE id = ? AND status = 'open'",
+    [new Date().toISOString(), feeId]
+  );
+  return changes > 0;
+}
+
+// Fees on charges that are voided with a lease end no longer apply
+async function waiveFeesForVoidedCharges(leaseId) {
+  await db.run(
+    `UPDATE late_fees SET status = 'waived', updated_at = ?
+     WHERE lease_id = ? AND status = 'open'
+       AND rent_charge_id IN (SELECT id FROM rent_charges WHERE lease_id = ? AND status = 'void')`,
+    [new Date().toISOString(), leaseId, leaseId]
+  );
+}
+
+module.exports = {
+  FEE_TYPES,
+  STATUSES,
+  getPolicy,
+  savePolicy,
+  deletePolicy,
+  listOverdueCharges,
+  saveFee,
+  listFees,
+  getFee,
+  listFeesByIds,
+  listPayableFees,
+  attachCheckoutSession,
+  markPaid,
+  waiveFee,
+  waiveFeesForVoidedCharges
+};
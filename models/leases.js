@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { toMinorUnits, toMajorUnits } = require('../lib/money');
+
+const STATUSES = ['active', 'ended'];
+
+const SELECT_LEASES = `
+  SELECT leases.*, units.label AS unit_label, units.property_id, properties.jurisdiction
+  FROM leases
+  JOIN units ON units.id = leases.unit_id
+  JOIN properties ON properties.id = units.property_id`;
+
+const formatLease = (row) => row && {
+  id: row.id,
+  unitId: row.unit_id,
+  unitLabel: row.unit_label,
+  propertyId: row.property_id,
+  jurisdiction: row.jurisdiction,
+  landlordId: row.landlord_id,
+  tenantUserId: row.tenant_user_id,
+  tenantName: row.tenant_name,
+  tenantEmail: row.tenant_email,
+  rentAmount: toMajorUnits(row.rent_amount, row.currency),
+  currency: row.currency,
+  dueDay: row.due_day,
+  startDate: row.start_date,
+  endDate: row.end_date,
+  status: row.status,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+};
+
+// API field names to columns; the rent is in the lease's `currency`
+const leaseColumns = (fields, currency) => ({
+  tenant_name: fields.tenantName,
+  tenant_email: fields.tenantEmail ? fields.tenantEmail.toLowerCase() : undefined,
+  rent_amount: toMinorUnits(fields.rentAmount, currency),
+  due_day: fields.dueDay,
+  end_date: fields.endDate
+});
+
+async function createLease(landlordId, unit, fields) {
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+  const currency = (fields.currency || unit.currency).toLowerCase();
+
+  await db.insert('leases', {
+    id,
+    unit_id: unit.id,
+    landlord_id: landlordId,
+    ...leaseColumns(fields, currency),
+    currency,
+    start_date: fields.startDate,
+    status: 'active',
+    created_at: now,
+    updated_at: now
+  });
+
+  return getLease(id);
+}
+
+async function getLease(leaseId) {
+  return formatLease(await db.one(`${SELECT_LEASES} WHERE leases.id = ?`, [leaseId]));
+}
+
+// Whether `auth` (the token identity) is the landlord or tenant on a lease, or neither.
+// A tenant who has not signed in before is matched on the lease email.
+const callerRole = (lease, auth) => {
+  if (lease.landlordId === auth.userId) return 'landlord';
+  if (lease.tenantUserId === auth.userId) return 'tenant';
+  if (!lease.tenantUserId && auth.email && lease.tenantEmail === auth.email.toLowerCase()) return 'tenant';
+  return null;
+};
+
+async function linkTenant(leaseId, tenantUserId) {
+  await db.run(
+    'UPDATE leases SET tenant_user_id = ?, updated_at = ? WHERE id = ? AND tenant_user_id IS NULL',
+    [tenantUserId, new Date().toISOString(), leaseId]
+  );
+}
+
+// Leases where the caller is landlord or tenant
+async function listLeasesForCaller(auth, { status } = {}) {
+  const conditions = ['(leases.landlord_id = ? OR leases.tenant_user_id = ? OR (leases.tenant_user_id IS NULL AND leases.tenant_email = ?))'];
+  const params = [auth.userId, auth.userId, (auth.email || '').toLowerCase()];
+
+  if (status) {
+    conditions.push('leases.status = ?');
+    params.push(status);
+  }
+
+  const rows = await db.query(
+    `${SELECT_LEASES} WHERE ${conditions.join(' AND ')} ORDER BY leases.start_date DESC`,
+    params
+  );
+  return rows.map(formatLease);
+}
+
+async function getActiveLeaseForUnit(unitId) {
+  return formatLease(await db.one(
+    `${SELECT_LEASES} WHERE leases.unit_id = ? AND leases.status = 'active'`,
+    [unitId]
+  ));
+}
+
+// Units and properties with lease history cannot be deleted
+async function hasLeasesForUnit(unitId) {
+  return Boolean(await db.one('SELECT id FROM leases WHERE unit_id = ? LIMIT 1', [unitId]));
+}
+
+async function hasLeasesForProperty(propertyId) {
+  return Boolean(await db.one(
+    'SELECT leases.id FROM leases JOIN units ON units.id = leases.unit_id WHERE units.property_id = ? LIMIT 1',
+    [propertyId]
+  ));
+}
+
+async function listActiveLeases() {
+  const rows = await db.query(`${SELECT_LEASES} WHERE leases.status = 'active'`);
+  return rows.map(formatLease);
+}
+
+async function updateLease(leaseId, fields) {
+  const { currency } = await getLease(leaseId);
+
+  await db.update(
+    'leases',
+    { ...leaseColumns(fields, currency), updated_at: new Date().toISOString() },
+    { id: leaseId }
+  );
+  return getLease(leaseId);
+}
+
+async function endLease(leaseId, endDate) {
+  await db.update(
+    'leases',
+    { status: 'ended', end_date: endDate, updated_at: new Date().toISOString() },
+    { id: leaseId }
+  );
+  return getLease(leaseId);
+}
+
+module.exports = {
+  STATUSES,
+  createLease,
+  getLease,
+  callerRole,
+  linkTenant,
+  listLeasesForCaller,
+  getActiveLeaseForUnit,
+  hasLeasesForUnit,
+  hasLeasesForProperty,
+  listActiveLeases,
+  updateLease,
+  endLease
+};
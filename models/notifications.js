@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+const formatNotification = (row) => row && {
+  id: row.id,
+  userId: row.user_id,
+  email: row.email,
+  template: row.template,
+  subject: row.subject,
+  transport: row.transport,
+  status: row.status,
+  error: row.error,
+  messageId: row.message_id,
+  createdAt: row.created_at
+};
+
+// Templates the user has turned off or on, as { [template]: enabled }
+async function getPreferences(userId) {
+  const rows = await db.query('SELECT template, enabled FROM notification_preferences WHERE user_id = ?', [userId]);
+  return Object.fromEntries(rows.map((row) => [row.template, Boolean(row.enabled)]));
+}
+
+async function setPreferences(userId, preferences) {
+  const now = new Date().toISOString();
+
+  await db.transaction(async (tx) => {
+    for (const [template, enabled] of Object.entries(preferences)) {
+      await tx.upsert('notification_preferences', {
+        user_id: userId,
+        template,
+        enabled: Boolean(enabled),
+        updated_at: now
+      }, ['user_id', 'template']);
+    }
+  });
+
+  return getPreferences(userId);
+}
+
+async function recordNotification({ userId, email, template, subject, transport, status, error, messageId }) {
+  await db.insert('notifications', {
+    id: crypto.randomUUID(),
+    user_id: userId || null,
+    email,
+    template,
+    subject: subject || null,
+    transport,
+    status,
+    error: error || null,
+    message_id: messageId || null,
+    created_at: new Date().toISOString()
+  });
+}
+
+async function listNotifications(userId, { limit = 50 } = {}) {
+  const rows = await db.query(
+    'SELECT * FROM notifications WHERE user_id = ? ORDER BY created_at DESC LIMIT ?',
+    [userId, limit]
+  );
+  return rows.map(formatNotification);
+}
+
+module.exports = {
+  getPreferences,
+  setPreferences,
+  recordNotification,
+  listNotifications
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { toMinorUnits, toMajorUnits } = require('../lib/money');
+
+const formatProperty = (row) => row && {
+  id: row.id,
+  ownerId: row.owner_id,
+  name: row.name,
+  addressLine1: row.address_line1,
+  addressLine2: row.address_line2,
+  city: row.city,
+  region: row.region,
+  postalCode: row.postal_code,
+  country: row.country,
+  jurisdiction: row.jurisdiction,
+  yearBuilt: row.year_built,
+  unitCount: row.unit_count,
+  unitsListed: row.units_listed,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+};
+
+const formatUnit = (row) => row && {
+  id: row.id,
+  propertyId: row.property_id,
+  label: row.label,
+  bedrooms: row.bedrooms,
+  bathrooms: row.bathrooms,
+  currentRent: toMajorUnits(row.current_rent, row.currency),
+  currency: row.currency,
+  rentControlled: Boolean(row.rent_controlled),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+};
+
+// API field names to columns
+const propertyColumns = (fields) => ({
+  name: fields.name,
+  address_line1: fields.addressLine1,
+  address_line2: fields.addressLine2,
+  city: fields.city,
+  region: fields.region,
+  postal_code: fields.postalCode,
+  country: fields.country,
+  jurisdiction: fields.jurisdiction,
+  year_built: fields.yearBuilt,
+  unit_count: fields.unitCount
+});
+
+// The rent is in `currency`, the unit's (new) currency
+const unitColumns = (fields, currency) => ({
+  label: fields.label,
+  bedrooms: fields.bedrooms,
+  bathrooms: fields.bathrooms,
+  current_rent: toMinorUnits(fields.currentRent, currency),
+  currency: fields.currency ? fields.currency.toLowerCase() : undefined,
+  rent_controlled: fields.rentControlled
+});
+
+const SELECT_PROPERTIES = `
+  SELECT properties.*,
+    (SELECT COUNT(*) FROM units WHERE units.property_id = properties.id) AS units_listed
+  FROM properties`;
+
+// Properties
+async function listProperties(ownerId) {
+  const rows = await db.query(
+    `${SELECT_PROPERTIES} WHERE properties.owner_id = ? ORDER BY properties.created_at ASC`,
+    [ownerId]
+  );
+  return rows.map(formatProperty);
+}
+
+async function getProperty(ownerId, propertyId) {
+  return formatProperty(await db.one(
+    `${SELECT_PROPERTIES} WHERE properties.id = ? AND properties.owner_id = ?`,
+    [propertyId, ownerId]
+  ));
+}
+
+async function countProperties(ownerId) {
+  const { total } = await db.one('SELECT COUNT(*) AS total FROM properties WHERE owner_id = ?', [ownerId]);
+  return total;
+}
+
+async function createProperty(ownerId, fields) {
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+
+  await db.insert('properties', {
+    id,
+    owner_id: ownerId,
+    ...propertyColumns(fields),
+    created_at: now,
+    updated_at: now
+  });
+
+  return getProperty(ownerId, id);
+}
+
+async function updateProperty(ownerId, propertyId, fields) {
+  await db.update(
+    'properties',
+    { ...propertyColumns(fields), updated_at: new Date().toISOString() },
+    { id: propertyId, owner_id: ownerId }
+  );
+  return getProperty(ownerId, propertyId);
+}
+
+async function deleteProperty(ownerId, propertyId) {
+  await db.run('DELETE FROM units WHERE property_id = ?', [propertyId]);
+  await db.run('DELETE FROM late_fee_policies WHERE property_id = ?', [propertyId]);
+  await db.run('DELETE FROM properties WHERE id = ? AND owner_id = ?', [propertyId, ownerId]);
+}
+
+// Units
+async function listUnits(propertyId) {
+  const rows = await db.query('SELECT * FROM units WHERE property_id = ? ORDER BY label ASC', [propertyId]);
+  return rows.map(formatUnit);
+}
+
+async function getUnit(propertyId, unitId) {
+  return formatUnit(await db.one('SELECT * FROM units WHERE id = ? AND property_id = ?', [unitId, propertyId]));
+}
+
+// A unit, provided it belongs to one of the owner's properties
+async function getOwnedUnit(ownerId, unitId) {
+  return formatUnit(await db.one(
+    `SELECT units.* FROM units JOIN properties ON properties.id = units.property_id
+     WHERE units.id = ? AND properties.owner_id = ?`,
+    [unitId, ownerId]
+  ));
+}
+
+async function getUnitByLabel(propertyId, label) {
+  return formatUnit(await db.one('SELECT * FROM units WHERE property_id = ? AND label = ?', [propertyId, label]));
+}
+
+async function createUnit(propertyId, fields) {
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+  const currency = (fields.currency || 'usd').toLowerCase();
+
+  await db.insert('units', {
+    id,
+    property_id: propertyId,
+    ...unitColumns(fields, currency),
+    currency,
+    rent_controlled: Boolean(fields.rentControlled),
+    created_at: now,
+    updated_at: now
+  });
+
+  return getUnit(propertyId, id);
+}
+
+// A currency change without a new rent keeps the rent's amount, now in the new currency
+async function updateUnit(propertyId, unitId, fields) {
+  const unit = await getUnit(propertyId, unitId);
+  const currency = fields.currency ? fields.currency.toLowerCase() : unit.currency;
+  const currentRent = fields.currentRent === undefined ? unit.currentRent : fields.currentRent;
+
+  await db.update(
+    'units',
+    { ...unitColumns({ ...fields, currentRent }, currency), updated_at: new Date().toISOString() },
+    { id: unitId, property_id: propertyId }
+  );
+  return getUnit(propertyId, unitId);
+}
+
+async function deleteUnit(propertyId, unitId) {
+  await db.run('DELETE FROM units WHERE id = ? AND property_id = ?', [unitId, propertyId]);
+}
+
+module.exports = {
+  listProperties,
+  getProperty,
+  countProperties,
+  createProperty,
+  updateProperty,
+  deleteProperty,
+  listUnits,
+  getUnit,
+  getOwnedUnit,
+  getUnitByLabel,
+  createUnit,
+  updateUnit,
+  deleteUnit
+};
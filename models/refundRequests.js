@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// pending_approval waits for a second admin; processing has a Stripe refund that
+// has not settled; succeeded, failed, canceled and rejected are final
+const STATUSES = ['pending_approval', 'processing', 'succeeded', 'failed', 'canceled', 'rejected'];
+
+// Stripe refund status -> request status
+const STATUS_FROM_REFUND = {
+  pending: 'processing',
+  requires_action: 'processing',
+  succeeded: 'succeeded',
+  failed: 'failed',
+  canceled: 'canceled'
+};
+
+// Amounts stay in minor units here
+const formatRequest = (row) => row && {
+  id: row.id,
+  paymentIntentId: row.payment_intent_id,
+  amount: Number(row.amount),
+  currency: row.currency,
+  reason: row.reason,
+  note: row.note,
+  status: row.status,
+  requestedBy: row.requested_by,
+  requestedByName: row.requested_by_name,
+  reviewedBy: row.reviewed_by,
+  reviewedByName: row.reviewed_by_name,
+  reviewedAt: row.reviewed_at,
+  rejectionReason: row.rejection_reason,
+  refundId: row.refund_id,
+  failureReason: row.failure_reason,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+};
+
+// Create a request unless it no longer fits on its payment: `captured` less
+// `refunded`, what Stripe showed as refunded at `since`. Requests Stripe may not
+// have counted then (awaiting approval, not yet issued, or issued since) are
+// summed again under a lock on the payment, so requests made at the same time
+// cannot together refund more than was captured. `statusFor` picks the new
+// request's status from the payment's refunds with it, in minor units.
+// Returns { request }, or { available } (minor units) if it does not fit.
+async function createRequest({ paymentIntentId, amount, currency, reason, note, requestedBy }, { captured, refunded, since, statusFor }) {
+  return db.transaction(async (tx) => {
+    if (tx.dialect === 'postgres') {
+      await tx.one('SELECT pg_advisory_xact_lock(hashtext(?))', [paymentIntentId]);
+    }
+
+    const { total } = await tx.one(
+      `SELECT COALESCE(SUM(amount), 0) AS total FROM refund_requests
+       WHERE payment_intent_id = ? AND (status = 'pending_approval'
+         OR (status IN ('processing', 'succeeded') AND (refund_id IS NULL OR updated_at >= ?)))`,
+      [paymentIntentId, since]
+    );
+    const available = Math.max(0, captured - refunded - Number(total));
+    if (amount > available) return { available };
+
+    const now = new Date().toISOString();
+    const id = crypto.randomUUID();
+
+    await tx.insert('refund_requests', {
+      id,
+      payment_intent_id: paymentIntentId,
+      amount,
+      currency,
+      reason: reason || null,
+      note: note || null,
+      status: statusFor(refunded + Number(total) + amount),
+      requested_by: requestedBy.id,
+      requested_by_name: requestedBy.name || null,
+      created_at: now,
+      updated_at: now
+    });
+    return { request: formatRequest(await tx.one('SELECT * FROM refund_requests WHERE id = ?', [id])) };
+  });
+}
+
+async function getRequest(requestId) {
+  return formatRequest(await db.one('SELECT * FROM refund_requests WHERE id = ?', [requestId]));
+}
+
+async function listRequests({ status, paymentIntentId, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (paymentIntentId) {
+    conditions.push('payment_intent_id = ?');
+    params.push(paymentIntentId);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const rows = await db.query(
+    `SELECT * FROM refund_requests ${where} ORDER BY created_at DESC, id ASC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const { total } = await db.one(`SELECT COUNT(*) AS total FROM refund_requests ${where}`, params);
+
+  return { requests: rows.map(formatRequest), total };
+}
+
+// Minor units held by requests awaiting approval on a payment
+async function reservedAmount(paymentIntentId, { excludeRequestId } = {}) {
+  const { total } = await db.one(
+    `SELECT COALESCE(SUM(amount), 0) AS total FROM refund_requests
+     WHERE payment_intent_id = ? AND status = 'pending_approval' AND id <> ?`,
+    [paymentIntentId, excludeRequestId || '']
+  );
+  return Number(total);
+}
+
+// Move a pending request on to `status` (processing or rejected) for a reviewer.
+// Returns false if it was no longer pending, e.g. another admin got there first.
+async function review(requestId, { status, reviewer, rejectionReason }) {
+  const now = new Date().toISOString();
+  const { changes } = await db.run(
+    `UPDATE refund_requests SET status = ?, reviewed_by = ?, reviewed_by_name = ?, reviewed_at = ?,
+       rejection_reason = ?, updated_at = ?
+     WHERE id = ? AND status = 'pending_approval'`,
+    [status, reviewer.id, reviewer.name || null, now, rejectionReason || null, now, requestId]
+  );
+  return changes > 0;
+}
+
+// Link the Stripe refund and take on its status
+async function attachRefund(requestId, refund) {
+  await db.update('refund_requests', {
+    refund_id: refund.id,
+    status: STATUS_FROM_REFUND[refund.status] || 'processing',
+    failure_reason: refund.failure_reason || null,
+    updated_at: new Date().toISOString()
+  }, { id: requestId });
+}
+
+// Stripe would not create the refund
+async function markFailed(requestId, failureReason) {
+  await db.update('refund_requests', {
+    status: 'failed',
+    failure_reason: failureReason,
+    updated_at: new Date().toISOString()
+  }, { id: requestId });
+}
+
+// Follow a Stripe refund's status on the request that created it.
+// Returns the updated request, or null if the refund was not made through one.
+async function syncFromRefund(refund) {
+  const requestId = refund.metadata && refund.metadata.refundRequestId;
+  const { changes } = await db.run(
+    `UPDATE refund_requests SET refund_id = ?, status = ?, failure_reason = ?, updated_at = ?
+     WHERE (refund_id = ? OR id = ?) AND status <> 'rejected'`,
+    [
+      refund.id,
+      STATUS_FROM_REFUND[refund.status] || 'processing',
+      refund.failure_reason || null,
+      new Date().toISOString(),
+      refund.id,
+      requestId || ''
+    ]
+  );
+  if (changes === 0) return null;
+  return formatRequest(await db.one('SELECT * FROM refund_requests WHERE refund_id = ?', [refund.id]));
+}
+
+module.exports = {
+  STATUSES,
+  createRequest,
+  getRequest,
+  listRequests,
+  reservedAmount,
+  review,
+  attachRefund,
+  markFailed,
+  syncFromRefund
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { toMajorUnits } = require('../lib/money');
+
+const formatCharge = (row) => row && {
+  id: row.id,
+  leaseId: row.lease_id,
+  period: row.period,
+  dueDate: row.due_date,
+  amount: toMajorUnits(row.amount, row.currency),
+  currency: row.currency,
+  status: row.status,
+  checkoutSessionId: row.checkout_session_id,
+  paymentIntentId: row.payment_intent_id,
+  paidAt: row.paid_at,
+  createdAt: row.created_at
+};
+
+// Create the charge for a lease period unless it already exists. Returns true if created.
+async function createCharge({ leaseId, period, dueDate, amount, currency }) {
+  const now = new Date().toISOString();
+
+  const { changes } = await db.run(
+    `INSERT INTO rent_charges (id, lease_id, period, due_date, amount, currency, status, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, 'open', ?, ?)
+     ON CONFLICT (lease_id, period) DO NOTHING`,
+    [crypto.randomUUID(), leaseId, period, dueDate, amount, currency, now, now]
+  );
+  return changes > 0;
+}
+
+async function listCharges(leaseId, { status } = {}) {
+  const rows = await db.query(
+    `SELECT * FROM rent_charges WHERE lease_id = ? ${status ? 'AND status = ?' : ''} ORDER BY period DESC`,
+    status ? [leaseId, status] : [leaseId]
+  );
+  return rows.map(formatCharge);
+}
+
+async function getCharge(leaseId, chargeId) {
+  return formatCharge(await db.one('SELECT * FROM rent_charges WHERE id = ? AND lease_id = ?', [chargeId, leaseId]));
+}
+
+// Replace the session opened for a charge with `checkoutSessionId`, if it is still
+// `previousSessionId` (null for none). Returns false if another session was attached meanwhile.
+async function attachCheckoutSession(chargeId, checkoutSessionId, previousSessionId = null) {
+  const { changes } = await db.run(
+    `UPDATE rent_charges SET checkout_session_id = ?, updated_at = ?
+     WHERE id = ? AND ${previousSessionId ? 'checkout_session_id = ?' : 'checkout_session_id IS NULL'}`,
+    [checkoutSessionId, new Date().toISOString(), chargeId, ...(previousSessionId ? [previousSessionId] : [])]
+  );
+  return changes > 0;
+}
+
+async function getChargeById(chargeId) {
+  return formatCharge(await db.one('SELECT * FROM rent_charges WHERE id = ?', [chargeId]));
+}
+
+// Mark a charge paid. Returns false if it was not open (already paid or voided).
+async function markPaid(chargeId, { checkoutSessionId, paymentIntentId }) {
+  const now = new Date().toISOString();
+  const { changes } = await db.run(
+    `UPDATE rent_charges SET status = 'paid', checkout_session_id = ?, payment_intent_id = ?, paid_at = ?, updated_at = ?
+     WHERE id = ? AND status = 'open'`,
+    [checkoutSessionId, paymentIntentId, now, now, chargeId]
+  );
+  return changes > 0;
+}
+
+// Void open charges falling due after a lease ends
+async function voidChargesDueAfter(leaseId, date) {
+  await db.run(
+    `UPDATE rent_charges SET status = 'void', updated_at = ?
+     WHERE lease_id = ? AND status = 'open' AND due_date > ?`,
+    [new Date().toISOString(), leaseId, date]
+  );
+}
+
+module.exports = {
+  createCharge,
+  listCharges,
+  getCharge,
+  getChargeById,
+  attachCheckoutSession,
+  markPaid,
+  voidChargesDueAfter
+};
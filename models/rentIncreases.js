@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { toMinorUnits, toMajorUnits } = require('../lib/money');
+
+const STATUSES = ['scheduled', 'applied'];
+
+// Rents are in the lease's currency
+const SELECT_INCREASES = `
+  SELECT rent_increases.*, leases.currency
+  FROM rent_increases
+  JOIN leases ON leases.id = rent_increases.lease_id`;
+
+const formatIncrease = (row) => row && {
+  id: row.id,
+  leaseId: row.lease_id,
+  previousRent: toMajorUnits(row.previous_rent, row.currency),
+  newRent: toMajorUnits(row.new_rent, row.currency),
+  currency: row.currency,
+  effectiveDate: row.effective_date,
+  status: row.status,
+  createdAt: row.created_at
+};
+
+async function createIncrease({ leaseId, previousRent, newRent, currency, effectiveDate, status }) {
+  const id = crypto.randomUUID();
+
+  await db.insert('rent_increases', {
+    id,
+    lease_id: leaseId,
+    previous_rent: toMinorUnits(previousRent, currency),
+    new_rent: toMinorUnits(newRent, currency),
+    effective_date: effectiveDate,
+    status,
+    created_at: new Date().toISOString()
+  });
+
+  return formatIncrease(await db.one(`${SELECT_INCREASES} WHERE rent_increases.id = ?`, [id]));
+}
+
+// Rent changes on a lease, oldest first
+async function listIncreases(leaseId, { status } = {}) {
+  const rows = await db.query(
+    `${SELECT_INCREASES} WHERE rent_increases.lease_id = ? ${status ? 'AND rent_increases.status = ?' : ''}
+     ORDER BY rent_increases.effective_date ASC, rent_increases.created_at ASC`,
+    status ? [leaseId, status] : [leaseId]
+  );
+  return rows.map(formatIncrease);
+}
+
+// Scheduled changes whose effective date has arrived
+async function listDueIncreases(asOfDate) {
+  const rows = await db.query(
+    `${SELECT_INCREASES} WHERE rent_increases.status = 'scheduled' AND rent_increases.effective_date <= ?
+     ORDER BY rent_increases.effective_date ASC`,
+    [asOfDate]
+  );
+  return rows.map(formatIncrease);
+}
+
+async function markApplied(increaseId) {
+  await db.update('rent_increases', { status: 'applied' }, { id: increaseId });
+}
+
+module.exports = {
+  STATUSES,
+  createIncrease,
+  listIncreases,
+  listDueIncreases,
+  markApplied
+};
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { toMinorUnits, toMajorUnits } = require('../lib/money');
+
+// due: awaiting the tenant's payment; held: collected, during the tenancy;
+// returning: the statement is fixed and its refund is on the way;
+// returned: the refund went through and the statement is final
+const STATUSES = ['due', 'held', 'returning', 'returned'];
+
+const DEDUCTION_CATEGORIES = ['unpaid_rent', 'late_fees', 'cleaning', 'damage', 'keys', 'utilities', 'other'];
+
+const formatDeduction = (row) => row && {
+  id: row.id,
+  depositId: row.deposit_id,
+  category: row.category,
+  description: row.description,
+  amount: toMajorUnits(row.amount, row.currency),
+  currency: row.currency,
+  evidence: row.evidence,
+  createdAt: row.created_at
+};
+
+const formatDeposit = (row) => row && {
+  id: row.id,
+  leaseId: row.lease_id,
+  amount: toMajorUnits(row.amount, row.currency),
+  currency: row.currency,
+  status: row.status,
+  collectedOn: row.collected_on,
+  checkoutSessionId: row.checkout_session_id,
+  paymentIntentId: row.payment_intent_id,
+  moveOutDate: row.move_out_date,
+  interestAmount: toMajorUnits(row.interest_amount, row.currency),
+  deductionsAmount: toMajorUnits(row.deductions_amount, row.currency),
+  refundAmount: toMajorUnits(row.refund_amount, row.currency),
+  refundRequestId: row.refund_request_id,
+  returnedAt: row.returned_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+};
+
+// Record a lease's deposit. One collected outside Stripe is held from `collectedOn`;
+// otherwise it is due until the tenant pays it.
+async function createDeposit({ leaseId, amount, currency, collectedOn }) {
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+
+  await db.insert('security_deposits', {
+    id,
+    lease_id: leaseId,
+    amount: toMinorUnits(amount, currency),
+    currency,
+    status: collectedOn ? 'held' : 'due',
+    collected_on: collectedOn || null,
+    created_at: now,
+    updated_at: now
+  });
+  return getDeposit(id);
+}
+
+async function getDeposit(depositId) {
+  return formatDeposit(await db.one('SELECT * FROM security_deposits WHERE id = ?', [depositId]));
+}
+
+async function getDepositForLease(leaseId) {
+  return formatDeposit(await db.one('SELECT * FROM security_deposits WHERE lease_id = ?', [leaseId]));
+}
+
+async function getDepositForRefundRequest(refundRequestId) {
+  return formatDeposit(await db.one('SELECT * FROM security_deposits WHERE refund_request_id = ?', [refundRequestId]));
+}
+
+// The deposit's statement as fixed when it was returned, or null while it is held
+async function getStatement(depositId) {
+  const row = await db.one('SELECT statement FROM security_deposits WHERE id = ?', [depositId]);
+  return row && row.statement ? JSON.parse(row.statement) : null;
+}
+
+// A due deposit can be deleted, e.g. to record it again with another amount.
+// Returns false if it has been collected.
+async function deleteDeposit(depositId) {
+  const { changes } = await db.run("DELETE FROM security_deposits WHERE id = ? AND status = 'due'", [depositId]);
+  return changes > 0;
+}
+
+// Replace the session opened for a deposit with `checkoutSessionId`, if it is still
+// `previousSessionId` (null for none). Returns false if another session was attached meanwhile.
+async function attachCheckoutSession(depositId, checkoutSessionId, previousSessionId = null) {
+  const { changes } = await db.run(
+    `UPDATE security_deposits SET checkout_session_id = ?, updated_at = ?
+     WHERE id = ? AND ${previousSessionId ? 'checkout_session_id = ?' : 'checkout_session_id IS NULL'}`,
+    [checkoutSessionId, new Date().toISOString(), depositId, ...(previousSessionId ? [previousSessionId] : [])]
+  );
+  return changes > 0;
+}
+
+// Mark a due deposit paid by the tenant. Returns false if it was not due.
+async function markCollected(depositId, { collectedOn, checkoutSessionId, paymentIntentId }) {
+  const { changes } = await db.run(
+    `UPDATE security_deposits SET status = 'held', collected_on = ?, checkout_session_id = ?, payment_intent_id = ?, updated_at = ?
+     WHERE id = ? AND status = 'due'`,
+    [collectedOn, checkoutSessionId, paymentIntentId, new Date().toISOString(), depositId]
+  );
+  return changes > 0;
+}
+
+// Deductions, oldest first
+async function listDeductions(depositId) {
+  const rows = await db.query(
+    `SELECT deposit_deductions.*, security_deposits.currency FROM deposit_deductions
+     JOIN security_deposits ON security_deposits.id = deposit_deductions.deposit_id
+     WHERE deposit_id = ? ORDER BY deposit_deductions.created_at ASC, deposit_deductions.id ASC`,
+    [depositId]
+  );
+  return rows.map(formatDeduction);
+}
+
+async function getDeduction(depositId, deductionId) {
+  return formatDeduction(await db.one(
+    `SELECT deposit_deductions.*, security_deposits.currency FROM deposit_deductions
+     JOIN security_deposits ON security_deposits.id = deposit_deductions.deposit_id
+     WHERE deposit_deductions.id = ? AND deposit_id = ?`,
+    [deductionId, depositId]
+  ));
+}
+
+// `deposit` is the formatted deposit the amount is taken from
+async function addDeduction(deposit, { category, description, amount, evidence }) {
+  const id = crypto.randomUUID();
+
+  await db.insert('deposit_deductions', {
+    id,
+    deposit_id: deposit.id,
+    category,
+    description,
+    amount: toMinorUnits(amount, deposit.currency),
+    evidence: evidence || null,
+    created_at: new Date().toISOString()
+  });
+  return getDeduction(deposit.id, id);
+}
+
+async function deleteDeduction(depositId, deductionId) {
+  await db.run('DELETE FROM deposit_deductions WHERE id = ? AND deposit_id = ?', [deductionId, depositId]);
+}
+
+// Start returning a held deposit: fix its statement (amounts in minor units)
+// while the refund is made. Returns false if it was no longer held, e.g. a
+// concurrent return got there first.
+async function markReturning(depositId, { moveOutDate, interestAmount, deductionsAmount, refundAmount, statement }) {
+  const { changes } = await db.run(
+    `UPDATE security_deposits SET status = 'returning', move_out_date = ?, interest_amount = ?, deductions_amount = ?,
+       refund_amount = ?, statement = ?, updated_at = ?
+     WHERE id = ? AND status = 'held'`,
+    [moveOutDate, interestAmount, deductionsAmount, refundAmount, JSON.stringify(statement), new Date().toISOString(), depositId]
+  );
+  return changes > 0;
+}
+
+// Close a returning deposit once its refund has gone through. Returns false if
+// it was not returning, e.g. a replayed webhook already closed it.
+async function markReturned(depositId) {
+  const now = new Date().toISOString();
+  const { changes } = await db.run(
+    "UPDATE security_deposits SET status = 'returned', returned_at = ?, updated_at = ? WHERE id = ? AND status = 'returning'",
+    [now, now, depositId]
+  );
+  return changes > 0;
+}
+
+// Put a deposit whose refund could not be made back to held, so the return
+// can be retried. Returns false if it was already held.
+async function reopen(depositId) {
+  const { changes } = await db.run(
+    `UPDATE security_deposits SET status = 'held', move_out_date = NULL, interest_amount = NULL, deductions_amount = NULL,
+       refund_amount = NULL, refund_request_id = NULL, statement = NULL, returned_at = NULL, updated_at = ?
+     WHERE id = ? AND status IN ('returning', 'returned')`,
+    [new Date().toISOString(), depositId]
+  );
+  return changes > 0;
+}
+
+async function attachRefundRequest(depositId, refundRequestId) {
+  await db.update(
+    'security_deposits',
+    { refund_request_id: refundRequestId, updated_at: new Date().toISOString() },
+    { id: depositId }
+  );
+}
+
+module.exports = {
+  STATUSES,
+  DEDUCTION_CATEGORIES,
+  createDeposit,
+  getDeposit,
+  getDepositForLease,
+  getDepositForRefundRequest,
+  getStatement,
+  deleteDeposit,
+  attachCheckoutSession,
+  markCollected,
+  listDeductions,
+  getDeduction,
+  addDeduction,
+  deleteDeduction,
+  markReturning,
+  markReturned,
+  reopen,
+  attachRefundRequest
+};
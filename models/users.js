@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { toMajorUnits } = require('../lib/money');
+
+// Account statuses shown in the admin dashboard
+const STATUSES = ['trial', 'active', 'past_due', 'canceled', 'deleted'];
+
+// Map a Stripe subscription status onto an account status
+const statusFromSubscription = (subscriptionStatus) => {
+  switch (subscriptionStatus) {
+    case 'trialing':
+      return 'trial';
+    case 'active':
+      return 'active';
+    case 'past_due':
+    case 'unpaid':
+    case 'incomplete':
+      return 'past_due';
+    default:
+      return 'canceled';
+  }
+};
+
+const SELECT_USERS = `
+  SELECT users.*,
+    (SELECT COALESCE(SUM(amount_paid), 0) FROM invoices
+      WHERE invoices.customer_id = users.customer_id AND invoices.status = 'paid') AS revenue,
+    (SELECT MAX(currency) FROM invoices
+      WHERE invoices.customer_id = users.customer_id AND invoices.status = 'paid') AS revenue_currency,
+    (SELECT COUNT(*) FROM properties WHERE properties.owner_id = users.id) AS properties,
+    (SELECT COUNT(*) FROM units JOIN properties ON properties.id = units.property_id
+      WHERE properties.owner_id = users.id) AS units,
+    (SELECT COUNT(*) FROM dunning_cases
+      WHERE dunning_cases.subscription_id = users.subscription_id AND dunning_cases.status = 'restricted') AS restricted
+  FROM users`;
+
+const formatUser = (row) => row && {
+  id: row.id,
+  name: row.name,
+  email: row.email,
+  plan: row.plan,
+  status: row.status,
+  properties: row.properties || 0,
+  units: row.units || 0,
+  joinDate: row.created_at,
+  lastActive: row.last_active_at,
+  revenue: toMajorUnits(row.revenue || 0, row.revenue_currency || 'usd'),
+  revenueCurrency: row.revenue_currency || 'usd',
+  subscriptionId: row.subscription_id,
+  customerId: row.customer_id,
+  restricted: Boolean(row.restricted)
+};
+
+async function getUser(userId) {
+  return formatUser(await db.one(`${SELECT_USERS} WHERE users.id = ? AND users.deleted_at IS NULL`, [userId]));
+}
+
+async function getUserByCustomerId(customerId) {
+  return formatUser(await db.one(`${SELECT_USERS} WHERE users.customer_id = ? AND users.deleted_at IS NULL`, [customerId]));
+}
+
+async function getUserByEmail(email) {
+  return formatUser(await db.one(`${SELECT_USERS} WHERE LOWER(users.email) = ?`, [email.toLowerCase()]));
+}
+
+// Search, filter and paginate in the store
+async function listUsers({ search, status, limit = 50, offset = 0 } = {}) {
+  const conditions = ['users.deleted_at IS NULL'];
+  const params = [];
+
+  if (search) {
+    conditions.push('(LOWER(users.name) LIKE ? OR LOWER(users.email) LIKE ?)');
+    params.push(`%${search.toLowerCase()}%`, `%${search.toLowerCase()}%`);
+  }
+
+  if (status && status !== 'all') {
+    conditions.push('users.status = ?');
+    params.push(status);
+  }
+
+  const where = `WHERE ${conditions.join(' AND ')}`;
+
+  const rows = await db.query(
+    `${SELECT_USERS} ${where} ORDER BY users.created_at DESC, users.id ASC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const { total } = await db.one(`SELECT COUNT(*) AS total FROM users ${where}`, params);
+
+  return { users: rows.map(formatUser), total };
+}
+
+// Create or link an account when a checkout completes
+async function upsertFromCheckout({ userId, email, name, plan, customerId, subscriptionId }) {
+  const now = new Date().toISOString();
+  const existing = await db.one(
+    'SELECT id FROM users WHERE id = ? OR LOWER(email) = ?',
+    [userId || null, email.toLowerCase()]
+  );
+
+  if (existing) {
+    await db.run(
+      `UPDATE users SET
+        name = COALESCE(name, ?),
+        plan = COALESCE(?, plan),
+        customer_id = COALESCE(?, customer_id),
+        subscription_id = COALESCE(?, subscription_id),
+        deleted_at = NULL,
+        updated_at = ?
+      WHERE id = ?`,
+      [name || null, plan || null, customerId || null, subscriptionId || null, now, existing.id]
+    );
+    return getUser(existing.id);
+  }
+
+  const id = userId || crypto.randomUUID();
+  await db.insert('users', {
+    id,
+    name: name || null,
+    email: email.toLowerCase(),
+    plan: plan || null,
+    status: subscriptionId ? 'active' : 'trial',
+    customer_id: customerId || null,
+    subscription_id: subscriptionId || null,
+    created_at: now,
+    updated_at: now
+  });
+  return getUser(id);
+}
+
+// Keep the account status, and the plan when known, in step with its Stripe subscription.
+// An ended subscription only downgrades the account if it is the one currently linked.
+async function syncSubscriptionStatus({ subscriptionId, customerId, subscriptionStatus, plan }) {
+  const status = statusFromSubscription(subscriptionStatus);
+
+  await db.run(
+    `UPDATE users SET status = ?, subscription_id = ?, plan = COALESCE(?, plan), updated_at = ?
+     WHERE customer_id = ? AND deleted_at IS NULL
+       AND (subscription_id IS NULL OR subscription_id = ? OR ? <> 'canceled')`,
+    [status, subscriptionId, plan || null, new Date().toISOString(), customerId, subscriptionId, status]
+  );
+}
+
+async function updateUser(userId, { name, email, plan, status }) {
+  await db.run(
+    `UPDATE users SET
+      name = COALESCE(?, name),
+      email = COALESCE(?, email),
+      plan = COALESCE(?, plan),
+      status = COALESCE(?, status),
+      updated_at = ?
+    WHERE id = ? AND deleted_at IS NULL`,
+    [name || null, email ? email.toLowerCase() : null, plan || null, status || null, new Date().toISOString(), userId]
+  );
+  return getUser(userId);
+}
+
+async function touchLastActive(userId) {
+  await db.run('UPDATE users SET last_active_at = ? WHERE id = ?', [new Date().toISOString(), userId]);
+}
+
+async function softDeleteUser(userId) {
+  const now = new Date().toISOString();
+  await db.run(
+    'UPDATE users SET status = ?, deleted_at = ?, updated_at = ? WHERE id = ?',
+    ['deleted', now, now, userId]
+  );
+}
+
+module.exports = {
+  STATUSES,
+  statusFromSubscription,
+  getUser,
+  getUserByCustomerId,
+  getUserByEmail,
+  listUsers,
+  upsertFromCheckout,
+  syncSubscriptionStatus,
+  updateUser,
+  touchLastActive,
+  softDeleteUser
+};
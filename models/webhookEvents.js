@@ -0,0 +1,101 @@
+const db = require('../db');
+
+// Event statuses
+const RECEIVED = 'received';
+const PROCESSING = 'processing';
+const PROCESSED = 'processed';
+const FAILED = 'failed';
+
+const formatEvent = (row) => row && {
+  ...row,
+  payload: JSON.parse(row.payload)
+};
+
+// Store an event the first time it is delivered. Returns false for duplicates.
+async function recordEvent(event) {
+  const { changes } = await db.run(
+    `INSERT INTO webhook_events (id, type, payload, status, created, received_at)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT (id) DO NOTHING`,
+    [event.id, event.type, event, RECEIVED, event.created || null, new Date().toISOString()]
+  );
+  return changes > 0;
+}
+
+// Atomically move an event into processing so concurrent deliveries don't both run it.
+// `statuses` lists the states the event may be claimed from.
+async function claimEvent(eventId, statuses = [RECEIVED, FAILED]) {
+  const { changes } = await db.run(
+    `UPDATE webhook_events SET status = ?, attempts = attempts + 1, error = NULL
+     WHERE id = ? AND status IN (${statuses.map(() => '?').join(', ')})`,
+    [PROCESSING, eventId, ...statuses]
+  );
+  return changes > 0;
+}
+
+async function markProcessed(eventId) {
+  await db.run(
+    'UPDATE webhook_events SET status = ?, processed_at = ? WHERE id = ?',
+    [PROCESSED, new Date().toISOString(), eventId]
+  );
+}
+
+async function markFailed(eventId, error) {
+  await db.run(
+    'UPDATE webhook_events SET status = ?, error = ? WHERE id = ?',
+    [FAILED, error.message || String(error), eventId]
+  );
+}
+
+async function getEvent(eventId) {
+  return formatEvent(await db.one('SELECT * FROM webhook_events WHERE id = ?', [eventId]));
+}
+
+// List events oldest first. `from`/`to` are unix seconds on the Stripe event creation time.
+async function listEvents({ status, type, from, to, limit = 50, offset = 0, includePayload = false } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (type) {
+    conditions.push('type = ?');
+    params.push(type);
+  }
+  if (from) {
+    conditions.push('created >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('created <= ?');
+    params.push(to);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const columns = includePayload
+    ? '*'
+    : 'id, type, status, error, attempts, created, received_at, processed_at';
+
+  const rows = await db.query(
+    `SELECT ${columns} FROM webhook_events ${where} ORDER BY created ASC, id ASC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const { total } = await db.one(`SELECT COUNT(*) AS total FROM webhook_events ${where}`, params);
+
+  return { events: includePayload ? rows.map(formatEvent) : rows, total };
+}
+
+module.exports = {
+  RECEIVED,
+  PROCESSING,
+  PROCESSED,
+  FAILED,
+  recordEvent,
+  claimEvent,
+  markProcessed,
+  markFailed,
+  getEvent,
+  listEvents
+};
@@ -1,37 +1,184 @@
 const express = require('express');
-const Stripe = require('stripe');
+const { stripe } = require('../lib/stripe');
+const billing = require('../models/billing');
+const users = require('../models/users');
+const auditLog = require('../models/auditLog');
+const webhookEvents = require('../models/webhookEvents');
+const stripeEvents = require('../services/stripeEvents');
+const { getAnalytics } = require('../services/analytics');
+const { EXPORT_TYPES, FORMATS, streamExport } = require('../services/exports');
+const { recordAudit } = require('../services/audit');
+const { getDunningSummary } = require('../services/dunning');
+const dunningCases = require('../models/dunningCases');
+const refundRequests = require('../models/refundRequests');
+const refunds = require('../services/refunds');
+const { requirePermission } = require('../middleware/adminAuth');
+const { validate } = require('../middleware/validate');
+const { idempotent, stripeRequestOptions } = require('../middleware/idempotency');
+const { decodeCursor } = require('../lib/cursor');
+const { toMajorUnits } = require('../lib/money');
+const { z, stripeId, amount, email, planId, queryInt, date, timestamp, pagination } = require('../lib/schemas');
+const { findPrice } = require('../config/plans');
 const router = express.Router();
 
-// Initialize Stripe with secret key
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+const SUBSCRIPTION_STATUSES = ['incomplete', 'incomplete_expired', 'trialing', 'active', 'past_due', 'canceled', 'unpaid', 'paused'];
+const PAYMENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action', 'processing', 'requires_capture', 'canceled', 'succeeded'];
+const WEBHOOK_EVENT_STATUSES = [webhookEvents.RECEIVED, webhookEvents.PROCESSING, webhookEvents.PROCESSED, webhookEvents.FAILED];
+const REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
 
-// Middleware for admin authentication (simplified for demo)
-const requireAdmin = (req, res, next) => {
-  // In production, implement proper admin authentication
-  const adminKey = req.headers['x-admin-key'];
-  if (adminKey !== process.env.ADMIN_API_KEY) {
-    return res.status(401).json({ error: 'Unauthorized' });
+// `status` filter: one of `statuses`, or 'all' (returned as undefined)
+const statusFilter = (statuses) => z.enum(['all', ...statuses]).optional()
+  .transform((status) => (status === 'all' ? undefined : status));
+
+// Optional `from`/`to` query dates
+const dateRange = {
+  from: date.optional(),
+  to: date.optional()
+};
+
+// Optional `from`/`to` created filters, as unix seconds
+const timestampRange = {
+  from: timestamp.optional(),
+  to: timestamp.optional()
+};
+
+const searchTerm = z.string().trim().max(200).optional();
+
+// Query of a cursor-paginated listing: `cursor`, `limit` (1-100), `status`,
+// `customerId`, `plan` and `from`/`to` created dates
+const listQuery = (statuses) => z.object({
+  cursor: z.string().optional().transform((cursor, ctx) => {
+    if (cursor === undefined) return undefined;
+
+    const position = decodeCursor(cursor);
+    if (!position) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Invalid cursor' });
+      return z.NEVER;
+    }
+    return position;
+  }),
+  limit: queryInt({ max: 100 }).default(50),
+  status: statusFilter(statuses),
+  customerId: stripeId('cus').optional(),
+  plan: searchTerm,
+  ...timestampRange
+});
+
+const userParams = z.object({ userId: z.string().trim().min(1).max(255) });
+const eventParams = z.object({ eventId: stripeId('evt') });
+const refundRequestParams = z.object({ requestId: z.string().uuid() });
+
+const schemas = {
+  analytics: {
+    query: z.object(dateRange).refine(
+      ({ from, to }) => !(from && to && from >= to),
+      { path: ['from'], message: 'Must be before to' }
+    )
+  },
+  listUsers: {
+    query: z.object({ ...pagination, search: searchTerm, status: statusFilter(users.STATUSES) })
+  },
+  getUser: { params: userParams },
+  updateUser: {
+    params: userParams,
+    body: z.object({
+      name: z.string().trim().min(1).max(200).optional(),
+      email: email.optional(),
+      plan: planId.optional(),
+      status: z.enum(users.STATUSES).optional()
+    })
+  },
+  deleteUser: { params: userParams },
+  listSubscriptions: { query: listQuery(SUBSCRIPTION_STATUSES) },
+  cancelSubscription: {
+    params: z.object({ subscriptionId: stripeId('sub') }),
+    body: z.object({
+      cancelAtPeriodEnd: z.boolean().default(true),
+      reason: z.string().trim().max(500).optional()
+    })
+  },
+  listDunningCases: {
+    query: z.object({ ...pagination, status: statusFilter(dunningCases.STATUSES) })
+  },
+  createRefund: {
+    body: z.object({
+      paymentIntentId: stripeId('pi'),
+      amount: amount.optional(),
+      reason: z.enum(REFUND_REASONS).default('requested_by_customer'),
+      note: z.string().trim().max(500).optional()
+    })
+  },
+  listRefundRequests: {
+    query: z.object({
+      ...pagination,
+      status: statusFilter(refundRequests.STATUSES).default('pending_approval'),
+      paymentIntentId: stripeId('pi').optional()
+    })
+  },
+  getRefundRequest: { params: refundRequestParams },
+  rejectRefundRequest: {
+    params: refundRequestParams,
+    body: z.object({ reason: z.string().trim().min(1).max(500) })
+  },
+  listPayments: { query: listQuery(PAYMENT_STATUSES) },
+  exportData: {
+    query: z.object({
+      type: z.enum(EXPORT_TYPES).default('users'),
+      format: z.enum(Object.keys(FORMATS)).default('csv'),
+      status: z.string().trim().max(50).optional().transform((status) => (status === 'all' ? undefined : status)),
+      ...dateRange
+    })
+  },
+  listWebhookEvents: {
+    query: z.object({
+      ...pagination,
+      status: statusFilter(WEBHOOK_EVENT_STATUSES).default(webhookEvents.FAILED),
+      type: searchTerm,
+      ...timestampRange
+    })
+  },
+  getWebhookEvent: { params: eventParams },
+  replayWebhookEvent: {
+    params: eventParams,
+    body: z.object({ force: z.boolean().default(false) })
+  },
+  replayWebhookEvents: {
+    body: z.object({
+      eventIds: z.array(stripeId('evt')).min(1).max(100).optional(),
+      status: z.enum(['all', ...WEBHOOK_EVENT_STATUSES]).default(webhookEvents.FAILED)
+        .transform((status) => (status === 'all' ? undefined : status)),
+      type: searchTerm,
+      ...timestampRange,
+      limit: z.number().int().min(1).max(100).default(100),
+      force: z.boolean().default(false)
+    })
+  },
+  listAudit: {
+    query: z.object({
+      ...pagination,
+      actorId: searchTerm,
+      action: searchTerm,
+      targetId: searchTerm,
+      ...dateRange
+    })
+  },
+  exportAudit: {
+    query: z.object({
+      format: z.enum(Object.keys(FORMATS)).default('csv'),
+      actorId: searchTerm,
+      action: searchTerm,
+      targetId: searchTerm,
+      ...dateRange
+    })
   }
-  next();
 };
 
-// Get dashboard analytics
-router.get('/analytics', requireAdmin, async (req, res) => {
+// Get dashboard analytics (`from`/`to` ISO dates, defaults to the last 12 months)
+router.get('/analytics', requirePermission('analytics:read'), validate(schemas.analytics), async (req, res) => {
   try {
-    // In production, these would come from your database
-    const analytics = {
-      totalUsers: 1247,
-      activeSubscriptions: 892,
-      monthlyRevenue: 44650,
-      totalProperties: 3421,
-      growthRate: 12.5,
-      churnRate: 2.1,
-      revenueGrowth: 18.3,
-      newUsersThisMonth: 156,
-      cancelledSubscriptions: 23
-    };
-
-    res.json({ analytics });
+    const { analytics, series } = await getAnalytics(req.query);
+
+    res.json({ analytics, series });
   } catch (error) {
     console.error('Error fetching analytics:', error);
     res.status(500).json({ error: 'Failed to fetch analytics' });
@@ -39,79 +186,24 @@ router.get('/analytics', requireAdmin, async (req, res) => {
 });
 
 // Get all users with pagination
-router.get('/users', requireAdmin, async (req, res) => {
+router.get('/users', requirePermission('users:read'), validate(schemas.listUsers), async (req, res) => {
   try {
-    const { page = 1, limit = 50, search, status } = req.query;
-    
-    // In production, implement actual database queries
-    const mockUsers = [
-      {
-        id: '1',
-        name: 'John Smith',
-        email: 'john@example.com',
-        plan: 'Professional',
-        status: 'active',
-        properties: 5,
-        joinDate: '2024-01-15',
-        lastActive: '2024-01-20',
-        revenue: 599.88,
-        subscriptionId: 'sub_1234567890',
-        customerId: 'cus_1234567890'
-      },
-      {
-        id: '2',
-        name: 'Sarah Johnson',
-        email: 'sarah@example.com',
-        plan: 'Premium',
-        status: 'active',
-        properties: 12,
-        joinDate: '2024-01-10',
-        lastActive: '2024-01-19',
-        revenue: 1199.88,
-        subscriptionId: 'sub_0987654321',
-        customerId: 'cus_0987654321'
-      },
-      {
-        id: '3',
-        name: 'Mike Wilson',
-        email: 'mike@example.com',
-        plan: 'Starter',
-        status: 'trial',
-        properties: 1,
-        joinDate: '2024-01-18',
-        lastActive: '2024-01-20',
-        revenue: 0,
-        subscriptionId: 'sub_1122334455',
-        customerId: 'cus_1122334455'
-      }
-    ];
-
-    // Apply filters
-    let filteredUsers = mockUsers;
-    
-    if (search) {
-      filteredUsers = filteredUsers.filter(user => 
-        user.name.toLowerCase().includes(search.toLowerCase()) ||
-        user.email.toLowerCase().includes(search.toLowerCase())
-      );
-    }
-    
-    if (status && status !== 'all') {
-      filteredUsers = filteredUsers.filter(user => user.status === status);
-    }
+    const { page, limit, search, status } = req.query;
 
-    // Apply pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedUsers = filteredUsers.slice(startIndex, endIndex);
+    const { users: pageOfUsers, total } = await users.listUsers({
+      search,
+      status,
+      limit,
+      offset: (page - 1) * limit
+    });
 
     res.json({
-      users: paginatedUsers,
+      users: pageOfUsers,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: filteredUsers.length,
-        pages: Math.ceil(filteredUsers.length / limit)
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
       }
     });
   } catch (error) {
@@ -121,35 +213,33 @@ router.get('/users', requireAdmin, async (req, res) => {
 });
 
 // Get user details
-router.get('/users/:userId', requireAdmin, async (req, res) => {
+router.get('/users/:userId', requirePermission('users:read'), validate(schemas.getUser), async (req, res) => {
   try {
     const { userId } = req.params;
-    
-    // In production, fetch from database
-    const user = {
-      id: userId,
-      name: 'John Smith',
-      email: 'john@example.com',
-      plan: 'Professional',
-      status: 'active',
-      properties: 5,
-      joinDate: '2024-01-15',
-      lastActive: '2024-01-20',
-      revenue: 599.88,
-      subscriptionId: 'sub_1234567890',
-      customerId: 'cus_1234567890',
-      paymentHistory: [
-        {
-          id: 'pi_1234567890',
-          amount: 49.99,
-          status: 'succeeded',
-          date: '2024-01-15',
-          description: 'Professional Plan - Monthly'
-        }
-      ]
-    };
 
-    res.json({ user });
+    const user = await users.getUser(userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const payments = user.customerId
+      ? await billing.listPaymentIntentsByCustomer(user.customerId)
+      : [];
+
+    res.json({
+      user: {
+        ...user,
+        paymentHistory: payments.map(payment => ({
+          id: payment.id,
+          amount: toMajorUnits(payment.amount, payment.currency),
+          currency: payment.currency,
+          status: payment.status,
+          date: new Date(payment.created * 1000).toISOString(),
+          description: payment.description
+        }))
+      }
+    });
   } catch (error) {
     console.error('Error fetching user:', error);
     res.status(500).json({ error: 'Failed to fetch user' });
@@ -157,17 +247,44 @@ router.get('/users/:userId', requireAdmin, async (req, res) => {
 });
 
 // Update user
-router.put('/users/:userId', requireAdmin, async (req, res) => {
+router.put('/users/:userId', requirePermission('users:write'), validate(schemas.updateUser), async (req, res) => {
   try {
     const { userId } = req.params;
     const { name, email, plan, status } = req.body;
-    
-    // In production, update database and Stripe customer
-    console.log(`Updating user ${userId}:`, { name, email, plan, status });
-    
-    res.json({ 
+
+    const user = await users.getUser(userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (email) {
+      const existing = await users.getUserByEmail(email);
+      if (existing && existing.id !== userId) {
+        return res.status(409).json({ error: 'Email already in use' });
+      }
+    }
+
+    // Keep the Stripe customer's contact details in sync
+    if (user.customerId && (name || email)) {
+      await stripe.customers.update(user.customerId, {
+        ...(name && { name }),
+        ...(email && { email })
+      });
+    }
+
+    const updatedUser = await users.updateUser(userId, { name, email, plan, status });
+
+    await recordAudit(req, {
+      action: 'users.update',
+      targetType: 'user',
+      targetId: userId,
+      stripeIds: [user.customerId]
+    });
+
+    res.json({
       message: 'User updated successfully',
-      user: { id: userId, name, email, plan, status }
+      user: updatedUser
     });
   } catch (error) {
     console.error('Error updating user:', error);
@@ -176,54 +293,70 @@ router.put('/users/:userId', requireAdmin, async (req, res) => {
 });
 
 // Delete user
-router.delete('/users/:userId', requireAdmin, async (req, res) => {
+router.delete('/users/:userId', requirePermission('users:delete'), validate(schemas.deleteUser), async (req, res) => {
   try {
     const { userId } = req.params;
-    
-    // In production, implement proper user deletion
-    // 1. Cancel all subscriptions
-    // 2. Delete from database
-    // 3. Clean up Stripe customer
-    
-    console.log(`Deleting user ${userId}`);
-    
-    res.json({ message: 'User deleted successfully' });
+
+    const user = await users.getUser(userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Cancel any live subscriptions. The Stripe customer itself is kept
+    // so invoices and payment history remain available.
+    const canceledSubscriptions = [];
+
+    if (user.customerId) {
+      const subscriptions = await billing.listSubscriptionsByCustomer(user.customerId);
+
+      for (const subscription of subscriptions) {
+        if (['canceled', 'incomplete_expired'].includes(subscription.status)) continue;
+
+        await stripe.subscriptions.cancel(subscription.id);
+        canceledSubscriptions.push(subscription.id);
+      }
+    }
+
+    await users.softDeleteUser(userId);
+
+    await recordAudit(req, {
+      action: 'users.delete',
+      targetType: 'user',
+      targetId: userId,
+      stripeIds: [user.customerId, ...canceledSubscriptions]
+    });
+
+    res.json({ message: 'User deleted successfully', canceledSubscriptions });
   } catch (error) {
     console.error('Error deleting user:', error);
     res.status(500).json({ error: 'Failed to delete user' });
   }
 });
 
-// Get all subscriptions
-router.get('/subscriptions', requireAdmin, async (req, res) => {
+// List subscriptions from the billing store, newest first, with cursor pagination
+router.get('/subscriptions', requirePermission('subscriptions:read'), validate(schemas.listSubscriptions), async (req, res) => {
   try {
-    const { page = 1, limit = 50, status } = req.query;
-    
-    // Fetch from Stripe
-    const subscriptions = await stripe.subscriptions.list({
-      limit: parseInt(limit),
-      starting_after: page > 1 ? `sub_${(page - 1) * limit}` : undefined,
-      expand: ['data.customer', 'data.items.data.price.product']
-    });
-
-    const formattedSubscriptions = subscriptions.data.map(sub => ({
-      id: sub.id,
-      customerId: sub.customer.id,
-      customerEmail: sub.customer.email,
-      status: sub.status,
-      plan: sub.items.data[0]?.price?.nickname || 'Unknown',
-      amount: sub.items.data[0]?.price?.unit_amount / 100,
-      interval: sub.items.data[0]?.price?.recurring?.interval,
-      currentPeriodStart: sub.current_period_start,
-      currentPeriodEnd: sub.current_period_end,
-      trialEnd: sub.trial_end,
-      cancelAtPeriodEnd: sub.cancel_at_period_end,
-      created: sub.created
-    }));
+    const { rows, pagination } = await billing.listSubscriptionsPage(req.query);
 
     res.json({
-      subscriptions: formattedSubscriptions,
-      hasMore: subscriptions.has_more
+      subscriptions: rows.map(sub => ({
+        id: sub.id,
+        customerId: sub.customer_id,
+        customerEmail: sub.customer_email,
+        status: sub.status,
+        plan: findPrice(sub.price_id)?.plan.name || sub.plan_nickname || 'Unknown',
+        priceId: sub.price_id,
+        amount: toMajorUnits(sub.unit_amount, sub.currency),
+        currency: sub.currency,
+        interval: sub.billing_interval,
+        currentPeriodStart: sub.current_period_start,
+        currentPeriodEnd: sub.current_period_end,
+        trialEnd: sub.trial_end,
+        cancelAtPeriodEnd: Boolean(sub.cancel_at_period_end),
+        created: sub.created
+      })),
+      pagination
     });
   } catch (error) {
     console.error('Error fetching subscriptions:', error);
@@ -232,10 +365,10 @@ router.get('/subscriptions', requireAdmin, async (req, res) => {
 });
 
 // Cancel subscription
-router.post('/subscriptions/:subscriptionId/cancel', requireAdmin, async (req, res) => {
+router.post('/subscriptions/:subscriptionId/cancel', requirePermission('subscriptions:cancel'), validate(schemas.cancelSubscription), async (req, res) => {
   try {
     const { subscriptionId } = req.params;
-    const { cancelAtPeriodEnd = true, reason } = req.body;
+    const { cancelAtPeriodEnd, reason } = req.body;
 
     let subscription;
     
@@ -252,6 +385,13 @@ router.post('/subscriptions/:subscriptionId/cancel', requireAdmin, async (req, r
       });
     }
 
+    await recordAudit(req, {
+      action: 'subscriptions.cancel',
+      targetType: 'subscription',
+      targetId: subscriptionId,
+      stripeIds: [subscription.id]
+    });
+
     res.json({
       message: 'Subscription cancelled successfully',
       subscription: {
@@ -267,34 +407,75 @@ router.post('/subscriptions/:subscriptionId/cancel', requireAdmin, async (req, r
   }
 });
 
-// Process refund
-router.post('/refunds', requireAdmin, async (req, res) => {
+// List dunning cases with a recovery summary
+router.get('/dunning', requirePermission('subscriptions:read'), validate(schemas.listDunningCases), async (req, res) => {
   try {
-    const { paymentIntentId, amount, reason = 'requested_by_customer' } = req.body;
+    const { status, page, limit } = req.query;
 
-    if (!paymentIntentId) {
-      return res.status(400).json({ error: 'Payment intent ID is required' });
-    }
+    const { cases, total } = await dunningCases.listCases({
+      status,
+      limit,
+      offset: (page - 1) * limit
+    });
 
-    const refundData = {
-      payment_intent: paymentIntentId,
-      reason: reason
-    };
+    res.json({
+      summary: await getDunningSummary(),
+      cases,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching dunning cases:', error);
+    res.status(500).json({ error: 'Failed to fetch dunning cases' });
+  }
+});
 
-    if (amount) {
-      refundData.amount = Math.round(amount * 100); // Convert to cents
+// Process refund. Large refunds become requests for a second admin to approve.
+router.post('/refunds', requirePermission('refunds:create'), validate(schemas.createRefund), idempotent, async (req, res) => {
+  try {
+    const { paymentIntentId, amount, reason, note } = req.body;
+
+    const result = await refunds.requestRefund({
+      paymentIntentId,
+      amount,
+      reason,
+      note,
+      requestedBy: req.admin,
+      stripeOptions: stripeRequestOptions(req, 'refunds.create')
+    });
+    if (result.problem) {
+      return res.status(result.problem[0]).json({ error: result.problem[1] });
     }
 
-    const refund = await stripe.refunds.create(refundData);
+    const { request, refund } = result;
+    await recordAudit(req, {
+      action: refund ? 'refunds.create' : 'refunds.request',
+      targetType: 'payment_intent',
+      targetId: paymentIntentId,
+      payload: { ...req.body, refundRequestId: request.id },
+      stripeIds: refund ? [refund.id] : []
+    });
+
+    if (!refund) {
+      return res.status(202).json({
+        message: 'Refund is above the approval threshold and awaits approval by another admin',
+        refundRequest: refunds.formatRequest(request)
+      });
+    }
 
     res.json({
       message: 'Refund processed successfully',
       refund: {
         id: refund.id,
-        amount: refund.amount / 100,
+        amount: toMajorUnits(refund.amount, refund.currency),
         status: refund.status,
         reason: refund.reason
-      }
+      },
+      refundRequest: refunds.formatRequest(request)
     });
   } catch (error) {
     console.error('Error processing refund:', error);
@@ -302,40 +483,145 @@ router.post('/refunds', requireAdmin, async (req, res) => {
   }
 });
 
-// Get payment history
-router.get('/payments', requireAdmin, async (req, res) => {
+// List refund requests, awaiting approval by default
+router.get('/refund-requests', requirePermission('payments:read'), validate(schemas.listRefundRequests), async (req, res) => {
   try {
-    const { page = 1, limit = 50, customerId } = req.query;
-    
-    const queryParams = {
-      limit: parseInt(limit),
-      expand: ['data.customer']
-    };
+    const { status, paymentIntentId, page, limit } = req.query;
+
+    const { requests, total } = await refundRequests.listRequests({
+      status,
+      paymentIntentId,
+      limit,
+      offset: (page - 1) * limit
+    });
 
-    if (customerId) {
-      queryParams.customer = customerId;
+    res.json({
+      refundRequests: requests.map(refunds.formatRequest),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching refund requests:', error);
+    res.status(500).json({ error: 'Failed to fetch refund requests' });
+  }
+});
+
+// Load a refund request from the URL
+const loadRefundRequest = async (req, res, next) => {
+  try {
+    req.refundRequest = await refundRequests.getRequest(req.params.requestId);
+    if (!req.refundRequest) {
+      return res.status(404).json({ error: 'Refund request not found' });
     }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
-    if (page > 1) {
-      queryParams.starting_after = `pi_${(page - 1) * limit}`;
+// Get one refund request with what its payment can still refund
+router.get('/refund-requests/:requestId', requirePermission('payments:read'), validate(schemas.getRefundRequest), loadRefundRequest, async (req, res) => {
+  try {
+    const balance = await refunds.refundBalance(req.refundRequest.paymentIntentId);
+
+    res.json({
+      refundRequest: refunds.formatRequest(req.refundRequest),
+      payment: balance && {
+        status: balance.status,
+        currency: balance.currency,
+        captured: toMajorUnits(balance.captured, balance.currency),
+        refunded: toMajorUnits(balance.refunded, balance.currency),
+        awaitingApproval: toMajorUnits(balance.reserved, balance.currency),
+        refundable: toMajorUnits(balance.available, balance.currency)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching refund request:', error);
+    res.status(500).json({ error: 'Failed to fetch refund request' });
+  }
+});
+
+// Approve a refund request made by another admin and issue the refund
+router.post('/refund-requests/:requestId/approve', requirePermission('refunds:approve'), validate(schemas.getRefundRequest), loadRefundRequest, async (req, res) => {
+  try {
+    const result = await refunds.approveRequest(req.refundRequest, req.admin);
+    if (result.problem) {
+      return res.status(result.problem[0]).json({ error: result.problem[1] });
     }
 
-    const payments = await stripe.paymentIntents.list(queryParams);
+    const { request, refund } = result;
+    await recordAudit(req, {
+      action: 'refunds.approve',
+      targetType: 'refund_request',
+      targetId: request.id,
+      payload: { paymentIntentId: request.paymentIntentId, amount: toMajorUnits(request.amount, request.currency) },
+      stripeIds: [refund.id]
+    });
+
+    res.json({
+      message: 'Refund approved and processed',
+      refund: {
+        id: refund.id,
+        amount: toMajorUnits(refund.amount, refund.currency),
+        status: refund.status,
+        reason: refund.reason
+      },
+      refundRequest: refunds.formatRequest(request)
+    });
+  } catch (error) {
+    console.error('Error approving refund request:', error);
+    res.status(500).json({ error: 'Failed to approve refund request' });
+  }
+});
+
+// Reject a refund request, with the reason
+router.post('/refund-requests/:requestId/reject', requirePermission('refunds:approve'), validate(schemas.rejectRefundRequest), loadRefundRequest, async (req, res) => {
+  try {
+    const result = await refunds.rejectRequest(req.refundRequest, req.admin, req.body.reason);
+    if (result.problem) {
+      return res.status(result.problem[0]).json({ error: result.problem[1] });
+    }
 
-    const formattedPayments = payments.data.map(payment => ({
-      id: payment.id,
-      amount: payment.amount / 100,
-      currency: payment.currency,
-      status: payment.status,
-      customerId: payment.customer?.id,
-      customerEmail: payment.customer?.email,
-      created: payment.created,
-      description: payment.description
-    }));
+    await recordAudit(req, {
+      action: 'refunds.reject',
+      targetType: 'refund_request',
+      targetId: result.request.id,
+      payload: { paymentIntentId: result.request.paymentIntentId, reason: req.body.reason }
+    });
 
     res.json({
-      payments: formattedPayments,
-      hasMore: payments.has_more
+      message: 'Refund request rejected',
+      refundRequest: refunds.formatRequest(result.request)
+    });
+  } catch (error) {
+    console.error('Error rejecting refund request:', error);
+    res.status(500).json({ error: 'Failed to reject refund request' });
+  }
+});
+
+// List payments from the billing store, newest first, with cursor pagination
+router.get('/payments', requirePermission('payments:read'), validate(schemas.listPayments), async (req, res) => {
+  try {
+    const { rows, pagination } = await billing.listPaymentIntentsPage(req.query);
+
+    res.json({
+      payments: rows.map(payment => ({
+        id: payment.id,
+        amount: toMajorUnits(payment.amount, payment.currency),
+        amountReceived: toMajorUnits(payment.amount_received, payment.currency),
+        currency: payment.currency,
+        status: payment.status,
+        customerId: payment.customer_id,
+        customerEmail: payment.customer_email,
+        invoiceId: payment.invoice_id,
+        created: payment.created,
+        description: payment.description
+      })),
+      pagination
     });
   } catch (error) {
     console.error('Error fetching payments:', error);
@@ -343,24 +629,180 @@ router.get('/payments', requireAdmin, async (req, res) => {
   }
 });
 
-// Export data
-router.get('/export', requireAdmin, async (req, res) => {
+// Export data as a streamed CSV or JSON Lines download
+router.get('/export', requirePermission('exports:read'), validate(schemas.exportData), async (req, res) => {
   try {
-    const { type = 'users' } = req.query;
-    
-    // In production, generate actual CSV/Excel exports
-    const csvData = `Name,Email,Plan,Status,Revenue,Join Date
-John Smith,john@example.com,Professional,active,599.88,2024-01-15
-Sarah Johnson,sarah@example.com,Premium,active,1199.88,2024-01-10`;
-
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="${type}-export.csv"`);
-    res.send(csvData);
+    const { type, format, status, from, to } = req.query;
+
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${type}-export.${FORMATS[format].extension}"`);
+
+    await streamExport(type, { from, to, status, format }, res);
+    res.end();
   } catch (error) {
     console.error('Error exporting data:', error);
+
+    if (res.headersSent) {
+      // Abort so the client sees a failed download rather than a truncated file
+      return res.destroy(error);
+    }
     res.status(500).json({ error: 'Failed to export data' });
   }
 });
 
+// List journaled webhook events (defaults to failed ones)
+router.get('/webhook-events', requirePermission('webhooks:read'), validate(schemas.listWebhookEvents), async (req, res) => {
+  try {
+    const { status, type, from, to, page, limit } = req.query;
+
+    const { events, total } = await webhookEvents.listEvents({
+      status,
+      type,
+      from,
+      to,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook events:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook events' });
+  }
+});
+
+// Get a single webhook event including its payload
+router.get('/webhook-events/:eventId', requirePermission('webhooks:read'), validate(schemas.getWebhookEvent), async (req, res) => {
+  try {
+    const event = await webhookEvents.getEvent(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
+
+    res.json({ event });
+  } catch (error) {
+    console.error('Error fetching webhook event:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook event' });
+  }
+});
+
+// Replay a single webhook event
+router.post('/webhook-events/:eventId/replay', requirePermission('webhooks:replay'), validate(schemas.replayWebhookEvent), async (req, res) => {
+  try {
+    const { force } = req.body;
+
+    const result = await stripeEvents.replayEvent(req.params.eventId, { force });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'webhook_events.replay',
+      targetType: 'webhook_event',
+      targetId: req.params.eventId,
+      stripeIds: [req.params.eventId]
+    });
+
+    res.json({ result });
+  } catch (error) {
+    console.error('Error replaying webhook event:', error);
+    res.status(500).json({ error: 'Failed to replay webhook event' });
+  }
+});
+
+// Replay a range of webhook events, oldest first
+router.post('/webhook-events/replay', requirePermission('webhooks:replay'), validate(schemas.replayWebhookEvents), async (req, res) => {
+  try {
+    const { eventIds, status, type, from, to, limit, force } = req.body;
+
+    let ids = eventIds;
+
+    if (!ids) {
+      const { events } = await webhookEvents.listEvents({ status, type, from, to, limit });
+      ids = events.map((event) => event.id);
+    }
+
+    const results = [];
+    for (const eventId of ids) {
+      results.push(await stripeEvents.replayEvent(eventId, { force }) || { id: eventId, error: 'Not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'webhook_events.replay',
+      targetType: 'webhook_event',
+      stripeIds: results.map((result) => result.id)
+    });
+
+    res.json({
+      replayed: results.filter((result) => result.status === webhookEvents.PROCESSED).length,
+      failed: results.filter((result) => result.status === webhookEvents.FAILED).length,
+      results
+    });
+  } catch (error) {
+    console.error('Error replaying webhook events:', error);
+    res.status(500).json({ error: 'Failed to replay webhook events' });
+  }
+});
+
+// Search the audit log (newest first)
+router.get('/audit', requirePermission('audit:read'), validate(schemas.listAudit), async (req, res) => {
+  try {
+    const { actorId, action, targetId, from, to, page, limit } = req.query;
+
+    const { entries, total } = await auditLog.listEntries({
+      actorId,
+      action,
+      targetId,
+      from,
+      to,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// Export the audit log with the same filters, oldest first
+router.get('/audit/export', requirePermission('audit:read'), validate(schemas.exportAudit), async (req, res) => {
+  try {
+    const { actorId, action, targetId, from, to, format } = req.query;
+
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="audit-export.${FORMATS[format].extension}"`);
+
+    await streamExport('audit', { from, to, actorId, action, targetId, format }, res);
+    res.end();
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Failed to export audit log' });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,191 @@
+const express = require('express');
+const admins = require('../models/admins');
+const { ROLES, ROLE_PERMISSIONS, hasPermission } = require('../config/adminRoles');
+const { requireAdmin, requirePermission } = require('../middleware/adminAuth');
+const { recordAudit } = require('../services/audit');
+const router = express.Router();
+
+// Admins may always manage their own keys; other admins' keys need admins:manage
+const requireSelfOrManager = (req, res, next) => {
+  if (req.admin.id === req.params.adminId || hasPermission(req.admin.role, 'admins:manage')) {
+    return next();
+  }
+  res.status(403).json({ error: 'Forbidden', permission: 'admins:manage' });
+};
+
+const loadAdmin = async (req, res, next) => {
+  try {
+    req.targetAdmin = await admins.getAdmin(req.params.adminId);
+    if (!req.targetAdmin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the calling admin and their permissions
+router.get('/me', requireAdmin, (req, res) => {
+  res.json({
+    admin: req.admin,
+    permissions: ROLE_PERMISSIONS[req.admin.role]
+  });
+});
+
+// List admins
+router.get('/', requirePermission('admins:manage'), async (req, res) => {
+  try {
+    res.json({ admins: await admins.listAdmins(), roles: ROLES });
+  } catch (error) {
+    console.error('Error fetching admins:', error);
+    res.status(500).json({ error: 'Failed to fetch admins' });
+  }
+});
+
+// Create an admin with an initial API key
+router.post('/', requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { name, email, role = 'viewer' } = req.body;
+
+    if (!name || !email) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['name', 'email']
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role', allowed: ROLES });
+    }
+
+    if (await admins.getAdminByEmail(email)) {
+      return res.status(409).json({ error: 'Admin already exists' });
+    }
+
+    const admin = await admins.createAdmin({ name, email, role });
+    const { key, apiKey } = await admins.createApiKey(admin.id, { name: 'Initial key' });
+
+    await recordAudit(req, { action: 'admins.create', targetType: 'admin', targetId: admin.id });
+
+    res.status(201).json({
+      admin,
+      apiKey: { ...apiKey, key }
+    });
+  } catch (error) {
+    console.error('Error creating admin:', error);
+    res.status(500).json({ error: 'Failed to create admin' });
+  }
+});
+
+// Update an admin's name, role or disabled state
+router.put('/:adminId', requirePermission('admins:manage'), loadAdmin, async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    const { name, role, disabled } = req.body;
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role', allowed: ROLES });
+    }
+
+    if (adminId === req.admin.id && (role || disabled)) {
+      return res.status(400).json({ error: 'Admins cannot change their own role or disable themselves' });
+    }
+
+    const admin = await admins.updateAdmin(adminId, { name, role, disabled });
+
+    await recordAudit(req, { action: 'admins.update', targetType: 'admin', targetId: adminId });
+
+    res.json({ message: 'Admin updated successfully', admin });
+  } catch (error) {
+    console.error('Error updating admin:', error);
+    res.status(500).json({ error: 'Failed to update admin' });
+  }
+});
+
+// List an admin's API keys (hashes are never returned)
+router.get('/:adminId/keys', requireAdmin, requireSelfOrManager, loadAdmin, async (req, res) => {
+  try {
+    res.json({ keys: await admins.listApiKeys(req.params.adminId) });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// Issue an additional API key
+router.post('/:adminId/keys', requireAdmin, requireSelfOrManager, loadAdmin, async (req, res) => {
+  try {
+    const { name, expiresInDays } = req.body;
+
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : undefined;
+
+    const { key, apiKey } = await admins.createApiKey(req.params.adminId, { name, expiresAt });
+
+    await recordAudit(req, { action: 'api_keys.create', targetType: 'api_key', targetId: apiKey.id });
+
+    res.status(201).json({ apiKey: { ...apiKey, key } });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Rotate a key: issue a replacement and retire the old one, optionally after a grace period
+router.post('/:adminId/keys/:keyId/rotate', requireAdmin, requireSelfOrManager, loadAdmin, async (req, res) => {
+  try {
+    const { adminId, keyId } = req.params;
+    const { graceMinutes = 0 } = req.body;
+
+    const existing = await admins.getApiKey(adminId, keyId);
+
+    if (!existing || existing.revokedAt) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const { key, apiKey } = await admins.createApiKey(adminId, {
+      name: existing.name,
+      expiresAt: existing.expiresAt ? new Date(existing.expiresAt) : undefined
+    });
+
+    if (graceMinutes > 0) {
+      await admins.expireApiKey(adminId, keyId, new Date(Date.now() + graceMinutes * 60 * 1000));
+    } else {
+      await admins.revokeApiKey(adminId, keyId);
+    }
+
+    await recordAudit(req, { action: 'api_keys.rotate', targetType: 'api_key', targetId: keyId });
+
+    res.status(201).json({
+      apiKey: { ...apiKey, key },
+      rotated: await admins.getApiKey(adminId, keyId)
+    });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({ error: 'Failed to rotate API key' });
+  }
+});
+
+// Revoke a key immediately
+router.delete('/:adminId/keys/:keyId', requireAdmin, requireSelfOrManager, loadAdmin, async (req, res) => {
+  try {
+    const { adminId, keyId } = req.params;
+
+    const revoked = await admins.revokeApiKey(adminId, keyId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    await recordAudit(req, { action: 'api_keys.revoke', targetType: 'api_key', targetId: keyId });
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
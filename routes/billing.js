@@ -0,0 +1,214 @@
+const express = require('express');
+const { stripe } = require('../lib/stripe');
+const { authenticate, requireAccount } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { toMajorUnits } = require('../lib/money');
+const { z, stripeId, redirectUrl, queryInt } = require('../lib/schemas');
+const router = express.Router();
+
+// Subscription statuses that still charge the saved card
+const BILLED_STATUSES = ['trialing', 'active', 'past_due', 'unpaid'];
+
+// Every route here acts on the calling landlord's own Stripe customer. Accounts
+// restricted for non-payment keep full access: this is where they fix their card.
+const requireCustomer = (req, res, next) => {
+  if (!req.user.customerId) {
+    return res.status(404).json({ error: 'No billing account found' });
+  }
+  next();
+};
+
+router.use(authenticate, requireAccount, requireCustomer);
+
+const paymentMethodParams = z.object({ paymentMethodId: stripeId('pm') });
+
+const schemas = {
+  createPortalSession: {
+    body: z.object({ returnUrl: redirectUrl.optional() })
+  },
+  paymentMethod: { params: paymentMethodParams },
+  listInvoices: {
+    query: z.object({
+      limit: queryInt({ max: 100 }).default(20),
+      startingAfter: stripeId('in').optional()
+    })
+  }
+};
+
+// Load a payment method from the URL, scoped to the caller's customer
+const loadPaymentMethod = async (req, res, next) => {
+  try {
+    const paymentMethod = await stripe.paymentMethods.retrieve(req.params.paymentMethodId);
+    if (paymentMethod.customer !== req.user.customerId) {
+      return res.status(404).json({ error: 'Payment method not found' });
+    }
+    req.paymentMethod = paymentMethod;
+    next();
+  } catch (error) {
+    if (error.code === 'resource_missing') {
+      return res.status(404).json({ error: 'Payment method not found' });
+    }
+    next(error);
+  }
+};
+
+const formatPaymentMethod = (paymentMethod, defaultId) => ({
+  id: paymentMethod.id,
+  brand: paymentMethod.card?.brand,
+  last4: paymentMethod.card?.last4,
+  expMonth: paymentMethod.card?.exp_month,
+  expYear: paymentMethod.card?.exp_year,
+  isDefault: paymentMethod.id === defaultId
+});
+
+// The customer's live subscriptions, which charge the default card
+const billedSubscriptions = async (customerId) => {
+  const subscriptions = await stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 100 });
+  return subscriptions.data.filter((subscription) => BILLED_STATUSES.includes(subscription.status));
+};
+
+// Open Stripe's hosted billing portal for the caller
+router.post('/portal-session', validate(schemas.createPortalSession), async (req, res) => {
+  try {
+    const session = await stripe.billingPortal.sessions.create({
+      customer: req.user.customerId,
+      return_url: req.body.returnUrl || `${process.env.FRONTEND_URL}/billing`
+    });
+
+    res.json({ url: session.url });
+  } catch (error) {
+    console.error('Error creating billing portal session:', error);
+    res.status(500).json({ error: 'Failed to create billing portal session' });
+  }
+});
+
+// List saved cards
+router.get('/payment-methods', async (req, res) => {
+  try {
+    const [customer, paymentMethods] = await Promise.all([
+      stripe.customers.retrieve(req.user.customerId),
+      stripe.paymentMethods.list({ customer: req.user.customerId, type: 'card', limit: 100 })
+    ]);
+    const defaultId = customer.invoice_settings?.default_payment_method || null;
+
+    res.json({
+      paymentMethods: paymentMethods.data.map((paymentMethod) => formatPaymentMethod(paymentMethod, defaultId)),
+      defaultPaymentMethod: defaultId
+    });
+  } catch (error) {
+    console.error('Error fetching payment methods:', error);
+    res.status(500).json({ error: 'Failed to fetch payment methods' });
+  }
+});
+
+// Make a saved card the default, for the customer and its live subscriptions
+router.post('/payment-methods/:paymentMethodId/default', validate(schemas.paymentMethod), loadPaymentMethod, async (req, res) => {
+  try {
+    const { id } = req.paymentMethod;
+
+    await stripe.customers.update(req.user.customerId, {
+      invoice_settings: { default_payment_method: id }
+    });
+
+    // A subscription's own default wins over the customer's, so move those too
+    const subscriptions = await billedSubscriptions(req.user.customerId);
+    for (const subscription of subscriptions) {
+      if (subscription.default_payment_method && subscription.default_payment_method !== id) {
+        await stripe.subscriptions.update(subscription.id, { default_payment_method: id });
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'payment_methods.set_default',
+      targetType: 'customer',
+      targetId: req.user.customerId,
+      payload: { paymentMethodId: id },
+      stripeIds: [id, ...subscriptions.map((subscription) => subscription.id)]
+    });
+
+    res.json({
+      message: 'Default payment method updated',
+      paymentMethod: formatPaymentMethod(req.paymentMethod, id)
+    });
+  } catch (error) {
+    console.error('Error setting default payment method:', error);
+    res.status(500).json({ error: 'Failed to set default payment method' });
+  }
+});
+
+// Remove a saved card
+router.delete('/payment-methods/:paymentMethodId', validate(schemas.paymentMethod), loadPaymentMethod, async (req, res) => {
+  try {
+    const { id } = req.paymentMethod;
+
+    const [customer, subscriptions] = await Promise.all([
+      stripe.customers.retrieve(req.user.customerId),
+      billedSubscriptions(req.user.customerId)
+    ]);
+    const isDefault = customer.invoice_settings?.default_payment_method === id ||
+      subscriptions.some((subscription) => subscription.default_payment_method === id);
+
+    if (isDefault && subscriptions.length > 0) {
+      return res.status(409).json({
+        error: 'This card pays for an active subscription; set another default payment method first'
+      });
+    }
+
+    await stripe.paymentMethods.detach(id);
+
+    await recordAudit(req, {
+      action: 'payment_methods.detach',
+      targetType: 'customer',
+      targetId: req.user.customerId,
+      payload: { paymentMethodId: id },
+      stripeIds: [id]
+    });
+
+    res.json({ message: 'Payment method removed' });
+  } catch (error) {
+    console.error('Error removing payment method:', error);
+    res.status(500).json({ error: 'Failed to remove payment method' });
+  }
+});
+
+// Past invoices, newest first, with hosted pages, PDFs and card receipts
+router.get('/invoices', validate(schemas.listInvoices), async (req, res) => {
+  try {
+    const { limit, startingAfter } = req.query;
+
+    const invoices = await stripe.invoices.list({
+      customer: req.user.customerId,
+      limit,
+      starting_after: startingAfter,
+      expand: ['data.payment_intent.latest_charge']
+    });
+
+    res.json({
+      invoices: invoices.data
+        .filter((invoice) => invoice.status !== 'draft')
+        .map((invoice) => ({
+          id: invoice.id,
+          number: invoice.number,
+          status: invoice.status,
+          amountDue: toMajorUnits(invoice.amount_due, invoice.currency),
+          amountPaid: toMajorUnits(invoice.amount_paid, invoice.currency),
+          currency: invoice.currency,
+          periodStart: invoice.period_start,
+          periodEnd: invoice.period_end,
+          created: invoice.created,
+          paidAt: invoice.status_transitions?.paid_at || null,
+          hostedInvoiceUrl: invoice.hosted_invoice_url,
+          invoicePdf: invoice.invoice_pdf,
+          receiptUrl: invoice.payment_intent?.latest_charge?.receipt_url || null
+        })),
+      hasMore: invoices.has_more,
+      nextCursor: invoices.has_more ? invoices.data[invoices.data.length - 1].id : null
+    });
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    res.status(500).json({ error: 'Failed to fetch invoices' });
+  }
+});
+
+module.exports = router;
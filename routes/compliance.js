@@ -0,0 +1,67 @@
+const express = require('express');
+const properties = require('../models/properties');
+const { JURISDICTIONS } = require('../config/jurisdictions');
+const { allowablePercent, checkUnitRent } = require('../services/rentControl');
+const { authenticate, requireAccount } = require('../middleware/auth');
+const { requireFeature } = require('../middleware/entitlements');
+const { isIsoDate, toIsoDate } = require('../lib/dates');
+const router = express.Router();
+
+router.use(authenticate);
+
+// Configured jurisdictions and this year's allowable increase for each
+router.get('/jurisdictions', async (req, res) => {
+  try {
+    const year = new Date().getUTCFullYear();
+
+    res.json({
+      jurisdictions: Object.entries(JURISDICTIONS).map(([code, rules]) => ({
+        code,
+        name: rules.name,
+        allowablePercent: allowablePercent(rules.cap, year),
+        increaseIntervalMonths: rules.increaseIntervalMonths,
+        banking: rules.banking,
+        vacancyDecontrol: rules.vacancyDecontrol,
+        exemptions: rules.exemptions || {}
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching jurisdictions:', error);
+    res.status(500).json({ error: 'Failed to fetch jurisdictions' });
+  }
+});
+
+// Check a proposed rent for one of the caller's units
+router.post('/check', requireAccount, requireFeature('rentControlChecks'), async (req, res) => {
+  try {
+    const { unitId, proposedRent, effectiveDate = toIsoDate(new Date()) } = req.body;
+
+    if (!unitId || proposedRent === undefined) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['unitId', 'proposedRent']
+      });
+    }
+
+    if (!(typeof proposedRent === 'number' && proposedRent > 0)) {
+      return res.status(400).json({ error: 'proposedRent must be a positive number' });
+    }
+
+    if (!isIsoDate(effectiveDate)) {
+      return res.status(400).json({ error: 'effectiveDate must be a YYYY-MM-DD date' });
+    }
+
+    const unit = await properties.getOwnedUnit(req.user.id, unitId);
+
+    if (!unit) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+
+    res.json({ compliance: await checkUnitRent(req.user.id, unit, { proposedRent, effectiveDate }) });
+  } catch (error) {
+    console.error('Error checking rent compliance:', error);
+    res.status(500).json({ error: 'Failed to check rent compliance' });
+  }
+});
+
+module.exports = router;
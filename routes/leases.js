@@ -0,0 +1,726 @@
+const express = require('express');
+const { stripe } = require('../lib/stripe');
+const leases = require('../models/leases');
+const properties = require('../models/properties');
+const rentCharges = require('../models/rentCharges');
+const rentIncreases = require('../models/rentIncreases');
+const lateFees = require('../models/lateFees');
+const securityDeposits = require('../models/securityDeposits');
+const { generateRentCharges } = require('../services/rentInvoicing');
+const { checkUnitRent } = require('../services/rentControl');
+const deposits = require('../services/deposits');
+const { recordAudit } = require('../services/audit');
+const { authenticate, requireAccount, requireGoodStanding } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idempotent, stripeRequestOptions } = require('../middleware/idempotency');
+const { z, amount, redirectUrl } = require('../lib/schemas');
+const { isIsoDate, toIsoDate } = require('../lib/dates');
+const { toMinorUnits, toMajorUnits, isSupportedCurrency, amountProblem, SUPPORTED_CURRENCIES } = require('../lib/money');
+const router = express.Router();
+
+// Landlords manage leases on their units; tenants can view theirs and pay rent
+router.use(authenticate);
+
+// Load the lease from the URL and work out whether the caller is its landlord or tenant
+const loadLease = async (req, res, next) => {
+  try {
+    const lease = await leases.getLease(req.params.leaseId);
+    const role = lease && leases.callerRole(lease, req.auth);
+
+    if (!role) {
+      return res.status(404).json({ error: 'Lease not found' });
+    }
+
+    // First visit by the tenant: link the lease to their login
+    if (role === 'tenant' && !lease.tenantUserId) {
+      await leases.linkTenant(lease.id, req.auth.userId);
+      lease.tenantUserId = req.auth.userId;
+    }
+
+    req.lease = lease;
+    req.leaseRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requireLandlord = (req, res, next) => {
+  if (req.leaseRole !== 'landlord') {
+    return res.status(403).json({ error: 'Only the landlord can change this lease' });
+  }
+  next();
+};
+
+const requireTenant = (req, res, next) => {
+  if (req.leaseRole !== 'tenant') {
+    return res.status(403).json({ error: 'Only the tenant can pay rent on this lease' });
+  }
+  next();
+};
+
+// Field checks shared by create and update; returns an error message or null.
+// `currency` is the lease's, which the rent must fit.
+const checkLeaseFields = ({ rentAmount, dueDay, startDate, endDate }, currency) => {
+  if (!isSupportedCurrency(currency)) {
+    return `currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`;
+  }
+  if (rentAmount !== undefined && !(typeof rentAmount === 'number' && rentAmount > 0)) {
+    return 'rentAmount must be a positive number';
+  }
+  if (rentAmount !== undefined && amountProblem(rentAmount, currency)) {
+    return amountProblem(rentAmount, currency);
+  }
+  if (dueDay !== undefined && !(Number.isInteger(dueDay) && dueDay >= 1 && dueDay <= 31)) {
+    return 'dueDay must be an integer between 1 and 31';
+  }
+  if (startDate !== undefined && !isIsoDate(startDate)) {
+    return 'startDate must be a YYYY-MM-DD date';
+  }
+  if (endDate !== undefined && endDate !== null && !isIsoDate(endDate)) {
+    return 'endDate must be a YYYY-MM-DD date';
+  }
+  return null;
+};
+
+// List leases where the caller is landlord or tenant
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    res.json({ leases: await leases.listLeasesForCaller(req.auth, { status }) });
+  } catch (error) {
+    console.error('Error fetching leases:', error);
+    res.status(500).json({ error: 'Failed to fetch leases' });
+  }
+});
+
+// Create lease (landlord)
+router.post('/', requireAccount, requireGoodStanding, async (req, res) => {
+  try {
+    const { unitId, tenantName, tenantEmail, rentAmount, dueDay = 1, startDate, endDate } = req.body;
+
+    if (!unitId || !tenantName || !tenantEmail || !rentAmount || !startDate) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['unitId', 'tenantName', 'tenantEmail', 'rentAmount', 'startDate']
+      });
+    }
+
+    if (endDate && endDate <= startDate) {
+      return res.status(400).json({ error: 'endDate must be after startDate' });
+    }
+
+    const unit = await properties.getOwnedUnit(req.user.id, unitId);
+
+    if (!unit) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+
+    const currency = req.body.currency || unit.currency;
+    const invalid = checkLeaseFields({ rentAmount, dueDay, startDate, endDate }, currency);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (await leases.getActiveLeaseForUnit(unitId)) {
+      return res.status(409).json({ error: 'Unit already has an active lease' });
+    }
+
+    // Starting rent is limited where rent cannot be reset between tenancies
+    const compliance = await checkUnitRent(req.user.id, unit, { proposedRent: rentAmount, effectiveDate: startDate, lease: null });
+    if (!compliance.allowed) {
+      return res.status(422).json({ error: 'Rent is not allowed for this unit', compliance });
+    }
+
+    const lease = await leases.createLease(req.user.id, unit, { ...req.body, dueDay });
+
+    // The lease rent becomes the unit's current rent
+    await properties.updateUnit(unit.propertyId, unit.id, { currentRent: rentAmount, currency: lease.currency });
+
+    // Issue any charge that is already due
+    await generateRentCharges();
+
+    res.status(201).json({ lease });
+  } catch (error) {
+    console.error('Error creating lease:', error);
+    res.status(500).json({ error: 'Failed to create lease' });
+  }
+});
+
+// Get lease
+router.get('/:leaseId', loadLease, async (req, res) => {
+  res.json({ lease: req.lease, role: req.leaseRole });
+});
+
+// Update lease terms (landlord). A rent change must comply with the unit's
+// rent-control rules; one dated in the future is scheduled rather than applied now.
+router.put('/:leaseId', loadLease, requireLandlord, requireGoodStanding, async (req, res) => {
+  try {
+    const { tenantName, tenantEmail, rentAmount, dueDay, endDate } = req.body;
+    const today = toIsoDate(new Date());
+    const { rentEffectiveDate = today } = req.body;
+
+    if (req.lease.status !== 'active') {
+      return res.status(409).json({ error: 'Lease has ended' });
+    }
+
+    const invalid = checkLeaseFields({ rentAmount, dueDay, endDate }, req.lease.currency);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const rentChanged = rentAmount !== undefined && rentAmount !== req.lease.rentAmount;
+    let compliance = null;
+
+    if (rentChanged) {
+      if (!isIsoDate(rentEffectiveDate) || rentEffectiveDate < today) {
+        return res.status(400).json({ error: 'rentEffectiveDate must be a YYYY-MM-DD date, today or later' });
+      }
+
+      if ((await rentIncreases.listIncreases(req.lease.id, { status: 'scheduled' })).length > 0) {
+        return res.status(409).json({ error: 'A rent change is already scheduled for this lease' });
+      }
+
+      const unit = await properties.getOwnedUnit(req.auth.userId, req.lease.unitId);
+      compliance = await checkUnitRent(req.auth.userId, unit, {
+        proposedRent: rentAmount,
+        effectiveDate: rentEffectiveDate,
+        lease: req.lease
+      });
+
+      if (!compliance.allowed) {
+        return res.status(422).json({ error: 'Rent change is not allowed', compliance });
+      }
+    }
+
+    const applyNow = rentChanged && rentEffectiveDate <= today;
+    const lease = await leases.updateLease(req.lease.id, {
+      tenantName,
+      tenantEmail,
+      rentAmount: applyNow ? rentAmount : undefined,
+      dueDay,
+      endDate
+    });
+
+    let rentChange = null;
+    if (rentChanged) {
+      rentChange = await rentIncreases.createIncrease({
+        leaseId: lease.id,
+        previousRent: req.lease.rentAmount,
+        newRent: rentAmount,
+        currency: req.lease.currency,
+        effectiveDate: rentEffectiveDate,
+        status: applyNow ? 'applied' : 'scheduled'
+      });
+    }
+
+    if (applyNow) {
+      await properties.updateUnit(lease.propertyId, lease.unitId, { currentRent: rentAmount, currency: lease.currency });
+    }
+
+    res.json({ message: 'Lease updated successfully', lease, rentChange, compliance });
+  } catch (error) {
+    console.error('Error updating lease:', error);
+    res.status(500).json({ error: 'Failed to update lease' });
+  }
+});
+
+// Rent changes on a lease, applied and scheduled
+router.get('/:leaseId/rent-changes', loadLease, async (req, res) => {
+  try {
+    res.json({ rentChanges: await rentIncreases.listIncreases(req.lease.id) });
+  } catch (error) {
+    console.error('Error fetching rent changes:', error);
+    res.status(500).json({ error: 'Failed to fetch rent changes' });
+  }
+});
+
+// End lease (landlord). Open charges due after the end date are voided;
+// a future end date keeps the lease active until then.
+router.post('/:leaseId/end', loadLease, requireLandlord, async (req, res) => {
+  try {
+    const { endDate = toIsoDate(new Date()) } = req.body;
+
+    if (!isIsoDate(endDate)) {
+      return res.status(400).json({ error: 'endDate must be a YYYY-MM-DD date' });
+    }
+
+    const lease = endDate > toIsoDate(new Date())
+      ? await leases.updateLease(req.lease.id, { endDate })
+      : await leases.endLease(req.lease.id, endDate);
+    await rentCharges.voidChargesDueAfter(lease.id, endDate);
+    await lateFees.waiveFeesForVoidedCharges(lease.id);
+
+    res.json({ message: 'Lease ended successfully', lease });
+  } catch (error) {
+    console.error('Error ending lease:', error);
+    res.status(500).json({ error: 'Failed to end lease' });
+  }
+});
+
+// List rent charges on a lease
+router.get('/:leaseId/charges', loadLease, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    res.json({ charges: await rentCharges.listCharges(req.lease.id, { status }) });
+  } catch (error) {
+    console.error('Error fetching rent charges:', error);
+    res.status(500).json({ error: 'Failed to fetch rent charges' });
+  }
+});
+
+// List late fees on a lease
+router.get('/:leaseId/late-fees', loadLease, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    res.json({ lateFees: await lateFees.listFees(req.lease.id, { status }) });
+  } catch (error) {
+    console.error('Error fetching late fees:', error);
+    res.status(500).json({ error: 'Failed to fetch late fees' });
+  }
+});
+
+// Waive an open late fee (landlord)
+router.post('/:leaseId/late-fees/:feeId/waive', loadLease, requireLandlord, async (req, res) => {
+  try {
+    const fee = await lateFees.getFee(req.lease.id, req.params.feeId);
+
+    if (!fee) {
+      return res.status(404).json({ error: 'Late fee not found' });
+    }
+
+    if (!(await lateFees.waiveFee(fee.id))) {
+      return res.status(409).json({ error: `Late fee is ${fee.status}` });
+    }
+
+    res.json({ message: 'Late fee waived successfully', lateFee: await lateFees.getFee(req.lease.id, fee.id) });
+  } catch (error) {
+    console.error('Error waiving late fee:', error);
+    res.status(500).json({ error: 'Failed to waive late fee' });
+  }
+});
+
+// Stripe metadata values are limited to 500 characters, which fits this many fee ids;
+// any further fees are collected in a later session
+const MAX_FEES_PER_SESSION = 12;
+
+const payBody = z.object({
+  successUrl: redirectUrl.optional(),
+  cancelUrl: redirectUrl.optional()
+});
+
+// Only the latest Checkout session opened for a rent charge or deposit settles
+// it, so an earlier one must not stay payable. Reuse the previous session if it
+// is still open and charges `amount` for the same late fees, and otherwise
+// expire it (always, with a null `amount`). Returns { session } to reuse, {} to
+// open a new one, or { problem } if the previous session has been paid.
+async function previousSession(sessionId, { amount, lateFeeIds = '' }) {
+  if (!sessionId) {
+    return {};
+  }
+
+  let session = await stripe.checkout.sessions.retrieve(sessionId);
+
+  if (session.status === 'open' && session.amount_total === amount && (session.metadata.lateFeeIds || '') === lateFeeIds) {
+    return { session };
+  }
+
+  if (session.status === 'open') {
+    try {
+      session = await stripe.checkout.sessions.expire(sessionId);
+    } catch (error) {
+      // Paid in the meantime
+      session = await stripe.checkout.sessions.retrieve(sessionId);
+      if (session.status === 'open') throw error;
+    }
+  }
+
+  if (session.status === 'complete') {
+    return { problem: [409, 'Payment is already being processed'] };
+  }
+  return {};
+}
+
+// Pay an open rent charge (tenant), together with any outstanding late fees
+router.post('/:leaseId/charges/:chargeId/pay', loadLease, requireTenant, validate({ body: payBody }), idempotent, async (req, res) => {
+  try {
+    const { successUrl, cancelUrl } = req.body;
+
+    const charge = await rentCharges.getCharge(req.lease.id, req.params.chargeId);
+
+    if (!charge) {
+      return res.status(404).json({ error: 'Rent charge not found' });
+    }
+
+    if (charge.status !== 'open') {
+      return res.status(409).json({ error: `Rent charge is ${charge.status}` });
+    }
+
+    const fees = (await lateFees.listPayableFees(req.lease.id, charge.id)).slice(0, MAX_FEES_PER_SESSION);
+    const feeIds = fees.map((fee) => fee.id).join(',');
+    const amount = fees.reduce(
+      (sum, fee) => sum + toMinorUnits(fee.amount, fee.currency),
+      toMinorUnits(charge.amount, charge.currency)
+    );
+
+    const previous = await previousSession(charge.checkoutSessionId, { amount, lateFeeIds: feeIds });
+    if (previous.problem) {
+      const [status, error] = previous.problem;
+      return res.status(status).json({ error });
+    }
+    if (previous.session) {
+      return res.json({ sessionId: previous.session.id, url: previous.session.url, lateFees: fees });
+    }
+
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card'],
+      mode: 'payment',
+      customer_email: req.lease.tenantEmail,
+      line_items: [
+        {
+          price_data: {
+            currency: charge.currency,
+            product_data: {
+              name: `Rent ${charge.period} - Unit ${req.lease.unitLabel}`
+            },
+            unit_amount: toMinorUnits(charge.amount, charge.currency),
+          },
+          quantity: 1,
+        },
+        ...fees.map((fee) => ({
+          price_data: {
+            currency: fee.currency,
+            product_data: {
+              name: `Late fee (${fee.daysLate} days late)`
+            },
+            unit_amount: toMinorUnits(fee.amount, fee.currency),
+          },
+          quantity: 1,
+        })),
+      ],
+      success_url: successUrl || `${process.env.FRONTEND_URL}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: cancelUrl || `${process.env.FRONTEND_URL}/tenant-portal`,
+      metadata: {
+        userId: req.auth.userId,
+        leaseId: req.lease.id,
+        rentChargeId: charge.id,
+        lateFeeIds: feeIds
+      },
+      payment_intent_data: {
+        metadata: {
+          leaseId: req.lease.id,
+          rentChargeId: charge.id,
+          lateFeeIds: feeIds
+        }
+      }
+    }, stripeRequestOptions(req, 'checkout.sessions.create'));
+
+    if (!await rentCharges.attachCheckoutSession(charge.id, session.id, charge.checkoutSessionId)) {
+      // Another request opened a session for the charge meanwhile
+      await stripe.checkout.sessions.expire(session.id);
+      return res.status(409).json({ error: 'Another payment session was just opened for this rent charge' });
+    }
+    await lateFees.attachCheckoutSession(fees, session.id);
+
+    res.json({
+      sessionId: session.id,
+      url: session.url,
+      lateFees: fees
+    });
+  } catch (error) {
+    console.error('Error creating rent payment session:', error);
+    res.status(500).json({
+      error: 'Failed to create payment session',
+      message: error.message
+    });
+  }
+});
+
+// Security deposits (see services/deposits.js)
+
+const isoDate = z.string().refine(isIsoDate, { message: 'Must be a YYYY-MM-DD date' });
+
+const depositSchemas = {
+  create: z.object({
+    amount,
+    collectedOn: isoDate.optional()
+  }),
+  deduction: z.object({
+    category: z.enum(securityDeposits.DEDUCTION_CATEGORIES),
+    description: z.string().trim().min(1).max(500),
+    amount,
+    evidence: z.string().trim().max(2000).optional()
+  }),
+  statement: z.object({ moveOutDate: isoDate.optional() }),
+  return: z.object({ moveOutDate: isoDate.optional() })
+};
+
+const loadDeposit = async (req, res, next) => {
+  try {
+    req.deposit = await securityDeposits.getDepositForLease(req.lease.id);
+
+    if (!req.deposit) {
+      return res.status(404).json({ error: 'No security deposit recorded for this lease' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requireHeldDeposit = (req, res, next) => {
+  if (req.deposit.status !== 'held') {
+    return res.status(409).json({ error: `Deposit is ${req.deposit.status}` });
+  }
+  next();
+};
+
+// Get the lease's deposit and its deductions
+router.get('/:leaseId/deposit', loadLease, loadDeposit, async (req, res) => {
+  try {
+    res.json({ deposit: req.deposit, deductions: await securityDeposits.listDeductions(req.deposit.id) });
+  } catch (error) {
+    console.error('Error fetching security deposit:', error);
+    res.status(500).json({ error: 'Failed to fetch security deposit' });
+  }
+});
+
+// Record the deposit (landlord). With `collectedOn` it was collected outside
+// Stripe and is held from then; otherwise the tenant pays it online.
+router.post('/:leaseId/deposit', loadLease, requireLandlord, requireGoodStanding, validate({ body: depositSchemas.create }), async (req, res) => {
+  try {
+    const { amount: depositAmount, collectedOn } = req.body;
+
+    if (req.lease.status !== 'active') {
+      return res.status(409).json({ error: 'Lease has ended' });
+    }
+
+    if (collectedOn && collectedOn > toIsoDate(new Date())) {
+      return res.status(400).json({ error: 'collectedOn cannot be in the future' });
+    }
+
+    const invalidAmount = amountProblem(depositAmount, req.lease.currency);
+    if (invalidAmount) {
+      return res.status(400).json({ error: invalidAmount });
+    }
+
+    const overLimit = deposits.depositLimitProblem(req.lease, depositAmount);
+    if (overLimit) {
+      return res.status(422).json({ error: overLimit });
+    }
+
+    if (await securityDeposits.getDepositForLease(req.lease.id)) {
+      return res.status(409).json({ error: 'Lease already has a security deposit' });
+    }
+
+    const deposit = await securityDeposits.createDeposit({
+      leaseId: req.lease.id,
+      amount: depositAmount,
+      currency: req.lease.currency,
+      collectedOn
+    });
+
+    res.status(201).json({ deposit });
+  } catch (error) {
+    console.error('Error recording security deposit:', error);
+    res.status(500).json({ error: 'Failed to record security deposit' });
+  }
+});
+
+// Remove a deposit the tenant has not paid yet (landlord)
+router.delete('/:leaseId/deposit', loadLease, requireLandlord, loadDeposit, async (req, res) => {
+  try {
+    // Its payment session must not stay payable
+    const previous = await previousSession(req.deposit.checkoutSessionId, { amount: null });
+    if (previous.problem) {
+      const [status, error] = previous.problem;
+      return res.status(status).json({ error });
+    }
+
+    if (!(await securityDeposits.deleteDeposit(req.deposit.id))) {
+      return res.status(409).json({ error: `Deposit is ${req.deposit.status}` });
+    }
+
+    res.json({ message: 'Security deposit removed' });
+  } catch (error) {
+    console.error('Error removing security deposit:', error);
+    res.status(500).json({ error: 'Failed to remove security deposit' });
+  }
+});
+
+// Pay the deposit (tenant)
+router.post('/:leaseId/deposit/pay', loadLease, requireTenant, loadDeposit, validate({ body: payBody }), idempotent, async (req, res) => {
+  try {
+    const { successUrl, cancelUrl } = req.body;
+    const { deposit } = req;
+
+    if (deposit.status !== 'due') {
+      return res.status(409).json({ error: `Deposit is ${deposit.status}` });
+    }
+
+    const previous = await previousSession(deposit.checkoutSessionId, { amount: toMinorUnits(deposit.amount, deposit.currency) });
+    if (previous.problem) {
+      const [status, error] = previous.problem;
+      return res.status(status).json({ error });
+    }
+    if (previous.session) {
+      return res.json({ sessionId: previous.session.id, url: previous.session.url });
+    }
+
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card'],
+      mode: 'payment',
+      customer_email: req.lease.tenantEmail,
+      line_items: [
+        {
+          price_data: {
+            currency: deposit.currency,
+            product_data: {
+              name: `Security deposit - Unit ${req.lease.unitLabel}`
+            },
+            unit_amount: toMinorUnits(deposit.amount, deposit.currency),
+          },
+          quantity: 1,
+        },
+      ],
+      success_url: successUrl || `${process.env.FRONTEND_URL}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: cancelUrl || `${process.env.FRONTEND_URL}/tenant-portal`,
+      metadata: {
+        userId: req.auth.userId,
+        leaseId: req.lease.id,
+        securityDepositId: deposit.id
+      },
+      payment_intent_data: {
+        metadata: {
+          leaseId: req.lease.id,
+          securityDepositId: deposit.id
+        }
+      }
+    }, stripeRequestOptions(req, 'checkout.sessions.create'));
+
+    if (!await securityDeposits.attachCheckoutSession(deposit.id, session.id, deposit.checkoutSessionId)) {
+      // Another request opened a session for the deposit meanwhile
+      await stripe.checkout.sessions.expire(session.id);
+      return res.status(409).json({ error: 'Another payment session was just opened for this deposit' });
+    }
+
+    res.json({ sessionId: session.id, url: session.url });
+  } catch (error) {
+    console.error('Error creating deposit payment session:', error);
+    res.status(500).json({
+      error: 'Failed to create payment session',
+      message: error.message
+    });
+  }
+});
+
+// Itemize a deduction from a held deposit (landlord)
+router.post('/:leaseId/deposit/deductions', loadLease, requireLandlord, loadDeposit, requireHeldDeposit, validate({ body: depositSchemas.deduction }), async (req, res) => {
+  try {
+    const invalidAmount = amountProblem(req.body.amount, req.deposit.currency);
+    if (invalidAmount) {
+      return res.status(400).json({ error: invalidAmount });
+    }
+
+    res.status(201).json({ deduction: await securityDeposits.addDeduction(req.deposit, req.body) });
+  } catch (error) {
+    console.error('Error adding deposit deduction:', error);
+    res.status(500).json({ error: 'Failed to add deposit deduction' });
+  }
+});
+
+// Remove a deduction before the deposit is returned (landlord)
+router.delete('/:leaseId/deposit/deductions/:deductionId', loadLease, requireLandlord, loadDeposit, requireHeldDeposit, async (req, res) => {
+  try {
+    const deduction = await securityDeposits.getDeduction(req.deposit.id, req.params.deductionId);
+
+    if (!deduction) {
+      return res.status(404).json({ error: 'Deduction not found' });
+    }
+
+    await securityDeposits.deleteDeduction(req.deposit.id, deduction.id);
+
+    res.json({ message: 'Deduction removed' });
+  } catch (error) {
+    console.error('Error removing deposit deduction:', error);
+    res.status(500).json({ error: 'Failed to remove deposit deduction' });
+  }
+});
+
+// Disposition statement: a draft for the landlord while the deposit is held
+// (as of `moveOutDate`, by default the lease end), the fixed one once the return starts
+router.get('/:leaseId/deposit/statement', loadLease, loadDeposit, validate({ query: depositSchemas.statement }), async (req, res) => {
+  try {
+    if (req.deposit.status === 'due') {
+      return res.status(409).json({ error: 'Deposit has not been collected' });
+    }
+
+    if (req.deposit.status !== 'returned' && req.leaseRole !== 'landlord') {
+      return res.status(403).json({ error: 'The deposit statement has not been issued yet' });
+    }
+
+    res.json({ statement: await deposits.statementFor(req.lease, req.deposit, req.query) });
+  } catch (error) {
+    console.error('Error generating deposit statement:', error);
+    res.status(500).json({ error: 'Failed to generate deposit statement' });
+  }
+});
+
+// Return the deposit after move-out (landlord): issues the statement and refunds
+// what is owed to the tenant's deposit payment. Refunds over the approval
+// threshold wait for an admin, as with any other refund.
+router.post('/:leaseId/deposit/return', loadLease, requireLandlord, loadDeposit, validate({ body: depositSchemas.return }), idempotent, requireHeldDeposit, async (req, res) => {
+  try {
+    const { moveOutDate = req.lease.endDate } = req.body;
+
+    if (req.lease.status !== 'ended') {
+      return res.status(409).json({ error: 'End the lease before returning its deposit' });
+    }
+
+    if (moveOutDate < req.deposit.collectedOn || moveOutDate > toIsoDate(new Date())) {
+      return res.status(400).json({ error: 'moveOutDate must be between the date the deposit was collected and today' });
+    }
+
+    const result = await deposits.returnDeposit(req.lease, req.deposit, {
+      moveOutDate,
+      requestedBy: { id: req.auth.userId, name: req.auth.email },
+      stripeOptions: stripeRequestOptions(req, 'refunds.create')
+    });
+
+    if (result.problem) {
+      const [status, error] = result.problem;
+      return res.status(status).json({ error });
+    }
+
+    await recordAudit(req, {
+      action: 'deposits.return',
+      targetType: 'lease',
+      targetId: req.lease.id,
+      payload: { depositId: req.deposit.id, moveOutDate, refundAmount: result.statement.refund.toOriginalPayment },
+      stripeIds: [req.deposit.paymentIntentId, result.refund && result.refund.id].filter(Boolean)
+    });
+
+    // The deposit is returned once its refund succeeds
+    const returned = result.deposit.status === 'returned';
+    const awaitingApproval = result.refundRequest && result.refundRequest.status === 'pending_approval';
+    res.status(returned ? 200 : 202).json({
+      message: returned ? 'Deposit returned'
+        : awaitingApproval ? 'Deposit return started; the refund awaits approval'
+          : 'Deposit return started; it completes when the refund succeeds',
+      ...result,
+      refund: result.refund && {
+        id: result.refund.id,
+        amount: toMajorUnits(result.refund.amount, result.refund.currency),
+        status: result.refund.status
+      }
+    });
+  } catch (error) {
+    console.error('Error returning security deposit:', error);
+    res.status(500).json({ error: 'Failed to return security deposit' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const notifications = require('../models/notifications');
+const { TEMPLATES } = require('../services/notificationTemplates');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { z, queryInt } = require('../lib/schemas');
+const router = express.Router();
+
+// Landlords and tenants manage their own notifications
+router.use(authenticate);
+
+const listQuery = z.object({ limit: queryInt({ max: 100 }).default(50) });
+
+// Every template with whether the caller receives it
+const describePreferences = (preferences) => Object.entries(TEMPLATES).map(([template, { description, optional }]) => ({
+  template,
+  description,
+  optional,
+  enabled: optional ? preferences[template] !== false : true
+}));
+
+// Notifications sent to the caller, newest first
+router.get('/', validate({ query: listQuery }), async (req, res) => {
+  try {
+    const { limit } = req.query;
+
+    res.json({ notifications: await notifications.listNotifications(req.auth.userId, { limit }) });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Get notification preferences
+router.get('/preferences', async (req, res) => {
+  try {
+    res.json({ preferences: describePreferences(await notifications.getPreferences(req.auth.userId)) });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// Turn optional notifications on or off: { preferences: { [template]: boolean } }
+router.put('/preferences', async (req, res) => {
+  try {
+    const { preferences } = req.body;
+
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+      return res.status(400).json({ error: 'preferences must be an object of template names to booleans' });
+    }
+
+    for (const [template, enabled] of Object.entries(preferences)) {
+      if (!TEMPLATES[template]) {
+        return res.status(400).json({ error: `Unknown notification: ${template}` });
+      }
+      if (!TEMPLATES[template].optional) {
+        return res.status(400).json({ error: `${template} notifications cannot be turned off` });
+      }
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: `${template} must be true or false` });
+      }
+    }
+
+    const saved = await notifications.setPreferences(req.auth.userId, preferences);
+
+    res.json({ message: 'Notification preferences updated successfully', preferences: describePreferences(saved) });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+module.exports = router;
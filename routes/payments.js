@@ -1,30 +1,177 @@
 const express = require('express');
-const Stripe = require('stripe');
+const { stripe } = require('../lib/stripe');
+const billing = require('../models/billing');
+const { authenticate, ownsCustomer } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/adminAuth');
+const { recordAudit } = require('../services/audit');
+const { validate } = require('../middleware/validate');
+const { idempotent, stripeRequestOptions } = require('../middleware/idempotency');
+const { z, stripeId, amount, currency, checkAmount, email, metadata, catalogPriceId, redirectUrl, planSelection, checkPlanPrice } = require('../lib/schemas');
+const { findPrice, getPlan, planPrice } = require('../config/plans');
+const planChanges = require('../services/planChanges');
+const refunds = require('../services/refunds');
+const { toMinorUnits, toMajorUnits } = require('../lib/money');
 const router = express.Router();
 
-// Initialize Stripe with secret key
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+// A subscription from Stripe, or null if Stripe has none by that id
+const retrieveSubscription = async (subscriptionId, params) => {
+  try {
+    return await stripe.subscriptions.retrieve(subscriptionId, params);
+  } catch (error) {
+    if (error.code === 'resource_missing') return null;
+    throw error;
+  }
+};
+
+// Resolve the customer that owns a subscription, preferring our own store; null if unknown
+const subscriptionCustomerId = async (subscriptionId) => {
+  const stored = await billing.getSubscription(subscriptionId);
+  if (stored) return stored.customer_id;
+
+  const subscription = await retrieveSubscription(subscriptionId);
+  return subscription && subscription.customer;
+};
+
+// The caller's own subscription, from Stripe, or null
+const loadOwnedSubscription = async (req) => {
+  const subscription = await retrieveSubscription(req.params.subscriptionId);
+  return subscription && ownsCustomer(req, subscription.customer) ? subscription : null;
+};
+
+// Why a subscription cannot move to the requested plan price, as [status, error], or null
+const planChangeProblem = (subscription, target, { prorationDate } = {}) => {
+  if (['canceled', 'incomplete_expired'].includes(subscription.status)) {
+    return [409, 'Subscription has ended'];
+  }
+  if (subscription.items.data[0].price.id === target.price.id) {
+    return [400, 'Subscription is already on this plan and billing interval'];
+  }
+  if (prorationDate !== undefined &&
+    (prorationDate < subscription.current_period_start || prorationDate > subscription.current_period_end)) {
+    return [400, 'prorationDate must fall within the current billing period'];
+  }
+  return null;
+};
+
+const REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+const PLAN_CHANGE_TIMINGS = ['now', 'period_end'];
+const COUPON_DURATIONS = ['once', 'repeating', 'forever'];
+
+const subscriptionParams = z.object({ subscriptionId: stripeId('sub') });
+
+const refundBody = z.object({
+  paymentIntentId: stripeId('pi'),
+  amount: amount.optional(),
+  reason: z.enum(REFUND_REASONS).default('requested_by_customer'),
+  note: z.string().trim().max(500).optional()
+});
+
+const schemas = {
+  createSubscriptionSession: {
+    body: z.object({
+      priceId: catalogPriceId,
+      email: email.optional(),
+      customerId: stripeId('cus').optional(),
+      trialDays: z.number().int().min(0).optional(),
+      promoCode: z.string().trim().min(1).max(100).optional(),
+      metadata: metadata.default({}),
+      successUrl: redirectUrl.optional(),
+      cancelUrl: redirectUrl.optional()
+    }).superRefine((body, ctx) => {
+      // A trial may be shortened but not extended beyond the plan's
+      const { plan } = findPrice(body.priceId) || {};
+      if (plan && body.trialDays > plan.trialDays) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['trialDays'], message: `The ${plan.name} plan has at most a ${plan.trialDays}-day trial` });
+      }
+    })
+  },
+  createPaymentSession: {
+    body: z.object({
+      amount,
+      currency,
+      email: email.optional(),
+      description: z.string().trim().min(1).max(500).optional(),
+      metadata: metadata.default({}),
+      successUrl: redirectUrl.optional(),
+      cancelUrl: redirectUrl.optional()
+    }).superRefine(checkAmount())
+  },
+  getSubscription: { params: subscriptionParams },
+  cancelSubscription: {
+    body: z.object({
+      subscriptionId: stripeId('sub'),
+      cancelAtPeriodEnd: z.boolean().default(true)
+    })
+  },
+  previewPlanChange: {
+    params: subscriptionParams,
+    body: z.object(planSelection).superRefine(checkPlanPrice)
+  },
+  changePlan: {
+    params: subscriptionParams,
+    body: z.object({
+      ...planSelection,
+      when: z.enum(PLAN_CHANGE_TIMINGS).default('now'),
+      // From the preview, so the prorated charge matches the one shown
+      prorationDate: z.number().int().positive().optional()
+    }).superRefine(checkPlanPrice)
+  },
+  createRefund: { body: refundBody },
+  customerSubscriptions: { params: z.object({ customerId: stripeId('cus') }) },
+  createPromoCode: {
+    body: z.object({
+      code: z.string().trim().regex(/^[A-Za-z0-9_-]{1,50}$/, { message: 'Must be 1-50 letters, digits, dashes or underscores' }),
+      couponId: z.string().trim().min(1).max(255).optional(),
+      percentOff: z.number().positive().max(100).optional(),
+      amountOff: amount.optional(),
+      currency: currency.default('usd'),
+      duration: z.enum(COUPON_DURATIONS).default('once'),
+      durationInMonths: z.number().int().min(1).max(36).optional(),
+      maxRedemptions: z.number().int().positive().optional(),
+      expiresAt: z.string().datetime({ offset: true })
+        .refine((value) => new Date(value) > new Date(), { message: 'Must be in the future' })
+        .optional()
+    }).superRefine((body, ctx) => {
+      if (!body.couponId && body.percentOff === undefined && body.amountOff === undefined) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['percentOff'], message: 'Must specify either percentOff or amountOff' });
+      }
+      if (body.percentOff !== undefined && body.amountOff !== undefined) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['amountOff'], message: 'Cannot be combined with percentOff' });
+      }
+      if (body.duration === 'repeating' && !body.couponId && body.durationInMonths === undefined) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['durationInMonths'], message: 'Required for repeating coupons' });
+      }
+      checkAmount('amountOff')(body, ctx);
+    })
+  },
+  getSession: { params: z.object({ sessionId: stripeId('cs') }) }
+};
+
+// Metadata keys the webhook settles lease payments by. Only sessions created
+// for those payments may carry them, so they are dropped from caller metadata.
+const RESERVED_METADATA_KEYS = ['leaseId', 'rentChargeId', 'lateFeeIds', 'securityDepositId'];
+
+const withoutReservedKeys = (metadata = {}) => Object.fromEntries(
+  Object.entries(metadata).filter(([key]) => !RESERVED_METADATA_KEYS.includes(key))
+);
 
 // Create subscription checkout session endpoint
-router.post('/create-subscription-session', async (req, res) => {
+router.post('/create-subscription-session', authenticate, validate(schemas.createSubscriptionSession), async (req, res) => {
   try {
     const { 
       priceId, 
-      email, 
-      customerId, 
-      trialDays = 14, 
+      email = req.auth.email, 
+      customerId = req.user?.customerId, 
+      trialDays, 
       promoCode,
-      metadata = {},
       successUrl,
       cancelUrl 
     } = req.body;
+    const metadata = withoutReservedKeys(req.body.metadata);
 
-    // Validate required fields
-    if (!priceId || !email) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        required: ['priceId', 'email']
-      });
+    // Callers may only reuse their own Stripe customer
+    if (customerId && !ownsCustomer(req, customerId)) {
+      return res.status(403).json({ error: 'Forbidden' });
     }
 
     let customer;
@@ -41,11 +188,10 @@ router.post('/create-subscription-session', async (req, res) => {
         });
       }
     } else {
-      // Check if customer already exists
-      const existingCustomers = await stripe.customers.list({
-        email: email,
-        limit: 1
-      });
+      // Check if customer already exists (only reused for the caller's own token email)
+      const existingCustomers = email === req.auth.email
+        ? await stripe.customers.list({ email: email, limit: 1 })
+        : { data: [] };
       
       if (existingCustomers.data.length > 0) {
         customer = existingCustomers.data[0];
@@ -57,6 +203,8 @@ router.post('/create-subscription-session', async (req, res) => {
       }
     }
 
+    const { plan } = findPrice(priceId);
+
     // Prepare session configuration
     const sessionConfig = {
       payment_method_types: ['card'],
@@ -72,16 +220,23 @@ router.post('/create-subscription-session', async (req, res) => {
       cancel_url: cancelUrl || `${process.env.FRONTEND_URL}/pricing`,
       metadata: {
         ...metadata,
-        customerId: customer.id
+        customerId: customer.id,
+        userId: req.auth.userId,
+        plan: plan.id
       },
       subscription_data: {
-        metadata: metadata
+        metadata: {
+          ...metadata,
+          userId: req.auth.userId,
+          plan: plan.id
+        }
       }
     };
 
-    // Add trial period if specified
-    if (trialDays > 0) {
-      sessionConfig.subscription_data.trial_period_days = trialDays;
+    // The plan's trial, unless the caller asked for a shorter one
+    const trial = trialDays ?? plan.trialDays;
+    if (trial > 0) {
+      sessionConfig.subscription_data.trial_period_days = trial;
     }
 
     // Add promo code if provided
@@ -122,25 +277,17 @@ router.post('/create-subscription-session', async (req, res) => {
 });
 
 // Create one-time payment session endpoint
-router.post('/create-payment-session', async (req, res) => {
+router.post('/create-payment-session', authenticate, validate(schemas.createPaymentSession), idempotent, async (req, res) => {
   try {
     const { 
       amount, 
       currency, 
-      email, 
+      email = req.auth.email, 
       description,
-      metadata = {},
       successUrl,
       cancelUrl 
     } = req.body;
-
-    // Validate required fields
-    if (!amount || !currency || !email) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        required: ['amount', 'currency', 'email']
-      });
-    }
+    const metadata = withoutReservedKeys(req.body.metadata);
 
     // Create checkout session
     const session = await stripe.checkout.sessions.create({
@@ -150,20 +297,23 @@ router.post('/create-payment-session', async (req, res) => {
       line_items: [
         {
           price_data: {
-            currency: currency.toLowerCase(),
+            currency,
             product_data: {
               name: description || 'Rent Payment',
               metadata: metadata
             },
-            unit_amount: Math.round(amount * 100), // Convert to cents
+            unit_amount: toMinorUnits(amount, currency),
           },
           quantity: 1,
         },
       ],
       success_url: successUrl || `${process.env.FRONTEND_URL}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: cancelUrl || `${process.env.FRONTEND_URL}/tenant-portal`,
-      metadata: metadata
-    });
+      metadata: {
+        ...metadata,
+        userId: req.auth.userId
+      }
+    }, stripeRequestOptions(req, 'checkout.sessions.create'));
 
     res.json({
       sessionId: session.id,
@@ -180,14 +330,18 @@ router.post('/create-payment-session', async (req, res) => {
 });
 
 // Get subscription details
-router.get('/subscription/:subscriptionId', async (req, res) => {
+router.get('/subscription/:subscriptionId', authenticate, validate(schemas.getSubscription), async (req, res) => {
   try {
     const { subscriptionId } = req.params;
     
-    const subscription = await stripe.subscriptions.retrieve(subscriptionId, {
+    const subscription = await retrieveSubscription(subscriptionId, {
       expand: ['latest_invoice', 'customer', 'items.data.price.product']
     });
 
+    if (!subscription || !ownsCustomer(req, subscription.customer.id)) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
     res.json({
       subscription: {
         id: subscription.id,
@@ -198,7 +352,8 @@ router.get('/subscription/:subscriptionId', async (req, res) => {
         cancel_at_period_end: subscription.cancel_at_period_end,
         customer: subscription.customer,
         plan: subscription.items.data[0]?.price,
-        latest_invoice: subscription.latest_invoice
+        latest_invoice: subscription.latest_invoice,
+        scheduled_change: await planChanges.scheduledChange(subscription)
       }
     });
 
@@ -212,14 +367,12 @@ router.get('/subscription/:subscriptionId', async (req, res) => {
 });
 
 // Cancel subscription
-router.post('/cancel-subscription', async (req, res) => {
+router.post('/cancel-subscription', authenticate, validate(schemas.cancelSubscription), async (req, res) => {
   try {
-    const { subscriptionId, cancelAtPeriodEnd = true } = req.body;
+    const { subscriptionId, cancelAtPeriodEnd } = req.body;
 
-    if (!subscriptionId) {
-      return res.status(400).json({
-        error: 'Missing subscription ID'
-      });
+    if (!ownsCustomer(req, await subscriptionCustomerId(subscriptionId))) {
+      return res.status(404).json({ error: 'Subscription not found' });
     }
 
     let subscription;
@@ -234,6 +387,13 @@ router.post('/cancel-subscription', async (req, res) => {
       subscription = await stripe.subscriptions.cancel(subscriptionId);
     }
 
+    await recordAudit(req, {
+      action: 'subscriptions.cancel',
+      targetType: 'subscription',
+      targetId: subscriptionId,
+      stripeIds: [subscription.id]
+    });
+
     res.json({
       subscription: {
         id: subscription.id,
@@ -252,36 +412,220 @@ router.post('/cancel-subscription', async (req, res) => {
   }
 });
 
-// Create refund
-router.post('/create-refund', async (req, res) => {
+// Preview moving a subscription to another plan or billing interval
+router.post('/subscription/:subscriptionId/change-preview', authenticate, validate(schemas.previewPlanChange), async (req, res) => {
   try {
-    const { paymentIntentId, amount, reason = 'requested_by_customer' } = req.body;
+    const subscription = await loadOwnedSubscription(req);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const target = { plan: getPlan(req.body.plan), price: planPrice(req.body.plan, req.body) };
+    const problem = planChangeProblem(subscription, target);
+    if (problem) {
+      return res.status(problem[0]).json({ error: problem[1] });
+    }
 
-    if (!paymentIntentId) {
-      return res.status(400).json({
-        error: 'Missing payment intent ID'
+    const current = planChanges.currentPlanOf(subscription);
+
+    res.json({
+      current: current && planChanges.describe(current),
+      target: planChanges.describe(target),
+      exceededLimits: planChanges.exceededLimits(target.plan, req.user),
+      preview: await planChanges.previewChange(subscription, target)
+    });
+
+  } catch (error) {
+    console.error('Error previewing plan change:', error);
+    res.status(500).json({
+      error: 'Failed to preview plan change',
+      message: error.message
+    });
+  }
+});
+
+// Move a subscription to another plan or billing interval, now or at period end
+router.post('/subscription/:subscriptionId/change', authenticate, validate(schemas.changePlan), async (req, res) => {
+  try {
+    const { when, prorationDate } = req.body;
+
+    const subscription = await loadOwnedSubscription(req);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const target = { plan: getPlan(req.body.plan), price: planPrice(req.body.plan, req.body) };
+    const problem = planChangeProblem(subscription, target, { prorationDate });
+    if (problem) {
+      return res.status(problem[0]).json({ error: problem[1] });
+    }
+
+    if (subscription.cancel_at_period_end) {
+      return res.status(409).json({ error: 'Subscription is set to cancel at period end; undo the cancellation first' });
+    }
+
+    // Remove properties or units before moving to a plan that does not allow them
+    const exceededLimits = planChanges.exceededLimits(target.plan, req.user);
+    if (exceededLimits.length > 0) {
+      return res.status(409).json({
+        error: `Current usage exceeds the ${target.plan.name} plan's limits`,
+        exceededLimits
       });
     }
 
-    const refundData = {
-      payment_intent: paymentIntentId,
-      reason: reason
-    };
+    let updated;
+    try {
+      updated = when === 'now'
+        ? await planChanges.applyNow(subscription, target, { prorationDate })
+        : await planChanges.applyAtPeriodEnd(subscription, target);
+    } catch (error) {
+      if (error.type === 'StripeCardError') {
+        return res.status(402).json({ error: 'Payment for the plan change failed', message: error.message });
+      }
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'subscriptions.change_plan',
+      targetType: 'subscription',
+      targetId: subscription.id,
+      stripeIds: [updated.id]
+    });
+
+    const refreshed = await stripe.subscriptions.retrieve(subscription.id);
+    const current = planChanges.currentPlanOf(refreshed);
+
+    res.json({
+      subscription: {
+        id: refreshed.id,
+        status: refreshed.status,
+        plan: current && planChanges.describe(current),
+        current_period_end: refreshed.current_period_end,
+        latest_invoice: refreshed.latest_invoice,
+        scheduled_change: await planChanges.scheduledChange(refreshed)
+      }
+    });
 
-    // Add amount if partial refund
-    if (amount) {
-      refundData.amount = Math.round(amount * 100); // Convert to cents
+  } catch (error) {
+    console.error('Error changing plan:', error);
+    res.status(500).json({
+      error: 'Failed to change plan',
+      message: error.message
+    });
+  }
+});
+
+// Drop a plan change scheduled for period end
+router.delete('/subscription/:subscriptionId/scheduled-change', authenticate, validate(schemas.getSubscription), async (req, res) => {
+  try {
+    const subscription = await loadOwnedSubscription(req);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    if (!subscription.schedule) {
+      return res.status(409).json({ error: 'No plan change is scheduled' });
+    }
+
+    const schedule = await planChanges.cancelScheduledChange(subscription);
+
+    await recordAudit(req, {
+      action: 'subscriptions.cancel_plan_change',
+      targetType: 'subscription',
+      targetId: subscription.id,
+      stripeIds: [schedule.id]
+    });
+
+    res.json({ message: 'Scheduled plan change canceled' });
+
+  } catch (error) {
+    console.error('Error canceling scheduled plan change:', error);
+    res.status(500).json({
+      error: 'Failed to cancel scheduled plan change',
+      message: error.message
+    });
+  }
+});
+
+// Undo a pending cancel_at_period_end
+router.post('/subscription/:subscriptionId/resume', authenticate, validate(schemas.getSubscription), async (req, res) => {
+  try {
+    const subscription = await loadOwnedSubscription(req);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    if (!subscription.cancel_at_period_end || subscription.status === 'canceled') {
+      return res.status(409).json({ error: 'Subscription is not set to cancel at period end' });
+    }
+
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      cancel_at_period_end: false
+    });
+
+    await recordAudit(req, {
+      action: 'subscriptions.resume',
+      targetType: 'subscription',
+      targetId: subscription.id,
+      stripeIds: [updated.id]
+    });
+
+    res.json({
+      subscription: {
+        id: updated.id,
+        status: updated.status,
+        cancel_at_period_end: updated.cancel_at_period_end,
+        current_period_end: updated.current_period_end
+      }
+    });
+
+  } catch (error) {
+    console.error('Error resuming subscription:', error);
+    res.status(500).json({
+      error: 'Failed to resume subscription',
+      message: error.message
+    });
+  }
+});
+
+// Create refund (admin only). Large refunds wait for a second admin's approval.
+router.post('/create-refund', requirePermission('refunds:create'), validate(schemas.createRefund), idempotent, async (req, res) => {
+  try {
+    const { paymentIntentId, amount, reason, note } = req.body;
+
+    const result = await refunds.requestRefund({
+      paymentIntentId,
+      amount,
+      reason,
+      note,
+      requestedBy: req.admin,
+      stripeOptions: stripeRequestOptions(req, 'refunds.create')
+    });
+    if (result.problem) {
+      return res.status(result.problem[0]).json({ error: result.problem[1] });
     }
 
-    const refund = await stripe.refunds.create(refundData);
+    const { request, refund } = result;
+    await recordAudit(req, {
+      action: refund ? 'refunds.create' : 'refunds.request',
+      targetType: 'payment_intent',
+      targetId: paymentIntentId,
+      payload: { ...req.body, refundRequestId: request.id },
+      stripeIds: refund ? [refund.id] : []
+    });
+
+    if (!refund) {
+      return res.status(202).json({ refundRequest: refunds.formatRequest(request) });
+    }
 
     res.json({
       refund: {
         id: refund.id,
-        amount: refund.amount / 100, // Convert back to dollars
+        amount: toMajorUnits(refund.amount, refund.currency),
         status: refund.status,
         reason: refund.reason
-      }
+      },
+      refundRequest: refunds.formatRequest(request)
     });
 
   } catch (error) {
@@ -294,9 +638,13 @@ router.post('/create-refund', async (req, res) => {
 });
 
 // Get customer subscriptions
-router.get('/customer/:customerId/subscriptions', async (req, res) => {
+router.get('/customer/:customerId/subscriptions', authenticate, validate(schemas.customerSubscriptions), async (req, res) => {
   try {
     const { customerId } = req.params;
+
+    if (!ownsCustomer(req, customerId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
     
     const subscriptions = await stripe.subscriptions.list({
       customer: customerId,
@@ -324,26 +672,21 @@ router.get('/customer/:customerId/subscriptions', async (req, res) => {
   }
 });
 
-// Create promo code
-router.post('/create-promo-code', async (req, res) => {
+// Create promo code (admin only)
+router.post('/create-promo-code', requirePermission('promo_codes:create'), validate(schemas.createPromoCode), async (req, res) => {
   try {
     const { 
       code, 
       couponId, 
       percentOff, 
       amountOff, 
-      currency = 'usd',
-      duration = 'once',
+      currency,
+      duration,
+      durationInMonths,
       maxRedemptions,
       expiresAt 
     } = req.body;
 
-    if (!code) {
-      return res.status(400).json({
-        error: 'Missing promo code'
-      });
-    }
-
     let coupon;
     
     if (couponId) {
@@ -354,15 +697,15 @@ router.post('/create-promo-code', async (req, res) => {
         duration: duration
       };
 
+      if (duration === 'repeating') {
+        couponData.duration_in_months = durationInMonths;
+      }
+
       if (percentOff) {
         couponData.percent_off = percentOff;
-      } else if (amountOff) {
-        couponData.amount_off = Math.round(amountOff * 100);
-        couponData.currency = currency;
       } else {
-        return res.status(400).json({
-          error: 'Must specify either percentOff or amountOff'
-        });
+        couponData.amount_off = toMinorUnits(amountOff, currency);
+        couponData.currency = currency;
       }
 
       if (maxRedemptions) {
@@ -388,6 +731,13 @@ router.post('/create-promo-code', async (req, res) => {
 
     const promotionCode = await stripe.promotionCodes.create(promoCodeData);
 
+    await recordAudit(req, {
+      action: 'promo_codes.create',
+      targetType: 'promotion_code',
+      targetId: promotionCode.id,
+      stripeIds: [promotionCode.id, coupon.id]
+    });
+
     res.json({
       promotionCode: {
         id: promotionCode.id,
@@ -407,7 +757,7 @@ router.post('/create-promo-code', async (req, res) => {
 });
 
 // Get payment session details
-router.get('/session/:sessionId', async (req, res) => {
+router.get('/session/:sessionId', authenticate, validate(schemas.getSession), async (req, res) => {
   try {
     const { sessionId } = req.params;
     
@@ -415,13 +765,21 @@ router.get('/session/:sessionId', async (req, res) => {
       expand: ['line_items', 'customer', 'subscription']
     });
 
+    // Sessions belong to the caller who created them, or to the caller's customer
+    const ownsSession = session.metadata?.userId === req.auth.userId ||
+      ownsCustomer(req, session.customer?.id);
+
+    if (!ownsSession) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
     res.json({
       session: {
         id: session.id,
         payment_status: session.payment_status,
         customer: session.customer,
         subscription: session.subscription,
-        amount_total: session.amount_total,
+        amount_total: toMajorUnits(session.amount_total, session.currency),
         currency: session.currency,
         metadata: session.metadata
       }
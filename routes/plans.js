@@ -0,0 +1,41 @@
+const express = require('express');
+const { listPlans } = require('../config/plans');
+const { authenticate, requireAccount } = require('../middleware/auth');
+const { loadEntitlements } = require('../middleware/entitlements');
+const router = express.Router();
+
+// The plan catalog, for pricing pages (no authentication)
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      plans: listPlans().map((plan) => ({
+        id: plan.id,
+        name: plan.name,
+        trialDays: plan.trialDays,
+        features: plan.features,
+        limits: plan.limits,
+        prices: plan.prices.map((price) => ({
+          id: price.id,
+          interval: price.interval,
+          currency: price.currency,
+          amount: price.amount
+        }))
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching plans:', error);
+    res.status(500).json({ error: 'Failed to fetch plans' });
+  }
+});
+
+// The caller's plan, what it allows, and how much of it is in use
+router.get('/current', authenticate, requireAccount, async (req, res) => {
+  try {
+    res.json({ entitlements: await loadEntitlements(req) });
+  } catch (error) {
+    console.error('Error fetching entitlements:', error);
+    res.status(500).json({ error: 'Failed to fetch entitlements' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,338 @@
+const express = require('express');
+const properties = require('../models/properties');
+const leases = require('../models/leases');
+const lateFees = require('../models/lateFees');
+const { policyViolation, statutoryLimits } = require('../services/lateFees');
+const { authenticate, requireAccount, requireGoodStanding } = require('../middleware/auth');
+const { requireFeature, enforceLimit } = require('../middleware/entitlements');
+const { JURISDICTIONS } = require('../config/jurisdictions');
+const { SUPPORTED_CURRENCIES, isSupportedCurrency, amountProblem } = require('../lib/money');
+const router = express.Router();
+
+// Every route here acts on the calling landlord's own properties
+router.use(authenticate, requireAccount, requireGoodStanding);
+
+// Load the property from the URL, scoped to the caller
+const loadProperty = async (req, res, next) => {
+  try {
+    req.property = await properties.getProperty(req.user.id, req.params.propertyId);
+    if (!req.property) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && value >= 0;
+
+// Money fields must be in a supported currency and chargeable in it; returns an error message or null
+const checkMoneyFields = (amounts, currency) => {
+  if (!isSupportedCurrency(currency)) {
+    return `currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`;
+  }
+  for (const [field, value] of Object.entries(amounts)) {
+    const problem = typeof value === 'number' && amountProblem(value, currency);
+    if (problem) {
+      return `${field}: ${problem}`;
+    }
+  }
+  return null;
+};
+
+// Field checks shared by create and update; returns an error message or null.
+// Rent-control rules are looked up by jurisdiction, so only configured ones are
+// accepted (null clears it).
+const checkPropertyFields = ({ jurisdiction, unitCount, yearBuilt }) => {
+  if (jurisdiction !== undefined && jurisdiction !== null && !Object.hasOwn(JURISDICTIONS, jurisdiction)) {
+    return `jurisdiction must be one of: ${Object.keys(JURISDICTIONS).join(', ')}`;
+  }
+  if (unitCount !== undefined && !(Number.isInteger(unitCount) && unitCount > 0)) {
+    return 'unitCount must be a positive integer';
+  }
+  if (yearBuilt !== undefined && yearBuilt !== null &&
+    !(Number.isInteger(yearBuilt) && yearBuilt >= 1600 && yearBuilt <= new Date().getUTCFullYear() + 5)) {
+    return 'yearBuilt must be a four-digit year';
+  }
+  return null;
+};
+
+// Field checks shared by create and update; returns an error message or null.
+// `currency` is the unit's, which the rent must fit.
+const checkUnitFields = ({ bedrooms, bathrooms, currentRent }, currency) => {
+  if (bedrooms !== undefined && !(Number.isInteger(bedrooms) && bedrooms >= 0)) {
+    return 'bedrooms must be a non-negative integer';
+  }
+  if (bathrooms !== undefined && !isNonNegativeNumber(bathrooms)) {
+    return 'bathrooms must be a non-negative number';
+  }
+  if (currentRent !== undefined && currentRent !== null && !isNonNegativeNumber(currentRent)) {
+    return 'currentRent must be a non-negative number';
+  }
+  return checkMoneyFields({ currentRent }, currency);
+};
+
+// Late-fee policy checks; returns an error message or null
+const checkLateFeePolicy = ({ graceDays, feeType, feeAmount, feePercent, dailyFee, maxFee, maxFeePercent, currency }) => {
+  if (!(Number.isInteger(graceDays) && graceDays >= 0)) {
+    return 'graceDays must be a non-negative integer';
+  }
+  if (!lateFees.FEE_TYPES.includes(feeType)) {
+    return `feeType must be one of: ${lateFees.FEE_TYPES.join(', ')}`;
+  }
+  if (feeType === 'flat' && !(typeof feeAmount === 'number' && feeAmount > 0)) {
+    return 'feeAmount must be a positive number for flat fees';
+  }
+  if (feeType === 'percent' && !(typeof feePercent === 'number' && feePercent > 0 && feePercent <= 100)) {
+    return 'feePercent must be a number between 0 and 100 for percentage fees';
+  }
+  for (const [field, value] of Object.entries({ dailyFee, maxFee })) {
+    if (value !== undefined && value !== null && !isNonNegativeNumber(value)) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+  if (maxFeePercent !== undefined && maxFeePercent !== null &&
+    !(isNonNegativeNumber(maxFeePercent) && maxFeePercent <= 100)) {
+    return 'maxFeePercent must be a number between 0 and 100';
+  }
+  return checkMoneyFields({ feeAmount, dailyFee, maxFee }, currency);
+};
+
+// List properties
+router.get('/', async (req, res) => {
+  try {
+    res.json({ properties: await properties.listProperties(req.user.id) });
+  } catch (error) {
+    console.error('Error fetching properties:', error);
+    res.status(500).json({ error: 'Failed to fetch properties' });
+  }
+});
+
+// Create property
+router.post('/', enforceLimit('properties'), async (req, res) => {
+  try {
+    const { name, addressLine1, city, country } = req.body;
+
+    if (!name || !addressLine1 || !city || !country) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['name', 'addressLine1', 'city', 'country']
+      });
+    }
+
+    const invalid = checkPropertyFields(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const property = await properties.createProperty(req.user.id, req.body);
+
+    res.status(201).json({ property });
+  } catch (error) {
+    console.error('Error creating property:', error);
+    res.status(500).json({ error: 'Failed to create property' });
+  }
+});
+
+// Get property with its units
+router.get('/:propertyId', loadProperty, async (req, res) => {
+  try {
+    res.json({
+      property: {
+        ...req.property,
+        units: await properties.listUnits(req.property.id)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching property:', error);
+    res.status(500).json({ error: 'Failed to fetch property' });
+  }
+});
+
+// Update property
+router.put('/:propertyId', loadProperty, async (req, res) => {
+  try {
+    const invalid = checkPropertyFields(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const property = await properties.updateProperty(req.user.id, req.property.id, req.body);
+
+    res.json({ message: 'Property updated successfully', property });
+  } catch (error) {
+    console.error('Error updating property:', error);
+    res.status(500).json({ error: 'Failed to update property' });
+  }
+});
+
+// Delete property and its units
+router.delete('/:propertyId', loadProperty, async (req, res) => {
+  try {
+    if (await leases.hasLeasesForProperty(req.property.id)) {
+      return res.status(409).json({ error: 'Property has leases and cannot be deleted' });
+    }
+
+    await properties.deleteProperty(req.user.id, req.property.id);
+
+    res.json({ message: 'Property deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting property:', error);
+    res.status(500).json({ error: 'Failed to delete property' });
+  }
+});
+
+// Get the late-fee policy, with any statutory limits that apply on top of it
+router.get('/:propertyId/late-fee-policy', loadProperty, async (req, res) => {
+  try {
+    res.json({
+      policy: await lateFees.getPolicy(req.property.id),
+      statutoryLimits: statutoryLimits(req.property.jurisdiction)
+    });
+  } catch (error) {
+    console.error('Error fetching late-fee policy:', error);
+    res.status(500).json({ error: 'Failed to fetch late-fee policy' });
+  }
+});
+
+// Set the late-fee policy
+router.put('/:propertyId/late-fee-policy', requireFeature('lateFees'), loadProperty, async (req, res) => {
+  try {
+    // Fee amounts are in the currency of the property's rents unless one is given
+    const [unit] = await properties.listUnits(req.property.id);
+    const fields = { ...req.body, currency: req.body.currency || (unit ? unit.currency : 'usd') };
+
+    const invalid = checkLateFeePolicy(fields) || policyViolation(fields, req.property.jurisdiction);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const policy = await lateFees.savePolicy(req.property.id, fields);
+
+    res.json({
+      message: 'Late-fee policy saved successfully',
+      policy,
+      statutoryLimits: statutoryLimits(req.property.jurisdiction)
+    });
+  } catch (error) {
+    console.error('Error saving late-fee policy:', error);
+    res.status(500).json({ error: 'Failed to save late-fee policy' });
+  }
+});
+
+// Remove the late-fee policy. Fees already assessed stay on the tenant's balance.
+router.delete('/:propertyId/late-fee-policy', loadProperty, async (req, res) => {
+  try {
+    await lateFees.deletePolicy(req.property.id);
+
+    res.json({ message: 'Late-fee policy removed successfully' });
+  } catch (error) {
+    console.error('Error removing late-fee policy:', error);
+    res.status(500).json({ error: 'Failed to remove late-fee policy' });
+  }
+});
+
+// List units
+router.get('/:propertyId/units', loadProperty, async (req, res) => {
+  try {
+    res.json({ units: await properties.listUnits(req.property.id) });
+  } catch (error) {
+    console.error('Error fetching units:', error);
+    res.status(500).json({ error: 'Failed to fetch units' });
+  }
+});
+
+// Create unit
+router.post('/:propertyId/units', enforceLimit('units'), loadProperty, async (req, res) => {
+  try {
+    const { label } = req.body;
+
+    if (!label) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['label']
+      });
+    }
+
+    const invalid = checkUnitFields(req.body, req.body.currency || 'usd');
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (await properties.getUnitByLabel(req.property.id, label)) {
+      return res.status(409).json({ error: 'A unit with this label already exists' });
+    }
+
+    const unit = await properties.createUnit(req.property.id, req.body);
+
+    res.status(201).json({ unit });
+  } catch (error) {
+    console.error('Error creating unit:', error);
+    res.status(500).json({ error: 'Failed to create unit' });
+  }
+});
+
+// Get unit
+router.get('/:propertyId/units/:unitId', loadProperty, async (req, res) => {
+  try {
+    const unit = await properties.getUnit(req.property.id, req.params.unitId);
+
+    if (!unit) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+
+    res.json({ unit });
+  } catch (error) {
+    console.error('Error fetching unit:', error);
+    res.status(500).json({ error: 'Failed to fetch unit' });
+  }
+});
+
+// Update unit
+router.put('/:propertyId/units/:unitId', loadProperty, async (req, res) => {
+  try {
+    const { unitId } = req.params;
+
+    const existing = await properties.getUnit(req.property.id, unitId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+
+    const invalid = checkUnitFields(req.body, req.body.currency || existing.currency);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const unit = await properties.updateUnit(req.property.id, unitId, req.body);
+
+    res.json({ message: 'Unit updated successfully', unit });
+  } catch (error) {
+    console.error('Error updating unit:', error);
+    res.status(500).json({ error: 'Failed to update unit' });
+  }
+});
+
+// Delete unit
+router.delete('/:propertyId/units/:unitId', loadProperty, async (req, res) => {
+  try {
+    const { unitId } = req.params;
+
+    if (!(await properties.getUnit(req.property.id, unitId))) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+
+    if (await leases.hasLeasesForUnit(unitId)) {
+      return res.status(409).json({ error: 'Unit has leases and cannot be deleted' });
+    }
+
+    await properties.deleteUnit(req.property.id, unitId);
+
+    res.json({ message: 'Unit deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting unit:', error);
+    res.status(500).json({ error: 'Failed to delete unit' });
+  }
+});
+
+module.exports = router;
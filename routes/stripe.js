@@ -1,15 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const Stripe = require('stripe');
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const { stripe } = require('../lib/stripe');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idempotent, stripeRequestOptions } = require('../middleware/idempotency');
+const { z, planSelection, checkPlanPrice } = require('../lib/schemas');
+const { getPlan, planPrice } = require('../config/plans');
 
-const priceMap = {
-  starter: process.env.STRIPE_PRICE_STARTER,
-  pro: process.env.STRIPE_PRICE_PRO
-};
+const checkoutBody = z.object(planSelection).superRefine(checkPlanPrice);
 
-router.post('/checkout', async (req, res) => {
-  const { plan, userId } = req.body;
+router.post('/checkout', authenticate, validate({ body: checkoutBody }), idempotent, async (req, res) => {
+  const { plan } = req.body;
+  const { userId } = req.auth;
 
   try {
     const session = await stripe.checkout.sessions.create({
@@ -17,7 +19,7 @@ router.post('/checkout', async (req, res) => {
       payment_method_types: ['card'],
       line_items: [
         {
-          price: priceMap[plan],
+          price: planPrice(plan, req.body).id,
           quantity: 1,
         },
       ],
@@ -25,9 +27,16 @@ router.post('/checkout', async (req, res) => {
         userId,
         plan,
       },
+      subscription_data: {
+        trial_period_days: getPlan(plan).trialDays || undefined,
+        metadata: {
+          userId,
+          plan,
+        },
+      },
       success_url: `${process.env.BASE_URL}/success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${process.env.BASE_URL}/choose-plan`,
-    });
+    }, stripeRequestOptions(req, 'checkout.sessions.create'));
 
     res.status(200).json({ url: session.url });
   } catch (err) {
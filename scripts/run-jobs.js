@@ -0,0 +1,14 @@
+// Run the scheduled jobs once, for deployments that drive them from cron
+// instead of the in-process scheduler (set DISABLE_SCHEDULER=true on the web process).
+
+require('dotenv').config();
+const db = require('../db');
+const { runJobs } = require('../services/scheduler');
+
+db.migrate()
+  .then(runJobs)
+  .then(() => db.close())
+  .catch((error) => {
+    console.error('❌ Jobs failed:', error);
+    process.exit(1);
+  });
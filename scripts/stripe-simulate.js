@@ -0,0 +1,134 @@
+// Play Stripe's part against a server running with STRIPE_MODE=fake: pay for
+// checkout sessions, renew subscriptions, decline cards, and deliver the
+// resulting webhook events, signed with STRIPE_WEBHOOK_SECRET.
+//
+//   npm run stripe:simulate -- complete-checkout <cs_id> [--decline]
+//   npm run stripe:simulate -- renew <sub_id> [--decline]
+//   npm run stripe:simulate -- trial-will-end <sub_id>
+//   npm run stripe:simulate -- cancel <sub_id>
+//   npm run stripe:simulate -- card <cus_id> decline|accept
+//   npm run stripe:simulate -- add-card <cus_id> [last4]
+//   npm run stripe:simulate -- refund-fail <re_id> [failure_reason]
+//   npm run stripe:simulate -- deliver
+//   npm run stripe:simulate -- events
+//   npm run stripe:simulate -- reset
+//
+// Every command but `events` and `reset` ends by delivering the queued events,
+// oldest first, to WEBHOOK_URL (default http://localhost:$PORT/webhooks/stripe).
+
+require('dotenv').config();
+const Stripe = require('stripe');
+const { createStripeClient } = require('../lib/stripe');
+
+const fake = createStripeClient('fake');
+
+const webhookUrl = () => process.env.WEBHOOK_URL ||
+  `http://localhost:${process.env.PORT || 5050}/webhooks/stripe`;
+
+// Post queued events in order, stopping at the first one the server rejects
+async function deliver() {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('STRIPE_WEBHOOK_SECRET must be set to sign events');
+  }
+
+  const events = await fake.fake.pendingEvents();
+  const delivered = [];
+
+  try {
+    for (const event of events) {
+      const payload = JSON.stringify(event, null, 2);
+      const response = await fetch(webhookUrl(), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Stripe-Signature': Stripe.webhooks.generateTestHeaderString({ payload, secret })
+        },
+        body: payload
+      });
+
+      if (!response.ok) {
+        throw new Error(`${event.type} (${event.id}) was rejected with ${response.status}: ${await response.text()}`);
+      }
+      console.log(`📤 ${event.type} ${event.data.object.id}`);
+      delivered.push(event.id);
+    }
+  } finally {
+    const remaining = await fake.fake.markDelivered(delivered);
+    console.log(`✅ Delivered ${delivered.length} event(s), ${remaining} still queued`);
+  }
+}
+
+const COMMANDS = {
+  'complete-checkout': async ([sessionId], { decline }) => {
+    const session = await fake.fake.completeCheckout(sessionId, { decline });
+    console.log(`💳 Checkout session ${session.id}: ${session.status}, ${session.payment_status}`);
+    return true;
+  },
+  renew: async ([subscriptionId], { decline }) => {
+    const subscription = await fake.fake.renewSubscription(subscriptionId, { decline });
+    console.log(`🔄 Subscription ${subscription.id}: ${subscription.status}`);
+    return true;
+  },
+  'trial-will-end': async ([subscriptionId]) => {
+    await fake.fake.trialWillEnd(subscriptionId);
+    return true;
+  },
+  cancel: async ([subscriptionId]) => {
+    const subscription = await fake.subscriptions.cancel(subscriptionId);
+    console.log(`🗑️ Subscription ${subscription.id}: ${subscription.status}`);
+    return true;
+  },
+  card: async ([customerId, behaviour]) => {
+    if (!['decline', 'accept'].includes(behaviour)) {
+      throw new Error('Usage: card <cus_id> decline|accept');
+    }
+    await fake.fake.setCardDeclines(customerId, behaviour === 'decline');
+    console.log(`💳 Payments by ${customerId} will be ${behaviour === 'decline' ? 'declined' : 'accepted'}`);
+    return false;
+  },
+  'add-card': async ([customerId, last4]) => {
+    if (last4 !== undefined && !/^\d{4}$/.test(last4)) {
+      throw new Error('Usage: add-card <cus_id> [last4]');
+    }
+    const paymentMethod = await fake.fake.attachCard(customerId, { last4 });
+    console.log(`💳 Saved ${paymentMethod.card.brand} ending ${paymentMethod.card.last4} as ${paymentMethod.id}`);
+    return true;
+  },
+  'refund-fail': async ([refundId, failureReason]) => {
+    const refund = await fake.fake.failRefund(refundId, failureReason);
+    console.log(`↩️ Refund ${refund.id}: ${refund.status} (${refund.failure_reason})`);
+    return true;
+  },
+  deliver: async () => true,
+  events: async () => {
+    for (const event of await fake.fake.pendingEvents()) {
+      console.log(`${event.id}  ${event.type}  ${event.data.object.id}`);
+    }
+    return false;
+  },
+  reset: async () => {
+    await fake.fake.reset();
+    console.log('🧹 Fake Stripe state cleared');
+    return false;
+  }
+};
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const args = rest.filter((arg) => !arg.startsWith('--'));
+  const options = { decline: rest.includes('--decline') };
+
+  if (!COMMANDS[command]) {
+    throw new Error(`Usage: stripe-simulate <${Object.keys(COMMANDS).join('|')}> [args]`);
+  }
+
+  if (await COMMANDS[command](args, options)) {
+    await deliver();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Simulation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,34 @@
+// Backfill the local billing store from Stripe.
+// Webhooks keep the store current going forward; run this once after
+// connecting an existing Stripe account, or to repair missed events.
+
+require('dotenv').config();
+const { stripe } = require('../lib/stripe');
+const db = require('../db');
+const billing = require('../models/billing');
+
+async function syncAll(label, list, upsert) {
+  let count = 0;
+  await list.autoPagingEach(async (object) => {
+    await upsert(object);
+    count += 1;
+  });
+  console.log(`✅ Synced ${count} ${label}`);
+}
+
+async function main() {
+  await db.migrate();
+
+  await syncAll('customers', stripe.customers.list({ limit: 100 }), billing.upsertCustomer);
+  await syncAll('subscriptions', stripe.subscriptions.list({ limit: 100, status: 'all' }), billing.upsertSubscription);
+  await syncAll('invoices', stripe.invoices.list({ limit: 100 }), billing.upsertInvoice);
+  await syncAll('payment intents', stripe.paymentIntents.list({ limit: 100 }), billing.upsertPaymentIntent);
+  await syncAll('checkout sessions', stripe.checkout.sessions.list({ limit: 100 }), billing.upsertCheckoutSession);
+}
+
+main()
+  .then(() => db.close())
+  .catch((error) => {
+    console.error('❌ Stripe sync failed:', error);
+    process.exit(1);
+  });
@@ -3,9 +3,8 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 require('dotenv').config();
-
-const stripeRoutes = require('./routes/stripe');
-app.use('/api/stripe', stripeRoutes);
+const db = require('./db');
+const { startScheduler } = require('./services/scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 5050;
@@ -18,11 +17,13 @@ app.use(cors({
   origin: true, // Allow all origins
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'stripe-signature']
+  allowedHeaders: ['Content-Type', 'Authorization', 'stripe-signature', 'Idempotency-Key'],
+  // Marks responses replayed for a repeated Idempotency-Key
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Logging middleware
-app.use(morgan('combined'));
+app.use(morgan('combined', { skip: () => process.env.NODE_ENV === 'test' }));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -42,7 +43,15 @@ app.use(express.urlencoded({ extended: true }));
 
 // API routes
 app.use('/api', require('./routes/payments'));
+app.use('/api/admin/admins', require('./routes/admins'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/stripe', require('./routes/stripe'));
+app.use('/api/plans', require('./routes/plans'));
+app.use('/api/billing', require('./routes/billing'));
+app.use('/api/properties', require('./routes/properties'));
+app.use('/api/leases', require('./routes/leases'));
+app.use('/api/compliance', require('./routes/compliance'));
+app.use('/api/notifications', require('./routes/notifications'));
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -75,15 +84,28 @@ app.use('*', (req, res) => {
   });
 });
 
-// Start server
-const BASE_URL = process.env.CLIENT_URL || `http://localhost:${PORT}`;
-
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Rent Control Backend running on port ${PORT}`);
-  console.log(`📊 Health check: ${BASE_URL}/health`);
-  console.log(`💳 Stripe webhook: ${BASE_URL}/webhooks/stripe`);
-  console.log(`🔗 API endpoints: ${BASE_URL}/api`);
-});
+// Start server when run directly; tests mount the app on their own
+if (require.main === module) {
+  const BASE_URL = process.env.CLIENT_URL || `http://localhost:${PORT}`;
+
+  db.migrate()
+    .then(() => {
+      app.listen(PORT, '0.0.0.0', () => {
+        console.log(`🚀 Rent Control Backend running on port ${PORT}`);
+        console.log(`📊 Health check: ${BASE_URL}/health`);
+        console.log(`💳 Stripe webhook: ${BASE_URL}/webhooks/stripe`);
+        console.log(`🔗 API endpoints: ${BASE_URL}/api`);
+      });
+
+      if (process.env.DISABLE_SCHEDULER !== 'true') {
+        startScheduler();
+      }
+    })
+    .catch((error) => {
+      console.error('❌ Database migration failed:', error);
+      process.exit(1);
+    });
+}
 
 module.exports = app;
 
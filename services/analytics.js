@@ -0,0 +1,202 @@
+const db = require('../db');
+const { toMajorUnits } = require('../lib/money');
+
+// Revenue figures are reported in a single currency
+const REPORTING_CURRENCY = (process.env.ANALYTICS_CURRENCY || 'usd').toLowerCase();
+
+const toReportingUnits = (minor) => toMajorUnits(minor, REPORTING_CURRENCY);
+
+const LIVE_STATUSES = ['active', 'trialing', 'past_due', 'unpaid'];
+
+// Monthly value of one subscription, in minor units
+const monthlyAmount = (subscription) => {
+  const amount = (subscription.unit_amount || 0) * (subscription.quantity || 1);
+
+  switch (subscription.billing_interval) {
+    case 'year':
+      return amount / 12;
+    case 'week':
+      return (amount * 52) / 12;
+    case 'day':
+      return (amount * 365) / 12;
+    default:
+      return amount;
+  }
+};
+
+// When a subscription stopped, in unix seconds (null while it is still running)
+const endedAt = (subscription) => subscription.ended_at ||
+  (subscription.status === 'canceled' || subscription.status === 'incomplete_expired'
+    ? subscription.canceled_at || subscription.updated_at_unix
+    : null);
+
+const isLiveAt = (subscription, at) => subscription.created <= at &&
+  (!endedAt(subscription) || endedAt(subscription) > at);
+
+const isTrialingAt = (subscription, at) => Boolean(subscription.trial_end) &&
+  (subscription.trial_start || subscription.created) <= at && subscription.trial_end > at;
+
+const isPayingAt = (subscription, at) => isLiveAt(subscription, at) && !isTrialingAt(subscription, at);
+
+const mrrAt = (subscriptions, at) => Math.round(subscriptions
+  .filter((subscription) => isPayingAt(subscription, at))
+  .reduce((sum, subscription) => sum + monthlyAmount(subscription), 0));
+
+const toUnix = (date) => Math.floor(date.getTime() / 1000);
+
+const percentage = (numerator, denominator) => (denominator > 0
+  ? Math.round((numerator / denominator) * 1000) / 10
+  : 0);
+
+// Calendar months (UTC) overlapping the range
+const monthsBetween = (from, to) => {
+  const months = [];
+  let cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+
+  while (cursor <= to) {
+    const next = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 1));
+    months.push({
+      label: cursor.toISOString().slice(0, 7),
+      start: toUnix(cursor),
+      end: Math.min(toUnix(next), toUnix(to))
+    });
+    cursor = next;
+  }
+
+  return months;
+};
+
+const sumWhere = (rows, field, from, to, amountField) => rows
+  .filter((row) => row[field] >= from && row[field] < to)
+  .reduce((sum, row) => sum + (row[amountField] || 0), 0);
+
+const countWhere = (rows, predicate) => rows.filter(predicate).length;
+
+// Default range: the current month and the eleven before it
+const defaultRange = () => {
+  const to = new Date();
+  const from = new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth() - 11, 1));
+  return { from, to };
+};
+
+async function getAnalytics({ from, to } = {}) {
+  const range = defaultRange();
+  const rangeFrom = from || range.from;
+  const rangeTo = to || range.to;
+  const start = toUnix(rangeFrom);
+  const end = toUnix(rangeTo);
+
+  const subscriptions = (await db.query(
+    `SELECT id, status, unit_amount, quantity, billing_interval, created, trial_start, trial_end,
+       canceled_at, ended_at, updated_at
+     FROM subscriptions WHERE currency = ? OR currency IS NULL`,
+    [REPORTING_CURRENCY]
+  )).map((subscription) => ({
+    ...subscription,
+    updated_at_unix: toUnix(new Date(subscription.updated_at))
+  }));
+
+  const invoices = await db.query(
+    `SELECT amount_paid, paid_at FROM invoices
+     WHERE status = 'paid' AND currency = ? AND paid_at >= ? AND paid_at < ?`,
+    [REPORTING_CURRENCY, start, end]
+  );
+
+  // Refunds of subscription payments (i.e. invoice payment intents)
+  const refunds = await db.query(
+    `SELECT refunds.amount, refunds.created FROM refunds
+     JOIN invoices ON invoices.payment_intent_id = refunds.payment_intent_id
+     WHERE refunds.status = 'succeeded' AND refunds.currency = ? AND refunds.created >= ? AND refunds.created < ?`,
+    [REPORTING_CURRENCY, start, end]
+  );
+
+  const newUsers = await db.query(
+    'SELECT created_at FROM users WHERE created_at >= ? AND created_at < ?',
+    [rangeFrom.toISOString(), rangeTo.toISOString()]
+  );
+  const { total: totalUsers } = await db.one('SELECT COUNT(*) AS total FROM users WHERE deleted_at IS NULL');
+  const { total: totalProperties } = await db.one('SELECT COUNT(*) AS total FROM properties');
+
+  // Status counts are a snapshot of the current state, not of the range end
+  const statusCounts = {};
+  for (const { status, total } of await db.query('SELECT status, COUNT(*) AS total FROM subscriptions GROUP BY status')) {
+    statusCounts[status] = total;
+  }
+
+  const series = monthsBetween(rangeFrom, rangeTo).map((month) => {
+    const payingAtStart = countWhere(subscriptions, (subscription) => isPayingAt(subscription, month.start));
+    const canceled = countWhere(subscriptions, (subscription) => {
+      const stoppedAt = endedAt(subscription);
+      return stoppedAt && stoppedAt >= month.start && stoppedAt < month.end;
+    });
+    const grossRevenue = sumWhere(invoices, 'paid_at', month.start, month.end, 'amount_paid');
+    const refunded = sumWhere(refunds, 'created', month.start, month.end, 'amount');
+
+    return {
+      month: month.label,
+      mrr: toReportingUnits(mrrAt(subscriptions, month.end)),
+      activeSubscriptions: countWhere(subscriptions, (subscription) => isLiveAt(subscription, month.end)),
+      newSubscriptions: countWhere(subscriptions, (subscription) => subscription.created >= month.start && subscription.created < month.end),
+      canceledSubscriptions: canceled,
+      churnRate: percentage(canceled, payingAtStart),
+      grossRevenue: toReportingUnits(grossRevenue),
+      refunds: toReportingUnits(refunded),
+      netRevenue: toReportingUnits(grossRevenue - refunded),
+      newUsers: countWhere(newUsers, (user) => {
+        const created = toUnix(new Date(user.created_at));
+        return created >= month.start && created < month.end;
+      })
+    };
+  });
+
+  // Trials that finished inside the range, and how many carried on as paid subscriptions
+  const endedTrials = subscriptions.filter((subscription) => subscription.trial_end &&
+    subscription.trial_end >= start && subscription.trial_end < end);
+  const convertedTrials = endedTrials.filter((subscription) => {
+    const stoppedAt = endedAt(subscription);
+    return !stoppedAt || stoppedAt > subscription.trial_end;
+  });
+
+  // Churn over the whole range: cancellations out of every subscription that was live during it
+  const liveDuringRange = countWhere(subscriptions, (subscription) => subscription.created < end &&
+    (!endedAt(subscription) || endedAt(subscription) >= start));
+  const canceledInRange = countWhere(subscriptions, (subscription) => {
+    const stoppedAt = endedAt(subscription);
+    return stoppedAt && stoppedAt >= start && stoppedAt < end;
+  });
+
+  const grossRevenue = invoices.reduce((sum, invoice) => sum + invoice.amount_paid, 0);
+  const refunded = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  const mrr = mrrAt(subscriptions, end);
+
+  const lastMonth = series[series.length - 1];
+  const previousMonth = series[series.length - 2];
+
+  return {
+    analytics: {
+      range: { from: rangeFrom.toISOString(), to: rangeTo.toISOString() },
+      currency: REPORTING_CURRENCY,
+      totalUsers,
+      newUsers: newUsers.length,
+      totalProperties,
+      activeSubscriptions: statusCounts.active || 0,
+      trialingSubscriptions: statusCounts.trialing || 0,
+      pastDueSubscriptions: (statusCounts.past_due || 0) + (statusCounts.unpaid || 0),
+      liveSubscriptions: LIVE_STATUSES.reduce((sum, status) => sum + (statusCounts[status] || 0), 0),
+      cancelledSubscriptions: canceledInRange,
+      mrr: toReportingUnits(mrr),
+      arr: toReportingUnits(mrr * 12),
+      churnRate: percentage(canceledInRange, liveDuringRange),
+      trialConversionRate: percentage(convertedTrials.length, endedTrials.length),
+      grossRevenue: toReportingUnits(grossRevenue),
+      refunds: toReportingUnits(refunded),
+      netRevenue: toReportingUnits(grossRevenue - refunded),
+      revenueGrowth: previousMonth
+        ? percentage(lastMonth.netRevenue - previousMonth.netRevenue, previousMonth.netRevenue)
+        : 0
+    },
+    series
+  };
+}
+
+module.exports = { getAnalytics };
@@ -0,0 +1,33 @@
+const auditLog = require('../models/auditLog');
+
+// Who is acting: an authenticated admin, or a signed-in tenant/landlord
+const actorFromRequest = (req) => {
+  if (req.admin) {
+    return { actorType: 'admin', actorId: req.admin.id, actorName: req.admin.name };
+  }
+  if (req.auth) {
+    return { actorType: 'user', actorId: req.auth.userId, actorName: req.auth.email };
+  }
+  return { actorType: 'system', actorId: 'system' };
+};
+
+// Record an action taken on behalf of `req`.
+// Called after the action succeeded; a failure to write the entry is logged
+// rather than failing a request whose side effects (e.g. a refund) already happened.
+async function recordAudit(req, { action, targetType, targetId, payload = req.body, stripeIds }) {
+  try {
+    await auditLog.appendEntry({
+      ...actorFromRequest(req),
+      action,
+      targetType,
+      targetId,
+      payload,
+      stripeIds,
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error(`❌ Failed to write audit entry for ${action}:`, error);
+  }
+}
+
+module.exports = { recordAudit };
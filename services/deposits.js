@@ -0,0 +1,220 @@
+const { JURISDICTIONS } = require('../config/jurisdictions');
+const securityDeposits = require('../models/securityDeposits');
+const refundRequests = require('../models/refundRequests');
+const leases = require('../models/leases');
+const refunds = require('./refunds');
+const { notify } = require('./notifications');
+const { toIsoDate, addDays, daysBetween } = require('../lib/dates');
+const { toMinorUnits, toMajorUnits, roundToStep, formatMoney } = require('../lib/money');
+
+// Security deposits. A deposit is recorded against a lease, within the
+// jurisdiction's ceiling, and either paid by the tenant through Checkout or
+// recorded as collected outside Stripe. At move-out the landlord itemizes
+// deductions and returns it: the disposition statement is fixed, and what is
+// owed back goes out as a refund of the tenant's deposit payment through the
+// refund path (services/refunds.js). The deposit is returning until that refund
+// succeeds, and held again if it is rejected or fails. Interest beyond the
+// deposit, and any deposit not paid through Stripe, is left for the landlord
+// to pay directly.
+
+const depositRules = (jurisdiction) => (JURISDICTIONS[jurisdiction] && JURISDICTIONS[jurisdiction].deposits) || {};
+
+// Why a deposit of `amount` (major units) is over the lease's jurisdiction's ceiling, or null
+const depositLimitProblem = (lease, amount) => {
+  const { maxMonthsRent } = depositRules(lease.jurisdiction);
+  if (maxMonthsRent === undefined) return null;
+
+  const limit = toMinorUnits(lease.rentAmount, lease.currency) * maxMonthsRent;
+  if (toMinorUnits(amount, lease.currency) <= limit) return null;
+
+  return `Deposits in ${JURISDICTIONS[lease.jurisdiction].name} are limited to ${maxMonthsRent} ` +
+    `month${maxMonthsRent === 1 ? '' : 's'} of rent (${formatMoney(limit, lease.currency)})`;
+};
+
+// Interest rate (percent) for `year`; a schedule's latest figure carries forward
+// and years before its first figure earn nothing
+const interestPercent = (interest, year) => {
+  if (interest.type === 'fixed') {
+    return interest.percent;
+  }
+
+  if (interest.type === 'schedule') {
+    const years = Object.keys(interest.percents).map(Number).filter((known) => known <= year).sort((a, b) => b - a);
+    return years.length > 0 ? interest.percents[years[0]] : 0;
+  }
+
+  throw new Error(`Unknown interest type: ${interest.type}`);
+};
+
+// Simple interest on `amount` (minor units of `currency`) held from `from` to
+// `to`, accrued per calendar year at that year's rate. Returns { amount, periods },
+// in minor units.
+const accrueInterest = (amount, currency, interest, from, to) => {
+  const periods = [];
+  if (!interest || !from || to <= from) return { amount: 0, periods };
+
+  for (let year = Number(from.slice(0, 4)); year <= Number(to.slice(0, 4)); year++) {
+    const start = from > `${year}-01-01` ? from : `${year}-01-01`;
+    const end = to < `${year + 1}-01-01` ? to : `${year + 1}-01-01`;
+    const days = daysBetween(start, end);
+    if (days <= 0) continue;
+
+    const percent = interestPercent(interest, year);
+    periods.push({
+      from: start,
+      to: end,
+      percent,
+      amount: roundToStep(amount * (percent / 100) * (days / daysBetween(`${year}-01-01`, `${year + 1}-01-01`)), currency)
+    });
+  }
+
+  return { amount: periods.reduce((sum, period) => sum + period.amount, 0), periods };
+};
+
+// The disposition statement for a held deposit if the tenant moved out on
+// `moveOutDate`, with amounts in major units. `totals` carries the same
+// figures in minor units for settling the deposit.
+function buildStatement(lease, deposit, deductions, { moveOutDate }) {
+  const { currency } = deposit;
+  const rules = depositRules(lease.jurisdiction);
+  const major = (minor) => toMajorUnits(minor, currency);
+
+  const depositAmount = toMinorUnits(deposit.amount, currency);
+  const interest = accrueInterest(depositAmount, currency, rules.interest, deposit.collectedOn, moveOutDate);
+  const deductionsAmount = deductions.reduce((sum, deduction) => sum + toMinorUnits(deduction.amount, currency), 0);
+
+  const owed = depositAmount + interest.amount;
+  const net = Math.max(0, owed - deductionsAmount);
+  // Only the deposit payment itself can be refunded; interest on top is paid directly
+  const refundAmount = deposit.paymentIntentId ? Math.min(net, depositAmount) : 0;
+
+  return {
+    totals: { interestAmount: interest.amount, deductionsAmount, refundAmount },
+    statement: {
+      depositId: deposit.id,
+      leaseId: lease.id,
+      unitLabel: lease.unitLabel,
+      tenantName: lease.tenantName,
+      jurisdiction: JURISDICTIONS[lease.jurisdiction] ? JURISDICTIONS[lease.jurisdiction].name : null,
+      currency,
+      collectedOn: deposit.collectedOn,
+      moveOutDate,
+      returnBy: rules.returnDays !== undefined ? addDays(moveOutDate, rules.returnDays) : null,
+      deposit: deposit.amount,
+      interest: {
+        amount: major(interest.amount),
+        periods: interest.periods.map((period) => ({ ...period, amount: major(period.amount) }))
+      },
+      deductions: deductions.map(({ category, description, amount, evidence }) => ({ category, description, amount, evidence })),
+      totalDeductions: major(deductionsAmount),
+      netRefund: major(net),
+      tenantOwes: major(Math.max(0, deductionsAmount - owed)),
+      refund: {
+        toOriginalPayment: major(refundAmount),
+        paidSeparately: major(net - refundAmount)
+      },
+      generatedAt: new Date().toISOString()
+    }
+  };
+}
+
+// Draft statement for a held deposit, or the one fixed when it was returned
+async function statementFor(lease, deposit, { moveOutDate = lease.endDate || toIsoDate(new Date()) } = {}) {
+  if (deposit.status === 'returning' || deposit.status === 'returned') {
+    return { ...(await securityDeposits.getStatement(deposit.id)), final: deposit.status === 'returned' };
+  }
+
+  const deductions = await securityDeposits.listDeductions(deposit.id);
+  return { ...buildStatement(lease, deposit, deductions, { moveOutDate }).statement, final: false };
+}
+
+// Close a returning deposit and send the tenant its statement
+async function completeReturn(deposit) {
+  if (!(await securityDeposits.markReturned(deposit.id))) return;
+
+  const lease = await leases.getLease(deposit.leaseId);
+  const refunded = toMinorUnits(deposit.refundAmount, deposit.currency);
+  console.log(`🔑 Deposit ${deposit.id} on lease ${lease.id} returned: ${formatMoney(refunded, deposit.currency)} refunded`);
+
+  await notify(
+    { userId: lease.tenantUserId, email: lease.tenantEmail, name: lease.tenantName },
+    'deposit_statement',
+    await securityDeposits.getStatement(deposit.id)
+  );
+}
+
+// Finish the return of the deposit a refund request was made for once its
+// refund succeeds, or put the deposit back to held if the request is
+// rejected or its refund fails
+async function followRefundRequest(request) {
+  const deposit = await securityDeposits.getDepositForRefundRequest(request.id);
+  if (!deposit) return;
+
+  if (request.status === 'succeeded') {
+    await completeReturn(deposit);
+  } else if (['rejected', 'failed', 'canceled'].includes(request.status) && (await securityDeposits.reopen(deposit.id))) {
+    console.log(`⚠️ Deposit ${deposit.id} is held again: refund request ${request.id} was ${request.status}`);
+  }
+}
+
+// Return a held deposit: fix its statement and refund the deposit payment. The
+// tenant is sent the statement once the refund succeeds, straight away when
+// there is nothing to refund. `requestedBy` ({ id, name }) is recorded on the
+// refund request. Returns { problem } or { deposit, statement, refundRequest, refund }.
+async function returnDeposit(lease, deposit, { moveOutDate, requestedBy, stripeOptions }) {
+  const deductions = await securityDeposits.listDeductions(deposit.id);
+  const { statement, totals } = buildStatement(lease, deposit, deductions, { moveOutDate });
+
+  if (!(await securityDeposits.markReturning(deposit.id, { moveOutDate, ...totals, statement }))) {
+    return { problem: [409, 'Deposit is no longer held'] };
+  }
+
+  let refund = {};
+  if (totals.refundAmount > 0) {
+    try {
+      refund = await refunds.requestRefund({
+        paymentIntentId: deposit.paymentIntentId,
+        amount: toMajorUnits(totals.refundAmount, deposit.currency),
+        note: `Security deposit return for lease ${lease.id}`,
+        requestedBy,
+        stripeOptions
+      });
+    } catch (error) {
+      await securityDeposits.reopen(deposit.id);
+      throw error;
+    }
+
+    if (refund.problem) {
+      await securityDeposits.reopen(deposit.id);
+      return { problem: refund.problem };
+    }
+    await securityDeposits.attachRefundRequest(deposit.id, refund.request.id);
+
+    // The refund may have settled before the request was attached
+    refund.request = await refundRequests.getRequest(refund.request.id);
+    await followRefundRequest(refund.request);
+  } else {
+    await completeReturn(await securityDeposits.getDeposit(deposit.id));
+  }
+
+  const returned = await securityDeposits.getDeposit(deposit.id);
+  if (returned.status === 'held') {
+    return { problem: [409, `The deposit refund failed${refund.request.failureReason ? `: ${refund.request.failureReason}` : ''}`] };
+  }
+
+  return {
+    deposit: returned,
+    statement: { ...statement, final: returned.status === 'returned' },
+    refundRequest: refund.request ? refunds.formatRequest(refund.request) : null,
+    refund: refund.refund || null
+  };
+}
+
+module.exports = {
+  depositLimitProblem,
+  accrueInterest,
+  buildStatement,
+  statementFor,
+  followRefundRequest,
+  returnDeposit
+};
@@ -0,0 +1,147 @@
+const { stripe } = require('../lib/stripe');
+const dunningCases = require('../models/dunningCases');
+const billing = require('../models/billing');
+const { notify: sendNotification, recipientForCustomer } = require('./notifications');
+const { DUNNING_STEPS, GRACE_PERIOD_DAYS } = require('../config/dunning');
+const { toMajorUnits } = require('../lib/money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysSince = (isoTimestamp, now) => Math.floor((now - new Date(isoTimestamp)) / DAY_MS);
+
+const idOf = (value) => (value && typeof value === 'object' ? value.id : value);
+
+// The subscription an invoice bills, across Stripe API versions
+const invoiceSubscriptionId = (invoice) => idOf(
+  invoice.subscription || invoice.parent?.subscription_details?.subscription
+);
+
+// Send the account holder a dunning notice about the unpaid invoice
+async function notify(dunningCase, template) {
+  const invoice = await billing.getInvoice(dunningCase.invoiceId);
+
+  await sendNotification(await recipientForCustomer(dunningCase.customerId), template, {
+    amount: invoice ? toMajorUnits(invoice.amount_due, invoice.currency) : 0,
+    currency: invoice ? invoice.currency : 'usd',
+    description: 'your subscription'
+  });
+}
+
+async function runStep(dunningCase, step) {
+  if (step.retry) {
+    try {
+      const invoice = await stripe.invoices.pay(dunningCase.invoiceId);
+      console.log(`🔁 Retried invoice ${dunningCase.invoiceId}: ${invoice.status}`);
+
+      // Paid: invoice.payment_succeeded closes the case, so the rest of the step is moot
+      if (invoice.status === 'paid') return;
+    } catch (error) {
+      // A failed retry also arrives as invoice.payment_failed and is counted there
+      console.log(`🔁 Retried invoice ${dunningCase.invoiceId}: ${error.message}`);
+    }
+  }
+
+  if (step.cancel) {
+    await stripe.subscriptions.cancel(dunningCase.subscriptionId);
+    await dunningCases.resolve(dunningCase.subscriptionId, 'canceled');
+    console.log(`🚫 Subscription ${dunningCase.subscriptionId} canceled after dunning`);
+  }
+
+  if (step.notify) {
+    await notify(dunningCase, step.notify);
+  }
+}
+
+// Run the latest step that has come due on an open case, and restrict the
+// account once the grace period is over. Steps missed while jobs were not
+// running are skipped rather than run back to back.
+async function advanceCase(dunningCase, now = new Date()) {
+  const elapsed = daysSince(dunningCase.startedAt, now);
+
+  if (dunningCase.status === 'past_due' && elapsed >= GRACE_PERIOD_DAYS) {
+    await dunningCases.restrict(dunningCase.id);
+    console.log(`🔒 Account for subscription ${dunningCase.subscriptionId} restricted for non-payment`);
+  }
+
+  let due = dunningCase.step - 1;
+  while (due + 1 < DUNNING_STEPS.length && DUNNING_STEPS[due + 1].day <= elapsed) {
+    due += 1;
+  }
+  if (due < dunningCase.step) return;
+
+  // The step is recorded before it runs so a failure part-way is not repeated
+  await dunningCases.setStep(dunningCase.id, due + 1);
+  await runStep(dunningCase, DUNNING_STEPS[due]);
+}
+
+// invoice.payment_failed: open a dunning case for the subscription, or count
+// another failure on the open one
+async function handleInvoiceFailed(invoice) {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  if (!subscriptionId) return null;
+
+  const { dunningCase, opened } = await dunningCases.recordFailure({
+    subscriptionId,
+    customerId: idOf(invoice.customer),
+    invoiceId: invoice.id
+  });
+
+  if (opened) {
+    console.log(`📉 Dunning started for subscription ${subscriptionId}`);
+    await advanceCase(dunningCase);
+  } else {
+    console.log(`📉 Payment failure ${dunningCase.failures} for subscription ${subscriptionId}`);
+  }
+  return dunningCase;
+}
+
+// invoice.payment_succeeded: a payment while in dunning recovers the subscription
+async function handleInvoicePaid(invoice) {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  if (!subscriptionId) return null;
+
+  const recovered = await dunningCases.resolve(subscriptionId, 'recovered', { recoveredInvoiceId: invoice.id });
+  if (recovered) {
+    console.log(`📈 Subscription ${subscriptionId} recovered from dunning after ${daysSince(recovered.startedAt, new Date())} day(s)`);
+  }
+  return recovered;
+}
+
+// customer.subscription.deleted: nothing left to collect
+async function handleSubscriptionEnded(subscription) {
+  return dunningCases.resolve(subscription.id, 'canceled');
+}
+
+// Advance every open case
+async function runDunning(asOf = new Date()) {
+  const open = await dunningCases.listOpenCases();
+
+  for (const dunningCase of open) {
+    try {
+      await advanceCase(dunningCase, asOf);
+    } catch (error) {
+      console.error(`❌ Dunning failed for subscription ${dunningCase.subscriptionId}:`, error);
+    }
+  }
+  return open.length;
+}
+
+// Dashboard summary: cases by status and the share of closed cases that recovered
+async function getDunningSummary() {
+  const counts = await dunningCases.countByStatus();
+  const closed = counts.recovered + counts.canceled;
+
+  return {
+    ...counts,
+    open: counts.past_due + counts.restricted,
+    recoveryRate: closed > 0 ? Math.round((counts.recovered / closed) * 10000) / 100 : 0
+  };
+}
+
+module.exports = {
+  handleInvoiceFailed,
+  handleInvoicePaid,
+  handleSubscriptionEnded,
+  runDunning,
+  getDunningSummary
+};
@@ -0,0 +1,67 @@
+const billing = require('../models/billing');
+const { statusFromSubscription } = require('../models/users');
+const { FEATURES, getPlan, findPrice } = require('../config/plans');
+
+// What a landlord account may do, from its plan and account status:
+//   trial, active - the plan's features and limits
+//   past_due      - the plan's features, but no growth: limits are frozen at current usage
+//   anything else - no plan features, and nothing new may be added
+// Limits of null are unlimited.
+
+const NO_FEATURES = Object.fromEntries(FEATURES.map((feature) => [feature, false]));
+const NO_LIMITS = { properties: 0, units: 0 };
+
+// Entitlements for `planId` at account `status`, given current `usage`
+const entitlementsFor = ({ planId, status, usage = {} }) => {
+  const plan = getPlan(planId);
+  const summary = plan && { id: plan.id, name: plan.name };
+
+  if (!plan || !['trial', 'active', 'past_due'].includes(status)) {
+    return {
+      plan: summary,
+      status,
+      features: NO_FEATURES,
+      limits: NO_LIMITS,
+      restriction: plan ? 'Subscription is not active' : 'No subscription plan'
+    };
+  }
+
+  if (status === 'past_due') {
+    const frozen = (resource) => (plan.limits[resource] === null
+      ? usage[resource] || 0
+      : Math.min(plan.limits[resource], usage[resource] || 0));
+
+    return {
+      plan: summary,
+      status,
+      features: plan.features,
+      limits: { properties: frozen('properties'), units: frozen('units') },
+      restriction: 'Subscription payment is past due'
+    };
+  }
+
+  return { plan: summary, status, features: plan.features, limits: plan.limits, restriction: null };
+};
+
+// Resolve a landlord account's entitlements. The linked subscription, once its
+// webhook has been stored, decides the status and (failing the account's own
+// plan) the plan; accounts without one fall back to their own record.
+async function getEntitlements(user) {
+  const subscription = user.subscriptionId ? await billing.getSubscription(user.subscriptionId) : null;
+  const catalogPrice = subscription && findPrice(subscription.price_id);
+  const usage = { properties: user.properties, units: user.units };
+
+  return {
+    ...entitlementsFor({
+      planId: user.plan || (catalogPrice && catalogPrice.plan.id),
+      status: subscription ? statusFromSubscription(subscription.status) : user.status,
+      usage
+    }),
+    usage
+  };
+}
+
+module.exports = {
+  entitlementsFor,
+  getEntitlements
+};
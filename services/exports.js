@@ -0,0 +1,242 @@
+const db = require('../db');
+const { toCsvRow } = require('../lib/csv');
+const auditLog = require('../models/auditLog');
+const { findPrice } = require('../config/plans');
+const { toMajorUnits } = require('../lib/money');
+
+const BATCH_SIZE = 500;
+
+const unixToIso = (value) => (value ? new Date(value * 1000).toISOString() : null);
+
+// Rows without a currency (a user who has never paid) count as usd
+const majorUnits = (amount, currency) => toMajorUnits(amount ?? null, currency || 'usd');
+
+// Export definitions. Each source is keyset-paginated on (sortColumn, id).
+// `dateType` says whether the sort column holds unix seconds or ISO strings;
+// `filter` optionally adds source-specific conditions.
+const EXPORTS = {
+  users: {
+    from: `users
+      LEFT JOIN (SELECT customer_id, SUM(amount_paid) AS revenue, MAX(currency) AS revenue_currency
+        FROM invoices WHERE status = 'paid' GROUP BY customer_id) paid
+        ON paid.customer_id = users.customer_id`,
+    select: 'users.*, paid.revenue, paid.revenue_currency, (SELECT COUNT(*) FROM properties WHERE properties.owner_id = users.id) AS properties',
+    idColumn: 'users.id',
+    sortColumn: 'users.created_at',
+    sortKey: 'created_at',
+    dateType: 'iso',
+    statusColumn: 'users.status',
+    baseCondition: 'users.deleted_at IS NULL',
+    columns: [
+      { key: 'id', header: 'ID', value: (row) => row.id },
+      { key: 'name', header: 'Name', value: (row) => row.name },
+      { key: 'email', header: 'Email', value: (row) => row.email },
+      { key: 'plan', header: 'Plan', value: (row) => row.plan },
+      { key: 'status', header: 'Status', value: (row) => row.status },
+      { key: 'properties', header: 'Properties', value: (row) => row.properties },
+      { key: 'revenue', header: 'Revenue', value: (row) => majorUnits(row.revenue || 0, row.revenue_currency) },
+      { key: 'customerId', header: 'Customer ID', value: (row) => row.customer_id },
+      { key: 'subscriptionId', header: 'Subscription ID', value: (row) => row.subscription_id },
+      { key: 'joinDate', header: 'Join Date', value: (row) => row.created_at }
+    ]
+  },
+
+  subscriptions: {
+    from: 'subscriptions LEFT JOIN customers ON customers.id = subscriptions.customer_id',
+    select: 'subscriptions.*, customers.email AS customer_email',
+    idColumn: 'subscriptions.id',
+    sortColumn: 'subscriptions.created',
+    sortKey: 'created',
+    dateType: 'unix',
+    statusColumn: 'subscriptions.status',
+    columns: [
+      { key: 'id', header: 'ID', value: (row) => row.id },
+      { key: 'customerId', header: 'Customer ID', value: (row) => row.customer_id },
+      { key: 'customerEmail', header: 'Customer Email', value: (row) => row.customer_email },
+      { key: 'status', header: 'Status', value: (row) => row.status },
+      { key: 'plan', header: 'Plan', value: (row) => findPrice(row.price_id)?.plan.name || row.plan_nickname },
+      { key: 'priceId', header: 'Price ID', value: (row) => row.price_id },
+      { key: 'amount', header: 'Amount', value: (row) => majorUnits(row.unit_amount, row.currency) },
+      { key: 'currency', header: 'Currency', value: (row) => row.currency },
+      { key: 'interval', header: 'Interval', value: (row) => row.billing_interval },
+      { key: 'currentPeriodEnd', header: 'Current Period End', value: (row) => unixToIso(row.current_period_end) },
+      { key: 'cancelAtPeriodEnd', header: 'Cancel At Period End', value: (row) => Boolean(row.cancel_at_period_end) },
+      { key: 'canceledAt', header: 'Canceled At', value: (row) => unixToIso(row.canceled_at) },
+      { key: 'created', header: 'Created', value: (row) => unixToIso(row.created) }
+    ]
+  },
+
+  payments: {
+    from: 'payment_intents LEFT JOIN customers ON customers.id = payment_intents.customer_id',
+    select: 'payment_intents.*, customers.email AS customer_email',
+    idColumn: 'payment_intents.id',
+    sortColumn: 'payment_intents.created',
+    sortKey: 'created',
+    dateType: 'unix',
+    statusColumn: 'payment_intents.status',
+    columns: [
+      { key: 'id', header: 'ID', value: (row) => row.id },
+      { key: 'customerId', header: 'Customer ID', value: (row) => row.customer_id },
+      { key: 'customerEmail', header: 'Customer Email', value: (row) => row.customer_email },
+      { key: 'amount', header: 'Amount', value: (row) => majorUnits(row.amount, row.currency) },
+      { key: 'amountReceived', header: 'Amount Received', value: (row) => majorUnits(row.amount_received, row.currency) },
+      { key: 'currency', header: 'Currency', value: (row) => row.currency },
+      { key: 'status', header: 'Status', value: (row) => row.status },
+      { key: 'description', header: 'Description', value: (row) => row.description },
+      { key: 'invoiceId', header: 'Invoice ID', value: (row) => row.invoice_id },
+      { key: 'failureMessage', header: 'Failure Message', value: (row) => row.failure_message },
+      { key: 'created', header: 'Created', value: (row) => unixToIso(row.created) }
+    ]
+  },
+
+  refunds: {
+    from: 'refunds',
+    select: 'refunds.*',
+    idColumn: 'refunds.id',
+    sortColumn: 'refunds.created',
+    sortKey: 'created',
+    dateType: 'unix',
+    statusColumn: 'refunds.status',
+    columns: [
+      { key: 'id', header: 'ID', value: (row) => row.id },
+      { key: 'paymentIntentId', header: 'Payment Intent ID', value: (row) => row.payment_intent_id },
+      { key: 'chargeId', header: 'Charge ID', value: (row) => row.charge_id },
+      { key: 'amount', header: 'Amount', value: (row) => majorUnits(row.amount, row.currency) },
+      { key: 'currency', header: 'Currency', value: (row) => row.currency },
+      { key: 'status', header: 'Status', value: (row) => row.status },
+      { key: 'reason', header: 'Reason', value: (row) => row.reason },
+      { key: 'created', header: 'Created', value: (row) => unixToIso(row.created) }
+    ]
+  },
+
+  audit: {
+    from: 'audit_log',
+    select: 'audit_log.*',
+    idColumn: 'audit_log.id',
+    sortColumn: 'audit_log.created_at',
+    sortKey: 'created_at',
+    dateType: 'iso',
+    filter: ({ actorId, action, targetId }) => auditLog.buildFilters({ actorId, action, targetId }),
+    columns: [
+      { key: 'id', header: 'ID', value: (row) => row.id },
+      { key: 'createdAt', header: 'Timestamp', value: (row) => row.created_at },
+      { key: 'actorType', header: 'Actor Type', value: (row) => row.actor_type },
+      { key: 'actorId', header: 'Actor ID', value: (row) => row.actor_id },
+      { key: 'actorName', header: 'Actor Name', value: (row) => row.actor_name },
+      { key: 'action', header: 'Action', value: (row) => row.action },
+      { key: 'targetType', header: 'Target Type', value: (row) => row.target_type },
+      { key: 'targetId', header: 'Target ID', value: (row) => row.target_id },
+      { key: 'stripeIds', header: 'Stripe IDs', value: (row) => (row.stripe_ids ? JSON.parse(row.stripe_ids).join(' ') : '') },
+      { key: 'payload', header: 'Payload', value: (row) => row.payload },
+      { key: 'ip', header: 'IP', value: (row) => row.ip }
+    ]
+  }
+};
+
+// Types offered by the generic admin export (the audit log has its own endpoint and permission)
+const EXPORT_TYPES = ['users', 'subscriptions', 'payments', 'refunds'];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+// Yield rows in batches so large exports never sit in memory
+async function* iterateRows(definition, { from, to, status, ...filters }) {
+  const conditions = definition.baseCondition ? [definition.baseCondition] : [];
+  const params = [];
+
+  if (definition.filter) {
+    const extra = definition.filter(filters);
+    conditions.push(...extra.conditions);
+    params.push(...extra.params);
+  }
+  const toSortValue = (date) => (definition.dateType === 'unix'
+    ? Math.floor(date.getTime() / 1000)
+    : date.toISOString());
+
+  if (from) {
+    conditions.push(`${definition.sortColumn} >= ?`);
+    params.push(toSortValue(from));
+  }
+  if (to) {
+    conditions.push(`${definition.sortColumn} < ?`);
+    params.push(toSortValue(to));
+  }
+  if (status && definition.statusColumn) {
+    conditions.push(`${definition.statusColumn} = ?`);
+    params.push(status);
+  }
+
+  let last = null;
+
+  while (true) {
+    const keyset = last
+      ? [`(${definition.sortColumn} > ? OR (${definition.sortColumn} = ? AND ${definition.idColumn} > ?))`]
+      : [];
+    const keysetParams = last ? [last.sort, last.sort, last.id] : [];
+    const where = [...conditions, ...keyset];
+
+    const rows = await db.query(
+      `SELECT ${definition.select} FROM ${definition.from}
+       ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY ${definition.sortColumn} ASC, ${definition.idColumn} ASC
+       LIMIT ?`,
+      [...params, ...keysetParams, BATCH_SIZE]
+    );
+
+    for (const row of rows) {
+      yield row;
+    }
+
+    if (rows.length < BATCH_SIZE) return;
+
+    const lastRow = rows[rows.length - 1];
+    last = { sort: lastRow[definition.sortKey], id: lastRow.id };
+  }
+}
+
+// Resolve once the stream can take more data (or has been closed by the client)
+const write = (stream, chunk) => new Promise((resolve) => {
+  if (stream.write(chunk)) {
+    resolve();
+    return;
+  }
+
+  const done = () => {
+    stream.off('drain', done);
+    stream.off('close', done);
+    resolve();
+  };
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+// Stream an export of `type` to a writable (the HTTP response) in csv or jsonl format
+async function streamExport(type, { format = 'csv', ...options }, stream) {
+  const definition = EXPORTS[type];
+
+  if (format === 'csv') {
+    await write(stream, toCsvRow(definition.columns.map((column) => column.header)));
+  }
+
+  for await (const row of iterateRows(definition, options)) {
+    if (stream.destroyed) return;
+
+    if (format === 'csv') {
+      await write(stream, toCsvRow(definition.columns.map((column) => column.value(row))));
+    } else {
+      const record = {};
+      for (const column of definition.columns) {
+        record[column.key] = column.value(row);
+      }
+      await write(stream, `${JSON.stringify(record)}\n`);
+    }
+  }
+}
+
+module.exports = {
+  EXPORT_TYPES,
+  FORMATS,
+  streamExport
+};
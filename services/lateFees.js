@@ -0,0 +1,94 @@
+const lateFees = require('../models/lateFees');
+const { JURISDICTIONS } = require('../config/jurisdictions');
+const { toIsoDate, daysBetween } = require('../lib/dates');
+const { entitlementsFor } = require('./entitlements');
+const { toMinorUnits, roundToStep } = require('../lib/money');
+
+// Statutory late-fee limits for a jurisdiction ({} when there are none)
+const statutoryLimits = (jurisdiction) => (JURISDICTIONS[jurisdiction] && JURISDICTIONS[jurisdiction].lateFees) || {};
+
+// Why a policy (API fields) breaks the jurisdiction's limits, or null
+const policyViolation = (policy, jurisdiction) => {
+  const limits = statutoryLimits(jurisdiction);
+
+  if (limits.prohibited) {
+    return `Late fees are not permitted in ${JURISDICTIONS[jurisdiction].name}`;
+  }
+  if (limits.minGraceDays !== undefined && policy.graceDays < limits.minGraceDays) {
+    return `graceDays must be at least ${limits.minGraceDays} in ${JURISDICTIONS[jurisdiction].name}`;
+  }
+  return null;
+};
+
+// Fee (minor units) on a rent charge of `rentAmount` minor units that is `daysLate`
+// days overdue: the base fee on the first day after the grace period, plus the
+// daily fee for each day after that, limited by the policy's and the law's caps.
+// `policy` is a row from listOverdueCharges; the statutory maximum is taken to be
+// in `currency`, the rent's.
+const calculateLateFee = (policy, rentAmount, daysLate, limits = {}, currency = 'usd') => {
+  if (limits.prohibited || daysLate <= policy.grace_days) {
+    return 0;
+  }
+
+  const base = policy.fee_type === 'percent'
+    ? roundToStep(rentAmount * (policy.fee_percent || 0) / 100, currency)
+    : policy.fee_amount || 0;
+  const accrued = (policy.daily_fee || 0) * (daysLate - policy.grace_days - 1);
+
+  const caps = [
+    policy.max_fee,
+    policy.max_fee_percent === null ? null : roundToStep(rentAmount * policy.max_fee_percent / 100, currency, Math.floor),
+    limits.maxAmount === undefined ? null : toMinorUnits(limits.maxAmount, currency),
+    limits.maxPercent === undefined ? null : roundToStep(rentAmount * limits.maxPercent / 100, currency, Math.floor)
+  ].filter((cap) => cap !== null && cap !== undefined);
+
+  return Math.min(base + accrued, ...caps);
+};
+
+// Assess late fees on overdue rent charges, and grow fees that accrue daily.
+// Safe to run repeatedly: each charge has at most one fee, recalculated from its due date.
+// Owners whose plan (or lapsed subscription) excludes late fees are skipped.
+async function assessLateFees(asOf = new Date()) {
+  const today = toIsoDate(asOf);
+  let assessed = 0;
+
+  for (const row of await lateFees.listOverdueCharges(today)) {
+    if (!entitlementsFor({ planId: row.owner_plan, status: row.owner_status }).features.lateFees) continue;
+
+    // Fixed amounts cannot be charged on rent in another currency than the policy's:
+    // flat fees are skipped, and percentage fees apply without their daily fee and cap
+    let policy = row;
+    if (row.policy_currency !== row.currency) {
+      if (row.fee_type === 'flat') {
+        console.warn(`⚠️ Skipping late fee on rent charge ${row.rent_charge_id}: policy is in ${row.policy_currency}, rent in ${row.currency}`);
+        continue;
+      }
+      policy = { ...row, daily_fee: null, max_fee: null };
+    }
+
+    const daysLate = daysBetween(row.due_date, today);
+    const amount = calculateLateFee(policy, row.amount, daysLate, statutoryLimits(row.jurisdiction), row.currency);
+    if (amount <= 0) continue;
+
+    const changed = await lateFees.saveFee({
+      rentChargeId: row.rent_charge_id,
+      leaseId: row.lease_id,
+      amount,
+      currency: row.currency,
+      daysLate
+    });
+    if (changed) assessed += 1;
+  }
+
+  if (assessed > 0) {
+    console.log(`⏰ Assessed ${assessed} late fee(s)`);
+  }
+  return assessed;
+}
+
+module.exports = {
+  statutoryLimits,
+  policyViolation,
+  calculateLateFee,
+  assessLateFees
+};
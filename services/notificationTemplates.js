@@ -0,0 +1,129 @@
+// Notification templates. Each renders { subject, text } from the data passed to
+// notify(); amounts are in major units. `optional` templates can be turned off
+// in a user's preferences; the others are always sent.
+
+const APP_NAME = process.env.APP_NAME || 'Rent Control';
+
+const formatAmount = (amount, currency = 'usd') => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: currency.toUpperCase()
+}).format(amount);
+
+const greeting = (name) => (name ? `Hi ${name},` : 'Hi,');
+
+const link = (path) => `${process.env.FRONTEND_URL || ''}${path}`;
+
+const TEMPLATES = {
+  payment_receipt: {
+    description: 'Receipt for each successful payment',
+    optional: true,
+    render: ({ name, amount, currency, description, receiptUrl }) => ({
+      subject: `${APP_NAME} receipt: ${formatAmount(amount, currency)}`,
+      text: [
+        greeting(name),
+        '',
+        `We received your payment of ${formatAmount(amount, currency)}${description ? ` for ${description}` : ''}.`,
+        receiptUrl ? `View your receipt: ${receiptUrl}` : null,
+        '',
+        `Thank you for using ${APP_NAME}.`
+      ]
+    })
+  },
+  payment_failed: {
+    description: 'A payment could not be collected',
+    optional: false,
+    render: ({ name, amount, currency, description, reason, payUrl }) => ({
+      subject: `${APP_NAME}: your payment of ${formatAmount(amount, currency)} failed`,
+      text: [
+        greeting(name),
+        '',
+        `We could not collect your payment of ${formatAmount(amount, currency)}${description ? ` for ${description}` : ''}.`,
+        reason ? `Reason: ${reason}` : null,
+        '',
+        `Please update your payment details: ${payUrl || link('/billing')}`
+      ]
+    })
+  },
+  trial_ending: {
+    description: 'Reminder before a free trial ends',
+    optional: true,
+    render: ({ name, plan, trialEnd }) => ({
+      subject: `${APP_NAME}: your trial ends on ${trialEnd}`,
+      text: [
+        greeting(name),
+        '',
+        `Your ${plan ? `${plan} ` : ''}trial ends on ${trialEnd}. Your subscription will start automatically unless you cancel before then.`,
+        '',
+        `Manage your subscription: ${link('/billing')}`
+      ]
+    })
+  },
+  subscription_cancelled: {
+    description: 'Confirmation that a subscription has ended',
+    optional: false,
+    render: ({ name, plan }) => ({
+      subject: `${APP_NAME}: your subscription has been cancelled`,
+      text: [
+        greeting(name),
+        '',
+        `Your ${plan ? `${plan} ` : ''}subscription has been cancelled. You can resubscribe at any time: ${link('/pricing')}`
+      ]
+    })
+  },
+  rent_due: {
+    description: 'Rent charge issued for the coming period',
+    optional: true,
+    render: ({ name, amount, currency, dueDate, unitLabel }) => ({
+      subject: `Rent of ${formatAmount(amount, currency)} due ${dueDate}`,
+      text: [
+        greeting(name),
+        '',
+        `Rent of ${formatAmount(amount, currency)}${unitLabel ? ` for unit ${unitLabel}` : ''} is due on ${dueDate}.`,
+        '',
+        `Pay online: ${link('/tenant-portal')}`
+      ]
+    })
+  },
+  deposit_statement: {
+    description: 'Itemized statement for a returned security deposit',
+    optional: false,
+    render: ({ name, currency, unitLabel, moveOutDate, deposit, interest, deductions, netRefund, tenantOwes, refund }) => ({
+      subject: `Your security deposit statement${unitLabel ? ` for unit ${unitLabel}` : ''}`,
+      text: [
+        greeting(name),
+        '',
+        `Here is how your security deposit of ${formatAmount(deposit, currency)} was settled after you moved out on ${moveOutDate}.`,
+        interest.amount > 0 ? `Interest earned: ${formatAmount(interest.amount, currency)}` : null,
+        '',
+        deductions.length > 0 ? 'Deductions:' : 'No deductions were made.',
+        ...deductions.map((deduction) =>
+          `- ${deduction.category.replace(/_/g, ' ')}: ${deduction.description} (${formatAmount(deduction.amount, currency)})`),
+        '',
+        `Amount returned to you: ${formatAmount(netRefund, currency)}`,
+        refund.toOriginalPayment > 0
+          ? `${formatAmount(refund.toOriginalPayment, currency)} is being refunded to the card you paid the deposit with.`
+          : null,
+        refund.paidSeparately > 0 ? `${formatAmount(refund.paidSeparately, currency)} will be paid to you directly by your landlord.` : null,
+        tenantOwes > 0 ? `Deductions exceeded your deposit by ${formatAmount(tenantOwes, currency)}.` : null,
+        '',
+        `View the full statement: ${link('/tenant-portal')}`
+      ]
+    })
+  }
+};
+
+// Render a template; lines left null by a template are dropped
+const renderTemplate = (name, data = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+
+  const { subject, text } = template.render(data);
+  return { subject, text: text.filter((line) => line !== null).join('\n') };
+};
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate
+};
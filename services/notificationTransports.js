@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// Delivery transports for notifications. Each has a name and
+// send({ to, from, subject, text }) resolving to { messageId }.
+//
+// NOTIFICATION_TRANSPORT selects one:
+//   smtp   - SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   outbox - writes each message as a JSON file to OUTBOX_DIR (default data/outbox);
+//            for local development and tests
+// Defaults to smtp when SMTP_HOST is set, otherwise outbox.
+
+const createSmtpTransport = () => {
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await mailer.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+const createOutboxTransport = (directory = process.env.OUTBOX_DIR || 'data/outbox') => ({
+  name: 'outbox',
+  directory,
+  send: async (message) => {
+    const messageId = crypto.randomUUID();
+    const sentAt = new Date().toISOString();
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(directory, `${sentAt.replace(/[:.]/g, '-')}-${messageId}.json`),
+      JSON.stringify({ messageId, sentAt, ...message }, null, 2)
+    );
+    return { messageId };
+  }
+});
+
+const createTransport = (name = process.env.NOTIFICATION_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox')) => {
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'outbox':
+      return createOutboxTransport();
+    default:
+      throw new Error(`Unknown notification transport: ${name}`);
+  }
+};
+
+module.exports = {
+  createTransport,
+  createSmtpTransport,
+  createOutboxTransport
+};
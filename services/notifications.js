@@ -0,0 +1,83 @@
+const notifications = require('../models/notifications');
+const users = require('../models/users');
+const { TEMPLATES, renderTemplate } = require('./notificationTemplates');
+const { createTransport } = require('./notificationTransports');
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for an outbox in tests
+const setTransport = (replacement) => {
+  transport = replacement;
+};
+
+const fromAddress = () => process.env.NOTIFICATION_FROM || 'Rent Control <no-reply@rentcontrol.app>';
+
+// Send a templated notification to { userId, email, name }. Optional templates
+// the user has turned off are skipped. Every attempt is logged; failures are
+// logged and swallowed so they never fail the caller.
+// Returns 'sent', 'skipped' or 'failed'.
+async function notify(recipient, template, data = {}) {
+  const { userId, email, name } = recipient || {};
+  let current = { name: 'none' };
+
+  try {
+    current = getTransport();
+
+    if (!TEMPLATES[template]) {
+      throw new Error(`Unknown notification template: ${template}`);
+    }
+    if (!email) {
+      console.warn(`📭 No email address for "${template}" notification${userId ? ` to user ${userId}` : ''}`);
+      return 'skipped';
+    }
+
+    if (TEMPLATES[template].optional && userId) {
+      const preferences = await notifications.getPreferences(userId);
+      if (preferences[template] === false) {
+        await notifications.recordNotification({ userId, email, template, transport: current.name, status: 'skipped' });
+        return 'skipped';
+      }
+    }
+
+    const { subject, text } = renderTemplate(template, { name, ...data });
+    const { messageId } = await current.send({ from: fromAddress(), to: email, subject, text });
+
+    await notifications.recordNotification({ userId, email, template, subject, transport: current.name, status: 'sent', messageId });
+    console.log(`📧 Sent "${template}" to ${email}`);
+    return 'sent';
+  } catch (error) {
+    console.error(`❌ Failed to send "${template}" notification:`, error);
+    await notifications.recordNotification({
+      userId,
+      email: email || '',
+      template,
+      transport: current.name,
+      status: 'failed',
+      error: error.message
+    }).catch((logError) => console.error('Error logging notification:', logError));
+    return 'failed';
+  }
+}
+
+// The landlord account behind a Stripe customer, as a recipient. Falls back to
+// `email` for customers without an account.
+async function recipientForCustomer(customerId, email) {
+  const user = customerId ? await users.getUserByCustomerId(customerId) : null;
+
+  return user
+    ? { userId: user.id, email: user.email, name: user.name, plan: user.plan }
+    : { email };
+}
+
+module.exports = {
+  notify,
+  recipientForCustomer,
+  setTransport
+};
@@ -0,0 +1,144 @@
+const { stripe } = require('../lib/stripe');
+const { findPrice } = require('../config/plans');
+const { toMajorUnits } = require('../lib/money');
+
+// Moving a landlord's subscription to another catalog plan or billing interval.
+//
+// A change applied now is prorated and invoiced straight away (a credit for the
+// unused time on the old price, a charge for the rest of the period on the new
+// one); if that payment fails the change is not made. A change at period end
+// goes through a subscription schedule: the current price runs to the end of
+// the period, then the new one takes over and the schedule is released.
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+const itemOf = (subscription) => subscription.items.data[0];
+
+const idOf = (value) => (value && typeof value === 'object' ? value.id : value);
+
+// The catalog plan and price a subscription is on, or null for off-catalog prices
+const currentPlanOf = (subscription) => findPrice(itemOf(subscription).price.id);
+
+const describe = ({ plan, price }) => ({
+  plan: plan.id,
+  name: plan.name,
+  interval: price.interval,
+  currency: price.currency,
+  amount: price.amount,
+  priceId: price.id
+});
+
+// Limits of the target plan that current usage already exceeds
+const exceededLimits = (plan, usage) => Object.entries(plan.limits)
+  .filter(([resource, limit]) => limit !== null && (usage[resource] || 0) > limit)
+  .map(([resource, limit]) => ({ resource, limit, usage: usage[resource] }));
+
+// What moving to `target` ({ plan, price } from the catalog) would cost, now or at
+// period end. A negative `now.total` is a credit kept for the next invoices.
+async function previewChange(subscription, target, { prorationDate = nowSeconds() } = {}) {
+  const item = itemOf(subscription);
+  const invoice = await stripe.invoices.retrieveUpcoming({
+    customer: idOf(subscription.customer),
+    subscription: subscription.id,
+    subscription_items: [{ id: item.id, price: target.price.id }],
+    subscription_proration_date: prorationDate,
+    subscription_proration_behavior: 'always_invoice'
+  });
+
+  return {
+    prorationDate,
+    now: {
+      amountDue: toMajorUnits(invoice.amount_due, invoice.currency),
+      total: toMajorUnits(invoice.total, invoice.currency),
+      currency: invoice.currency,
+      lines: invoice.lines.data.map((line) => ({
+        description: line.description,
+        amount: toMajorUnits(line.amount, invoice.currency),
+        proration: Boolean(line.proration),
+        periodStart: line.period && line.period.start,
+        periodEnd: line.period && line.period.end
+      }))
+    },
+    atPeriodEnd: {
+      effectiveDate: subscription.current_period_end,
+      amountDue: target.price.amount,
+      currency: target.price.currency
+    }
+  };
+}
+
+// Switch price now, invoicing the prorations at `prorationDate` (use the preview's
+// so the charge matches what was shown). Drops any change scheduled for period end.
+async function applyNow(subscription, target, { prorationDate = nowSeconds() } = {}) {
+  if (subscription.schedule) {
+    await stripe.subscriptionSchedules.release(idOf(subscription.schedule));
+  }
+
+  const item = itemOf(subscription);
+  return stripe.subscriptions.update(subscription.id, {
+    items: [{ id: item.id, price: target.price.id }],
+    proration_behavior: 'always_invoice',
+    proration_date: prorationDate,
+    payment_behavior: 'error_if_incomplete',
+    metadata: { plan: target.plan.id }
+  });
+}
+
+// Switch price when the current period ends; replaces any change already scheduled
+async function applyAtPeriodEnd(subscription, target) {
+  const schedule = subscription.schedule
+    ? await stripe.subscriptionSchedules.retrieve(idOf(subscription.schedule))
+    : await stripe.subscriptionSchedules.create({ from_subscription: subscription.id });
+
+  const item = itemOf(subscription);
+  const [current] = schedule.phases;
+
+  return stripe.subscriptionSchedules.update(schedule.id, {
+    end_behavior: 'release',
+    proration_behavior: 'none',
+    phases: [
+      {
+        items: [{ price: item.price.id, quantity: item.quantity }],
+        start_date: current.start_date,
+        end_date: subscription.current_period_end,
+        ...(current.trial_end && { trial_end: current.trial_end })
+      },
+      {
+        items: [{ price: target.price.id, quantity: item.quantity }],
+        iterations: 1,
+        metadata: { plan: target.plan.id }
+      }
+    ]
+  });
+}
+
+// The change waiting for period end, if any
+async function scheduledChange(subscription) {
+  if (!subscription.schedule) return null;
+
+  const schedule = await stripe.subscriptionSchedules.retrieve(idOf(subscription.schedule));
+  const next = schedule.phases.find((phase) => phase.start_date >= subscription.current_period_end);
+  const target = next && findPrice(idOf(next.items[0].price));
+
+  return {
+    scheduleId: schedule.id,
+    effectiveDate: next ? next.start_date : null,
+    target: target ? describe(target) : null
+  };
+}
+
+// Drop a change scheduled for period end; the subscription keeps its current price
+async function cancelScheduledChange(subscription) {
+  return stripe.subscriptionSchedules.release(idOf(subscription.schedule));
+}
+
+module.exports = {
+  currentPlanOf,
+  describe,
+  exceededLimits,
+  previewChange,
+  applyNow,
+  applyAtPeriodEnd,
+  scheduledChange,
+  cancelScheduledChange
+};
@@ -0,0 +1,189 @@
+const { stripe } = require('../lib/stripe');
+const billing = require('../models/billing');
+const refundRequests = require('../models/refundRequests');
+const { needsApproval } = require('../config/refunds');
+const { toMinorUnits, toMajorUnits, amountProblem, formatMoney } = require('../lib/money');
+
+// Every admin refund starts as a refund request. A payment can only be refunded
+// up to what was captured, counting refunds already issued and requests still
+// awaiting approval. When a payment's refunds would go over the approval
+// threshold (config/refunds.js) the request waits for a second admin to approve
+// or reject it; otherwise it goes to Stripe straight away. Webhooks then keep
+// the request in step with the Stripe refund (see syncRefund).
+
+// A security deposit being returned through a request finishes or goes back to
+// held as the request settles. Required on use: services/deposits.js requires
+// this module.
+const followRequest = (request) => require('./deposits').followRefundRequest(request);
+
+// What a payment can still be refunded, in minor units, or null if Stripe has no such payment.
+// `excludeRequestId` leaves a pending request out of the reserved amount, for approving it.
+async function refundBalance(paymentIntentId, { excludeRequestId } = {}) {
+  const checkedAt = new Date().toISOString();
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ['latest_charge'] });
+  } catch (error) {
+    if (error.code === 'resource_missing') return null;
+    throw error;
+  }
+
+  const charge = typeof paymentIntent.latest_charge === 'object' ? paymentIntent.latest_charge : null;
+  const captured = charge ? (charge.amount_captured ?? charge.amount) : 0;
+  const refunded = charge ? charge.amount_refunded : 0;
+  const reserved = await refundRequests.reservedAmount(paymentIntentId, { excludeRequestId });
+
+  return {
+    status: paymentIntent.status,
+    currency: paymentIntent.currency,
+    captured,
+    refunded,
+    reserved,
+    available: Math.max(0, captured - refunded - reserved),
+    checkedAt
+  };
+}
+
+// Why `amount` cannot be refunded from `balance`, as [status, error], or null
+const refundProblem = (balance, amount) => {
+  if (!balance) {
+    return [404, 'Payment not found'];
+  }
+  if (balance.status !== 'succeeded') {
+    return [409, 'Only succeeded payments can be refunded'];
+  }
+  if (balance.available <= 0) {
+    return [409, balance.reserved > 0
+      ? 'The rest of this payment is held by refund requests awaiting approval'
+      : 'This payment has already been fully refunded'];
+  }
+  if (amount > balance.available) {
+    return [409, `At most ${formatMoney(balance.available, balance.currency)} of this payment can still be refunded`];
+  }
+  return null;
+};
+
+// Send an approved (or unheld) request to Stripe. `stripeOptions` carries the
+// caller's Idempotency-Key through when there is one; otherwise the request id
+// keeps a retried approval from refunding twice.
+async function issueRefund(request, { stripeOptions } = {}) {
+  let refund;
+  try {
+    refund = await stripe.refunds.create({
+      payment_intent: request.paymentIntentId,
+      amount: request.amount,
+      reason: request.reason || undefined,
+      metadata: { refundRequestId: request.id }
+    }, stripeOptions || { idempotencyKey: `refund-request-${request.id}` });
+  } catch (error) {
+    await refundRequests.markFailed(request.id, error.message);
+    await followRequest(await refundRequests.getRequest(request.id));
+    throw error;
+  }
+
+  await billing.upsertRefund(refund);
+  await refundRequests.attachRefund(request.id, refund);
+  console.log(`↩️ Refund ${refund.id} issued for request ${request.id}: ${refund.status}`);
+
+  const issued = await refundRequests.getRequest(request.id);
+  await followRequest(issued);
+  return { request: issued, refund };
+}
+
+// Ask for a refund of `amount`, in major units of the payment's currency (the
+// whole refundable rest when omitted). Returns { problem } if it cannot be made,
+// { request } if it awaits approval, or { request, refund } once Stripe has it.
+async function requestRefund({ paymentIntentId, amount, reason, note, requestedBy, stripeOptions }) {
+  const balance = await refundBalance(paymentIntentId);
+  if (!balance) return { problem: refundProblem(balance) };
+  const invalidAmount = amount === undefined ? null : amountProblem(amount, balance.currency);
+  if (invalidAmount) return { problem: [400, invalidAmount] };
+  const refundAmount = amount === undefined ? balance.available : toMinorUnits(amount, balance.currency);
+
+  const problem = refundProblem(balance, refundAmount);
+  if (problem) return { problem };
+
+  const { request, available } = await refundRequests.createRequest({
+    paymentIntentId,
+    amount: refundAmount,
+    currency: balance.currency,
+    reason,
+    note,
+    requestedBy
+  }, {
+    captured: balance.captured,
+    refunded: balance.refunded,
+    since: balance.checkedAt,
+    statusFor: (cumulativeAmount) => (needsApproval(cumulativeAmount, balance.currency) ? 'pending_approval' : 'processing')
+  });
+
+  // Other requests on the payment got in since the balance was read
+  if (!request) {
+    return { problem: refundProblem({ ...balance, available }, refundAmount) };
+  }
+
+  if (request.status === 'pending_approval') {
+    console.log(`✋ Refund request ${request.id} for ${paymentIntentId} awaits approval`);
+    return { request };
+  }
+  return issueRefund(request, { stripeOptions });
+}
+
+// Approve a pending request as `reviewer` and issue its refund.
+// Returns { problem } or { request, refund }.
+async function approveRequest(request, reviewer) {
+  if (request.status !== 'pending_approval') {
+    return { problem: [409, `Refund request is ${request.status}`] };
+  }
+  if (request.requestedBy === reviewer.id) {
+    return { problem: [403, 'A refund request must be approved by a different admin than the one who made it'] };
+  }
+
+  const balance = await refundBalance(request.paymentIntentId, { excludeRequestId: request.id });
+  const problem = refundProblem(balance, request.amount);
+  if (problem) return { problem };
+
+  if (!(await refundRequests.review(request.id, { status: 'processing', reviewer }))) {
+    return { problem: [409, 'Refund request is no longer pending'] };
+  }
+  return issueRefund(request);
+}
+
+// Reject a pending request as `reviewer`. Returns { problem } or { request }.
+async function rejectRequest(request, reviewer, rejectionReason) {
+  if (!(await refundRequests.review(request.id, { status: 'rejected', reviewer, rejectionReason }))) {
+    return { problem: [409, `Refund request is ${(await refundRequests.getRequest(request.id)).status}`] };
+  }
+
+  console.log(`🚫 Refund request ${request.id} rejected by ${reviewer.name || reviewer.id}`);
+
+  const rejected = await refundRequests.getRequest(request.id);
+  await followRequest(rejected);
+  return { request: rejected };
+}
+
+// Store a Stripe refund from a webhook and move its request along with it
+async function syncRefund(refund) {
+  await billing.upsertRefund(refund);
+
+  const request = await refundRequests.syncFromRefund(refund);
+  if (request && request.status === 'failed') {
+    console.log(`❌ Refund ${refund.id} for request ${request.id} failed: ${request.failureReason || 'unknown reason'}`);
+  }
+  if (request) {
+    await followRequest(request);
+  }
+  return request;
+}
+
+// A request with its amount in major units, for API responses
+const formatRequest = (request) => ({ ...request, amount: toMajorUnits(request.amount, request.currency) });
+
+module.exports = {
+  refundBalance,
+  requestRefund,
+  approveRequest,
+  rejectRequest,
+  syncRefund,
+  formatRequest
+};
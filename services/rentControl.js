@@ -0,0 +1,211 @@
+const { JURISDICTIONS } = require('../config/jurisdictions');
+const { cpiFor } = require('../config/cpi');
+const leases = require('../models/leases');
+const properties = require('../models/properties');
+const rentIncreases = require('../models/rentIncreases');
+const { toIsoDate, addMonths } = require('../lib/dates');
+const { toMinorUnits, toMajorUnits, roundToStep } = require('../lib/money');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const yearOf = (isoDate) => Number(isoDate.slice(0, 4));
+
+const increasePercent = (from, to) => (from > 0 ? ((to - from) / from) * 100 : 0);
+
+// Allowable annual increase (percent) under a jurisdiction's cap for increases
+// taking effect in `year`, or null when there are no published figures that early
+const allowablePercent = (cap, year) => {
+  if (cap.type === 'fixed') {
+    return cap.percent;
+  }
+
+  if (cap.type === 'schedule') {
+    const years = Object.keys(cap.percents).map(Number).filter((known) => known <= year).sort((a, b) => b - a);
+    return years.length > 0 ? cap.percents[years[0]] : null;
+  }
+
+  if (cap.type === 'cpi') {
+    const cpi = cpiFor(cap.cpiSeries, year);
+    if (cpi === null) return null;
+
+    let percent = cpi * (cap.cpiShare ?? 1) + (cap.plusPercent || 0);
+    if (cap.minPercent !== undefined) percent = Math.max(percent, cap.minPercent);
+    if (cap.maxPercent !== undefined) percent = Math.min(percent, cap.maxPercent);
+    return round2(percent);
+  }
+
+  throw new Error(`Unknown cap type: ${cap.type}`);
+};
+
+// Why a building is exempt from its jurisdiction's rules, or null
+const buildingExemption = (rules, yearBuilt, effectiveDate) => {
+  const { builtAfterYear, newConstructionYears } = rules.exemptions || {};
+
+  if (builtAfterYear !== undefined && yearBuilt > builtAfterYear) {
+    return `Buildings constructed after ${builtAfterYear} are exempt`;
+  }
+  if (newConstructionYears !== undefined && yearOf(effectiveDate) - yearBuilt < newConstructionYears) {
+    return `Buildings less than ${newConstructionYears} years old are exempt`;
+  }
+  return null;
+};
+
+// Unused allowable increases from earlier rent years of the tenancy. Rent years
+// start on each anniversary of the tenancy; increases count against the year they take effect in.
+// Years without published figures bank nothing.
+const bankedPercent = (rules, tenancyStart, increases, effectiveDate) => {
+  const anniversaries = [];
+  for (let years = 1; addMonths(tenancyStart, years * 12) <= effectiveDate; years++) {
+    anniversaries.push(addMonths(tenancyStart, years * 12));
+  }
+
+  // The rent year containing the effective date is the current one, not banked
+  const pastYears = anniversaries.slice(0, -1);
+  const counted = rules.bankingYears === undefined ? pastYears : pastYears.slice(-rules.bankingYears);
+
+  return round2(counted.reduce((banked, yearStart) => {
+    const yearEnd = addMonths(yearStart, 12);
+    const taken = increases
+      .filter((increase) => increase.effectiveDate >= yearStart && increase.effectiveDate < yearEnd)
+      .reduce((sum, increase) => sum + increasePercent(increase.previousRent, increase.newRent), 0);
+
+    const allowed = allowablePercent(rules.cap, yearOf(yearStart));
+    return allowed === null ? banked : banked + Math.max(0, allowed - taken);
+  }, 0));
+};
+
+// Check a proposed rent against the jurisdiction's rules.
+//
+// currentRent/proposedRent are in major units of `currency`. `increases` are the earlier rent
+// changes on the tenancy ({ previousRent, newRent, effectiveDate }); `tenancyStart`
+// is null for a vacant unit.
+function evaluateRentChange({
+  jurisdiction,
+  yearBuilt = null,
+  rentControlled = true,
+  currentRent,
+  proposedRent,
+  currency = 'usd',
+  effectiveDate = toIsoDate(new Date()),
+  tenancyStart = null,
+  increases = []
+}) {
+  const rules = jurisdiction ? JURISDICTIONS[jurisdiction] : undefined;
+  const result = {
+    allowed: true,
+    exempt: false,
+    reasons: [],
+    jurisdiction: rules ? { code: jurisdiction, name: rules.name } : null,
+    effectiveDate,
+    currentRent,
+    proposedRent,
+    increasePercent: currentRent ? round2(increasePercent(currentRent, proposedRent)) : null,
+    allowablePercent: null,
+    bankedPercent: null,
+    maxLegalRent: null,
+    earliestEffectiveDate: null
+  };
+
+  const exempt = (reason) => ({ ...result, exempt: true, reasons: [reason] });
+
+  if (!rules) {
+    return exempt(jurisdiction ? `No rent-control rules configured for ${jurisdiction}` : 'Property has no jurisdiction set');
+  }
+  if (!rentControlled) {
+    return exempt('Unit is not rent controlled');
+  }
+  if (yearBuilt) {
+    const exemption = buildingExemption(rules, yearBuilt, effectiveDate);
+    if (exemption) return exempt(exemption);
+  } else if (rules.exemptions) {
+    result.reasons.push('Year built is unknown; building-age exemptions were not applied');
+  }
+  if (!tenancyStart && rules.vacancyDecontrol) {
+    return exempt('Rent may be reset between tenancies');
+  }
+  if (!currentRent) {
+    return exempt('Unit has no current rent to compare against');
+  }
+
+  // Increases are limited to one per interval, counted from the start of the tenancy
+  const lastChange = [tenancyStart, ...increases.map((increase) => increase.effectiveDate)]
+    .filter(Boolean)
+    .sort()
+    .pop();
+  if (lastChange && rules.increaseIntervalMonths) {
+    result.earliestEffectiveDate = addMonths(lastChange, rules.increaseIntervalMonths);
+  }
+
+  result.allowablePercent = allowablePercent(rules.cap, yearOf(effectiveDate));
+  if (result.allowablePercent === null) {
+    result.allowablePercent = 0;
+    result.reasons.push(`No published allowable increase for ${yearOf(effectiveDate)}`);
+  }
+  result.bankedPercent = rules.banking && tenancyStart
+    ? bankedPercent(rules, tenancyStart, increases, effectiveDate)
+    : 0;
+
+  let maxPercent = result.allowablePercent + result.bankedPercent;
+  if (rules.maxTotalPercent !== undefined) {
+    maxPercent = Math.min(maxPercent, rules.maxTotalPercent);
+  }
+  // Rounded down to the minor unit so the maximum itself is always legal
+  result.maxLegalRent = toMajorUnits(roundToStep(toMinorUnits(currentRent, currency) * (1 + maxPercent / 100), currency, Math.floor), currency);
+
+  if (proposedRent <= currentRent) {
+    return result;
+  }
+
+  if (result.earliestEffectiveDate && effectiveDate < result.earliestEffectiveDate) {
+    result.allowed = false;
+    result.reasons.push(`Rent can only be increased every ${rules.increaseIntervalMonths} months; next increase allowed from ${result.earliestEffectiveDate}`);
+  }
+  if (proposedRent > result.maxLegalRent) {
+    result.allowed = false;
+    result.reasons.push(`Increase of ${result.increasePercent}% exceeds the ${round2(maxPercent)}% allowed`);
+  }
+
+  return result;
+}
+
+// Check a proposed rent for one of the landlord's units, using the unit's active
+// lease (if any) as the tenancy
+async function checkUnitRent(ownerId, unit, { proposedRent, effectiveDate, lease } = {}) {
+  const property = await properties.getProperty(ownerId, unit.propertyId);
+  const tenancy = lease === undefined ? await leases.getActiveLeaseForUnit(unit.id) : lease;
+
+  return evaluateRentChange({
+    jurisdiction: property.jurisdiction,
+    yearBuilt: property.yearBuilt,
+    rentControlled: unit.rentControlled,
+    currentRent: tenancy ? tenancy.rentAmount : unit.currentRent,
+    proposedRent,
+    currency: tenancy ? tenancy.currency : unit.currency,
+    effectiveDate,
+    tenancyStart: tenancy ? tenancy.startDate : null,
+    increases: tenancy ? await rentIncreases.listIncreases(tenancy.id) : []
+  });
+}
+
+// Put scheduled rent changes into effect once their date arrives
+async function applyScheduledIncreases(asOf = new Date()) {
+  const due = await rentIncreases.listDueIncreases(toIsoDate(asOf));
+
+  for (const increase of due) {
+    const lease = await leases.updateLease(increase.leaseId, { rentAmount: increase.newRent });
+    await properties.updateUnit(lease.propertyId, lease.unitId, { currentRent: increase.newRent, currency: lease.currency });
+    await rentIncreases.markApplied(increase.id);
+  }
+
+  if (due.length > 0) {
+    console.log(`📈 Applied ${due.length} scheduled rent change(s)`);
+  }
+  return due.length;
+}
+
+module.exports = {
+  allowablePercent,
+  evaluateRentChange,
+  checkUnitRent,
+  applyScheduledIncreases
+};
@@ -0,0 +1,68 @@
+const leases = require('../models/leases');
+const rentCharges = require('../models/rentCharges');
+const rentIncreases = require('../models/rentIncreases');
+const { notify } = require('./notifications');
+const { toMinorUnits } = require('../lib/money');
+const { toIsoDate, addDays, periodOf, nextPeriod, dateInPeriod } = require('../lib/dates');
+
+// Charges are issued this many days before they fall due
+const LEAD_DAYS = parseInt(process.env.RENT_CHARGE_LEAD_DAYS || '7');
+
+// Generate any monthly rent charges that are now due to be issued.
+// Safe to run repeatedly: each lease has at most one charge per period.
+// Charges are not backfilled for months before the lease was entered.
+async function generateRentCharges(asOf = new Date()) {
+  const today = toIsoDate(asOf);
+  const horizon = addDays(today, LEAD_DAYS);
+  let created = 0;
+
+  for (const lease of await leases.listActiveLeases()) {
+    // Leases whose end date has passed are closed out
+    if (lease.endDate && lease.endDate < today) {
+      await leases.endLease(lease.id, lease.endDate);
+      continue;
+    }
+
+    // Charges falling due after a scheduled rent change use the new rent
+    const scheduled = await rentIncreases.listIncreases(lease.id, { status: 'scheduled' });
+    const rentDueOn = (dueDate) => scheduled
+      .filter((increase) => increase.effectiveDate <= dueDate)
+      .reduce((rent, increase) => increase.newRent, lease.rentAmount);
+
+    const firstDate = [lease.startDate, lease.createdAt.slice(0, 10)].sort()[1];
+    let period = periodOf(firstDate);
+
+    while (true) {
+      const dueDate = dateInPeriod(period, lease.dueDay);
+      if (dueDate > horizon) break;
+      if (lease.endDate && dueDate > lease.endDate) break;
+
+      if (dueDate >= lease.startDate) {
+        const inserted = await rentCharges.createCharge({
+          leaseId: lease.id,
+          period,
+          dueDate,
+          amount: toMinorUnits(rentDueOn(dueDate), lease.currency),
+          currency: lease.currency
+        });
+        if (inserted) {
+          created += 1;
+          await notify(
+            { userId: lease.tenantUserId, email: lease.tenantEmail, name: lease.tenantName },
+            'rent_due',
+            { amount: rentDueOn(dueDate), currency: lease.currency, dueDate, unitLabel: lease.unitLabel }
+          );
+        }
+      }
+
+      period = nextPeriod(period);
+    }
+  }
+
+  if (created > 0) {
+    console.log(`🧾 Generated ${created} rent charge(s)`);
+  }
+  return created;
+}
+
+module.exports = { generateRentCharges };
@@ -0,0 +1,38 @@
+const { generateRentCharges } = require('./rentInvoicing');
+const { applyScheduledIncreases } = require('./rentControl');
+const { assessLateFees } = require('./lateFees');
+const { runDunning } = require('./dunning');
+const { purgeExpiredKeys } = require('../middleware/idempotency');
+
+// Periodic background jobs, run in order on every tick
+const JOBS = [
+  { name: 'rent increases', run: () => applyScheduledIncreases() },
+  { name: 'rent charges', run: () => generateRentCharges() },
+  { name: 'late fees', run: () => assessLateFees() },
+  { name: 'dunning', run: () => runDunning() },
+  { name: 'idempotency keys', run: () => purgeExpiredKeys() }
+];
+
+async function runJobs() {
+  for (const job of JOBS) {
+    try {
+      await job.run();
+    } catch (error) {
+      console.error(`❌ Scheduled job "${job.name}" failed:`, error);
+    }
+  }
+}
+
+// Run the jobs now and then every JOB_INTERVAL_MINUTES (default 60)
+function startScheduler() {
+  const intervalMs = parseInt(process.env.JOB_INTERVAL_MINUTES || '60') * 60 * 1000;
+
+  runJobs();
+  const timer = setInterval(runJobs, intervalMs);
+  timer.unref();
+}
+
+module.exports = {
+  runJobs,
+  startScheduler
+};
@@ -0,0 +1,413 @@
+const billing = require('../models/billing');
+const users = require('../models/users');
+const rentCharges = require('../models/rentCharges');
+const lateFees = require('../models/lateFees');
+const securityDeposits = require('../models/securityDeposits');
+const leases = require('../models/leases');
+const dunning = require('./dunning');
+const { syncRefund } = require('./refunds');
+const { notify, recipientForCustomer } = require('./notifications');
+const webhookEvents = require('../models/webhookEvents');
+const { getPlan, findPrice } = require('../config/plans');
+const { toMinorUnits, toMajorUnits } = require('../lib/money');
+const { toIsoDate } = require('../lib/dates');
+
+// Display name of an account's plan for notifications
+const planName = (planId) => (getPlan(planId) || {}).name || planId;
+
+// Route a verified Stripe event to its handler
+async function dispatchEvent(event) {
+  switch (event.type) {
+    case 'customer.created':
+    case 'customer.updated':
+      await handleCustomerUpdated(event.data.object);
+      break;
+
+    case 'checkout.session.completed':
+    case 'checkout.session.async_payment_succeeded':
+      await handleCheckoutSessionCompleted(event.data.object);
+      break;
+    
+    case 'payment_intent.succeeded':
+      await handlePaymentIntentSucceeded(event.data.object);
+      break;
+    
+    case 'payment_intent.payment_failed':
+      await handlePaymentIntentFailed(event.data.object);
+      break;
+    
+    case 'customer.subscription.created':
+      await handleSubscriptionCreated(event.data.object);
+      break;
+    
+    case 'customer.subscription.updated':
+      await handleSubscriptionUpdated(event.data.object);
+      break;
+    
+    case 'customer.subscription.trial_will_end':
+      await handleTrialWillEnd(event.data.object);
+      break;
+
+    case 'customer.subscription.deleted':
+      await handleSubscriptionDeleted(event.data.object);
+      break;
+    
+    case 'invoice.payment_succeeded':
+      await handleInvoicePaymentSucceeded(event.data.object);
+      break;
+    
+    case 'invoice.payment_failed':
+      await handleInvoicePaymentFailed(event.data.object);
+      break;
+
+    case 'charge.refunded':
+      await handleChargeRefunded(event.data.object);
+      break;
+
+    case 'refund.created':
+    case 'refund.updated':
+    case 'charge.refund.updated':
+      await handleRefundUpdated(event.data.object);
+      break;
+    
+    default:
+      console.log(`🔔 Unhandled event type: ${event.type}`);
+  }
+}
+
+// Process a newly delivered event exactly once.
+// Returns 'processed', or 'duplicate' when the event was already handled or is in flight.
+async function processEvent(event) {
+  await webhookEvents.recordEvent(event);
+
+  // Failed events are picked up again when Stripe retries the delivery
+  const claimed = await webhookEvents.claimEvent(event.id);
+  if (!claimed) {
+    return 'duplicate';
+  }
+
+  await runClaimedEvent(event);
+  return 'processed';
+}
+
+// Re-run a journaled event through the dispatcher, whatever its previous outcome.
+// Events still marked as processing are skipped unless `force` is set.
+async function replayEvent(eventId, { force = false } = {}) {
+  const stored = await webhookEvents.getEvent(eventId);
+  if (!stored) {
+    return null;
+  }
+
+  const statuses = [webhookEvents.RECEIVED, webhookEvents.PROCESSED, webhookEvents.FAILED];
+  if (force) {
+    statuses.push(webhookEvents.PROCESSING);
+  }
+
+  const claimed = await webhookEvents.claimEvent(eventId, statuses);
+  if (!claimed) {
+    return { id: eventId, status: stored.status, skipped: true };
+  }
+
+  try {
+    await runClaimedEvent(stored.payload);
+    return { id: eventId, status: webhookEvents.PROCESSED };
+  } catch (error) {
+    return { id: eventId, status: webhookEvents.FAILED, error: error.message };
+  }
+}
+
+async function runClaimedEvent(event) {
+  try {
+    await dispatchEvent(event);
+    await webhookEvents.markProcessed(event.id);
+  } catch (error) {
+    console.error(`❌ Error handling webhook event ${event.type}:`, error);
+    await webhookEvents.markFailed(event.id, error);
+    throw error;
+  }
+}
+
+// Handle customer creation and updates
+async function handleCustomerUpdated(customer) {
+  console.log(`👤 Customer updated: ${customer.id}`);
+
+  await billing.upsertCustomer(customer);
+}
+
+// Whether a paid session is the one opened for `record` (a rent charge or deposit)
+// and charged `amount` (minor units) in its currency. Metadata alone proves
+// nothing: any caller can put ids in their own session's metadata.
+const paidFor = (session, record, amount) => record.checkoutSessionId === session.id &&
+  record.currency === session.currency &&
+  amount === session.amount_total;
+
+// Settle the rent charge and late fees a Checkout session was opened for
+async function settleRentPayment(session) {
+  const { rentChargeId, lateFeeIds } = session.metadata;
+  const charge = await rentCharges.getChargeById(rentChargeId);
+  const fees = (await lateFees.listFeesByIds(lateFeeIds ? lateFeeIds.split(',') : []))
+    .filter((fee) => fee.checkoutSessionId === session.id);
+  // Fees can accrue after the session was opened; it charged them as they were then
+  const owed = charge && fees.reduce(
+    (sum, fee) => sum + toMinorUnits(fee.checkoutAmount ?? fee.amount, fee.currency),
+    toMinorUnits(charge.amount, charge.currency)
+  );
+
+  if (!charge || !paidFor(session, charge, owed)) {
+    console.warn(`⚠️ Session ${session.id} does not match rent charge ${rentChargeId}; payment ${session.payment_intent} needs review`);
+    return;
+  }
+
+  const paid = await rentCharges.markPaid(charge.id, {
+    checkoutSessionId: session.id,
+    paymentIntentId: session.payment_intent
+  });
+
+  console.log(paid
+    ? `🏠 Rent charge ${charge.id} paid`
+    : `⚠️ Rent charge ${charge.id} was not open; payment ${session.payment_intent} needs review`);
+
+  // Late fees collected in the same session
+  if (fees.length > 0) {
+    const feesPaid = await lateFees.markPaid(fees.map((fee) => fee.id), {
+      checkoutSessionId: session.id,
+      paymentIntentId: session.payment_intent
+    });
+    console.log(`🏠 ${feesPaid} late fee(s) paid`);
+  }
+}
+
+// Hold the security deposit a Checkout session was opened for
+async function settleDepositPayment(session) {
+  const { securityDepositId } = session.metadata;
+  const deposit = await securityDeposits.getDeposit(securityDepositId);
+
+  if (!deposit || !paidFor(session, deposit, toMinorUnits(deposit.amount, deposit.currency))) {
+    console.warn(`⚠️ Session ${session.id} does not match security deposit ${securityDepositId}; payment ${session.payment_intent} needs review`);
+    return;
+  }
+
+  const collected = await securityDeposits.markCollected(deposit.id, {
+    collectedOn: toIsoDate(new Date()),
+    checkoutSessionId: session.id,
+    paymentIntentId: session.payment_intent
+  });
+
+  console.log(collected
+    ? `🔑 Security deposit ${deposit.id} paid`
+    : `⚠️ Security deposit ${deposit.id} was not due; payment ${session.payment_intent} needs review`);
+}
+
+// Handle successful checkout session completion
+async function handleCheckoutSessionCompleted(session) {
+  console.log(`💰 Checkout session completed: ${session.id}`);
+  console.log(`📧 Customer email: ${session.customer_email}`);
+  console.log(`💵 Amount: ${session.amount_total} ${session.currency}`);
+  console.log(`📋 Metadata:`, session.metadata);
+
+  try {
+    await billing.upsertCheckoutSession(session);
+
+    console.log(`📝 Checkout session recorded: ${session.id}`);
+
+    // Subscription checkouts create or link the landlord account
+    const email = session.customer_details?.email || session.customer_email;
+    if (session.mode === 'subscription' && email) {
+      const user = await users.upsertFromCheckout({
+        userId: session.metadata?.userId,
+        email,
+        name: session.customer_details?.name,
+        plan: session.metadata?.plan,
+        customerId: session.customer,
+        subscriptionId: session.subscription
+      });
+
+      console.log(`👤 Linked user ${user.id} to customer ${session.customer}`);
+    }
+
+    // Rent payments settle the lease charge they were opened for
+    if (session.metadata?.rentChargeId && session.payment_status === 'paid') {
+      await settleRentPayment(session);
+    }
+
+    // Security deposits are held from the day they are paid
+    if (session.metadata?.securityDepositId && session.payment_status === 'paid') {
+      await settleDepositPayment(session);
+    }
+
+    // One-off payments get a receipt here; subscription payments get one per invoice
+    if (session.mode === 'payment' && session.payment_status === 'paid') {
+      await notify(
+        {
+          userId: session.metadata?.userId,
+          email: session.customer_details?.email || session.customer_email,
+          name: session.customer_details?.name
+        },
+        'payment_receipt',
+        {
+          amount: toMajorUnits(session.amount_total, session.currency),
+          currency: session.currency,
+          description: session.metadata?.rentChargeId ? 'rent'
+            : session.metadata?.securityDepositId ? 'security deposit' : undefined
+        }
+      );
+    }
+
+  } catch (error) {
+    console.error('❌ Error processing checkout completion:', error);
+    throw error;
+  }
+}
+
+// Handle successful payment intent
+async function handlePaymentIntentSucceeded(paymentIntent) {
+  console.log(`✅ Payment intent succeeded: ${paymentIntent.id}`);
+  console.log(`💵 Amount: ${paymentIntent.amount} ${paymentIntent.currency}`);
+
+  await billing.upsertPaymentIntent(paymentIntent);
+}
+
+// Handle failed payment intent
+async function handlePaymentIntentFailed(paymentIntent) {
+  console.log(`❌ Payment intent failed: ${paymentIntent.id}`);
+  console.log(`💵 Amount: ${paymentIntent.amount} ${paymentIntent.currency}`);
+  console.log(`🚫 Failure reason: ${paymentIntent.last_payment_error?.message}`);
+
+  await billing.upsertPaymentIntent(paymentIntent);
+
+  // Subscription payment failures are followed up by dunning (invoice.payment_failed);
+  // tenants are told here when a rent payment fails
+  const leaseId = paymentIntent.metadata?.leaseId;
+  const lease = leaseId && await leases.getLease(leaseId);
+  if (lease) {
+    await notify(
+      { userId: lease.tenantUserId, email: lease.tenantEmail, name: lease.tenantName },
+      'payment_failed',
+      {
+        amount: toMajorUnits(paymentIntent.amount, paymentIntent.currency),
+        currency: paymentIntent.currency,
+        description: `rent for unit ${lease.unitLabel}`,
+        reason: paymentIntent.last_payment_error?.message,
+        payUrl: `${process.env.FRONTEND_URL}/tenant-portal`
+      }
+    );
+  }
+}
+
+// Handle subscription creation
+async function handleSubscriptionCreated(subscription) {
+  console.log(`🆕 Subscription created: ${subscription.id}`);
+  console.log(`👤 Customer: ${subscription.customer}`);
+  console.log(`📅 Status: ${subscription.status}`);
+
+  await billing.upsertSubscription(subscription);
+  await syncUserStatus(subscription);
+}
+
+// Handle subscription updates
+async function handleSubscriptionUpdated(subscription) {
+  console.log(`🔄 Subscription updated: ${subscription.id}`);
+  console.log(`📅 Status: ${subscription.status}`);
+
+  await billing.upsertSubscription(subscription);
+  await syncUserStatus(subscription);
+}
+
+// Handle subscription deletion
+async function handleSubscriptionDeleted(subscription) {
+  console.log(`🗑️ Subscription deleted: ${subscription.id}`);
+  console.log(`👤 Customer: ${subscription.customer}`);
+
+  await billing.upsertSubscription(subscription);
+  await syncUserStatus(subscription);
+  await dunning.handleSubscriptionEnded(subscription);
+
+  const recipient = await recipientForCustomer(subscription.customer);
+  await notify(recipient, 'subscription_cancelled', { plan: planName(recipient.plan) });
+}
+
+// Handle the reminder Stripe sends three days before a trial ends
+async function handleTrialWillEnd(subscription) {
+  console.log(`⏳ Trial ending: ${subscription.id}`);
+
+  await billing.upsertSubscription(subscription);
+
+  const recipient = await recipientForCustomer(subscription.customer);
+  await notify(recipient, 'trial_ending', {
+    plan: planName(recipient.plan),
+    trialEnd: new Date(subscription.trial_end * 1000).toISOString().slice(0, 10)
+  });
+}
+
+// Reflect a subscription's status on the linked landlord account. Plan limits and
+// features follow the status (see services/entitlements.js), so a past-due or
+// ended subscription downgrades the account here.
+async function syncUserStatus(subscription) {
+  const catalogPrice = findPrice(subscription.items?.data?.[0]?.price?.id);
+  const status = users.statusFromSubscription(subscription.status);
+
+  if (['past_due', 'canceled'].includes(status)) {
+    console.log(`⬇️ Downgrading plan access for ${subscription.customer}: subscription ${subscription.status}`);
+  }
+
+  await users.syncSubscriptionStatus({
+    subscriptionId: subscription.id,
+    customerId: subscription.customer,
+    subscriptionStatus: subscription.status,
+    plan: catalogPrice && catalogPrice.plan.id
+  });
+}
+
+// Handle successful invoice payment
+async function handleInvoicePaymentSucceeded(invoice) {
+  console.log(`💳 Invoice payment succeeded: ${invoice.id}`);
+  console.log(`💵 Amount: ${invoice.amount_paid} ${invoice.currency}`);
+
+  await billing.upsertInvoice(invoice);
+  await dunning.handleInvoicePaid(invoice);
+
+  if (invoice.amount_paid > 0) {
+    await notify(
+      await recipientForCustomer(invoice.customer, invoice.customer_email),
+      'payment_receipt',
+      {
+        amount: toMajorUnits(invoice.amount_paid, invoice.currency),
+        currency: invoice.currency,
+        description: 'your subscription',
+        receiptUrl: invoice.hosted_invoice_url
+      }
+    );
+  }
+}
+
+// Handle failed invoice payment
+async function handleInvoicePaymentFailed(invoice) {
+  console.log(`💳 Invoice payment failed: ${invoice.id}`);
+  console.log(`💵 Amount: ${invoice.amount_due} ${invoice.currency}`);
+
+  await billing.upsertInvoice(invoice);
+  await dunning.handleInvoiceFailed(invoice);
+}
+
+// Handle a charge being (partially) refunded
+async function handleChargeRefunded(charge) {
+  console.log(`↩️ Charge refunded: ${charge.id}`);
+  console.log(`💵 Amount refunded: ${charge.amount_refunded} ${charge.currency}`);
+
+  for (const refund of charge.refunds?.data || []) {
+    await syncRefund({ ...refund, charge: charge.id, payment_intent: refund.payment_intent || charge.payment_intent });
+  }
+}
+
+// Handle refund creation and status changes, including refunds that fail after the fact
+async function handleRefundUpdated(refund) {
+  console.log(`↩️ Refund ${refund.id}: ${refund.status}`);
+
+  await syncRefund(refund);
+}
+
+module.exports = {
+  dispatchEvent,
+  processEvent,
+  replayEvent
+};
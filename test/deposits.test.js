@@ -0,0 +1,185 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, client, createLandlord, createLease, completeCheckout, deliverEvents, sentTemplates } = require('./helpers');
+const { stripe } = require('../lib/stripe');
+const { toIsoDate } = require('../lib/dates');
+
+// Security deposits are held once the tenant pays them through the session
+// opened for them, and returned at move-out: returning while the refund of the
+// deposit payment is on its way, returned (with the statement sent) once it
+// succeeds, and held again if it is rejected or fails.
+
+let server;
+let request;
+let landlord;
+let leases = 0;
+
+before(async () => {
+  server = await startServer();
+  request = client(server.url);
+  landlord = await createLandlord();
+});
+
+after(() => server.close());
+
+// A lease with a deposit of `amount`, paid through Checkout unless `collectedOn` is given or `pay` is false
+async function leaseWithDeposit(amount, { collectedOn, pay = true } = {}) {
+  leases += 1;
+  const { lease, tenant } = await createLease(request, landlord, { label: `${leases}A`, tenantId: `tenant-${leases}` });
+  const path = `/api/leases/${lease.id}`;
+
+  const created = await request('POST', `${path}/deposit`, { token: landlord.token, body: { amount, collectedOn } });
+  assert.equal(created.status, 201);
+
+  if (!collectedOn && pay) {
+    const session = await request('POST', `${path}/deposit/pay`, { token: tenant.token, body: {} });
+    await completeCheckout(server.url, session.body.sessionId);
+  }
+
+  return { lease, tenant, path };
+}
+
+const endAndReturn = async (path) => {
+  await request('POST', `${path}/end`, { token: landlord.token, body: { endDate: toIsoDate(new Date()) } });
+  return request('POST', `${path}/deposit/return`, { token: landlord.token, body: { moveOutDate: toIsoDate(new Date()) } });
+};
+
+const depositStatus = async (path) => (await request('GET', `${path}/deposit`, { token: landlord.token })).body.deposit.status;
+
+const statementsSent = async () => (await sentTemplates()).filter((template) => template === 'deposit_statement').length;
+
+test('a deposit is held once paid through the session opened for it', async () => {
+  const { lease, tenant, path } = await leaseWithDeposit(1500, { pay: false });
+  const { deposit } = (await request('GET', `${path}/deposit`, { token: landlord.token })).body;
+
+  // A session of the caller's own can no longer carry the deposit's id...
+  const fromCaller = await request('POST', '/api/create-payment-session', {
+    token: tenant.token,
+    body: { amount: 1, currency: 'usd', metadata: { securityDepositId: deposit.id } }
+  });
+  assert.equal((await stripe.checkout.sessions.retrieve(fromCaller.body.sessionId)).metadata.securityDepositId, undefined);
+
+  // ...and one that does is not the session opened for it
+  const forged = await stripe.checkout.sessions.create({
+    mode: 'payment',
+    line_items: [{ price_data: { currency: 'usd', unit_amount: 100, product_data: { name: 'Deposit' } }, quantity: 1 }],
+    metadata: { leaseId: lease.id, securityDepositId: deposit.id },
+    success_url: 'http://localhost:3000/success',
+    cancel_url: 'http://localhost:3000/cancel'
+  });
+  await completeCheckout(server.url, forged.id);
+  assert.equal(await depositStatus(path), 'due');
+
+  const session = await request('POST', `${path}/deposit/pay`, { token: tenant.token, body: {} });
+  await completeCheckout(server.url, session.body.sessionId);
+  assert.equal(await depositStatus(path), 'held');
+});
+
+test('paying a deposit session opened earlier holds the deposit', async () => {
+  const { tenant, path } = await leaseWithDeposit(1500, { pay: false });
+  const pay = () => request('POST', `${path}/deposit/pay`, { token: tenant.token, body: {} });
+
+  // A second click, tab or retry gets the session that is already open
+  const first = await pay();
+  const second = await pay();
+  assert.equal(second.body.sessionId, first.body.sessionId);
+
+  await completeCheckout(server.url, first.body.sessionId);
+  assert.equal(await depositStatus(path), 'held');
+});
+
+test('removing a deposit expires its payment session', async () => {
+  const { tenant, path } = await leaseWithDeposit(1500, { pay: false });
+  const session = await request('POST', `${path}/deposit/pay`, { token: tenant.token, body: {} });
+
+  assert.equal((await request('DELETE', `${path}/deposit`, { token: landlord.token })).status, 200);
+  assert.equal((await stripe.checkout.sessions.retrieve(session.body.sessionId)).status, 'expired');
+});
+
+test('a deposit refunded straight away is returned with its statement', async () => {
+  const { path } = await leaseWithDeposit(300);
+  assert.equal(await depositStatus(path), 'held');
+  const sent = await statementsSent();
+
+  const returned = await endAndReturn(path);
+  assert.equal(returned.status, 200);
+  assert.equal(returned.body.deposit.status, 'returned');
+  assert.equal(returned.body.refund.amount, 300);
+  assert.equal(returned.body.statement.final, true);
+  assert.equal(await statementsSent(), sent + 1);
+});
+
+test('a deposit with nothing to refund is returned at once', async () => {
+  const { path } = await leaseWithDeposit(300, { collectedOn: '2026-01-01' });
+
+  const returned = await endAndReturn(path);
+  assert.equal(returned.status, 200);
+  assert.equal(returned.body.deposit.status, 'returned');
+  assert.equal(returned.body.refundRequest, null);
+  assert.equal(returned.body.statement.refund.paidSeparately, 300);
+});
+
+test('a deposit stays returning while its refund awaits approval', async () => {
+  const { path, tenant } = await leaseWithDeposit(1500);
+  const sent = await statementsSent();
+
+  const returning = await endAndReturn(path);
+  assert.equal(returning.status, 202);
+  assert.equal(returning.body.deposit.status, 'returning');
+  assert.equal(returning.body.refundRequest.status, 'pending_approval');
+  assert.equal(returning.body.statement.final, false);
+
+  // Nothing is issued to the tenant, and the statement is fixed, until the refund goes through
+  assert.equal((await request('GET', `${path}/deposit/statement`, { token: tenant.token })).status, 403);
+  const deduction = await request('POST', `${path}/deposit/deductions`, {
+    token: landlord.token,
+    body: { category: 'cleaning', description: 'Carpet cleaning', amount: 100 }
+  });
+  assert.equal(deduction.status, 409);
+
+  const approved = await request('POST', `/api/admin/refund-requests/${returning.body.refundRequest.id}/approve`, { token: 'admin' });
+  assert.equal(approved.status, 200);
+
+  assert.equal(await depositStatus(path), 'returned');
+  assert.equal(await statementsSent(), sent + 1);
+  const statement = await request('GET', `${path}/deposit/statement`, { token: tenant.token });
+  assert.equal(statement.status, 200);
+  assert.equal(statement.body.statement.final, true);
+});
+
+test('a deposit is held again when its refund is rejected', async () => {
+  const { path } = await leaseWithDeposit(1500);
+  const sent = await statementsSent();
+
+  const returning = await endAndReturn(path);
+  const rejected = await request('POST', `/api/admin/refund-requests/${returning.body.refundRequest.id}/reject`, {
+    token: 'admin',
+    body: { reason: 'Deductions are missing' }
+  });
+  assert.equal(rejected.status, 200);
+
+  assert.equal(await depositStatus(path), 'held');
+  assert.equal(await statementsSent(), sent);
+
+  // The landlord can itemize and return it again
+  const deduction = await request('POST', `${path}/deposit/deductions`, {
+    token: landlord.token,
+    body: { category: 'cleaning', description: 'Carpet cleaning', amount: 100 }
+  });
+  assert.equal(deduction.status, 201);
+  const again = await request('POST', `${path}/deposit/return`, { token: landlord.token, body: { moveOutDate: toIsoDate(new Date()) } });
+  assert.equal(again.status, 202);
+  assert.equal(again.body.refundRequest.amount, 1400);
+});
+
+test('a deposit is held again when its refund fails', async () => {
+  const { path } = await leaseWithDeposit(300);
+
+  const returned = await endAndReturn(path);
+  assert.equal(returned.body.deposit.status, 'returned');
+
+  await stripe.fake.failRefund(returned.body.refund.id, 'expired_or_canceled_card');
+  await deliverEvents(server.url);
+
+  assert.equal(await depositStatus(path), 'held');
+});
@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, client, signToken, completeCheckout, deliverEvents, sentTemplates } = require('./helpers');
+const { stripe } = require('../lib/stripe');
+const { runDunning } = require('../services/dunning');
+const dunningCases = require('../models/dunningCases');
+
+// A failed renewal opens a dunning case that retries the invoice on the
+// schedule in config/dunning.js, with a payment_failed notice at each step
+// the invoice is still unpaid.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let server;
+let request;
+let subscribers = 0;
+
+before(async () => {
+  server = await startServer();
+  request = client(server.url);
+});
+
+after(() => server.close());
+
+// A subscriber whose renewal has just failed. Returns its subscription and customer ids.
+async function failedRenewal() {
+  subscribers += 1;
+  const token = await signToken(`subscriber-${subscribers}`, `subscriber-${subscribers}@example.com`);
+
+  const checkout = await request('POST', '/api/create-subscription-session', { token, body: { priceId: 'price_pro_month_usd' } });
+  assert.equal(checkout.status, 200);
+  const { subscription, customer } = await completeCheckout(server.url, checkout.body.sessionId);
+
+  await stripe.fake.setCardDeclines(customer, true);
+  await stripe.fake.renewSubscription(subscription, { decline: true });
+  await deliverEvents(server.url);
+
+  return { subscriptionId: subscription, customerId: customer };
+}
+
+const failureNotices = async () => (await sentTemplates()).filter((template) => template === 'payment_failed').length;
+
+const inDays = (days) => new Date(Date.now() + days * DAY_MS);
+
+test('a retry that pays the invoice sends no payment-failed notice', async () => {
+  const { subscriptionId, customerId } = await failedRenewal();
+  const notices = await failureNotices();
+
+  await stripe.fake.setCardDeclines(customerId, false);
+  await runDunning(inDays(3));
+  assert.equal(await failureNotices(), notices);
+
+  await deliverEvents(server.url);
+  const { cases } = await dunningCases.listCases({ status: 'recovered' });
+  assert.ok(cases.some((dunningCase) => dunningCase.subscriptionId === subscriptionId));
+});
+
+test('a retry that is declined again sends the notice', async () => {
+  await failedRenewal();
+  const notices = await failureNotices();
+
+  await runDunning(inDays(3));
+  assert.equal(await failureNotices(), notices + 1);
+});
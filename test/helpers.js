@@ -0,0 +1,192 @@
+// Shared setup for the tests. Each test file runs in its own process against a
+// scratch SQLite database, the offline Stripe (lib/fakeStripe.js) and the outbox
+// notification transport, all in a temporary directory. Require this before
+// any app module so they pick up the environment.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rent-control-test-'));
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  DATABASE_URL: `sqlite:${path.join(directory, 'test.db')}`,
+  STRIPE_MODE: 'fake',
+  STRIPE_FAKE_STATE: path.join(directory, 'fake-stripe.json'),
+  STRIPE_WEBHOOK_SECRET: 'whsec_test',
+  NOTIFICATION_TRANSPORT: 'outbox',
+  OUTBOX_DIR: path.join(directory, 'outbox'),
+  AUTH_JWT_SECRET: 'test-secret',
+  ADMIN_API_KEY: 'test-admin-key',
+  FRONTEND_URL: 'http://localhost:3000',
+  DISABLE_SCHEDULER: 'true'
+});
+
+// The test runner reads results from stdout, so the app's progress logs are
+// muted there; set TEST_LOGS=1 to see them. Errors still go to stderr.
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+}
+
+const Stripe = require('stripe');
+const { SignJWT } = require('jose');
+const db = require('../db');
+const app = require('../server');
+const users = require('../models/users');
+const { stripe } = require('../lib/stripe');
+
+// Serve the app on a free port. Returns { url, close }; close also drops the
+// database connection and the temporary directory.
+async function startServer() {
+  await db.migrate();
+
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      await db.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  };
+}
+
+// A bearer token for `userId`, as the auth provider would issue it
+const signToken = (userId, email) => new SignJWT({ email })
+  .setProtectedHeader({ alg: 'HS256' })
+  .setSubject(userId)
+  .setExpirationTime('1h')
+  .sign(new TextEncoder().encode(process.env.AUTH_JWT_SECRET));
+
+// Call the API at `url` as `token` (a bearer token, or 'admin' for the
+// bootstrap admin key). Resolves to { status, body }.
+const client = (url) => async (method, route, { token, body, headers = {} } = {}) => {
+  const response = await fetch(`${url}${route}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token === 'admin' ? { 'x-admin-key': process.env.ADMIN_API_KEY } : {}),
+      ...(token && token !== 'admin' ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+// A landlord account on the premium plan, with its token
+async function createLandlord(userId = 'landlord-1', email = `${userId}@example.com`) {
+  await users.upsertFromCheckout({ userId, email, customerId: `cus_${userId}` });
+  await db.run("UPDATE users SET plan = 'premium', status = 'active' WHERE id = ?", [userId]);
+  return { id: userId, email, token: await signToken(userId, email) };
+}
+
+// An admin with `role`, created with the bootstrap key. Returns the admin
+// with the headers that authenticate it.
+async function createAdmin(request, name, role = 'finance') {
+  const created = await request('POST', '/api/admin/admins', {
+    token: 'admin',
+    body: { name, email: `${name.toLowerCase()}@example.com`, role }
+  });
+  return { ...created.body.admin, headers: { 'x-admin-key': created.body.apiKey.key } };
+}
+
+// A property, unit and lease owned by `landlord`, for a tenant with its token.
+// Returns { lease, tenant }.
+async function createLease(request, landlord, {
+  jurisdiction = 'us-or-statewide',
+  country = 'US',
+  label = '1A',
+  rentAmount = 2000,
+  startDate = '2026-01-01',
+  tenantId = 'tenant-1',
+  currency
+} = {}) {
+  const tenant = { id: tenantId, email: `${tenantId}@example.com` };
+  tenant.token = await signToken(tenant.id, tenant.email);
+
+  const property = await request('POST', '/api/properties', {
+    token: landlord.token,
+    body: { name: `Property ${label}`, addressLine1: '1 Elm St', city: 'Portland', country, jurisdiction }
+  });
+  const unit = await request('POST', `/api/properties/${property.body.property.id}/units`, {
+    token: landlord.token,
+    body: { label }
+  });
+  const lease = await request('POST', '/api/leases', {
+    token: landlord.token,
+    body: { unitId: unit.body.unit.id, tenantName: 'Tess Tenant', tenantEmail: tenant.email, rentAmount, startDate, currency }
+  });
+
+  return { lease: lease.body.lease, tenant };
+}
+
+// Deliver the fake Stripe's queued webhook events to the server at `url`,
+// signed as Stripe would, the way `npm run stripe:simulate` does
+async function deliverEvents(url) {
+  const delivered = [];
+
+  try {
+    for (const event of await stripe.fake.pendingEvents()) {
+      const payload = JSON.stringify(event);
+      const response = await fetch(`${url}/webhooks/stripe`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Stripe-Signature': Stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET })
+        },
+        body: payload
+      });
+
+      if (!response.ok) {
+        throw new Error(`${event.type} (${event.id}) was rejected with ${response.status}: ${await response.text()}`);
+      }
+      delivered.push(event.id);
+    }
+  } finally {
+    await stripe.fake.markDelivered(delivered);
+  }
+}
+
+// Pay for a checkout session as the customer would and deliver the events
+async function completeCheckout(url, sessionId, options) {
+  const session = await stripe.fake.completeCheckout(sessionId, options);
+  await deliverEvents(url);
+  return session;
+}
+
+// A paid one-off payment of `amount` minor units. Returns its payment intent id.
+async function createPayment(url, amount, currency = 'usd') {
+  const session = await stripe.checkout.sessions.create({
+    mode: 'payment',
+    line_items: [{ price_data: { currency, unit_amount: amount, product_data: { name: 'Test payment' } }, quantity: 1 }],
+    success_url: 'http://localhost:3000/success',
+    cancel_url: 'http://localhost:3000/cancel'
+  });
+  return (await completeCheckout(url, session.id)).payment_intent;
+}
+
+// Templates of the notifications sent so far, oldest first
+const sentTemplates = async () => (await db.query('SELECT template FROM notifications ORDER BY created_at ASC, id ASC'))
+  .map((row) => row.template);
+
+module.exports = {
+  startServer,
+  signToken,
+  client,
+  createLandlord,
+  createAdmin,
+  createLease,
+  deliverEvents,
+  completeCheckout,
+  createPayment,
+  sentTemplates
+};
@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, client, signToken } = require('./helpers');
+
+// Requests with an Idempotency-Key run once; retries get the stored response,
+// marked with Idempotent-Replayed. Browsers on another origin can do both.
+
+let server;
+let request;
+
+before(async () => {
+  server = await startServer();
+  request = client(server.url);
+});
+
+after(() => server.close());
+
+test('browsers on another origin may send an Idempotency-Key', async () => {
+  const response = await fetch(`${server.url}/api/create-payment-session`, {
+    method: 'OPTIONS',
+    headers: {
+      Origin: 'https://app.example.com',
+      'Access-Control-Request-Method': 'POST',
+      'Access-Control-Request-Headers': 'content-type,authorization,idempotency-key'
+    }
+  });
+
+  assert.equal(response.status, 204);
+  assert.match(response.headers.get('access-control-allow-headers'), /Idempotency-Key/);
+});
+
+test('a retry gets the stored response, marked as replayed', async () => {
+  const token = await signToken('payer-1', 'payer-1@example.com');
+  const pay = () => fetch(`${server.url}/api/create-payment-session`, {
+    method: 'POST',
+    headers: {
+      Origin: 'https://app.example.com',
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+      'Idempotency-Key': 'payment-1'
+    },
+    body: JSON.stringify({ amount: 12.5, currency: 'usd' })
+  });
+
+  const first = await pay();
+  const retry = await pay();
+
+  assert.equal(retry.status, first.status);
+  assert.equal((await retry.json()).sessionId, (await first.json()).sessionId);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.match(retry.headers.get('access-control-expose-headers'), /Idempotent-Replayed/);
+
+  // A different request under the same key is refused
+  const other = await request('POST', '/api/create-payment-session', {
+    token,
+    headers: { 'Idempotency-Key': 'payment-1' },
+    body: { amount: 20, currency: 'usd' }
+  });
+  assert.equal(other.status, 422);
+});
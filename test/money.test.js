@@ -0,0 +1,141 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, client, signToken, createLandlord, createLease, createPayment } = require('./helpers');
+const { toMinorUnits, toMajorUnits, roundToStep, hasValidPrecision, precisionMessage, amountProblem, formatMoney } = require('../lib/money');
+const { approvalThreshold, needsApproval } = require('../config/refunds');
+const { calculateLateFee } = require('../services/lateFees');
+const { accrueInterest } = require('../services/deposits');
+
+// Amounts in currencies with 0, 2 and 3 decimal places, from the API's major
+// units to Stripe's minor units and back.
+
+let server;
+let request;
+
+before(async () => {
+  server = await startServer();
+  request = client(server.url);
+});
+
+after(() => server.close());
+
+test('amounts convert by the currency exponent', () => {
+  assert.equal(toMinorUnits(12.5, 'usd'), 1250);
+  assert.equal(toMinorUnits(1.005, 'usd'), 101);
+  assert.equal(toMinorUnits(1200, 'jpy'), 1200);
+  assert.equal(toMinorUnits(1.25, 'kwd'), 1250);
+
+  assert.equal(toMajorUnits(1250, 'usd'), 12.5);
+  assert.equal(toMajorUnits(1200, 'JPY'), 1200);
+  assert.equal(toMajorUnits(1250, 'bhd'), 1.25);
+  assert.equal(toMajorUnits(null, 'usd'), null);
+
+  assert.equal(formatMoney(1250, 'kwd'), '1.250 KWD');
+});
+
+test('three-decimal amounts must be in whole hundredths', () => {
+  assert.equal(hasValidPrecision(12.5, 'usd'), true);
+  assert.equal(hasValidPrecision(12.505, 'usd'), false);
+  assert.equal(hasValidPrecision(1200.5, 'jpy'), false);
+  assert.equal(hasValidPrecision(1.25, 'kwd'), true);
+  assert.equal(hasValidPrecision(1.255, 'kwd'), false);
+
+  assert.equal(precisionMessage('jpy'), 'JPY amounts must be whole numbers');
+  assert.equal(precisionMessage('kwd'), 'KWD amounts must be multiples of 0.01');
+});
+
+test('amounts are capped at Stripe\'s largest charge in their currency', () => {
+  assert.equal(amountProblem(999999.99, 'usd'), null);
+  assert.equal(amountProblem(1000000, 'usd'), 'Amounts can be at most 999999.99 USD');
+  assert.equal(amountProblem(2500000, 'krw'), null);
+  assert.equal(amountProblem(99999999, 'jpy'), null);
+  assert.equal(amountProblem(100000000, 'jpy'), 'Amounts can be at most 99999999 JPY');
+  assert.equal(amountProblem(100000, 'kwd'), 'Amounts can be at most 99999.999 KWD');
+  assert.equal(amountProblem(0.001, 'usd'), 'USD amounts can have at most 2 decimal places');
+  assert.equal(amountProblem(1200.5, 'krw'), 'KRW amounts must be whole numbers');
+});
+
+test('rent, deposits and refunds in KRW and JPY can run into the millions', async () => {
+  const landlord = await createLandlord();
+  const { lease } = await createLease(request, landlord, { currency: 'krw', rentAmount: 1500000 });
+  assert.equal(lease.currency, 'krw');
+  assert.equal(lease.rentAmount, 1500000);
+
+  const deposit = await request('POST', `/api/leases/${lease.id}/deposit`, { token: landlord.token, body: { amount: 1500000 } });
+  assert.equal(deposit.status, 201);
+  const fraction = await request('POST', `/api/leases/${lease.id}/deposit`, { token: landlord.token, body: { amount: 1500000.5 } });
+  assert.equal(fraction.status, 400);
+
+  const paymentIntentId = await createPayment(server.url, 3000000, 'jpy');
+  const refund = await request('POST', '/api/admin/refunds', { token: 'admin', body: { paymentIntentId, amount: 2000000 } });
+  assert.equal(refund.status, 202);
+  assert.equal(refund.body.refundRequest.amount, 2000000);
+});
+
+test('computed amounts round to a step the currency can be charged in', () => {
+  assert.equal(roundToStep(12345.6, 'usd'), 12346);
+  assert.equal(roundToStep(12345.6, 'kwd'), 12350);
+  assert.equal(roundToStep(12345.6, 'kwd', Math.floor), 12340);
+  assert.equal(roundToStep(1234.5, 'jpy'), 1235);
+});
+
+test('percentage late fees and their caps are chargeable amounts', () => {
+  const policy = { grace_days: 0, fee_type: 'percent', fee_percent: 5, daily_fee: null, max_fee: null, max_fee_percent: 4.5 };
+
+  // 5% of 123.460 KWD is 6.173, charged as 6.170; the 4.5% cap, 5.5557, rounds down to 5.550
+  assert.equal(calculateLateFee({ ...policy, max_fee_percent: null }, 123460, 3, {}, 'kwd'), 6170);
+  assert.equal(calculateLateFee(policy, 123460, 3, {}, 'kwd'), 5550);
+});
+
+test('deposit interest accrues in chargeable amounts', () => {
+  const interest = accrueInterest(1000000, 'bhd', { type: 'fixed', percent: 1.7 }, '2025-03-01', '2026-10-01');
+
+  assert.equal(interest.periods.length, 2);
+  for (const period of interest.periods) {
+    assert.equal(period.amount % 10, 0);
+  }
+  assert.equal(interest.amount, interest.periods[0].amount + interest.periods[1].amount);
+});
+
+test('refund approval thresholds default per currency', (t) => {
+  t.after(() => {
+    delete process.env.REFUND_APPROVAL_THRESHOLD;
+    delete process.env.REFUND_APPROVAL_THRESHOLD_JPY;
+  });
+
+  assert.equal(approvalThreshold('usd'), 500);
+  assert.equal(approvalThreshold('JPY'), 75000);
+  assert.equal(approvalThreshold('kwd'), 150);
+  // Currencies without a threshold always need approval
+  assert.equal(approvalThreshold('xof'), 0);
+
+  assert.equal(needsApproval(75000, 'jpy'), false);
+  assert.equal(needsApproval(75001, 'jpy'), true);
+  assert.equal(needsApproval(150000, 'kwd'), false);
+
+  process.env.REFUND_APPROVAL_THRESHOLD = '100';
+  process.env.REFUND_APPROVAL_THRESHOLD_JPY = '20000';
+  assert.equal(approvalThreshold('usd'), 100);
+  assert.equal(approvalThreshold('jpy'), 20000);
+
+  // Malformed values are ignored rather than turning approval off
+  process.env.REFUND_APPROVAL_THRESHOLD = '5oo';
+  process.env.REFUND_APPROVAL_THRESHOLD_JPY = '-1';
+  assert.equal(approvalThreshold('usd'), 500);
+  assert.equal(approvalThreshold('jpy'), 75000);
+  assert.equal(needsApproval(50001, 'usd'), true);
+});
+
+test('checkout sessions report their total in major units', async () => {
+  const token = await signToken('payer-1', 'payer-1@example.com');
+
+  for (const [currency, amount] of [['usd', 12.5], ['jpy', 1200], ['kwd', 1.25]]) {
+    const created = await request('POST', '/api/create-payment-session', { token, body: { amount, currency } });
+    assert.equal(created.status, 200);
+
+    const session = await request('GET', `/api/session/${created.body.sessionId}`, { token });
+    assert.equal(session.status, 200);
+    assert.equal(session.body.session.amount_total, amount);
+    assert.equal(session.body.session.currency, currency);
+  }
+});
@@ -0,0 +1,38 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, client, createLandlord } = require('./helpers');
+
+// Property fields are checked in one place for create and update, and problems
+// come back as { error } with a 400.
+
+let server;
+let request;
+let landlord;
+
+before(async () => {
+  server = await startServer();
+  request = client(server.url);
+  landlord = await createLandlord();
+});
+
+after(() => server.close());
+
+const property = { name: 'Elm Court', addressLine1: '1 Elm St', city: 'Portland', country: 'US' };
+
+test('only configured jurisdictions are accepted', async () => {
+  const unknown = await request('POST', '/api/properties', { token: landlord.token, body: { ...property, jurisdiction: 'us-xx' } });
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.error, /^jurisdiction must be one of: .*us-or-statewide/);
+
+  const created = await request('POST', '/api/properties', { token: landlord.token, body: { ...property, jurisdiction: 'us-or-statewide' } });
+  assert.equal(created.status, 201);
+  const path = `/api/properties/${created.body.property.id}`;
+
+  const update = await request('PUT', path, { token: landlord.token, body: { jurisdiction: 'us-xx', unitCount: 0 } });
+  assert.equal(update.status, 400);
+  assert.deepEqual(Object.keys(update.body), ['error']);
+
+  const cleared = await request('PUT', path, { token: landlord.token, body: { jurisdiction: null } });
+  assert.equal(cleared.status, 200);
+  assert.equal(cleared.body.property.jurisdiction, null);
+});
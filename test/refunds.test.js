@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, client, createAdmin, createPayment } = require('./helpers');
+const { requestRefund } = require('../services/refunds');
+
+// Admin refunds go through refund requests: a payment is refunded at most up to
+// what it captured, and refunds over the approval threshold (500 USD by
+// default) wait for a second admin.
+
+let server;
+let request;
+let alice;
+let bob;
+
+before(async () => {
+  server = await startServer();
+  request = client(server.url);
+  alice = await createAdmin(request, 'Alice');
+  bob = await createAdmin(request, 'Bob');
+});
+
+after(() => server.close());
+
+const refund = (admin, body) => request('POST', '/api/admin/refunds', { headers: admin.headers, body });
+
+test('refunds stop at what the payment captured', async () => {
+  const paymentIntentId = await createPayment(server.url, 10000);
+
+  assert.equal((await refund(alice, { paymentIntentId, amount: 60 })).status, 200);
+
+  const over = await refund(alice, { paymentIntentId, amount: 60 });
+  assert.equal(over.status, 409);
+  assert.equal(over.body.error, 'At most 40.00 USD of this payment can still be refunded');
+
+  const rest = await refund(alice, { paymentIntentId });
+  assert.equal(rest.status, 200);
+  assert.equal(rest.body.refund.amount, 40);
+
+  assert.equal((await refund(alice, { paymentIntentId, amount: 1 })).status, 409);
+});
+
+// Requests made in the same tick interleave at every await, as concurrent API calls can
+const requestTogether = (paymentIntentId, amounts) => Promise.all(amounts.map((amount, index) =>
+  requestRefund({ paymentIntentId, amount, requestedBy: [alice, bob][index] })));
+
+test('refunds requested at the same time cannot together refund more than was captured', async () => {
+  const paymentIntentId = await createPayment(server.url, 10000);
+
+  const results = await requestTogether(paymentIntentId, [60, 60]);
+
+  assert.deepEqual(results.map((result) => (result.problem ? result.problem[0] : result.request.status)).sort(), [409, 'succeeded']);
+});
+
+test('requests awaiting approval at the same time cannot hold more than was captured', async () => {
+  const paymentIntentId = await createPayment(server.url, 80000);
+
+  const results = await requestTogether(paymentIntentId, [600, 600]);
+
+  assert.deepEqual(results.map((result) => (result.problem ? result.problem[0] : result.request.status)).sort(), [409, 'pending_approval']);
+});
+
+test('refunds over the threshold wait for another admin to approve them', async () => {
+  const paymentIntentId = await createPayment(server.url, 80000);
+
+  const held = await refund(alice, { paymentIntentId, amount: 600 });
+  assert.equal(held.status, 202);
+  assert.equal(held.body.refundRequest.status, 'pending_approval');
+
+  const approve = (admin) => request('POST', `/api/admin/refund-requests/${held.body.refundRequest.id}/approve`, { headers: admin.headers });
+  assert.equal((await approve(alice)).status, 403);
+
+  const approved = await approve(bob);
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.refund.amount, 600);
+  assert.equal(approved.body.refundRequest.status, 'succeeded');
+});
+
+test('refunds requested at the same time cannot get under the threshold separately', async () => {
+  const paymentIntentId = await createPayment(server.url, 80000);
+
+  const results = await requestTogether(paymentIntentId, [300, 300]);
+
+  assert.deepEqual(results.map((result) => result.request.status).sort(), ['pending_approval', 'succeeded']);
+});
+
+test('a request awaiting approval holds its amount until it is rejected', async () => {
+  const paymentIntentId = await createPayment(server.url, 80000);
+
+  const held = await refund(alice, { paymentIntentId, amount: 600 });
+  assert.equal(held.status, 202);
+  assert.equal((await refund(alice, { paymentIntentId, amount: 300 })).status, 409);
+
+  const rejected = await request('POST', `/api/admin/refund-requests/${held.body.refundRequest.id}/reject`, {
+    headers: bob.headers,
+    body: { reason: 'Not eligible' }
+  });
+  assert.equal(rejected.status, 200);
+
+  assert.equal((await refund(alice, { paymentIntentId, amount: 300 })).status, 200);
+});
@@ -0,0 +1,139 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, client, createLandlord, createLease, completeCheckout } = require('./helpers');
+const { stripe } = require('../lib/stripe');
+const { assessLateFees } = require('../services/lateFees');
+const { addDays } = require('../lib/dates');
+
+// Rent charges and late fees are settled by the checkout.session.completed
+// webhook, only from the session opened for them and only for what they owe.
+
+let server;
+let request;
+let landlord;
+
+before(async () => {
+  server = await startServer();
+  request = client(server.url);
+  landlord = await createLandlord();
+});
+
+after(() => server.close());
+
+// A lease with its open rent charge
+async function leaseWithCharge(label, options) {
+  const { lease, tenant } = await createLease(request, landlord, { label, tenantId: `tenant-${label}`, ...options });
+  const charges = await request('GET', `/api/leases/${lease.id}/charges`, { token: tenant.token });
+  return { lease, tenant, charge: charges.body.charges[0] };
+}
+
+const chargeStatus = async (lease, tenant) =>
+  (await request('GET', `/api/leases/${lease.id}/charges`, { token: tenant.token })).body.charges[0].status;
+
+test('a rent payment settles the charge it was opened for', async () => {
+  const { lease, tenant, charge } = await leaseWithCharge('1A');
+
+  const pay = await request('POST', `/api/leases/${lease.id}/charges/${charge.id}/pay`, { token: tenant.token, body: {} });
+  assert.equal(pay.status, 200);
+  await completeCheckout(server.url, pay.body.sessionId);
+
+  assert.equal(await chargeStatus(lease, tenant), 'paid');
+});
+
+test('callers cannot put lease payment keys in their own session metadata', async () => {
+  const { lease, tenant, charge } = await leaseWithCharge('1B');
+
+  const forged = await request('POST', '/api/create-payment-session', {
+    token: tenant.token,
+    body: { amount: 1, currency: 'usd', metadata: { leaseId: lease.id, rentChargeId: charge.id, note: 'kept' } }
+  });
+  assert.equal(forged.status, 200);
+
+  const session = await stripe.checkout.sessions.retrieve(forged.body.sessionId);
+  assert.equal(session.metadata.rentChargeId, undefined);
+  assert.equal(session.metadata.leaseId, undefined);
+  assert.equal(session.metadata.note, 'kept');
+
+  await completeCheckout(server.url, forged.body.sessionId);
+  assert.equal(await chargeStatus(lease, tenant), 'open');
+});
+
+test('a session naming a charge it was not opened for does not settle it', async () => {
+  const { lease, tenant, charge } = await leaseWithCharge('1C');
+
+  const session = await stripe.checkout.sessions.create({
+    mode: 'payment',
+    line_items: [{ price_data: { currency: 'usd', unit_amount: 100, product_data: { name: 'Rent' } }, quantity: 1 }],
+    metadata: { leaseId: lease.id, rentChargeId: charge.id },
+    success_url: 'http://localhost:3000/success',
+    cancel_url: 'http://localhost:3000/cancel'
+  });
+  await completeCheckout(server.url, session.id);
+
+  assert.equal(await chargeStatus(lease, tenant), 'open');
+});
+
+test('late fees are paid at the amount their session charged, even if they grew since', async () => {
+  // Oregon caps late fees at 5% of the rent; this one stays under it
+  const { lease, tenant, charge } = await leaseWithCharge('1D', { rentAmount: 4000 });
+  const policy = await request('PUT', `/api/properties/${lease.propertyId}/late-fee-policy`, {
+    token: landlord.token,
+    body: { graceDays: 4, feeType: 'flat', feeAmount: 50, dailyFee: 10 }
+  });
+  assert.equal(policy.status, 200);
+
+  await assessLateFees(new Date(`${addDays(charge.dueDate, 10)}T12:00:00Z`));
+  const pay = await request('POST', `/api/leases/${lease.id}/charges/${charge.id}/pay`, { token: tenant.token, body: {} });
+  assert.equal(pay.body.lateFees.length, 1);
+  const charged = pay.body.lateFees[0].amount;
+
+  // The fee keeps accruing while the tenant is on the payment page
+  await assessLateFees(new Date(`${addDays(charge.dueDate, 12)}T12:00:00Z`));
+  const grown = await request('GET', `/api/leases/${lease.id}/late-fees`, { token: tenant.token });
+  assert.ok(grown.body.lateFees[0].amount > charged);
+
+  const session = await completeCheckout(server.url, pay.body.sessionId);
+  assert.equal(session.amount_total, (charge.amount + charged) * 100);
+
+  assert.equal(await chargeStatus(lease, tenant), 'paid');
+  const fees = await request('GET', `/api/leases/${lease.id}/late-fees`, { token: tenant.token });
+  assert.equal(fees.body.lateFees[0].status, 'paid');
+  assert.equal(fees.body.lateFees[0].amount, charged);
+});
+
+test('paying a session opened earlier settles the charge', async () => {
+  const { lease, tenant, charge } = await leaseWithCharge('1E');
+  const pay = () => request('POST', `/api/leases/${lease.id}/charges/${charge.id}/pay`, { token: tenant.token, body: {} });
+
+  // A second click, tab or retry gets the session that is already open
+  const first = await pay();
+  const second = await pay();
+  assert.equal(second.status, 200);
+  assert.equal(second.body.sessionId, first.body.sessionId);
+
+  await completeCheckout(server.url, first.body.sessionId);
+  assert.equal(await chargeStatus(lease, tenant), 'paid');
+  assert.equal((await pay()).status, 409);
+});
+
+test('a session that no longer charges what is owed is expired for a new one', async () => {
+  const { lease, tenant, charge } = await leaseWithCharge('1F', { rentAmount: 4000 });
+  await request('PUT', `/api/properties/${lease.propertyId}/late-fee-policy`, {
+    token: landlord.token,
+    body: { graceDays: 4, feeType: 'flat', feeAmount: 50, dailyFee: 10 }
+  });
+  const pay = () => request('POST', `/api/leases/${lease.id}/charges/${charge.id}/pay`, { token: tenant.token, body: {} });
+
+  await assessLateFees(new Date(`${addDays(charge.dueDate, 10)}T12:00:00Z`));
+  const first = await pay();
+  await assessLateFees(new Date(`${addDays(charge.dueDate, 12)}T12:00:00Z`));
+  const second = await pay();
+  assert.notEqual(second.body.sessionId, first.body.sessionId);
+
+  const superseded = await stripe.checkout.sessions.retrieve(first.body.sessionId);
+  assert.equal(superseded.status, 'expired');
+  await assert.rejects(completeCheckout(server.url, first.body.sessionId));
+
+  await completeCheckout(server.url, second.body.sessionId);
+  assert.equal(await chargeStatus(lease, tenant), 'paid');
+});
@@ -0,0 +1,35 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, client, createLandlord } = require('./helpers');
+
+// Subscription routes answer 404 for subscriptions the caller does not own,
+// including ids Stripe does not know at all.
+
+let server;
+let request;
+let landlord;
+
+before(async () => {
+  server = await startServer();
+  request = client(server.url);
+  landlord = await createLandlord();
+});
+
+after(() => server.close());
+
+test('an unknown subscription is not found', async () => {
+  const path = '/api/subscription/sub_unknown';
+  const calls = [
+    request('GET', path, { token: landlord.token }),
+    request('POST', `${path}/change-preview`, { token: landlord.token, body: { plan: 'pro' } }),
+    request('POST', `${path}/change`, { token: landlord.token, body: { plan: 'pro' } }),
+    request('DELETE', `${path}/scheduled-change`, { token: landlord.token }),
+    request('POST', `${path}/resume`, { token: landlord.token }),
+    request('POST', '/api/cancel-subscription', { token: landlord.token, body: { subscriptionId: 'sub_unknown' } })
+  ];
+
+  for (const response of await Promise.all(calls)) {
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error, 'Subscription not found');
+  }
+});